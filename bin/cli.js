@@ -6,9 +6,61 @@
  * Command-line interface for the SQLite Backup Library
  */
 
-const { SQLiteBackup, BackupUtils } = require('../lib/index.js');
+const { SQLiteBackup, BackupManager, BackupUtils, BackupError, S3Storage } = require('../lib/index.js');
 const path = require('path');
 const fs = require('fs');
+const { spawn } = require('child_process');
+
+// Exit codes, so that scripts can tell what went wrong without parsing messages
+const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    VERIFY_FAILED: 3,
+    NOT_FOUND: 4,
+    IO: 5,
+    DECRYPTION_FAILED: 6
+};
+
+const ERROR_EXIT_CODES = {
+    ERR_USAGE: EXIT_CODES.USAGE,
+    ERR_INVALID_CONFIG: EXIT_CODES.USAGE,
+    ERR_INVALID_CRON: EXIT_CODES.USAGE,
+    ERR_CHECKSUM_MISMATCH: EXIT_CODES.VERIFY_FAILED,
+    ERR_INTEGRITY_CHECK_FAILED: EXIT_CODES.VERIFY_FAILED,
+    ERR_CHAIN_BROKEN: EXIT_CODES.VERIFY_FAILED,
+    ERR_FOREIGN_KEY_VIOLATION: EXIT_CODES.VERIFY_FAILED,
+    ERR_ROW_COUNT_MISMATCH: EXIT_CODES.VERIFY_FAILED,
+    ERR_SCHEMA_INVALID: EXIT_CODES.VERIFY_FAILED,
+    ERR_ASSERTION_FAILED: EXIT_CODES.VERIFY_FAILED,
+    ERR_DATABASE_NOT_FOUND: EXIT_CODES.NOT_FOUND,
+    ERR_BACKUP_NOT_FOUND: EXIT_CODES.NOT_FOUND,
+    ERR_STORAGE_NOT_FOUND: EXIT_CODES.NOT_FOUND,
+    ERR_NOTHING_TO_ROLL_BACK: EXIT_CODES.NOT_FOUND,
+    ERR_TABLE_NOT_FOUND: EXIT_CODES.NOT_FOUND,
+    ENOENT: EXIT_CODES.NOT_FOUND,
+    ERR_STORAGE: EXIT_CODES.IO,
+    EACCES: EXIT_CODES.IO,
+    EPERM: EXIT_CODES.IO,
+    EIO: EXIT_CODES.IO,
+    ENOSPC: EXIT_CODES.IO,
+    EROFS: EXIT_CODES.IO,
+    EISDIR: EXIT_CODES.IO,
+    ENOTDIR: EXIT_CODES.IO,
+    ERR_DECRYPTION_FAILED: EXIT_CODES.DECRYPTION_FAILED,
+    ERR_ENCRYPTION_KEY_REQUIRED: EXIT_CODES.DECRYPTION_FAILED,
+    ERR_INVALID_ENCRYPTION_KEY: EXIT_CODES.DECRYPTION_FAILED
+};
+
+// Set by --json: the result object is then the only output on stdout
+let jsonOutput = false;
+
+// Prose for people reading the terminal, left out of stdout with --json; warnings and errors go to stderr either way
+function human(...args) {
+    if (!jsonOutput) {
+        console.log(...args);
+    }
+}
 
 function showHelp() {
     console.log(`
@@ -21,28 +73,130 @@ Commands:
   list <database>                List all backups for the specified database  
   cleanup <database>             Clean up old backups
   restore <backup> <database>    Restore a backup to a database
-  verify <backup>                Verify backup integrity
+  restore <database> --to-time <timestamp>  Recover a database to a point in time from its WAL archive
+  rollback <database>            Undo the most recent restore of a database
+  verify <backup>                Verify a backup: checksum, integrity and, with --level/--assert, more checks
+  info <backup>                  Show what a backup holds: settings, tables with row counts and sizes, indexes
+  export <backup|database>       Write every table as a CSV or JSON Lines file, with a schema.json (needs --out)
+  diff <a> <b>                   Compare the schema and data of two backups, or a backup and a database
+  consolidate <database> [backup]  Merge an incremental chain into a new full backup (default: newest)
+  rebuild-catalog <database>     Rebuild the backup catalog from existing backup files
+  sync <database>                Copy backups that are missing from the mirrors (needs --mirror)
+  pin <database> <backup>        Pin a backup so that cleanup never removes it (e.g. for a legal hold)
+  unpin <database> <backup>      Remove the pin from a backup
+  archive <database>             Archive the WAL continuously for point-in-time recovery (runs until stopped)
+  daemon <database>              Back up (and clean up) on a cron schedule in the foreground (runs until stopped)
+  run --config <file>            Back up (and clean up) every database listed in a JSON config file
   help                           Show this help message
 
 Options:
   --backup-dir <dir>             Directory to store backups (default: <database-dir>/backups)
+  --storage <url>                Keep backups in S3-compatible storage: s3://bucket/prefix
+  --s3-endpoint <url>            Endpoint of an S3-compatible service (default: AWS_ENDPOINT_URL or AWS S3)
+  --s3-region <region>           Region of the bucket (default: AWS_REGION or us-east-1)
+  --mirror <dir|url>             Also copy backups to this directory or s3://bucket/prefix (repeatable)
+  --verify-existing              Also compare the copies mirrors already hold against their checksums (sync)
   --filename <name>              Custom filename for backup
   --no-timestamp                 Don't include timestamp in filename
   --no-verify                    Skip backup verification
-  --method <method>              Backup method: backup, copy, vacuum (default: backup)
+  --level <level>                Verification level: quick, full, strict, custom (backup and verify, default: full)
+  --assert <sql>                 SQL query whose first value must be true, e.g. "SELECT count(*) > 0 FROM users"
+                                 (backup and verify, repeatable)
+  --method <method>              Backup method: backup, copy, vacuum, dump (an SQL script) (default: backup)
+  --page-size <bytes>            Page size of the compacted backup (vacuum method only)
+  --auto-vacuum <mode>           auto_vacuum of the compacted backup: none, full, incremental (vacuum method only)
+  --pages-per-step <number>      Pages copied per step of an online backup (backup method only, default: 100)
+  --step-delay <ms>              Pause between the steps of an online backup
+  --max-pages-per-second <n>     Cap the copy rate of an online backup to limit its I/O
+  --busy-timeout <ms>            How long a step waits for a writer's lock (sqlite3-cli driver, default: 5000)
+  --incremental                  Store only the pages changed since the previous backup of the chain
+  --max-chain-length <number>    Start a new full backup once the chain holds this many backups
+  --remove-chain                 Delete the consolidated chain after consolidating
+  --compress [gzip|brotli]       Compress the backup (default algorithm: gzip)
+  --encrypt                      Encrypt the backup with AES-256-GCM
+  --key-file <path>              Key file (32 raw bytes or 64 hex characters) for encrypting/decrypting
   --retention-days <days>        Number of days to keep backups for cleanup
   --max-backups <number>         Maximum number of backups to keep
-  --target <path>                Target path for restore
+  --keep-hourly <number>         Keep the newest backup of each of the last N hours
+  --keep-daily <number>          Keep the newest backup of each of the last N days
+  --keep-weekly <number>         Keep the newest backup of each of the last N ISO weeks
+  --keep-monthly <number>        Keep the newest backup of each of the last N months
+  --keep-yearly <number>         Keep the newest backup of each of the last N years
+  --dry-run                      Show what cleanup would remove, sync would copy, or a restore would
+                                 change, without changing anything
+  --reason <text>                Reason recorded with a pin
+  --target <path>                Target path for restore and rollback
+  --to-time <timestamp>          Restore the database as it was at this ISO timestamp (needs a WAL archive)
+  --tables <a,b,...>             Only restore (restore) or export (export) these tables
+  --mode <mode>                  How --tables are restored: replace their rows, or merge in missing ones
+                                 by primary key (default: replace)
+  --where <condition>            Only restore the rows of --tables matching this SQL condition
+  --archive-dir <dir>            Directory for archived WAL segments (default: <backup-dir>-wal)
+  --poll-interval <ms>           How often the archiver copies new WAL frames (default: 1000)
+  --snapshot-interval <minutes>  How often the archiver takes a snapshot, 0 for only at start (default: 1440)
+  --schedule <cron>              When the daemon backs up, e.g. "0 3 * * *" or @hourly (default: @daily)
+  --jitter <seconds>             Delay each scheduled backup by a random 0 to N seconds
+  --no-catch-up                  Skip scheduled backups that were missed instead of making up for them
+  --utc                          Read the schedule in UTC rather than local time
+  --config <file>                JSON config listing the databases for run
+  --concurrency <number>         How many databases run backs up at a time (default: config, or 2)
+  --pre-hook <command>           Shell command run before a backup or restore; a non-zero exit cancels it
+  --post-hook <command>          Shell command run after a backup (a non-zero exit deletes it again) or restore
   --include-checksums            Include checksums when listing backups
+  --checksum-algorithm <alg>     Checksum algorithm: sha256, sha512, blake2b512 (default: sha256)
+  --expected-checksum <sum>      Checksum a backup must match when verifying ('hex' or 'algorithm:hex')
+  --rows                         Also list inserted, updated and deleted rows by primary key (diff)
+  --table <name>                 Only compare (diff), restore (restore) or export (export) this table; repeatable
+  --exclude <a,b,...>            Leave these tables out of an export (repeatable)
+  --format <format>              Export format: csv, jsonl (default: csv)
+  --out <dir>                    Directory an export is written to
+  --blob-encoding <encoding>     How an export writes BLOB values: base64, hex (default: base64)
+  --sql                          Print an SQL script that turns <a> into <b> instead (diff)
+  --driver <name>                SQLite driver: auto, better-sqlite3, node:sqlite, sqlite3-cli (default: auto)
   --verbose                      Enable verbose output
+  --json                         Print only the result (or error) as JSON on stdout
+
+Exit codes:
+  0 success, 1 failure, 2 usage error, 3 verification failed (checksum, integrity or another check),
+  4 database, backup, table or restore to roll back not found, 5 I/O or storage error,
+  6 encrypted backup can't be decrypted (wrong, missing or invalid passphrase or key file)
+
+Environment:
+  SQLITE_BACKUP_PASSPHRASE       Passphrase for encrypting/decrypting backups (when no --key-file is given)
+  AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN  Credentials for --storage s3://...
+  SQLITE_BACKUP_HOOK             Set for hook commands: beforeBackup, afterBackup, beforeRestore or afterRestore
 
 Examples:
   sqlite-backup create ./data/app.db
   sqlite-backup create ./data/app.db --backup-dir ./backups --filename custom-backup
+  sqlite-backup create ./data/app.db --compress brotli
+  sqlite-backup create ./data/app.db --incremental --max-chain-length 24
+  sqlite-backup consolidate ./data/app.db --remove-chain
+  sqlite-backup create ./data/app.db --method vacuum --page-size 8192 --auto-vacuum incremental
+  sqlite-backup create ./data/app.db --method dump --no-timestamp --backup-dir ./schema-history
+  sqlite-backup create ./data/app.db --pages-per-step 500 --max-pages-per-second 5000
+  SQLITE_BACKUP_PASSPHRASE=secret sqlite-backup create ./data/app.db --encrypt
   sqlite-backup list ./data/app.db --include-checksums
   sqlite-backup cleanup ./data/app.db --retention-days 30
+  sqlite-backup create ./data/app.db --storage s3://my-bucket/backups/app --compress
+  sqlite-backup cleanup ./data/app.db --keep-daily 7 --keep-weekly 4 --keep-monthly 12 --dry-run
+  sqlite-backup create ./data/app.db --mirror /mnt/offsite/app --mirror s3://my-bucket/app
+  sqlite-backup sync ./data/app.db --mirror /mnt/offsite/app --verify-existing
+  sqlite-backup pin ./data/app.db app-backup-2024-05-01T12-00-00-000Z.db --reason "Audit 2024"
   sqlite-backup restore ./backups/backup.db ./data/app.db
+  sqlite-backup create ./data/app.db --pre-hook ./maintenance-mode.sh --post-hook "jq .filename >> shipped.log"
+  sqlite-backup archive ./data/app.db --snapshot-interval 60
+  sqlite-backup daemon ./data/app.db --schedule "0 */6 * * *" --jitter 300 --compress --keep-daily 7 --keep-weekly 4
+  sqlite-backup run --config ./sqlite-backup.json --concurrency 4
+  sqlite-backup restore ./data/app.db --to-time 2024-05-01T12:30:00Z --target ./recovered.db
   sqlite-backup verify ./backups/backup.db
+  sqlite-backup verify ./transferred.db --expected-checksum sha256:<hex>
+  sqlite-backup info ./backups/backup.db.gz --json
+  sqlite-backup diff ./backups/app-backup-2024-05-01T03-00-00-000Z.db ./data/app.db --rows --table orders
+  sqlite-backup restore ./backups/app-backup-2024-05-01T03-00-00-000Z.db ./data/app.db --tables orders,order_items --mode merge --dry-run
+  sqlite-backup export ./backups/app-backup-2024-05-01T03-00-00-000Z.db.gz --format jsonl --out ./export --exclude sessions
+  sqlite-backup list ./data/app.db --json | jq -r '.[0].path'
+  sqlite-backup rebuild-catalog ./data/app.db --backup-dir ./backups
     `);
 }
 
@@ -54,6 +208,10 @@ function parseArgs() {
         process.exit(0);
     }
 
+    if (args.includes('--json')) {
+        jsonOutput = true;
+    }
+
     const command = args[0];
     const options = {
         verbose: false,
@@ -74,6 +232,21 @@ function parseArgs() {
                 case 'backup-dir':
                     options.backupDirectory = args[++i];
                     break;
+                case 'storage':
+                    options.storage = args[++i];
+                    break;
+                case 's3-endpoint':
+                    options.s3Endpoint = args[++i];
+                    break;
+                case 's3-region':
+                    options.s3Region = args[++i];
+                    break;
+                case 'mirror':
+                    options.mirrors = [...(options.mirrors || []), args[++i]];
+                    break;
+                case 'verify-existing':
+                    options.verifyExisting = true;
+                    break;
                 case 'filename':
                     options.filename = args[++i];
                     break;
@@ -83,27 +256,167 @@ function parseArgs() {
                 case 'no-verify':
                     options.verifyIntegrity = false;
                     break;
+                case 'level':
+                    options.level = args[++i];
+                    break;
+                case 'assert':
+                    options.assertions = [...(options.assertions || []), args[++i]];
+                    break;
                 case 'method':
                     options.method = args[++i];
                     break;
+                case 'page-size':
+                    options.pageSize = parseInt(args[++i]);
+                    break;
+                case 'auto-vacuum':
+                    options.autoVacuum = args[++i];
+                    break;
+                case 'pages-per-step':
+                    options.pagesPerStep = parseInt(args[++i]);
+                    break;
+                case 'step-delay':
+                    options.stepDelay = parseFloat(args[++i]);
+                    break;
+                case 'max-pages-per-second':
+                    options.maxPagesPerSecond = parseFloat(args[++i]);
+                    break;
+                case 'busy-timeout':
+                    options.busyTimeout = parseFloat(args[++i]);
+                    break;
+                case 'incremental':
+                    options.incremental = true;
+                    break;
+                case 'max-chain-length':
+                    options.maxChainLength = parseInt(args[++i]);
+                    break;
+                case 'remove-chain':
+                    options.removeChain = true;
+                    break;
+                case 'compress':
+                    options.compression = ['gzip', 'brotli'].includes(args[i + 1]) ? args[++i] : 'gzip';
+                    break;
+                case 'encrypt':
+                    options.encrypt = true;
+                    break;
+                case 'key-file':
+                    options.keyFile = args[++i];
+                    break;
                 case 'retention-days':
                     options.retentionDays = parseInt(args[++i]);
                     break;
                 case 'max-backups':
                     options.maxBackups = parseInt(args[++i]);
                     break;
+                case 'keep-hourly':
+                    options.keepHourly = parseInt(args[++i]);
+                    break;
+                case 'keep-daily':
+                    options.keepDaily = parseInt(args[++i]);
+                    break;
+                case 'keep-weekly':
+                    options.keepWeekly = parseInt(args[++i]);
+                    break;
+                case 'keep-monthly':
+                    options.keepMonthly = parseInt(args[++i]);
+                    break;
+                case 'keep-yearly':
+                    options.keepYearly = parseInt(args[++i]);
+                    break;
+                case 'dry-run':
+                    options.dryRun = true;
+                    break;
+                case 'reason':
+                    options.reason = args[++i];
+                    break;
                 case 'target':
                     options.targetPath = args[++i];
                     break;
+                case 'to-time':
+                    options.toTime = args[++i];
+                    break;
+                case 'archive-dir':
+                    options.archiveDirectory = args[++i];
+                    break;
+                case 'poll-interval':
+                    options.pollInterval = parseInt(args[++i]);
+                    break;
+                case 'snapshot-interval':
+                    options.snapshotInterval = parseFloat(args[++i]) * 60 * 1000;
+                    break;
+                case 'schedule':
+                    options.schedule = args[++i];
+                    break;
+                case 'jitter':
+                    options.jitter = parseFloat(args[++i]) * 1000;
+                    break;
+                case 'no-catch-up':
+                    options.catchUp = false;
+                    break;
+                case 'utc':
+                    options.utc = true;
+                    break;
+                case 'config':
+                    options.config = args[++i];
+                    break;
+                case 'concurrency':
+                    options.concurrency = parseInt(args[++i]);
+                    break;
+                case 'pre-hook':
+                    options.preHook = args[++i];
+                    break;
+                case 'post-hook':
+                    options.postHook = args[++i];
+                    break;
                 case 'include-checksums':
                     options.includeChecksums = true;
                     break;
+                case 'checksum-algorithm':
+                    options.checksumAlgorithm = args[++i];
+                    break;
+                case 'rows':
+                    options.rows = true;
+                    break;
+                case 'table':
+                    options.tables = [...(options.tables || []), args[++i]];
+                    break;
+                case 'tables':
+                    options.tables = [...(options.tables || []), ...args[++i].split(',').map(name => name.trim()).filter(Boolean)];
+                    break;
+                case 'mode':
+                    options.mode = args[++i];
+                    break;
+                case 'format':
+                    options.format = args[++i];
+                    break;
+                case 'out':
+                    options.outDirectory = args[++i];
+                    break;
+                case 'exclude':
+                    options.exclude = [...(options.exclude || []), ...args[++i].split(',').map(name => name.trim()).filter(Boolean)];
+                    break;
+                case 'blob-encoding':
+                    options.blobEncoding = args[++i];
+                    break;
+                case 'where':
+                    options.where = args[++i];
+                    break;
+                case 'sql':
+                    options.sql = true;
+                    break;
+                case 'expected-checksum':
+                    options.expectedChecksum = args[++i];
+                    break;
+                case 'driver':
+                    options.driver = args[++i];
+                    break;
                 case 'verbose':
                     options.verbose = true;
                     break;
+                case 'json':
+                    options.json = true;
+                    break;
                 default:
-                    console.error(`Unknown option: --${key}`);
-                    process.exit(1);
+                    fail(new BackupError(`Unknown option: --${key}`, 'ERR_USAGE'));
             }
         } else {
             positionalArgs.push(arg);
@@ -113,195 +426,1066 @@ function parseArgs() {
     return { command, args: positionalArgs, options };
 }
 
+function printResult(result) {
+    if (jsonOutput) {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    }
+}
+
+function errorResult(failure, fallbackCode = 'ERR_FAILED') {
+    // Failed library results already have this shape; errors thrown without a code get the command's
+    if (failure instanceof Error) {
+        return {
+            success: false,
+            error: failure.message,
+            code: failure.code || fallbackCode,
+            timestamp: new Date().toISOString()
+        };
+    }
+    return { ...failure, code: failure.code || fallbackCode };
+}
+
+function exitWith(result) {
+    printResult(result);
+    process.exit(ERROR_EXIT_CODES[result.code] || EXIT_CODES.FAILURE);
+}
+
+function fail(failure, label = 'Error', fallbackCode) {
+    const result = errorResult(failure, fallbackCode);
+    console.error(label ? `❌ ${label}: ${result.error}` : `❌ ${result.error}`);
+    exitWith(result);
+}
+
+function usage(text) {
+    fail(new BackupError(`Usage: ${text}`, 'ERR_USAGE'), null);
+}
+
+function getStorage(options) {
+    if (!options.storage) {
+        return undefined;
+    }
+    if (!options.storage.startsWith('s3://')) {
+        throw new Error(`Unsupported storage: ${options.storage} (expected s3://bucket/prefix)`);
+    }
+    return S3Storage.fromUrl(options.storage, { endpoint: options.s3Endpoint, region: options.s3Region });
+}
+
+function getMirrors(options) {
+    // S3 mirrors share the --s3-endpoint and --s3-region of the primary storage
+    return (options.mirrors || []).map(mirror => mirror.startsWith('s3://') ?
+        S3Storage.fromUrl(mirror, { endpoint: options.s3Endpoint, region: options.s3Region }) : mirror);
+}
+
+function reportDestinations(destinations) {
+    destinations.filter(destination => !destination.primary).forEach(destination => {
+        if (destination.success) {
+            human(`🪞 Mirror: ${destination.location}${destination.verified ? ' (checksum verified)' : ''}`);
+        } else {
+            console.warn(`⚠️  Mirror failed: ${destination.location}: ${destination.error}`);
+        }
+    });
+}
+
+function showProgress(backup) {
+    // The bar is redrawn in place, so it is only drawn on a terminal
+    if (!process.stderr.isTTY || jsonOutput) {
+        return () => {};
+    }
+
+    const width = 30;
+    let drawn = false;
+    const draw = ({ stage, pageCount, pagesRemaining }) => {
+        if (stage !== 'snapshot' || !pageCount) return;
+
+        const copied = pageCount - pagesRemaining;
+        const filled = Math.round(width * copied / pageCount);
+        const percent = Math.floor(100 * copied / pageCount);
+        process.stderr.write(`\r📦 [${'█'.repeat(filled)}${'░'.repeat(width - filled)}] ${String(percent).padStart(3)}% ${copied}/${pageCount} pages`);
+        drawn = true;
+    };
+
+    backup.on('backup:progress', draw);
+    return () => {
+        backup.off('backup:progress', draw);
+        if (drawn) process.stderr.write('\n');
+    };
+}
+
+function runHookCommand(command, hook, payload) {
+    // The hook gets the operation's context or result as JSON on stdin and shares our stdout/stderr
+    // (only stderr with --json, which keeps stdout for the result)
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, {
+            shell: true,
+            stdio: ['pipe', jsonOutput ? process.stderr : 'inherit', 'inherit'],
+            env: { ...process.env, SQLITE_BACKUP_HOOK: hook }
+        });
+
+        child.on('error', reject);
+        child.on('close', code => {
+            if (code === 0) {
+                resolve(true);
+            } else {
+                reject(new Error(`hook command "${command}" exited with code ${code}`));
+            }
+        });
+
+        // Hooks that don't read their input must not fail the write
+        child.stdin.on('error', () => {});
+        child.stdin.end(JSON.stringify(payload, null, 2) + '\n');
+    });
+}
+
+function getHooks(options, operation) {
+    const hooks = {};
+
+    if (operation === 'backup') {
+        if (options.preHook) hooks.beforeBackup = context => runHookCommand(options.preHook, 'beforeBackup', context);
+        if (options.postHook) hooks.afterBackup = result => runHookCommand(options.postHook, 'afterBackup', result);
+    } else if (operation === 'restore' && options.preHook) {
+        hooks.beforeRestore = context => runHookCommand(options.preHook, 'beforeRestore', context);
+    }
+
+    return hooks;
+}
+
+function getEncryptionKey(options) {
+    // Without a key file the library falls back to the SQLITE_BACKUP_PASSPHRASE environment variable
+    return options.keyFile ? { keyFile: options.keyFile } : null;
+}
+
 async function createBackup(databasePath, options) {
     try {
         if (options.verbose) {
-            console.log(`🚀 Creating backup for: ${databasePath}`);
-            console.log(`📝 Options:`, options);
+            human(`🚀 Creating backup for: ${databasePath}`);
+            human(`📝 Options:`, options);
         } else {
-            console.log(`🚀 Creating backup for: ${path.basename(databasePath)}`);
+            human(`🚀 Creating backup for: ${path.basename(databasePath)}`);
         }
 
         const backup = new SQLiteBackup({
             databasePath,
-            backupDirectory: options.backupDirectory
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            storage: getStorage(options),
+            mirrors: getMirrors(options),
+            hooks: getHooks(options, 'backup'),
+            encryption: getEncryptionKey(options),
+            checksumAlgorithm: options.checksumAlgorithm
         });
+        const stopProgress = showProgress(backup);
 
         const result = await backup.createBackup({
             filename: options.filename,
             includeTimestamp: options.includeTimestamp,
             verifyIntegrity: options.verifyIntegrity,
-            method: options.method
+            verifyLevel: options.level,
+            assertions: options.assertions,
+            method: options.method,
+            pageSize: options.pageSize,
+            autoVacuum: options.autoVacuum,
+            compression: options.compression,
+            encryption: options.encrypt ? (getEncryptionKey(options) || true) : false,
+            incremental: options.incremental,
+            maxChainLength: options.maxChainLength,
+            pagesPerStep: options.pagesPerStep,
+            stepDelay: options.stepDelay,
+            maxPagesPerSecond: options.maxPagesPerSecond,
+            busyTimeout: options.busyTimeout
         });
+        stopProgress();
 
         if (result.success) {
-            console.log('✅ Backup created successfully!');
-            console.log(`📁 Location: ${result.backupPath}`);
-            console.log(`📏 Size: ${BackupUtils.formatSize(result.size)}`);
-            console.log(`⏱️  Duration: ${BackupUtils.formatDuration(result.duration)}`);
+            human('✅ Backup created successfully!');
+            human(`📁 Location: ${result.backupPath}`);
+            human(`📏 Size: ${BackupUtils.formatSize(result.size)}`);
+
+            if (result.type === 'incremental') {
+                human(`🧩 Incremental: ${result.changedPages} of ${result.pageCount} pages changed since ${result.parent}`);
+            } else if (result.chain) {
+                human('🧩 Incremental: started a new chain with a full backup');
+            }
+
+            if (result.method === 'vacuum') {
+                human(`🧽 Compacted: ${BackupUtils.formatSize(result.sourceSize)} → ${BackupUtils.formatSize(result.compactedSize)} (reclaimed ${BackupUtils.formatSize(Math.max(result.reclaimedBytes, 0))})`);
+            }
+
+            if (result.compression) {
+                human(`🗜️  Compression: ${result.compression} (${BackupUtils.formatSize(result.uncompressedSize)} uncompressed)`);
+            }
+
+            if (result.encrypted) {
+                human('🔒 Encrypted: AES-256-GCM');
+            }
+            human(`⏱️  Duration: ${BackupUtils.formatDuration(result.duration)}`);
 
             if (result.checksum) {
-                console.log(`🔐 Checksum: ${result.checksum}`);
+                human(`🔐 Checksum (${result.checksumAlgorithm}): ${result.checksum}`);
+            }
+
+            reportDestinations(result.destinations);
+            printResult(result);
+            if (!result.replicated) {
+                console.warn('⚠️  Not every mirror has the backup; run sync to repair');
+                process.exit(EXIT_CODES.FAILURE);
             }
         } else {
-            console.error('❌ Backup failed:', result.error);
-            process.exit(1);
+            fail(result, 'Backup failed', 'ERR_BACKUP_FAILED');
         }
 
     } catch (error) {
-        console.error('❌ Error:', error.message);
-        process.exit(1);
+        fail(error);
     }
 }
 
 async function listBackups(databasePath, options) {
     try {
-        console.log(`📋 Listing backups for: ${path.basename(databasePath)}`);
+        human(`📋 Listing backups for: ${path.basename(databasePath)}`);
 
         const backup = new SQLiteBackup({
             databasePath,
-            backupDirectory: options.backupDirectory
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            storage: getStorage(options),
+            encryption: getEncryptionKey(options),
+            checksumAlgorithm: options.checksumAlgorithm
         });
 
         const backups = await backup.listBackups({
             includeChecksums: options.includeChecksums
         });
+        printResult(backups);
 
         if (backups.length === 0) {
-            console.log('ℹ️  No backups found');
+            human('ℹ️  No backups found');
             return;
         }
 
-        console.log(`\nFound ${backups.length} backup(s):\n`);
+        human(`\nFound ${backups.length} backup(s):\n`);
 
         backups.forEach((backup, index) => {
-            console.log(`${index + 1}. ${backup.filename}`);
-            console.log(`   📁 Path: ${backup.path}`);
-            console.log(`   📏 Size: ${BackupUtils.formatSize(backup.size)}`);
-            console.log(`   📅 Created: ${backup.created.toISOString()}`);
+            human(`${index + 1}. ${backup.filename}`);
+            human(`   📁 Path: ${backup.path}`);
+            human(`   📏 Size: ${BackupUtils.formatSize(backup.size)}`);
+            human(`   📅 Created: ${backup.created.toISOString()}`);
+
+            if (backup.method) {
+                human(`   🛠️  Method: ${backup.method}`);
+            }
+
+            if (backup.type === 'incremental') {
+                human(`   🧩 Incremental, based on: ${backup.parent || 'unknown'}`);
+            }
+
+            if (backup.compression) {
+                human(`   🗜️  Compression: ${backup.compression}`);
+            }
+
+            if (backup.pinned) {
+                human(`   📍 Pinned: ${backup.pin.pinnedAt}${backup.pin.reason ? ` (${backup.pin.reason})` : ''}`);
+            }
+
+            if (backup.encrypted) {
+                human('   🔒 Encrypted: Yes');
+            }
 
             if (options.includeChecksums) {
-                console.log(`   🔐 Checksum: ${backup.checksum || 'N/A'}`);
-                console.log(`   ✅ Valid: ${backup.isValid !== null ? (backup.isValid ? 'Yes' : 'No') : 'Unknown'}`);
+                human(`   🔐 Checksum: ${backup.checksum || 'N/A'}`);
+                human(`   ✅ Valid: ${backup.isValid !== null ? (backup.isValid ? 'Yes' : 'No') : 'Unknown'}`);
             }
 
-            console.log('');
+            human('');
         });
 
     } catch (error) {
-        console.error('❌ Error:', error.message);
-        process.exit(1);
+        fail(error);
     }
 }
 
 async function cleanupBackups(databasePath, options) {
     try {
-        if (!options.retentionDays && !options.maxBackups) {
-            console.error('❌ Either --retention-days or --max-backups must be specified');
-            process.exit(1);
-        }
+        const rules = [
+            options.retentionDays && `${options.retentionDays} days`,
+            options.maxBackups && `${options.maxBackups} most recent`,
+            options.keepHourly && `${options.keepHourly} hourly`,
+            options.keepDaily && `${options.keepDaily} daily`,
+            options.keepWeekly && `${options.keepWeekly} weekly`,
+            options.keepMonthly && `${options.keepMonthly} monthly`,
+            options.keepYearly && `${options.keepYearly} yearly`
+        ].filter(Boolean);
 
-        const retentionText = options.retentionDays ?
-            `older than ${options.retentionDays} days` :
-            `keeping only ${options.maxBackups} most recent`;
+        if (rules.length === 0) {
+            fail(new BackupError('Either --retention-days, --max-backups or a --keep-hourly/daily/weekly/monthly/yearly rule must be specified', 'ERR_USAGE'));
+        }
 
-        console.log(`🧹 Cleaning up backups ${retentionText} for: ${path.basename(databasePath)}`);
+        human(`🧹 Cleaning up backups keeping ${rules.join(', ')} for: ${path.basename(databasePath)}`);
 
         const backup = new SQLiteBackup({
             databasePath,
-            backupDirectory: options.backupDirectory
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            storage: getStorage(options),
+            mirrors: getMirrors(options)
         });
 
         const result = await backup.cleanup({
             retentionDays: options.retentionDays,
-            maxBackups: options.maxBackups
+            maxBackups: options.maxBackups,
+            keepHourly: options.keepHourly,
+            keepDaily: options.keepDaily,
+            keepWeekly: options.keepWeekly,
+            keepMonthly: options.keepMonthly,
+            keepYearly: options.keepYearly,
+            dryRun: options.dryRun
         });
 
-        if (result.success) {
+        if (result.success && result.dryRun) {
+            human('🧪 Dry run, nothing was removed:');
+            result.plan.forEach(item => {
+                const icon = item.action === 'delete' ? '🗑️ ' : '✅';
+                human(`   ${icon} ${item.action.padEnd(6)} ${item.filename} (${item.reasons.join(', ')})`);
+            });
+
+            const deletions = result.plan.filter(item => item.action === 'delete').length;
+            human(`📊 Total backups: ${result.totalFiles}, would remove: ${deletions}, would keep: ${result.totalFiles - deletions}`);
+
+            if (result.prunedSegments > 0) {
+                human(`📼 Would prune ${result.prunedSegments} archived WAL segment(s)`);
+            }
+
+            result.destinations.filter(destination => !destination.primary).forEach(destination => {
+                const deletions = destination.plan.filter(item => item.action === 'delete');
+                human(`🪞 Mirror ${destination.location}: would remove ${deletions.length} of ${destination.plan.length}`);
+                deletions.forEach(item => human(`   🗑️  ${item.filename}`));
+            });
+        } else if (result.success) {
             if (result.removed > 0) {
-                console.log(`✅ Removed ${result.removed} old backup(s)`);
+                human(`✅ Removed ${result.removed} old backup(s)`);
 
                 if (options.verbose && result.removedFiles.length > 0) {
-                    console.log('📁 Removed files:');
-                    result.removedFiles.forEach(file => console.log(`   - ${file}`));
+                    human('📁 Removed files:');
+                    result.removedFiles.forEach(file => human(`   - ${file}`));
                 }
             } else {
-                console.log('ℹ️  No old backups to remove');
+                human('ℹ️  No old backups to remove');
             }
 
-            console.log(`📊 Total backups: ${result.totalFiles}, Remaining: ${result.remainingFiles}`);
+            if (options.verbose && result.kept.length > 0) {
+                human('📁 Kept files:');
+                result.kept.forEach(entry => human(`   - ${entry.filename} (${entry.buckets.join(', ')})`));
+            }
+
+            if (result.keptForChains.length > 0) {
+                human(`🧩 Kept ${result.keptForChains.length} backup(s) that incremental backups depend on`);
+
+                if (options.verbose) {
+                    result.keptForChains.forEach(file => human(`   - ${file}`));
+                }
+            }
+
+            human(`📊 Total backups: ${result.totalFiles}, Remaining: ${result.remainingFiles}`);
+
+            result.destinations.filter(destination => !destination.primary).forEach(destination => {
+                human(`🪞 Mirror ${destination.location}: removed ${destination.removed} of ${destination.plan.length}`);
+                destination.errors.forEach(error => console.warn(`   ⚠️  ${error}`));
+            });
 
             if (result.errors.length > 0) {
                 console.warn('⚠️  Some errors occurred:');
                 result.errors.forEach(error => console.warn(`   ${error}`));
             }
         } else {
-            console.error('❌ Cleanup failed:', result.error);
-            process.exit(1);
+            fail(result, 'Cleanup failed', 'ERR_CLEANUP_FAILED');
         }
+        printResult(result);
 
     } catch (error) {
-        console.error('❌ Error:', error.message);
-        process.exit(1);
+        fail(error);
     }
 }
 
 async function restoreBackup(backupPath, databasePath, options) {
     try {
-        console.log(`🔄 Restoring backup: ${path.basename(backupPath)}`);
-        console.log(`📍 Target: ${databasePath}`);
+        if (backupPath) {
+            human(`🔄 Restoring backup: ${path.basename(backupPath)}`);
+        } else {
+            human(`🔄 Recovering ${path.basename(databasePath)} to ${options.toTime}`);
+        }
+        human(`📍 Target: ${options.targetPath || databasePath}`);
+        if (options.tables) {
+            human(`📋 Tables: ${options.tables.join(', ')} (${options.mode || 'replace'})`);
+        }
 
         const backup = new SQLiteBackup({
             databasePath,
-            backupDirectory: options.backupDirectory
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            storage: getStorage(options),
+            hooks: getHooks(options, 'restore'),
+            encryption: getEncryptionKey(options)
         });
 
         const result = await backup.restore(backupPath, {
             targetPath: options.targetPath || databasePath,
             verifyBefore: options.verifyIntegrity,
-            createBackupBeforeRestore: true
+            expectedChecksum: options.expectedChecksum,
+            createBackupBeforeRestore: true,
+            toTime: options.toTime,
+            tables: options.tables,
+            mode: options.mode,
+            where: options.where,
+            dryRun: options.dryRun
         });
 
-        if (result.success) {
-            console.log('✅ Restore completed successfully!');
-            console.log(`📁 Restored to: ${result.restoredTo}`);
+        // The restore is already in place (rollback undoes it), so this hook only reports, failed restores included
+        if (options.postHook) {
+            await runHookCommand(options.postHook, 'afterRestore', result)
+                .catch(error => console.warn('⚠️  Post-hook failed:', error.message));
+        }
+
+        if (result.success && result.dryRun) {
+            human('🔍 Dry run: nothing was changed');
+            human(`📁 Would restore ${result.restoredFrom} to ${result.restoredTo}`);
+            if (result.checks.length > 0) {
+                human(`✅ Backup passed: ${result.checks.join(', ')}`);
+            }
+            if (result.tables) {
+                printTableRestore(result.tables, true);
+            }
+            if (result.violations && result.violations.length > 0) {
+                human(`⚠️  Would add ${result.violations.length} foreign key violation(s), so the restore would be rolled back:`);
+                result.violations.forEach(violation => {
+                    human(`   ${violation.table} row ${violation.rowid} references a missing ${violation.parent} row`);
+                });
+            }
+            printResult(result);
+        } else if (result.success) {
+            human('✅ Restore completed successfully!');
+            human(`📁 Restored to: ${result.restoredTo}`);
+
+            if (result.tables) {
+                printTableRestore(result.tables, false);
+            }
+
+            if (result.recoveredTo) {
+                human(`⏪ Recovered to: ${result.recoveredTo} (${result.replayedFrames} WAL frame(s) from ${result.replayedSegments} segment(s) replayed)`);
+            }
+
+            if (result.removedSidecars.length > 0) {
+                human(`🧹 Removed stale ${result.removedSidecars.map(file => path.basename(file)).join(', ')}`);
+            }
 
             if (result.preRestoreBackup) {
-                console.log(`💾 Pre-restore backup: ${result.preRestoreBackup}`);
+                human(`💾 Pre-restore backup: ${result.preRestoreBackup} (undo with: sqlite-backup rollback ${databasePath})`);
             }
+            printResult(result);
         } else {
-            console.error('❌ Restore failed:', result.error);
-            process.exit(1);
+            fail(result, 'Restore failed', 'ERR_RESTORE_FAILED');
         }
 
     } catch (error) {
-        console.error('❌ Error:', error.message);
-        process.exit(1);
+        fail(error);
     }
 }
 
-async function verifyBackup(backupPath, options) {
+function printTableRestore(tables, dryRun) {
+    tables.forEach(table => {
+        const counts = table.mode === 'replace'
+            ? `${table.deleted} ${dryRun ? 'to delete' : 'deleted'}, ${table.inserted} ${dryRun ? 'to insert' : 'inserted'}`
+            : `${table.inserted} missing row(s) ${dryRun ? 'to merge' : 'merged'}`;
+        human(`   ${table.name}: ${counts}${table.created ? ` (${dryRun ? 'would be ' : ''}recreated)` : ''}`);
+    });
+}
+
+async function rollbackRestore(databasePath, options) {
     try {
-        console.log(`🔍 Verifying backup: ${path.basename(backupPath)}`);
+        const targetPath = options.targetPath || databasePath;
+        human(`↩️  Rolling back the last restore of: ${targetPath}`);
+
+        const backup = new SQLiteBackup({
+            databasePath,
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            storage: getStorage(options),
+            encryption: getEncryptionKey(options)
+        });
 
-        const isValid = await BackupUtils.validateDatabase(backupPath);
+        const result = await backup.rollback({ targetPath });
 
-        if (isValid) {
-            console.log('✅ Backup is valid');
+        if (result.success) {
+            human(`✅ Undid the restore of ${result.undoneRestore.restoredFrom} from ${result.undoneRestore.restoredAt}`);
+            human(`📁 Restored to: ${result.restoredTo}`);
+            if (result.preRestoreBackup) {
+                human(`💾 Database before the rollback: ${result.preRestoreBackup}`);
+            }
+            printResult(result);
         } else {
-            console.log('❌ Backup is corrupted or invalid');
-            process.exit(1);
+            fail(result, 'Rollback failed', 'ERR_ROLLBACK_FAILED');
+        }
+
+    } catch (error) {
+        fail(error);
+    }
+}
+
+async function verifyBackup(backupPath, options) {
+    try {
+        human(`🔍 Verifying backup: ${path.basename(backupPath)}`);
+
+        if (!fs.existsSync(backupPath)) {
+            fail(new BackupError(`Backup file not found: ${backupPath}`, 'ERR_BACKUP_NOT_FOUND'), null);
         }
 
+        // Checksums and row counts are compared with the catalog of the backup's own directory
+        const resolvedPath = path.resolve(backupPath);
+        const backup = new SQLiteBackup({
+            databasePath: resolvedPath,
+            driver: options.driver,
+            backupDirectory: options.backupDirectory || path.dirname(resolvedPath),
+            createBackupDir: false,
+            encryption: getEncryptionKey(options)
+        });
+
+        const report = await backup.verifyBackup(resolvedPath, {
+            level: options.level,
+            assertions: options.assertions,
+            expectedChecksum: options.expectedChecksum,
+            checksumAlgorithm: options.checksumAlgorithm
+        });
+
+        if (options.verbose && !report.checks.some(check => check.name === 'checksum')) {
+            human('ℹ️  No recorded checksum found, checking the content only');
+        }
+        report.checks.forEach(check => {
+            if (!check.passed || options.verbose) {
+                human(`${check.passed ? '✅' : '❌'} ${check.name}: ${check.message}`);
+            }
+        });
+
+        const result = { success: report.valid, ...report, timestamp: new Date().toISOString() };
+        if (!report.valid) {
+            human(`❌ Backup failed ${report.failures.length} of ${report.checks.length} check(s) (${report.level})`);
+            exitWith({ ...result, error: report.failures[0].message, code: report.failures[0].code });
+        }
+
+        human(`✅ Backup is valid (${report.level}, ${report.checks.length} check(s))`);
+
+        const stats = fs.statSync(resolvedPath);
+        Object.assign(result, { size: stats.size, modified: stats.mtime.toISOString() });
+
         if (options.verbose) {
-            const stats = fs.statSync(backupPath);
-            console.log(`📏 Size: ${BackupUtils.formatSize(stats.size)}`);
-            console.log(`📅 Modified: ${stats.mtime.toISOString()}`);
+            human(`📏 Size: ${BackupUtils.formatSize(result.size)}`);
+            human(`📅 Modified: ${result.modified}`);
+        }
+        printResult(result);
+
+    } catch (error) {
+        fail(error);
+    }
+}
+
+async function inspectBackup(backupPath, options) {
+    try {
+        human(`🔎 Inspecting: ${path.basename(backupPath)}`);
+
+        if (!fs.existsSync(backupPath)) {
+            fail(new BackupError(`Backup file not found: ${backupPath}`, 'ERR_BACKUP_NOT_FOUND'), null);
+        }
+
+        // The catalog of the backup's own directory describes it
+        const resolvedPath = path.resolve(backupPath);
+        const backup = new SQLiteBackup({
+            databasePath: resolvedPath,
+            driver: options.driver,
+            backupDirectory: options.backupDirectory || path.dirname(resolvedPath),
+            createBackupDir: false,
+            encryption: getEncryptionKey(options)
+        });
+
+        const result = await backup.inspect(resolvedPath);
+
+        if (!result.success) {
+            fail(result, 'Inspection failed', 'ERR_INSPECT_FAILED');
+        }
+
+        const size = bytes => bytes === null ? 'size unknown' : BackupUtils.formatSize(bytes);
+        human(`📄 SQLite ${result.sqliteVersion || 'unknown'}, ${result.pageCount} pages of ${result.pageSize} bytes (${BackupUtils.formatSize(result.databaseSize)}), ${result.freelistCount} free`);
+        human(`⚙️  Journal mode: ${result.journalMode}, encoding: ${result.encoding}, auto_vacuum: ${result.autoVacuum}`);
+        human(`🏷️  user_version: ${result.userVersion}, application_id: ${result.applicationId}`);
+
+        if (result.backupInfo) {
+            human(`🗂️  Cataloged: ${result.backupInfo.createdAt}, method: ${result.backupInfo.method || 'unknown'}, source: ${result.backupInfo.sourceDatabase || 'unknown'}`);
+        }
+
+        human(`📋 Tables (${result.tables.length}):`);
+        result.tables.forEach(table => {
+            human(`   ${table.name}: ${table.rows === null ? 'unreadable' : `${table.rows} row(s)`}, ${size(table.size)}`);
+        });
+
+        if (result.indexes.length > 0) {
+            human(`📇 Indexes (${result.indexes.length}):`);
+            result.indexes.forEach(index => {
+                human(`   ${index.name} on ${index.table}${index.unique ? ' (unique)' : ''}, ${size(index.size)}`);
+            });
+        }
+
+        if (!result.dbstat) {
+            human('ℹ️  Sizes are unknown: this SQLite build has no dbstat table');
+        }
+        printResult(result);
+
+    } catch (error) {
+        fail(error);
+    }
+}
+
+async function exportTables(sourcePath, options) {
+    try {
+        human(`📤 Exporting: ${path.basename(sourcePath)} as ${options.format || 'csv'}`);
+
+        if (!fs.existsSync(sourcePath)) {
+            fail(new BackupError(`Backup file not found: ${sourcePath}`, 'ERR_BACKUP_NOT_FOUND'), null);
+        }
+
+        // Like info, the catalog of the backup's own directory describes it
+        const resolvedPath = path.resolve(sourcePath);
+        const backup = new SQLiteBackup({
+            databasePath: resolvedPath,
+            driver: options.driver,
+            backupDirectory: options.backupDirectory || path.dirname(resolvedPath),
+            createBackupDir: false,
+            encryption: getEncryptionKey(options)
+        });
+
+        const result = await backup.export(resolvedPath, {
+            outDirectory: options.outDirectory,
+            format: options.format,
+            tables: options.tables,
+            exclude: options.exclude,
+            blobEncoding: options.blobEncoding
+        });
+
+        if (!result.success) {
+            fail(result, 'Export failed', 'ERR_EXPORT_FAILED');
+        }
+
+        result.tables.forEach(table => {
+            human(`   ${table.name}: ${table.rows} row(s) → ${table.file}`);
+        });
+        human(`✅ Exported ${result.tables.length} table(s), ${result.totalRows} row(s) to ${result.outDirectory}`);
+        human(`📋 Schema: ${result.schemaPath}`);
+        printResult(result);
+
+    } catch (error) {
+        fail(error);
+    }
+}
+
+async function diffBackups(fromPath, toPath, options) {
+    try {
+        // <b> may be the live database or another backup; nothing is written next to it
+        const backup = new SQLiteBackup({
+            databasePath: toPath,
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            createBackupDir: false,
+            storage: getStorage(options),
+            encryption: getEncryptionKey(options)
+        });
+
+        const result = await backup.diff(fromPath, toPath, {
+            // A script without the row changes would only change the schema
+            rows: options.rows || options.sql,
+            tables: options.tables,
+            patch: options.sql
+        });
+
+        if (!result.success) {
+            fail(result, 'Diff failed', 'ERR_DIFF_FAILED');
+        }
+        printResult(result);
+
+        // The script alone goes to stdout, so it can be piped into sqlite3
+        if (options.sql && !jsonOutput) {
+            process.stdout.write(result.patch);
+            return;
+        }
+
+        human(`🔍 Comparing ${path.basename(fromPath)} → ${path.basename(toPath)}`);
+        if (result.identical) {
+            human('✅ No differences');
+            return;
+        }
+
+        if (result.schema.length > 0) {
+            human('📐 Schema:');
+            const signs = { added: '+', removed: '-', changed: '~' };
+            result.schema.forEach(object => {
+                const columns = object.columns ? [
+                    ...object.columns.added.map(name => `+${name}`),
+                    ...object.columns.removed.map(name => `-${name}`),
+                    ...object.columns.changed.map(column => `~${column.name}`)
+                ] : [];
+                human(`   ${signs[object.change]} ${object.type} ${object.name}${columns.length > 0 ? ` (${columns.join(', ')})` : ''}`);
+                if (options.verbose) {
+                    if (object.fromSql) human(`       from: ${object.fromSql}`);
+                    if (object.toSql) human(`       to:   ${object.toSql}`);
+                }
+            });
+        }
+
+        human('📊 Row counts:');
+        result.tables.filter(table => table.delta !== 0 || options.verbose).forEach(table => {
+            const count = rows => rows === null ? '-' : rows;
+            human(`   ${table.name}: ${count(table.fromRows)} → ${count(table.toRows)} (${table.delta >= 0 ? '+' : ''}${table.delta})`);
+        });
+
+        if (result.rows) {
+            human('🧾 Row changes:');
+            result.rows.forEach(table => {
+                if (table.skipped) {
+                    human(`   ${table.table}: not compared, ${table.skipped}`);
+                    return;
+                }
+                if (table.inserted.length + table.updated.length + table.deleted.length === 0) return;
+
+                human(`   ${table.table}: ${table.inserted.length} inserted, ${table.updated.length} updated, ${table.deleted.length} deleted`);
+                if (options.verbose) {
+                    const key = row => table.key.map(column => `${column}=${row[column]}`).join(', ');
+                    table.inserted.forEach(row => human(`      + ${key(row)}`));
+                    table.updated.forEach(row => human(`      ~ ${key(row.key)}: ${Object.entries(row.changes).map(([column, change]) => `${column} ${change.from} → ${change.to}`).join(', ')}`));
+                    table.deleted.forEach(row => human(`      - ${key(row)}`));
+                }
+            });
+        }
+
+    } catch (error) {
+        fail(error);
+    }
+}
+
+async function consolidateChain(databasePath, backupPath, options) {
+    try {
+        human(`🧩 Consolidating incremental chain for: ${path.basename(databasePath)}`);
+
+        const backup = new SQLiteBackup({
+            databasePath,
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            storage: getStorage(options),
+            encryption: getEncryptionKey(options),
+            checksumAlgorithm: options.checksumAlgorithm
+        });
+
+        const result = await backup.consolidate(backupPath, {
+            filename: options.filename,
+            includeTimestamp: options.includeTimestamp,
+            compression: options.compression,
+            encryption: options.encrypt ? (getEncryptionKey(options) || true) : undefined,
+            removeChain: options.removeChain
+        });
+
+        if (result.success) {
+            human(`✅ Consolidated ${result.consolidatedFrom.length} backup(s) into a full backup`);
+            human(`📁 Location: ${result.backupPath}`);
+            human(`📏 Size: ${BackupUtils.formatSize(result.size)}`);
+
+            if (result.removedFiles.length > 0) {
+                human(`🧹 Removed ${result.removedFiles.length} consolidated backup(s)`);
+            }
+
+            if (options.verbose) {
+                human('📁 Consolidated files:');
+                result.consolidatedFrom.forEach(file => human(`   - ${file}`));
+            }
+            printResult(result);
+        } else {
+            fail(result, 'Consolidation failed', 'ERR_CONSOLIDATION_FAILED');
+        }
+
+    } catch (error) {
+        fail(error);
+    }
+}
+
+async function pinBackup(databasePath, backupPath, pinned, options) {
+    try {
+        const backup = new SQLiteBackup({
+            databasePath,
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            storage: getStorage(options),
+            checksumAlgorithm: options.checksumAlgorithm
+        });
+
+        const result = pinned ?
+            await backup.pin(backupPath, { reason: options.reason }) :
+            await backup.unpin(backupPath);
+
+        if (!result.success) {
+            fail(result, `${pinned ? 'Pin' : 'Unpin'} failed`, 'ERR_PIN_FAILED');
+        }
+
+        if (pinned) {
+            human(`📍 Pinned: ${result.filename}${result.pin.reason ? ` (${result.pin.reason})` : ''}`);
+            human('ℹ️  Cleanup will keep this backup until it is unpinned');
+        } else if (result.wasPinned) {
+            human(`✅ Unpinned: ${result.filename}`);
+        } else {
+            human(`ℹ️  ${result.filename} was not pinned`);
+        }
+        printResult(result);
+
+    } catch (error) {
+        fail(error);
+    }
+}
+
+async function archiveWal(databasePath, options) {
+    try {
+        human(`📼 Archiving WAL for: ${path.basename(databasePath)}`);
+
+        const backup = new SQLiteBackup({
+            databasePath,
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            storage: getStorage(options),
+            encryption: getEncryptionKey(options),
+            checksumAlgorithm: options.checksumAlgorithm
+        });
+
+        const archiver = backup.createWalArchiver({
+            archiveDirectory: options.archiveDirectory,
+            pollInterval: options.pollInterval,
+            snapshotInterval: options.snapshotInterval,
+            snapshotOptions: {
+                method: options.method,
+                compression: options.compression,
+                encryption: options.encrypt ? (getEncryptionKey(options) || true) : false,
+                verifyIntegrity: options.verifyIntegrity
+            }
+        });
+
+        archiver.on('archived', event => {
+            if (options.verbose) {
+                human(`📼 Archived ${event.frameCount} frame(s) to ${path.basename(event.segment)}`);
+            }
+        });
+        archiver.on('snapshot', result => human(`📸 Snapshot: ${result.filename}`));
+        archiver.on('error', error => console.error('⚠️  Archiving failed:', error.message));
+
+        const started = await archiver.start();
+        human(`✅ Archiving to: ${started.runDirectory}`);
+        human('ℹ️  Press Ctrl+C to stop');
+
+        await new Promise(resolve => {
+            process.once('SIGINT', resolve);
+            process.once('SIGTERM', resolve);
+        });
+
+        const status = await archiver.stop();
+        human(`🛑 Stopped: ${status.frames} frame(s) in ${status.segments} segment(s), ${status.snapshots} snapshot(s)`);
+
+    } catch (error) {
+        fail(error);
+    }
+}
+
+async function runDaemon(databasePath, options) {
+    try {
+        const schedule = options.schedule || '@daily';
+        human(`⏰ Scheduling backups of ${path.basename(databasePath)}: ${schedule}${options.utc ? ' (UTC)' : ''}`);
+
+        const backup = new SQLiteBackup({
+            databasePath,
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            storage: getStorage(options),
+            mirrors: getMirrors(options),
+            hooks: getHooks(options, 'backup'),
+            encryption: getEncryptionKey(options),
+            checksumAlgorithm: options.checksumAlgorithm
+        });
+
+        const retention = {
+            retentionDays: options.retentionDays,
+            maxBackups: options.maxBackups,
+            keepHourly: options.keepHourly,
+            keepDaily: options.keepDaily,
+            keepWeekly: options.keepWeekly,
+            keepMonthly: options.keepMonthly,
+            keepYearly: options.keepYearly
+        };
+        const hasRetention = Object.values(retention).some(Boolean);
+
+        const scheduler = await backup.schedule(schedule, {
+            backup: {
+                verifyIntegrity: options.verifyIntegrity,
+                method: options.method,
+                pageSize: options.pageSize,
+                autoVacuum: options.autoVacuum,
+                compression: options.compression,
+                encryption: options.encrypt ? (getEncryptionKey(options) || true) : false,
+                incremental: options.incremental,
+                maxChainLength: options.maxChainLength,
+                pagesPerStep: options.pagesPerStep,
+                stepDelay: options.stepDelay,
+                maxPagesPerSecond: options.maxPagesPerSecond,
+                busyTimeout: options.busyTimeout
+            },
+            cleanup: hasRetention ? retention : null,
+            jitter: options.jitter,
+            catchUp: options.catchUp,
+            utc: options.utc
+        });
+
+        scheduler.on('run', event => {
+            human(`🚀 ${event.catchUp ? 'Catching up on' : 'Running'} backup scheduled for ${event.scheduledFor.toISOString()}`);
+        });
+        scheduler.on('complete', ({ result, duration }) => {
+            human(`✅ Backup ${result.backup.filename} (${BackupUtils.formatSize(result.backup.size)}) in ${BackupUtils.formatDuration(duration)}`);
+            if (result.backup.replicated === false) {
+                console.warn('⚠️  Not every mirror has the backup; run sync to repair');
+            }
+            if (result.cleanup && result.cleanup.success) {
+                if (result.cleanup.removed > 0 || options.verbose) {
+                    human(`🧹 Removed ${result.cleanup.removed} old backup(s)`);
+                }
+            } else if (result.cleanup) {
+                console.warn('⚠️  Cleanup failed:', result.cleanup.error);
+            }
+            human(`⏭️  Next backup: ${scheduler.status().nextRun}`);
+        });
+        scheduler.on('skipped', event => {
+            const why = event.reason === 'overlap' ? 'the previous backup is still running' : 'it was missed';
+            console.warn(`⏭️  Skipped backup scheduled for ${event.scheduledFor.toISOString()}: ${why}`);
+        });
+        scheduler.on('error', error => console.error('❌ Scheduled backup failed:', error.message));
+
+        human(`⏭️  Next backup: ${scheduler.status().nextRun}`);
+        human('ℹ️  Press Ctrl+C to stop');
+
+        await new Promise(resolve => {
+            process.once('SIGINT', resolve);
+            process.once('SIGTERM', resolve);
+        });
+
+        if (scheduler.status().busy) {
+            human('🛑 Stopping after the backup in progress...');
         }
+        const status = await scheduler.stop();
+        human(`🛑 Stopped: ${status.runs} run(s), ${status.failures} failed, ${status.skipped} skipped`);
 
     } catch (error) {
-        console.error('❌ Error:', error.message);
-        process.exit(1);
+        fail(error);
+    }
+}
+
+async function rebuildCatalog(databasePath, options) {
+    try {
+        human(`🗂️  Rebuilding backup catalog for: ${path.basename(databasePath)}`);
+
+        const backup = new SQLiteBackup({
+            databasePath,
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            storage: getStorage(options)
+        });
+
+        const result = await backup.rebuildCatalog();
+
+        if (result.success) {
+            human(`✅ Catalog rebuilt: ${result.totalEntries} backup(s) cataloged, ${result.imported} imported`);
+            human(`📁 Catalog: ${result.catalogPath}`);
+
+            if (options.verbose && result.importedFiles.length > 0) {
+                human('📁 Imported files:');
+                result.importedFiles.forEach(file => human(`   - ${file}`));
+            }
+            printResult(result);
+        } else {
+            fail(result, 'Catalog rebuild failed', 'ERR_CATALOG_REBUILD_FAILED');
+        }
+
+    } catch (error) {
+        fail(error);
+    }
+}
+
+async function syncMirrors(databasePath, options) {
+    try {
+        human(`🪞 Syncing mirrors for: ${path.basename(databasePath)}`);
+
+        const backup = new SQLiteBackup({
+            databasePath,
+            driver: options.driver,
+            backupDirectory: options.backupDirectory,
+            storage: getStorage(options),
+            mirrors: getMirrors(options)
+        });
+
+        const result = await backup.sync({
+            verifyExisting: options.verifyExisting,
+            dryRun: options.dryRun
+        });
+
+        if (!result.destinations) {
+            fail(result, 'Sync failed', 'ERR_SYNC_FAILED');
+        }
+
+        const verb = result.dryRun ? 'would copy' : 'copied';
+        result.destinations.forEach(destination => {
+            human(`${destination.success ? '✅' : '⚠️ '} ${destination.location}: ${verb} ${destination.copied.length}, ${result.dryRun ? 'would replace' : 'replaced'} ${destination.repaired.length}`);
+
+            if (options.verbose || result.dryRun) {
+                destination.copied.forEach(file => human(`   + ${file}`));
+                destination.repaired.forEach(file => human(`   ~ ${file}`));
+            }
+            destination.errors.forEach(error => console.warn(`   ⚠️  ${error}`));
+        });
+
+        human(`📊 Backups: ${result.totalFiles}, ${verb}: ${result.copied}, ${result.dryRun ? 'would replace' : 'replaced'}: ${result.repaired}`);
+
+        if (!result.success) {
+            exitWith(errorResult({ ...result, error: 'Not every mirror could be synced' }, 'ERR_SYNC_FAILED'));
+        }
+        printResult(result);
+
+    } catch (error) {
+        fail(error);
+    }
+}
+
+async function runConfig(options) {
+    try {
+        const manager = BackupManager.fromFile(options.config);
+        const { databases } = await manager.discover();
+        const concurrency = options.concurrency || manager.concurrency;
+        human(`📋 Backing up ${databases.length} database(s) from ${path.basename(options.config)} (concurrency: ${concurrency})`);
+
+        manager.on('database:complete', result => {
+            if (result.success) {
+                const cleanup = result.cleanup ? `, removed ${result.cleanup.removed} old backup(s)` : '';
+                human(`✅ ${result.name}: ${result.backup.filename} (${BackupUtils.formatSize(result.backup.size)}) in ${BackupUtils.formatDuration(result.duration)}${cleanup}`);
+            } else {
+                console.error(`❌ ${result.name}: ${result.error}`);
+            }
+            if (options.verbose) {
+                human(`   📁 ${result.databasePath}`);
+            }
+        });
+
+        const summary = await manager.run({ concurrency });
+        summary.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+        human(`📊 Databases: ${summary.total}, succeeded: ${summary.succeeded}, failed: ${summary.failed} (${BackupUtils.formatDuration(summary.duration)})`);
+
+        if (!summary.success) {
+            exitWith(errorResult({ ...summary, error: `${summary.failed} of ${summary.total} database(s) failed` }, 'ERR_BACKUP_FAILED'));
+        }
+        printResult(summary);
+
+    } catch (error) {
+        fail(error);
     }
 }
 
@@ -309,68 +1493,145 @@ async function main() {
     const { command, args, options } = parseArgs();
 
     try {
+        if (options.json && (command === 'archive' || command === 'daemon')) {
+            fail(new BackupError(`${command} runs until stopped and has no --json output`, 'ERR_USAGE'));
+        }
+
         switch (command) {
             case 'create':
                 if (args.length !== 1) {
-                    console.error('❌ Usage: sqlite-backup create <database>');
-                    process.exit(1);
+                    usage('sqlite-backup create <database>');
                 }
                 await createBackup(args[0], options);
                 break;
 
             case 'list':
                 if (args.length !== 1) {
-                    console.error('❌ Usage: sqlite-backup list <database>');
-                    process.exit(1);
+                    usage('sqlite-backup list <database>');
                 }
                 await listBackups(args[0], options);
                 break;
 
             case 'cleanup':
                 if (args.length !== 1) {
-                    console.error('❌ Usage: sqlite-backup cleanup <database>');
-                    process.exit(1);
+                    usage('sqlite-backup cleanup <database>');
                 }
                 await cleanupBackups(args[0], options);
                 break;
 
             case 'restore':
+                if (args.length === 1 && options.toTime) {
+                    await restoreBackup(null, args[0], options);
+                    break;
+                }
                 if (args.length !== 2) {
-                    console.error('❌ Usage: sqlite-backup restore <backup> <database>');
-                    process.exit(1);
+                    usage('sqlite-backup restore <backup> <database> (or restore <database> --to-time <timestamp>)');
                 }
                 await restoreBackup(args[0], args[1], options);
                 break;
 
+            case 'rollback':
+                if (args.length !== 1) {
+                    usage('sqlite-backup rollback <database>');
+                }
+                await rollbackRestore(args[0], options);
+                break;
+
             case 'verify':
                 if (args.length !== 1) {
-                    console.error('❌ Usage: sqlite-backup verify <backup>');
-                    process.exit(1);
+                    usage('sqlite-backup verify <backup>');
                 }
                 await verifyBackup(args[0], options);
                 break;
 
+            case 'info':
+                if (args.length !== 1) {
+                    usage('sqlite-backup info <backup>');
+                }
+                await inspectBackup(args[0], options);
+                break;
+
+            case 'export':
+                if (args.length !== 1 || !options.outDirectory) {
+                    usage('sqlite-backup export <backup|database> --out <dir> [--format csv|jsonl]');
+                }
+                await exportTables(args[0], options);
+                break;
+
+            case 'diff':
+                if (args.length !== 2) {
+                    usage('sqlite-backup diff <a> <b>');
+                }
+                await diffBackups(args[0], args[1], options);
+                break;
+
+            case 'consolidate':
+                if (args.length < 1 || args.length > 2) {
+                    usage('sqlite-backup consolidate <database> [backup]');
+                }
+                await consolidateChain(args[0], args[1], options);
+                break;
+
+            case 'pin':
+            case 'unpin':
+                if (args.length !== 2) {
+                    usage(`sqlite-backup ${command} <database> <backup>`);
+                }
+                await pinBackup(args[0], args[1], command === 'pin', options);
+                break;
+
+            case 'archive':
+                if (args.length !== 1) {
+                    usage('sqlite-backup archive <database>');
+                }
+                await archiveWal(args[0], options);
+                break;
+
+            case 'daemon':
+                if (args.length !== 1) {
+                    usage('sqlite-backup daemon <database> --schedule <cron>');
+                }
+                await runDaemon(args[0], options);
+                break;
+
+            case 'run':
+                if (args.length !== 0 || !options.config) {
+                    usage('sqlite-backup run --config <file>');
+                }
+                await runConfig(options);
+                break;
+
+            case 'rebuild-catalog':
+                if (args.length !== 1) {
+                    usage('sqlite-backup rebuild-catalog <database>');
+                }
+                await rebuildCatalog(args[0], options);
+                break;
+
+            case 'sync':
+                if (args.length !== 1) {
+                    usage('sqlite-backup sync <database> --mirror <dir|url>');
+                }
+                await syncMirrors(args[0], options);
+                break;
+
             default:
-                console.error(`❌ Unknown command: ${command}`);
                 showHelp();
-                process.exit(1);
+                fail(new BackupError(`Unknown command: ${command}`, 'ERR_USAGE'));
         }
 
     } catch (error) {
-        console.error('❌ Command failed:', error.message);
-        process.exit(1);
+        fail(error, 'Command failed');
     }
 }
 
 // Handle errors
 process.on('unhandledRejection', (error) => {
-    console.error('❌ Unhandled promise rejection:', error);
-    process.exit(1);
+    fail(error instanceof Error ? error : new Error(String(error)), 'Unhandled promise rejection');
 });
 
 process.on('uncaughtException', (error) => {
-    console.error('❌ Uncaught exception:', error);
-    process.exit(1);
+    fail(error, 'Uncaught exception');
 });
 
 // Run the CLI
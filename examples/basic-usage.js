@@ -212,10 +212,10 @@ async function scheduledBackupExample() {
         await performScheduledBackup();
 
         console.log('\n💡 To set up actual scheduled backups, you could:');
-        console.log('   1. Use cron on Linux/macOS: 0 2 * * * /usr/bin/node /path/to/your/backup-script.js');
-        console.log('   2. Use Windows Task Scheduler');
-        console.log('   3. Use a process manager like PM2 with cron jobs');
-        console.log('   4. Use cloud functions with scheduled triggers');
+        console.log("   1. Use the built-in scheduler: await backup.schedule('0 2 * * *', { cleanup: { retentionDays: 7 } })");
+        console.log('   2. Run the daemon: sqlite-backup daemon ./data/app.db --schedule "0 2 * * *" --retention-days 7');
+        console.log('   3. Use cron on Linux/macOS: 0 2 * * * /usr/bin/node /path/to/your/backup-script.js');
+        console.log('   4. Use Windows Task Scheduler or cloud functions with scheduled triggers');
 
     } catch (error) {
         console.error('❌ Scheduled backup example failed:', error.message);
@@ -0,0 +1,126 @@
+const path = require('path');
+const fs = require('fs');
+
+const CATALOG_FILENAME = '.sqlite-backup-catalog.json';
+const CATALOG_VERSION = 1;
+
+/**
+ * Backup Catalog
+ *
+ * Persistent manifest of the backups stored in a backup directory. Each entry keeps
+ * the metadata computed when the backup was created (checksum, method, source database,
+ * SQLite version, sizes and timestamps) so it doesn't have to be recomputed from the files.
+ */
+class BackupCatalog {
+    /**
+     * Create a catalog for a backup directory
+     * @param {string} directory - Directory holding the backups and the catalog file
+     */
+    constructor(directory) {
+        this.directory = directory;
+        this.path = path.join(directory, CATALOG_FILENAME);
+    }
+
+    /**
+     * Read all catalog entries
+     * @returns {Array<Object>} Catalog entries (empty if the catalog doesn't exist yet)
+     */
+    entries() {
+        if (!fs.existsSync(this.path)) {
+            return [];
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+            return Array.isArray(data.entries) ? data.entries : [];
+        } catch (error) {
+            throw new Error(`Failed to read backup catalog ${this.path}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find the entry for a backup file
+     * @param {string} filename - Backup filename (relative to the backup directory)
+     * @returns {Object|null} Catalog entry or null if the backup isn't cataloged
+     */
+    get(filename) {
+        return this.entries().find(entry => entry.filename === filename) || null;
+    }
+
+    /**
+     * Add or replace the entry for a backup file
+     * @param {Object} entry - Catalog entry, must include a filename
+     * @returns {Object} The stored entry
+     */
+    add(entry) {
+        if (!entry || !entry.filename) {
+            throw new Error('Catalog entry requires a filename');
+        }
+
+        const entries = this.entries().filter(existing => existing.filename !== entry.filename);
+        entries.push(entry);
+        this.save(entries);
+        return entry;
+    }
+
+    /**
+     * Update fields of an existing entry
+     * @param {string} filename - Backup filename
+     * @param {Object} changes - Fields to merge into the entry
+     * @returns {Object|null} Updated entry or null if the backup isn't cataloged
+     */
+    update(filename, changes) {
+        const entries = this.entries();
+        const entry = entries.find(existing => existing.filename === filename);
+        if (!entry) {
+            return null;
+        }
+
+        Object.assign(entry, changes);
+        this.save(entries);
+        return entry;
+    }
+
+    /**
+     * Remove entries for the given backup files
+     * @param {Array<string>} filenames - Backup filenames to remove
+     * @returns {number} Number of entries removed
+     */
+    remove(filenames) {
+        const names = new Set(filenames);
+        const entries = this.entries();
+        const remaining = entries.filter(entry => !names.has(entry.filename));
+
+        if (remaining.length !== entries.length) {
+            this.save(remaining);
+        }
+
+        return entries.length - remaining.length;
+    }
+
+    /**
+     * Replace all catalog entries
+     * @param {Array<Object>} entries - Entries to write
+     */
+    save(entries) {
+        if (!fs.existsSync(this.directory)) {
+            fs.mkdirSync(this.directory, { recursive: true });
+        }
+
+        const data = {
+            version: CATALOG_VERSION,
+            updated: new Date().toISOString(),
+            entries: [...entries].sort((a, b) => a.filename.localeCompare(b.filename))
+        };
+
+        // Write to a temp file first so a crash never leaves a truncated catalog behind
+        const tempPath = `${this.path}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n');
+        fs.renameSync(tempPath, this.path);
+    }
+}
+
+module.exports = {
+    BackupCatalog,
+    CATALOG_FILENAME
+};
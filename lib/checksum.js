@@ -0,0 +1,97 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Backup Checksums
+ *
+ * Streaming file checksums computed in-process with node:crypto.
+ */
+
+const CHECKSUM_ALGORITHMS = ['sha256', 'sha512', 'blake2b512'];
+
+/**
+ * Validate a checksum algorithm name
+ * @param {string} algorithm - 'sha256', 'sha512' or 'blake2b512' (default: 'sha256')
+ * @returns {string} The algorithm name
+ */
+function resolveChecksumAlgorithm(algorithm = 'sha256') {
+    if (!CHECKSUM_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Unsupported checksum algorithm: ${algorithm} (expected ${CHECKSUM_ALGORITHMS.join(', ')})`);
+    }
+    if (!crypto.getHashes().includes(algorithm)) {
+        throw new Error(`Checksum algorithm not available in this Node.js build: ${algorithm}`);
+    }
+    return algorithm;
+}
+
+/**
+ * Calculate the checksum of a file without loading it into memory
+ * @param {string} filePath - File to hash
+ * @param {string} algorithm - Checksum algorithm (default: 'sha256')
+ * @returns {Promise<string>} Hex encoded digest
+ */
+function calculateChecksum(filePath, algorithm = 'sha256') {
+    const hash = crypto.createHash(resolveChecksumAlgorithm(algorithm));
+
+    return new Promise((resolve, reject) => {
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Parse an expected checksum given as 'hex', 'algorithm:hex' or sha256sum-style 'hex  filename'
+ * @param {string} value - Expected checksum
+ * @param {string} algorithm - Algorithm to assume when the value doesn't name one
+ *   (default: inferred from the digest length, sha256 or sha512)
+ * @returns {Object} { algorithm, checksum }
+ */
+function parseChecksum(value, algorithm) {
+    let checksum = String(value).trim().split(/\s+/)[0];
+    const separator = checksum.indexOf(':');
+
+    if (separator !== -1) {
+        algorithm = checksum.slice(0, separator);
+        checksum = checksum.slice(separator + 1);
+    }
+
+    checksum = checksum.toLowerCase();
+    if (!/^[0-9a-f]+$/.test(checksum)) {
+        throw new Error(`Invalid checksum: ${value}`);
+    }
+
+    if (!algorithm) {
+        algorithm = checksum.length === 64 ? 'sha256' : 'sha512';
+    }
+
+    return { algorithm: resolveChecksumAlgorithm(algorithm), checksum };
+}
+
+/**
+ * Compare a file against an expected checksum
+ * @param {string} filePath - File to check
+ * @param {string} expected - Expected checksum (see parseChecksum for accepted formats)
+ * @param {string} algorithm - Algorithm to assume when the expected value doesn't name one
+ * @returns {Promise<Object>} { match, algorithm, expected, actual }
+ */
+async function verifyChecksum(filePath, expected, algorithm) {
+    const parsed = parseChecksum(expected, algorithm);
+    const actual = await calculateChecksum(filePath, parsed.algorithm);
+
+    return {
+        match: actual === parsed.checksum,
+        algorithm: parsed.algorithm,
+        expected: parsed.checksum,
+        actual
+    };
+}
+
+module.exports = {
+    CHECKSUM_ALGORITHMS,
+    resolveChecksumAlgorithm,
+    calculateChecksum,
+    parseChecksum,
+    verifyChecksum
+};
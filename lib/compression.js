@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * Backup Compression
+ *
+ * Gzip and Brotli compression of backup files using Node's built-in zlib.
+ * Compressed backups keep their '.db' name with an extra '.gz' or '.br' extension.
+ */
+
+const COMPRESSION_EXTENSIONS = {
+    gzip: '.gz',
+    brotli: '.br'
+};
+
+/**
+ * Normalize a compression option value
+ * @param {boolean|string} compression - true, 'gzip', 'brotli' or a falsy value
+ * @returns {string|null} Compression algorithm or null for no compression
+ */
+function resolveCompression(compression) {
+    if (!compression || compression === 'none') return null;
+    if (compression === true) return 'gzip';
+    if (!COMPRESSION_EXTENSIONS[compression]) {
+        throw new Error(`Unknown compression: ${compression} (expected gzip or brotli)`);
+    }
+    return compression;
+}
+
+/**
+ * Detect the compression of a backup file from its extension
+ * @param {string} filename - Backup filename or path
+ * @returns {string|null} Compression algorithm or null if uncompressed
+ */
+function detectCompression(filename) {
+    for (const [algorithm, extension] of Object.entries(COMPRESSION_EXTENSIONS)) {
+        if (filename.endsWith(extension)) return algorithm;
+    }
+    return null;
+}
+
+/**
+ * Remove the compression extension from a backup filename
+ * @param {string} filename - Backup filename or path
+ * @returns {string} Filename without compression extension
+ */
+function stripCompressionExtension(filename) {
+    const algorithm = detectCompression(filename);
+    return algorithm ? filename.slice(0, -COMPRESSION_EXTENSIONS[algorithm].length) : filename;
+}
+
+/**
+ * Create a stream that compresses what is written to it
+ * @param {string} algorithm - 'gzip' or 'brotli'
+ * @param {number} level - Compression level (optional, algorithm default otherwise)
+ * @returns {Object} zlib transform stream
+ */
+function createCompressor(algorithm, level) {
+    if (algorithm === 'brotli') {
+        const params = {};
+        if (level !== undefined) params[zlib.constants.BROTLI_PARAM_QUALITY] = level;
+        return zlib.createBrotliCompress({ params });
+    }
+    return zlib.createGzip(level !== undefined ? { level } : {});
+}
+
+/**
+ * Create a stream that decompresses what is written to it
+ * @param {string} algorithm - 'gzip' or 'brotli'
+ * @returns {Object} zlib transform stream
+ */
+function createDecompressor(algorithm) {
+    return algorithm === 'brotli' ? zlib.createBrotliDecompress() : zlib.createGunzip();
+}
+
+/**
+ * Compress a file
+ * @param {string} sourcePath - File to compress
+ * @param {string} targetPath - Compressed output file
+ * @param {string} algorithm - 'gzip' or 'brotli'
+ * @param {number} level - Compression level (optional, algorithm default otherwise)
+ * @returns {Promise<void>}
+ */
+async function compressFile(sourcePath, targetPath, algorithm, level) {
+    await pipelineAsync(
+        fs.createReadStream(sourcePath),
+        createCompressor(algorithm, level),
+        fs.createWriteStream(targetPath)
+    );
+}
+
+/**
+ * Decompress a file, using its extension to pick the algorithm unless one is given
+ * @param {string} sourcePath - Compressed file
+ * @param {string} targetPath - Decompressed output file
+ * @param {string} algorithm - 'gzip' or 'brotli' (default: detected from the extension)
+ * @returns {Promise<void>}
+ */
+async function decompressFile(sourcePath, targetPath, algorithm = detectCompression(sourcePath)) {
+    if (!algorithm) {
+        throw new Error(`Not a compressed backup: ${sourcePath}`);
+    }
+
+    await pipelineAsync(
+        fs.createReadStream(sourcePath),
+        createDecompressor(algorithm),
+        fs.createWriteStream(targetPath)
+    );
+}
+
+/**
+ * Create a private temporary directory for decoded backup files
+ * @returns {string} Path of the new directory
+ */
+function createTempDirectory() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-backup-'));
+}
+
+module.exports = {
+    COMPRESSION_EXTENSIONS,
+    resolveCompression,
+    detectCompression,
+    stripCompressionExtension,
+    createCompressor,
+    createDecompressor,
+    compressFile,
+    decompressFile,
+    createTempDirectory
+};
@@ -0,0 +1,189 @@
+const { BackupError } = require('./errors');
+
+/**
+ * Cron Expressions
+ *
+ * Parses the classic five-field cron syntax (minute, hour, day of month, month, day of week)
+ * with lists, ranges, steps, month and weekday names and the @hourly, @daily, @weekly,
+ * @monthly and @yearly shorthands. As in Vixie cron, when both the day of month and the day
+ * of week are restricted, a day matching either of them matches.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// Enough to find the next 29 February on a given weekday, which can be 28 years away
+const MAX_ITERATIONS = 100000;
+
+class CronExpression {
+    /**
+     * Parse a cron expression
+     * @param {string} expression - Five-field expression such as '30 2 * * 1-5', or a shorthand such as '@daily'
+     * @param {Object} options - Parse options
+     * @param {boolean} options.utc - Interpret the expression in UTC rather than local time (default: false)
+     * @throws {BackupError} When the expression is malformed (ERR_INVALID_CRON)
+     */
+    constructor(expression, options = {}) {
+        if (typeof expression !== 'string' || !expression.trim()) {
+            throw new BackupError('Cron expression is required', 'ERR_INVALID_CRON');
+        }
+
+        this.source = expression.trim();
+        this.utc = Boolean(options.utc);
+
+        const fields = (MACROS[this.source.toLowerCase()] || this.source).split(/\s+/);
+        if (fields.length !== 5) {
+            throw new BackupError(
+                `Invalid cron expression "${this.source}": expected 5 fields (minute hour day-of-month month day-of-week)`,
+                'ERR_INVALID_CRON'
+            );
+        }
+
+        [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+            fields.map((field, index) => this._parseField(field, FIELDS[index]));
+
+        // Sunday can be written as 0 or 7
+        if (this.daysOfWeek.has(7)) {
+            this.daysOfWeek.add(0);
+        }
+
+        this.anyDayOfMonth = fields[2].startsWith('*');
+        this.anyDayOfWeek = fields[4].startsWith('*');
+    }
+
+    /**
+     * Find the first time the expression matches after a given time
+     * @param {Date} after - Start time (exclusive)
+     * @returns {Date} Next matching time, on a whole minute
+     * @throws {BackupError} When the expression never matches, e.g. '0 0 30 2 *' (ERR_INVALID_CRON)
+     */
+    next(after = new Date()) {
+        const date = new Date(after.getTime());
+        this._set(date, 'Seconds', 0, 0);
+        date.setTime(date.getTime() + 60 * 1000);
+
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            if (!this.months.has(this._get(date, 'Month') + 1)) {
+                this._set(date, 'Date', 1);
+                this._set(date, 'Month', this._get(date, 'Month') + 1);
+                this._set(date, 'Hours', 0, 0);
+                continue;
+            }
+
+            if (!this._matchesDay(date)) {
+                this._set(date, 'Date', this._get(date, 'Date') + 1);
+                this._set(date, 'Hours', 0, 0);
+                continue;
+            }
+
+            if (!this.hours.has(this._get(date, 'Hours'))) {
+                this._set(date, 'Hours', this._get(date, 'Hours') + 1, 0);
+                continue;
+            }
+
+            if (!this.minutes.has(this._get(date, 'Minutes'))) {
+                date.setTime(date.getTime() + 60 * 1000);
+                continue;
+            }
+
+            return date;
+        }
+
+        throw new BackupError(`Cron expression "${this.source}" never matches`, 'ERR_INVALID_CRON');
+    }
+
+    /**
+     * The expression as it was given
+     * @returns {string} Cron expression
+     */
+    toString() {
+        return this.source;
+    }
+
+    // Private methods
+
+    _parseField(field, spec) {
+        const values = new Set();
+
+        for (const part of field.split(',')) {
+            const match = part.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i);
+            if (!match) {
+                throw this._fieldError(field, spec);
+            }
+
+            const step = match[2] === undefined ? 1 : parseInt(match[2], 10);
+            let [start, end] = [spec.min, spec.max];
+
+            if (match[1] !== '*') {
+                const bounds = match[1].split('-').map(value => this._parseValue(value, field, spec));
+                start = bounds[0];
+                // 'a/n' steps from a to the end of the range, a plain 'a' is just a
+                end = bounds.length > 1 ? bounds[1] : (match[2] === undefined ? start : spec.max);
+            }
+
+            if (step < 1 || start > end) {
+                throw this._fieldError(field, spec);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    _parseValue(value, field, spec) {
+        const nameIndex = spec.names ? spec.names.indexOf(value.toLowerCase()) : -1;
+        const number = nameIndex >= 0 ? nameIndex + (spec.min === 1 ? 1 : 0) : (/^\d+$/.test(value) ? parseInt(value, 10) : NaN);
+
+        if (isNaN(number) || number < spec.min || number > spec.max) {
+            throw this._fieldError(field, spec);
+        }
+        return number;
+    }
+
+    _fieldError(field, spec) {
+        return new BackupError(
+            `Invalid ${spec.name} "${field}" in cron expression "${this.source}" (allowed: ${spec.min}-${spec.max})`,
+            'ERR_INVALID_CRON'
+        );
+    }
+
+    _matchesDay(date) {
+        const dayOfMonth = this.daysOfMonth.has(this._get(date, 'Date'));
+        const dayOfWeek = this.daysOfWeek.has(this._get(date, 'Day'));
+
+        if (this.anyDayOfMonth || this.anyDayOfWeek) {
+            return dayOfMonth && dayOfWeek;
+        }
+        return dayOfMonth || dayOfWeek;
+    }
+
+    _get(date, unit) {
+        return this.utc ? date[`getUTC${unit}`]() : date[`get${unit}`]();
+    }
+
+    _set(date, unit, ...values) {
+        return this.utc ? date[`setUTC${unit}`](...values) : date[`set${unit}`](...values);
+    }
+}
+
+module.exports = {
+    CronExpression
+};
@@ -0,0 +1,316 @@
+/**
+ * Database Diff
+ *
+ * Compares two SQLite databases on one read-only connection, with the second one attached:
+ * schema objects (tables and their columns, indexes, views, triggers), row counts and, optionally,
+ * rows matched by primary key (rowid for tables without one). Values are compared and reported as
+ * the SQL literals quote() returns, which are exact for every storage class and are what the
+ * patch script is written with.
+ */
+
+const { quoteIdentifier } = require('./sql');
+
+// Schema name of the database compared to; the database compared from is main
+const TO_SCHEMA = 'diff_to';
+const TYPE_ORDER = ['table', 'index', 'view', 'trigger'];
+
+/**
+ * Compare two database files
+ * @param {Object} driver - Driver instance
+ * @param {string} fromPath - Database compared from
+ * @param {string} toPath - Database compared to
+ * @param {Object} options - Diff options
+ * @param {boolean} options.rows - Also compare rows by primary key (default: false)
+ * @param {string[]} options.tables - Only compare these tables, with their indexes and triggers (default: all)
+ * @param {boolean} options.patch - Also write an SQL script that turns fromPath into toPath (default: false)
+ * @returns {Promise<Object>} { identical, schema, tables, rows, patch } where rows is null unless
+ *   requested and patch is null unless requested
+ */
+async function diffDatabases(driver, fromPath, toPath, options = {}) {
+    const { rows = false, tables = null, patch = false } = options;
+    const connection = driver.open(fromPath, { readonly: true, persistent: true });
+
+    try {
+        await connection.exec(`ATTACH DATABASE ${quoteLiteral(toPath)} AS ${TO_SCHEMA};`);
+        // One read transaction, so a live database is compared as of a single commit
+        await connection.exec('BEGIN;');
+        try {
+            const inScope = object => !tables || tables.includes(object.tableName);
+            const fromObjects = (await readSchema(connection, 'main')).filter(inScope);
+            const toObjects = (await readSchema(connection, TO_SCHEMA)).filter(inScope);
+
+            const schema = diffSchema(fromObjects, toObjects);
+            const tableCounts = await countRows(connection, fromObjects, toObjects);
+            const rowChanges = rows ? await diffRows(connection, fromObjects, toObjects) : null;
+
+            const identical = schema.length === 0 &&
+                tableCounts.every(table => table.delta === 0) &&
+                (!rowChanges || rowChanges.every(table => !table.skipped &&
+                    table.inserted.length + table.updated.length + table.deleted.length === 0));
+
+            return {
+                identical,
+                schema,
+                tables: tableCounts,
+                rows: rowChanges,
+                patch: patch ? await buildPatch(connection, fromObjects, toObjects, schema, rowChanges) : null
+            };
+        } finally {
+            await connection.exec('ROLLBACK;').catch(() => {});
+        }
+    } finally {
+        await connection.close();
+    }
+}
+
+async function readSchema(connection, schemaName) {
+    const objects = await connection.all(
+        `SELECT type, name, tbl_name AS tableName, sql FROM ${quoteIdentifier(schemaName)}.sqlite_master ` +
+        "WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' ORDER BY name;"
+    );
+
+    for (const object of objects) {
+        if (object.type === 'table') {
+            object.columns = await connection.all(
+                `PRAGMA ${quoteIdentifier(schemaName)}.table_info(${quoteIdentifier(object.name)});`
+            );
+        }
+    }
+    return objects.sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type));
+}
+
+function diffSchema(fromObjects, toObjects) {
+    const key = object => `${object.type}:${object.name}`;
+    const fromMap = new Map(fromObjects.map(object => [key(object), object]));
+    const toMap = new Map(toObjects.map(object => [key(object), object]));
+    const changes = [];
+
+    for (const object of fromObjects) {
+        const other = toMap.get(key(object));
+        if (!other) {
+            changes.push({ type: object.type, name: object.name, table: object.tableName, change: 'removed', fromSql: object.sql, toSql: null });
+        } else if (normalizeSql(object.sql) !== normalizeSql(other.sql)) {
+            changes.push({
+                type: object.type,
+                name: object.name,
+                table: object.tableName,
+                change: 'changed',
+                fromSql: object.sql,
+                toSql: other.sql,
+                ...(object.type === 'table' ? { columns: diffColumns(object.columns, other.columns) } : {})
+            });
+        }
+    }
+
+    for (const object of toObjects) {
+        if (!fromMap.has(key(object))) {
+            changes.push({ type: object.type, name: object.name, table: object.tableName, change: 'added', fromSql: null, toSql: object.sql });
+        }
+    }
+
+    return changes.sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type));
+}
+
+function diffColumns(fromColumns, toColumns) {
+    const describe = column => ({
+        type: column.type,
+        notNull: Boolean(Number(column.notnull)),
+        default: column.dflt_value,
+        primaryKey: Number(column.pk)
+    });
+    const toNames = new Set(toColumns.map(column => column.name));
+    const fromNames = new Set(fromColumns.map(column => column.name));
+
+    return {
+        added: toColumns.filter(column => !fromNames.has(column.name)).map(column => column.name),
+        removed: fromColumns.filter(column => !toNames.has(column.name)).map(column => column.name),
+        changed: fromColumns.filter(column => toNames.has(column.name)).map(column => {
+            const other = toColumns.find(candidate => candidate.name === column.name);
+            return { name: column.name, from: describe(column), to: describe(other) };
+        }).filter(column => JSON.stringify(column.from) !== JSON.stringify(column.to))
+    };
+}
+
+async function countRows(connection, fromObjects, toObjects) {
+    const fromTables = new Set(fromObjects.filter(object => object.type === 'table').map(object => object.name));
+    const toTables = new Set(toObjects.filter(object => object.type === 'table').map(object => object.name));
+    const names = [...new Set([...fromTables, ...toTables])].sort();
+    const count = async (schemaName, name) => {
+        const [row] = await connection.all(`SELECT count(*) AS count FROM ${quoteIdentifier(schemaName)}.${quoteIdentifier(name)};`);
+        return Number(row.count);
+    };
+
+    const counts = [];
+    for (const name of names) {
+        const fromRows = fromTables.has(name) ? await count('main', name) : null;
+        const toRows = toTables.has(name) ? await count(TO_SCHEMA, name) : null;
+        counts.push({ name, fromRows, toRows, delta: (toRows || 0) - (fromRows || 0) });
+    }
+    return counts;
+}
+
+async function diffRows(connection, fromObjects, toObjects) {
+    const changes = [];
+
+    for (const fromTable of fromObjects.filter(object => object.type === 'table')) {
+        const toTable = toObjects.find(object => object.type === 'table' && object.name === fromTable.name);
+        if (!toTable) continue;
+
+        const key = keyColumns(fromTable);
+        if (key.join() !== keyColumns(toTable).join()) {
+            changes.push({ table: fromTable.name, key, skipped: 'primary key changed' });
+            continue;
+        }
+
+        const toNames = new Set(toTable.columns.map(column => column.name));
+        const compared = fromTable.columns.map(column => column.name).filter(name => toNames.has(name) && !key.includes(name));
+        const table = quoteIdentifier(fromTable.name);
+        const match = key.map(column => `b.${quoteIdentifier(column)} IS a.${quoteIdentifier(column)}`).join(' AND ');
+
+        const deleted = await selectRows(connection, rowColumns(fromTable, key), 'a',
+            `FROM main.${table} AS a WHERE NOT EXISTS (SELECT 1 FROM ${TO_SCHEMA}.${table} AS b WHERE ${match})`);
+        const inserted = await selectRows(connection, rowColumns(toTable, key), 'b',
+            `FROM ${TO_SCHEMA}.${table} AS b WHERE NOT EXISTS (SELECT 1 FROM main.${table} AS a WHERE ${match})`);
+
+        // Comparing storage classes as well tells 1 from 1.0 and text from a blob of the same bytes
+        const differs = compared.map(column => {
+            const name = quoteIdentifier(column);
+            return `a.${name} IS NOT b.${name} OR typeof(a.${name}) <> typeof(b.${name})`;
+        });
+        const updated = [];
+        if (differs.length > 0) {
+            const pairs = await connection.all(
+                `SELECT ${[...key.map(column => `quote(a.${quoteIdentifier(column)})`), ...compared.flatMap(column => [
+                    `quote(a.${quoteIdentifier(column)})`, `quote(b.${quoteIdentifier(column)})`
+                ])].map((expression, index) => `${expression} AS c${index}`).join(', ')} ` +
+                `FROM main.${table} AS a JOIN ${TO_SCHEMA}.${table} AS b ON ${match} WHERE ${differs.join(' OR ')};`
+            );
+
+            for (const pair of pairs) {
+                const values = Object.keys(pair).sort((a, b) => a.slice(1) - b.slice(1)).map(name => pair[name]);
+                const row = { key: Object.fromEntries(key.map((column, index) => [column, values[index]])), changes: {} };
+                compared.forEach((column, index) => {
+                    const from = values[key.length + index * 2];
+                    const to = values[key.length + index * 2 + 1];
+                    if (from !== to) row.changes[column] = { from, to };
+                });
+                if (Object.keys(row.changes).length > 0) updated.push(row);
+            }
+        }
+
+        changes.push({ table: fromTable.name, key, inserted, updated, deleted });
+    }
+
+    return changes;
+}
+
+function keyColumns(table) {
+    // Tables without a primary key are rowid tables
+    const key = table.columns.filter(column => Number(column.pk) > 0)
+        .sort((a, b) => a.pk - b.pk)
+        .map(column => column.name);
+    return key.length > 0 ? key : ['rowid'];
+}
+
+function rowColumns(table, key) {
+    const names = table.columns.map(column => column.name);
+    return key[0] === 'rowid' ? ['rowid', ...names] : names;
+}
+
+async function selectRows(connection, columns, alias, from) {
+    const rows = await connection.all(
+        `SELECT ${columns.map((column, index) => `quote(${alias}.${quoteIdentifier(column)}) AS c${index}`).join(', ')} ${from};`
+    );
+    return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[`c${index}`]])));
+}
+
+async function buildPatch(connection, fromObjects, toObjects, schema, rowChanges) {
+    // Without row changes the script only changes the schema and keeps the data it can
+    const lines = ['PRAGMA foreign_keys = OFF;', 'PRAGMA legacy_alter_table = ON;', 'BEGIN;'];
+    const changed = (type, change) => schema.filter(object => object.type === type && object.change === change);
+    const rebuilt = changed('table', 'changed').map(object => object.name);
+    const toSql = object => `${object.sql.trim().replace(/;$/, '')};`;
+
+    // Every trigger is recreated at the end, so that applying the row changes doesn't fire any
+    fromObjects.filter(object => object.type === 'trigger')
+        .forEach(object => lines.push(`DROP TRIGGER IF EXISTS ${quoteIdentifier(object.name)};`));
+    ['view', 'index'].forEach(type => schema
+        .filter(object => object.type === type && object.change !== 'added')
+        .forEach(object => lines.push(`DROP ${type.toUpperCase()} IF EXISTS ${quoteIdentifier(object.name)};`)));
+    changed('table', 'removed').forEach(object => lines.push(`DROP TABLE ${quoteIdentifier(object.name)};`));
+
+    for (const name of rebuilt) {
+        const fromTable = fromObjects.find(object => object.type === 'table' && object.name === name);
+        const toTable = toObjects.find(object => object.type === 'table' && object.name === name);
+        const table = quoteIdentifier(name);
+
+        if (rowChanges) {
+            lines.push(`DROP TABLE ${table};`, toSql(toTable));
+            lines.push(...await insertAll(connection, toTable));
+        } else {
+            // Copy the columns both versions have; the table's indexes go with the old copy
+            const old = quoteIdentifier(`_diff_old_${name}`);
+            const toNames = new Set(toTable.columns.map(column => column.name));
+            const common = fromTable.columns.map(column => column.name).filter(column => toNames.has(column)).map(quoteIdentifier).join(', ');
+            lines.push(`ALTER TABLE ${table} RENAME TO ${old};`, toSql(toTable));
+            if (common) lines.push(`INSERT INTO ${table} (${common}) SELECT ${common} FROM ${old};`);
+            lines.push(`DROP TABLE ${old};`);
+        }
+    }
+
+    for (const object of changed('table', 'added')) {
+        const toTable = toObjects.find(candidate => candidate.type === 'table' && candidate.name === object.name);
+        lines.push(toSql(toTable));
+        if (rowChanges) lines.push(...await insertAll(connection, toTable));
+    }
+
+    for (const table of rowChanges || []) {
+        if (rebuilt.includes(table.table) || table.skipped) continue;
+
+        const name = quoteIdentifier(table.table);
+        const where = key => Object.entries(key).map(([column, value]) => `${quoteIdentifier(column)} = ${value}`).join(' AND ');
+        table.deleted.forEach(row => lines.push(`DELETE FROM ${name} WHERE ${where(pick(row, table.key))};`));
+        table.updated.forEach(row => lines.push(
+            `UPDATE ${name} SET ${Object.entries(row.changes).map(([column, { to }]) => `${quoteIdentifier(column)} = ${to}`).join(', ')} WHERE ${where(row.key)};`
+        ));
+        table.inserted.forEach(row => lines.push(insertStatement(table.table, row)));
+    }
+
+    // Indexes of rebuilt tables were dropped with them
+    toObjects.filter(object => object.type === 'index' &&
+        (rebuilt.includes(object.tableName) || schema.some(change => change.type === 'index' && change.name === object.name)))
+        .forEach(object => lines.push(toSql(object)));
+    changed('view', 'added').concat(changed('view', 'changed'))
+        .forEach(change => lines.push(toSql(toObjects.find(object => object.type === 'view' && object.name === change.name))));
+    toObjects.filter(object => object.type === 'trigger').forEach(object => lines.push(toSql(object)));
+
+    lines.push('COMMIT;', 'PRAGMA legacy_alter_table = OFF;');
+    return `${lines.join('\n')}\n`;
+}
+
+async function insertAll(connection, table) {
+    const columns = rowColumns(table, keyColumns(table));
+    const rows = await selectRows(connection, columns, 't', `FROM ${TO_SCHEMA}.${quoteIdentifier(table.name)} AS t`);
+    return rows.map(row => insertStatement(table.name, row));
+}
+
+function insertStatement(table, row) {
+    const columns = Object.keys(row);
+    return `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${columns.map(column => row[column]).join(', ')});`;
+}
+
+function pick(row, columns) {
+    return Object.fromEntries(columns.map(column => [column, row[column]]));
+}
+
+function normalizeSql(sql) {
+    return sql.replace(/\s+/g, ' ').trim();
+}
+
+function quoteLiteral(value) {
+    return `'${value.replace(/'/g, "''")}'`;
+}
+
+module.exports = {
+    diffDatabases
+};
@@ -0,0 +1,101 @@
+/**
+ * better-sqlite3 Driver
+ *
+ * Uses the better-sqlite3 package when the application has it installed. It is an
+ * optional peer: this library never depends on it.
+ */
+class BetterSqlite3Driver {
+    constructor() {
+        this.name = 'better-sqlite3';
+        this.inProcess = true;
+    }
+
+    /**
+     * Check whether better-sqlite3 is installed
+     * @returns {boolean} True if the driver is usable
+     */
+    isAvailable() {
+        try {
+            loadModule();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Open a database
+     * @param {string} databasePath - Path to the database file
+     * @param {Object} options - Open options
+     * @param {boolean} options.readonly - Open the database read-only (default: false)
+     * @returns {BetterSqlite3Connection} Connection to the database
+     */
+    open(databasePath, options = {}) {
+        const Database = loadModule();
+        const database = new Database(databasePath, {
+            readonly: Boolean(options.readonly),
+            fileMustExist: Boolean(options.readonly)
+        });
+        return new BetterSqlite3Connection(database, true);
+    }
+
+    /**
+     * Wrap a Database handle opened by the application
+     * @param {Object} database - better-sqlite3 Database instance
+     * @returns {BetterSqlite3Connection} Connection that leaves the handle open on close
+     */
+    wrap(database) {
+        return new BetterSqlite3Connection(database, false);
+    }
+}
+
+class BetterSqlite3Connection {
+    constructor(database, owned) {
+        this.database = database;
+        this.owned = owned;
+    }
+
+    async all(sql) {
+        return this.database.prepare(sql).all();
+    }
+
+    async exec(sql) {
+        this.database.exec(sql);
+    }
+
+    async backup(targetPath, options = {}) {
+        const { pagesPerStep, onProgress } = options;
+        // The progress callback's return value is the size of the next step
+        const { totalPages } = await this.database.backup(targetPath, {
+            progress: ({ totalPages, remainingPages }) => {
+                if (onProgress) onProgress({ pageCount: totalPages, pagesRemaining: remainingPages });
+                return pagesPerStep;
+            }
+        });
+        if (onProgress) onProgress({ pageCount: totalPages, pagesRemaining: 0 });
+    }
+
+    async close() {
+        if (this.owned && this.database.open) {
+            this.database.close();
+        }
+    }
+}
+
+function loadModule() {
+    return require('better-sqlite3');
+}
+
+/**
+ * Check whether a value looks like a better-sqlite3 Database handle
+ * @param {Object} handle - Candidate database handle
+ * @returns {boolean} True for better-sqlite3 Database instances
+ */
+function isBetterSqlite3Handle(handle) {
+    return Boolean(handle) && typeof handle.pragma === 'function' && typeof handle.backup === 'function';
+}
+
+module.exports = {
+    BetterSqlite3Driver,
+    isBetterSqlite3Handle
+};
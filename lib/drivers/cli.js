@@ -0,0 +1,215 @@
+const { spawn, spawnSync } = require('child_process');
+
+/**
+ * sqlite3 CLI Driver
+ *
+ * Runs every statement through the sqlite3 command-line tool. Needs the sqlite3 binary on PATH.
+ * Paths and SQL are passed as separate arguments (never through a shell), so they need no quoting.
+ * Persistent connections keep one sqlite3 process running so transactions span several calls.
+ */
+class CliDriver {
+    /**
+     * Create a new CLI driver
+     * @param {Object} options - Driver options
+     * @param {string} options.binary - sqlite3 executable (default: 'sqlite3')
+     */
+    constructor(options = {}) {
+        this.name = 'sqlite3-cli';
+        this.inProcess = false;
+        this.binary = options.binary || 'sqlite3';
+    }
+
+    /**
+     * Check whether the sqlite3 binary can be run
+     * @returns {boolean} True if the driver is usable
+     */
+    isAvailable() {
+        const result = spawnSync(this.binary, ['--version'], { stdio: 'ignore' });
+        return !result.error && result.status === 0;
+    }
+
+    /**
+     * Open a database
+     * @param {string} databasePath - Path to the database file
+     * @param {Object} options - Open options
+     * @param {boolean} options.readonly - Open the database read-only (default: false)
+     * @param {boolean} options.persistent - Run all statements in one sqlite3 process, so that
+     *   transactions stay open between calls (default: false)
+     * @returns {CliConnection|CliSession} Connection to the database
+     */
+    open(databasePath, options = {}) {
+        return options.persistent ?
+            new CliSession(this.binary, databasePath, options) :
+            new CliConnection(this.binary, databasePath, options);
+    }
+}
+
+class CliConnection {
+    constructor(binary, databasePath, options) {
+        this.binary = binary;
+        // A leading dash would be read as a command-line option
+        this.databasePath = databasePath.startsWith('-') ? `./${databasePath}` : databasePath;
+        this.readonly = Boolean(options.readonly);
+    }
+
+    async all(sql) {
+        const stdout = await this._run(['-json', this.databasePath, sql]);
+        return stdout.trim() ? JSON.parse(stdout) : [];
+    }
+
+    async exec(sql) {
+        // Statements go through stdin so scripts of any size work
+        await this._run([this.databasePath], sql);
+    }
+
+    async backup(targetPath) {
+        // One go: stepped backups through this driver are taken by SQLiteBackup itself
+        await this._run([this.databasePath, `.backup ${quoteArgument(targetPath)}`]);
+    }
+
+    async close() {
+        // Every statement runs in its own sqlite3 process, so there is nothing to close
+    }
+
+    _run(args, input) {
+        const fullArgs = ['-bail', ...(this.readonly ? ['-readonly'] : []), ...args];
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.binary, fullArgs, { stdio: ['pipe', 'pipe', 'pipe'] });
+            const stdout = [];
+            const stderr = [];
+
+            child.stdout.on('data', chunk => stdout.push(chunk));
+            child.stderr.on('data', chunk => stderr.push(chunk));
+            child.on('error', reject);
+            child.on('close', code => {
+                if (code !== 0) {
+                    const errorOutput = Buffer.concat(stderr).toString('utf8').trim();
+                    reject(new Error(errorOutput || `${this.binary} exited with code ${code}`));
+                    return;
+                }
+                resolve(Buffer.concat(stdout).toString('utf8'));
+            });
+
+            child.stdin.on('error', () => {
+                // The process may exit before reading all input; the exit code reports the failure
+            });
+            child.stdin.end(input === undefined ? '' : input);
+        });
+    }
+}
+
+class CliSession {
+    constructor(binary, databasePath, options) {
+        const target = databasePath.startsWith('-') ? `./${databasePath}` : databasePath;
+        this.binary = binary;
+        this.child = spawn(binary, [...(options.readonly ? ['-readonly'] : []), target], {
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        this.stdout = '';
+        this.stderr = '';
+        this.pending = null;
+        this.queue = Promise.resolve();
+        this.sequence = 0;
+        this.exited = false;
+
+        this.child.stdout.on('data', chunk => {
+            this.stdout += chunk.toString('utf8');
+            this._settle();
+        });
+        this.child.stderr.on('data', chunk => {
+            this.stderr += chunk.toString('utf8');
+        });
+        this.child.stdin.on('error', () => {
+            // Reported through the exit handler below
+        });
+        this.child.on('error', error => this._fail(error));
+        this.child.on('close', code => {
+            this.exited = true;
+            this._fail(new Error(this.stderr.trim() || `${binary} exited with code ${code}`));
+        });
+    }
+
+    async all(sql) {
+        const stdout = await this._send(`.mode json\n${sql}`);
+        return stdout.trim() ? JSON.parse(stdout) : [];
+    }
+
+    async exec(sql) {
+        await this._send(sql);
+    }
+
+    async backup(targetPath) {
+        await this._send(`.backup ${quoteArgument(targetPath)}`);
+    }
+
+    async close() {
+        await this.queue.catch(() => {});
+        if (this.exited) return;
+
+        await new Promise(resolve => {
+            this.child.once('close', resolve);
+            this.child.stdin.end('.quit\n');
+        });
+    }
+
+    _send(script) {
+        // Commands run one at a time; each is followed by a marker that tells where its output ends
+        const run = () => new Promise((resolve, reject) => {
+            if (this.exited) {
+                reject(new Error(`${this.binary} is no longer running`));
+                return;
+            }
+
+            const marker = `--sqlite-backup-${process.pid}-${++this.sequence}--`;
+            this.pending = { marker, resolve, reject };
+            this.child.stdin.write(`${script}\n.print ${marker}\n`);
+        });
+
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    _settle() {
+        const pending = this.pending;
+        if (!pending) return;
+
+        const index = this.stdout.indexOf(`${pending.marker}\n`);
+        if (index === -1) return;
+
+        const output = this.stdout.slice(0, index);
+        this.stdout = this.stdout.slice(index + pending.marker.length + 1);
+        this.pending = null;
+
+        // Errors go to stderr before the marker is printed; give them a turn to arrive
+        setImmediate(() => {
+            const errorOutput = this.stderr.trim();
+            this.stderr = '';
+            if (errorOutput) {
+                pending.reject(new Error(errorOutput));
+            } else {
+                pending.resolve(output);
+            }
+        });
+    }
+
+    _fail(error) {
+        const pending = this.pending;
+        this.pending = null;
+        if (pending) pending.reject(error);
+    }
+}
+
+/**
+ * Quote an argument for a sqlite3 dot-command (C-style escapes inside double quotes)
+ * @param {string} value - Argument value
+ * @returns {string} Quoted argument
+ */
+function quoteArgument(value) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+module.exports = {
+    CliDriver
+};
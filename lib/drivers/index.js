@@ -0,0 +1,117 @@
+const { CliDriver } = require('./cli');
+const { NodeSqliteDriver, isNodeSqliteHandle } = require('./node-sqlite');
+const { BetterSqlite3Driver, isBetterSqlite3Handle } = require('./better-sqlite3');
+
+/**
+ * SQLite Drivers
+ *
+ * A driver opens connections to database files. Every connection exposes the same
+ * async interface: all(sql), exec(sql), backup(targetPath, options) and close(). open(path, options)
+ * accepts readonly and persistent; a persistent connection keeps transactions open between
+ * calls (in-process connections always do). backup() copies pagesPerStep pages per step where
+ * SQLite's online backup API is available, reporting { pageCount, pagesRemaining } to onProgress.
+ * A driver's inProcess flag tells whether SQLite runs in this process.
+ */
+
+const DRIVERS = {
+    'better-sqlite3': () => new BetterSqlite3Driver(),
+    'node:sqlite': () => new NodeSqliteDriver(),
+    'sqlite3-cli': () => new CliDriver()
+};
+
+// In-process drivers first; the sqlite3 CLI is the fallback
+const DETECTION_ORDER = ['better-sqlite3', 'node:sqlite', 'sqlite3-cli'];
+
+let detectedDriver = null;
+
+/**
+ * Resolve a driver option to a driver instance
+ * @param {string|Object} driver - 'auto', a driver name or a driver instance (default: 'auto')
+ * @returns {Object} Driver instance
+ */
+function resolveDriver(driver = 'auto') {
+    if (driver && typeof driver === 'object') {
+        return driver;
+    }
+
+    if (driver === 'auto') {
+        if (!detectedDriver) {
+            detectedDriver = detectDriver();
+        }
+        return detectedDriver;
+    }
+
+    if (!DRIVERS[driver]) {
+        throw new Error(`Unknown SQLite driver: ${driver} (expected ${Object.keys(DRIVERS).join(', ')} or auto)`);
+    }
+
+    const instance = DRIVERS[driver]();
+    if (!instance.isAvailable()) {
+        throw new Error(`SQLite driver not available: ${driver}`);
+    }
+    return instance;
+}
+
+/**
+ * Find the first usable driver on this host
+ * @returns {Object} Driver instance
+ */
+function detectDriver() {
+    for (const name of DETECTION_ORDER) {
+        const driver = DRIVERS[name]();
+        if (driver.isAvailable()) {
+            return driver;
+        }
+    }
+
+    throw new Error(
+        'No SQLite driver available: install better-sqlite3, use Node.js 22.5+ (node:sqlite) ' +
+        'or put the sqlite3 command-line tool on PATH'
+    );
+}
+
+/**
+ * Wrap a database handle opened by the application
+ * @param {Object} handle - better-sqlite3 Database or node:sqlite DatabaseSync instance
+ * @returns {Object} { driver, connection, filename } where filename is the handle's database file if known
+ */
+function wrapHandle(handle) {
+    if (isBetterSqlite3Handle(handle)) {
+        const driver = new BetterSqlite3Driver();
+        return { driver, connection: driver.wrap(handle), filename: handle.name || null };
+    }
+
+    if (isNodeSqliteHandle(handle)) {
+        const driver = new NodeSqliteDriver();
+        const filename = typeof handle.location === 'function' ? handle.location() : null;
+        return { driver, connection: driver.wrap(handle), filename };
+    }
+
+    throw new Error('Unsupported database handle (expected a better-sqlite3 Database or node:sqlite DatabaseSync)');
+}
+
+/**
+ * Run PRAGMA integrity_check on a database file
+ * @param {Object} driver - Driver instance
+ * @param {string} databasePath - Path to the database file
+ * @returns {Promise<boolean>} True if the check reports 'ok'
+ */
+async function checkIntegrity(driver, databasePath) {
+    const connection = driver.open(databasePath, { readonly: true });
+    try {
+        const rows = await connection.all('PRAGMA integrity_check;');
+        return rows.length === 1 && Object.values(rows[0])[0] === 'ok';
+    } finally {
+        await connection.close();
+    }
+}
+
+module.exports = {
+    resolveDriver,
+    detectDriver,
+    wrapHandle,
+    checkIntegrity,
+    CliDriver,
+    NodeSqliteDriver,
+    BetterSqlite3Driver
+};
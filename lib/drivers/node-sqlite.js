@@ -0,0 +1,107 @@
+/**
+ * node:sqlite Driver
+ *
+ * Uses the SQLite build that ships with Node.js (22.5 and later), including its
+ * online backup API where available. No external binary or package is needed.
+ */
+class NodeSqliteDriver {
+    constructor() {
+        this.name = 'node:sqlite';
+        this.inProcess = true;
+    }
+
+    /**
+     * Check whether node:sqlite can be loaded in this Node.js version
+     * @returns {boolean} True if the driver is usable
+     */
+    isAvailable() {
+        try {
+            loadModule();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Open a database
+     * @param {string} databasePath - Path to the database file
+     * @param {Object} options - Open options
+     * @param {boolean} options.readonly - Open the database read-only (default: false)
+     * @returns {NodeSqliteConnection} Connection to the database
+     */
+    open(databasePath, options = {}) {
+        const { DatabaseSync } = loadModule();
+        const database = new DatabaseSync(databasePath, { readOnly: Boolean(options.readonly) });
+        return new NodeSqliteConnection(database, true);
+    }
+
+    /**
+     * Wrap a DatabaseSync handle opened by the application
+     * @param {Object} database - node:sqlite DatabaseSync instance
+     * @returns {NodeSqliteConnection} Connection that leaves the handle open on close
+     */
+    wrap(database) {
+        return new NodeSqliteConnection(database, false);
+    }
+}
+
+class NodeSqliteConnection {
+    constructor(database, owned) {
+        this.database = database;
+        this.owned = owned;
+    }
+
+    async all(sql) {
+        return this.database.prepare(sql).all();
+    }
+
+    async exec(sql) {
+        this.database.exec(sql);
+    }
+
+    async backup(targetPath, options = {}) {
+        const { pagesPerStep, onProgress } = options;
+        const sqlite = loadModule();
+        if (typeof sqlite.backup === 'function') {
+            const pageCount = await sqlite.backup(this.database, targetPath, {
+                ...(pagesPerStep ? { rate: pagesPerStep } : {}),
+                ...(onProgress ? { progress: ({ totalPages, remainingPages }) => onProgress({ pageCount: totalPages, pagesRemaining: remainingPages }) } : {})
+            });
+            // The last step isn't reported
+            if (onProgress) onProgress({ pageCount, pagesRemaining: 0 });
+            return;
+        }
+
+        // Older node:sqlite builds have no backup API; VACUUM INTO still gives a consistent copy
+        this.database.exec(`VACUUM INTO '${targetPath.replace(/'/g, "''")}'`);
+        if (onProgress) {
+            const [{ page_count: pageCount }] = this.database.prepare('PRAGMA page_count').all();
+            onProgress({ pageCount, pagesRemaining: 0 });
+        }
+    }
+
+    async close() {
+        if (this.owned && this.database.isOpen !== false) {
+            this.database.close();
+        }
+    }
+}
+
+function loadModule() {
+    return require('node:sqlite');
+}
+
+/**
+ * Check whether a value looks like a node:sqlite DatabaseSync handle
+ * @param {Object} handle - Candidate database handle
+ * @returns {boolean} True for DatabaseSync instances
+ */
+function isNodeSqliteHandle(handle) {
+    return Boolean(handle) && handle.constructor && handle.constructor.name === 'DatabaseSync';
+}
+
+module.exports = {
+    NodeSqliteDriver,
+    isNodeSqliteHandle
+};
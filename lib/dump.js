@@ -0,0 +1,255 @@
+const fs = require('fs');
+const { pipeline, Readable } = require('stream');
+const { promisify } = require('util');
+const { createCompressor, createDecompressor } = require('./compression');
+const { rowOrder, keyAfter, quoteIdentifier } = require('./sql');
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * SQL Dump Backups
+ *
+ * Writes a database as a portable SQL script, like the sqlite3 shell's .dump: the schema, and an
+ * INSERT for every row. The output is deterministic, so that dumps can be committed to version
+ * control and diffed: tables are written in name order with their rows in primary key order
+ * (rowid for tables without one), followed by indexes, views and triggers by name. Values are
+ * written with quote(), which is exact for every storage class.
+ *
+ * Dumps are replayed into a fresh database to be restored or verified. Settings kept in the
+ * database header (page_size, auto_vacuum, journal_mode) aren't part of a dump, and neither are
+ * the statistics ANALYZE gathers.
+ */
+
+const DUMP_EXTENSION = '.sql';
+
+// Rows read per query while dumping, and statements run per call while replaying
+const ROWS_PER_BATCH = 1000;
+const REPLAY_BATCH_BYTES = 1024 * 1024;
+
+const TYPE_ORDER = ['index', 'view', 'trigger'];
+const CLOSING_QUOTES = { "'": "'", '"': '"', '`': '`', '[': ']' };
+
+/**
+ * Check whether a filename is that of an SQL dump
+ * @param {string} filename - Backup filename or path, without compression or encryption extensions
+ * @returns {boolean} True for dumps
+ */
+function isDump(filename) {
+    return filename.endsWith(DUMP_EXTENSION);
+}
+
+/**
+ * Write a database as an SQL script, as of a single commit
+ * @param {Object} connection - Connection to the database
+ * @param {string} targetPath - Path of the script to write
+ * @param {Object} options - Dump options
+ * @param {string} options.compression - Compress the script as it is written: 'gzip' or 'brotli' (default: none)
+ * @param {number} options.compressionLevel - Compression level (default: the algorithm's)
+ * @returns {Promise<Object>} { size } where size is the length of the script before compression
+ */
+async function writeDump(connection, targetPath, options = {}) {
+    const { compression = null, compressionLevel } = options;
+    let size = 0;
+    const counted = async function* () {
+        for await (const chunk of dumpScript(connection)) {
+            size += Buffer.byteLength(chunk);
+            yield chunk;
+        }
+    };
+
+    // A compressed dump is compressed as it is written, so the plain script never has to fit on disk
+    await pipelineAsync(
+        Readable.from(counted()),
+        ...(compression ? [createCompressor(compression, compressionLevel)] : []),
+        fs.createWriteStream(targetPath)
+    );
+    return { size };
+}
+
+/**
+ * Replay an SQL script into a new database
+ * @param {Object} driver - Driver instance
+ * @param {string} dumpPath - SQL script, as written by writeDump or the sqlite3 shell's .dump
+ * @param {string} targetPath - Path of the database to create (replaced if it exists)
+ * @param {string} compression - Decompress the script as it is read: 'gzip' or 'brotli' (default: none)
+ * @returns {Promise<void>}
+ * @throws {Error} When a statement fails or the script ends before its COMMIT
+ */
+async function loadDump(driver, dumpPath, targetPath, compression = null) {
+    fs.rmSync(targetPath, { force: true });
+    const connection = driver.open(targetPath, { persistent: true });
+
+    try {
+        let batch = '';
+        let statement = '';
+        let lastStatement = '';
+        let open = null;
+
+        const addLine = async line => {
+            if (!statement && !line.trim()) return;
+            statement += `${line}\n`;
+            open = scanLine(line, open);
+            if (open || !isComplete(statement)) return;
+
+            lastStatement = statement.trim();
+            batch += statement;
+            statement = '';
+            if (batch.length >= REPLAY_BATCH_BYTES) {
+                await connection.exec(batch);
+                batch = '';
+            }
+        };
+
+        const script = compression ?
+            pipeline(fs.createReadStream(dumpPath), createDecompressor(compression), () => {}) :
+            fs.createReadStream(dumpPath);
+        script.setEncoding('utf8');
+
+        // Split on \n only: a value may hold a bare \r
+        let rest = '';
+        for await (const chunk of script) {
+            const lines = (rest + chunk).split('\n');
+            rest = lines.pop();
+            for (const line of lines) {
+                await addLine(line);
+            }
+        }
+        await addLine(rest);
+
+        if (batch) {
+            await connection.exec(batch);
+        }
+        // A truncated script would otherwise leave an empty database that passes every check
+        if (statement.trim() || !/^(COMMIT|END)( TRANSACTION)?;$/i.test(lastStatement)) {
+            throw new Error('the script ends before its COMMIT');
+        }
+    } catch (error) {
+        throw new Error(`SQL dump could not be replayed: ${error.message}`);
+    } finally {
+        await connection.close().catch(() => {});
+    }
+}
+
+async function* dumpScript(connection) {
+    // Yields the script in chunks of whole lines
+    await connection.exec('BEGIN;');
+    try {
+        yield joinLines(['PRAGMA foreign_keys=OFF;', 'BEGIN TRANSACTION;']);
+
+        const objects = await connection.all(
+            "SELECT type, name, tbl_name AS tableName, sql FROM main.sqlite_master " +
+            "WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\';"
+        );
+        const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+        const shadowTables = await listShadowTables(connection);
+
+        // Virtual tables create their shadow tables themselves and are filled through the virtual table
+        const tables = objects.filter(object => object.type === 'table' && !shadowTables.has(object.name)).sort(byName);
+        for (const table of tables) {
+            yield joinLines([`${table.sql};`]);
+            yield* dumpRows(connection, table);
+        }
+
+        const [sequence] = await connection.all(
+            "SELECT name FROM main.sqlite_master WHERE type = 'table' AND name = 'sqlite_sequence';"
+        );
+        if (sequence) {
+            const rows = await connection.all('SELECT quote(name) AS name, quote(seq) AS seq FROM main.sqlite_sequence ORDER BY name;');
+            yield joinLines(['DELETE FROM sqlite_sequence;', ...rows.map(row => `INSERT INTO sqlite_sequence VALUES(${row.name},${row.seq});`)]);
+        }
+
+        const others = objects.filter(object => TYPE_ORDER.includes(object.type))
+            .sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) || byName(a, b));
+        if (others.length > 0) {
+            yield joinLines(others.map(object => `${object.sql};`));
+        }
+
+        const [{ user_version: userVersion }] = await connection.all('PRAGMA main.user_version;');
+        if (Number(userVersion) !== 0) {
+            yield joinLines([`PRAGMA user_version=${Number(userVersion)};`]);
+        }
+        yield joinLines(['COMMIT;']);
+    } finally {
+        await connection.exec('ROLLBACK;').catch(() => {});
+    }
+}
+
+async function* dumpRows(connection, table) {
+    const virtual = /^CREATE\s+VIRTUAL\s+TABLE/i.test(table.sql);
+    const columns = (await connection.all(`PRAGMA main.table_info(${quoteIdentifier(table.name)});`))
+        .map(column => ({ name: column.name, type: column.type, pk: Number(column.pk) }));
+    if (columns.length === 0) return;
+
+    const key = rowOrder(table, columns);
+    const name = quoteIdentifier(table.name);
+    const values = columns.map((column, index) => `quote(${quoteIdentifier(column.name)}) AS c${index}`).join(', ');
+    const keyValues = key.map((expression, index) => `quote(${expression}) AS k${index}`).join(', ');
+    const into = virtual ? `${name}(${columns.map(column => quoteIdentifier(column.name)).join(',')})` : name;
+
+    // Each batch seeks past the last row of the one before instead of skipping every row read so far
+    for (let after = null; ;) {
+        const rows = await connection.all(
+            `SELECT ${values}, ${keyValues} FROM main.${name}${after ? ` WHERE ${after}` : ''} ` +
+            `ORDER BY ${key.join(', ')} LIMIT ${ROWS_PER_BATCH};`
+        );
+        if (rows.length > 0) {
+            yield joinLines(rows.map(row => `INSERT INTO ${into} VALUES(${columns.map((column, index) => row[`c${index}`]).join(',')});`));
+        }
+        if (rows.length < ROWS_PER_BATCH) return;
+
+        const last = rows[rows.length - 1];
+        after = keyAfter(key, key.map((expression, index) => last[`k${index}`]));
+    }
+}
+
+function joinLines(statements) {
+    return `${statements.join('\n')}\n`;
+}
+
+async function listShadowTables(connection) {
+    try {
+        const tables = await connection.all('PRAGMA main.table_list;');
+        return new Set(tables.filter(table => table.type === 'shadow').map(table => table.name));
+    } catch (error) {
+        // SQLite before 3.37 has no table_list, nor a way to tell shadow tables apart
+        return new Set();
+    }
+}
+
+function scanLine(line, open) {
+    // Returns the quote or comment still open at the end of the line
+    let index = 0;
+    while (index < line.length) {
+        if (open) {
+            const end = line.indexOf(open, index);
+            if (end === -1) return open;
+            index = end + open.length;
+            open = null;
+            continue;
+        }
+
+        const char = line[index];
+        if (char === '-' && line[index + 1] === '-') return null;
+        if (char === '/' && line[index + 1] === '*') {
+            open = '*/';
+            index += 2;
+            continue;
+        }
+        open = CLOSING_QUOTES[char] || null;
+        index += 1;
+    }
+    return open;
+}
+
+function isComplete(statement) {
+    const text = statement.trim();
+    if (!text.endsWith(';')) return false;
+    // The statements in a trigger's body end with semicolons too
+    return !/^CREATE\s+(TEMP\s+|TEMPORARY\s+)?TRIGGER\b/i.test(text) || /\bEND\s*;$/i.test(text);
+}
+
+module.exports = {
+    DUMP_EXTENSION,
+    isDump,
+    writeDump,
+    loadDump
+};
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const { BackupError } = require('./errors');
+const pipelineAsync = promisify(pipeline);
+const scryptAsync = promisify(crypto.scrypt);
+
+/**
+ * Backup Encryption
+ *
+ * AES-256-GCM encryption of backup files using node:crypto. The key is either derived
+ * from a passphrase with scrypt (using a random salt per file) or read from a key file.
+ *
+ * File layout: header (magic, version, KDF parameters, salt, IV) | ciphertext | 16-byte auth tag.
+ * The header is authenticated as additional data, so tampering with it fails decryption too.
+ */
+
+const ENCRYPTION_EXTENSION = '.enc';
+const PASSPHRASE_ENV = 'SQLITE_BACKUP_PASSPHRASE';
+
+const MAGIC = Buffer.from('SQLSNAPE');
+const FORMAT_VERSION = 1;
+const KDF_NONE = 0;
+const KDF_SCRYPT = 1;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + 5 + SALT_LENGTH + IV_LENGTH;
+const SCRYPT_PARAMS = { log2N: 15, r: 8, p: 1 };
+
+/**
+ * Normalize an encryption option value
+ * @param {Object|boolean} encryption - { passphrase } or { keyFile } or { key }, falsy for none
+ * @returns {Object|null} { passphrase } or { key } (32-byte Buffer), or null for no encryption
+ */
+function resolveEncryption(encryption) {
+    if (!encryption) return null;
+
+    if (encryption === true) {
+        if (!process.env[PASSPHRASE_ENV]) {
+            throw new BackupError(
+                `Encryption requested but no key given (set ${PASSPHRASE_ENV} or use a key file)`,
+                'ERR_ENCRYPTION_KEY_REQUIRED'
+            );
+        }
+        return { passphrase: process.env[PASSPHRASE_ENV] };
+    }
+
+    if (encryption.key) {
+        const key = Buffer.isBuffer(encryption.key) ? encryption.key : Buffer.from(encryption.key, 'hex');
+        if (key.length !== 32) {
+            throw new BackupError('Encryption key must be 32 bytes', 'ERR_INVALID_ENCRYPTION_KEY');
+        }
+        return { key };
+    }
+
+    if (encryption.keyFile) {
+        return { key: readKeyFile(encryption.keyFile) };
+    }
+
+    if (encryption.passphrase) {
+        return { passphrase: String(encryption.passphrase) };
+    }
+
+    throw new BackupError('Encryption requires a passphrase, key or keyFile', 'ERR_ENCRYPTION_KEY_REQUIRED');
+}
+
+/**
+ * Read a 32-byte key from a key file (raw bytes or 64 hex characters)
+ * @param {string} keyFile - Path to the key file
+ * @returns {Buffer} The key
+ */
+function readKeyFile(keyFile) {
+    const contents = fs.readFileSync(keyFile);
+    if (contents.length === 32) {
+        return contents;
+    }
+
+    const text = contents.toString('utf8').trim();
+    if (/^[0-9a-fA-F]{64}$/.test(text)) {
+        return Buffer.from(text, 'hex');
+    }
+
+    throw new BackupError(
+        `Key file must contain a 32-byte key (raw or 64 hex characters): ${keyFile}`,
+        'ERR_INVALID_ENCRYPTION_KEY'
+    );
+}
+
+/**
+ * Check whether a backup file is encrypted, based on its extension
+ * @param {string} filename - Backup filename or path
+ * @returns {boolean} True for encrypted backups
+ */
+function isEncrypted(filename) {
+    return filename.endsWith(ENCRYPTION_EXTENSION);
+}
+
+/**
+ * Remove the encryption extension from a backup filename
+ * @param {string} filename - Backup filename or path
+ * @returns {string} Filename without encryption extension
+ */
+function stripEncryptionExtension(filename) {
+    return isEncrypted(filename) ? filename.slice(0, -ENCRYPTION_EXTENSION.length) : filename;
+}
+
+async function deriveKey(resolved, kdf, salt, params) {
+    if (kdf === KDF_NONE) {
+        if (!resolved.key) {
+            throw new BackupError('Backup was encrypted with a key file; a key file is required', 'ERR_ENCRYPTION_KEY_REQUIRED');
+        }
+        return resolved.key;
+    }
+
+    if (!resolved.passphrase) {
+        throw new BackupError('Backup was encrypted with a passphrase; a passphrase is required', 'ERR_ENCRYPTION_KEY_REQUIRED');
+    }
+
+    const N = Math.pow(2, params.log2N);
+    return scryptAsync(resolved.passphrase, salt, 32, {
+        N,
+        r: params.r,
+        p: params.p,
+        maxmem: 256 * N * params.r
+    });
+}
+
+/**
+ * Encrypt a file with AES-256-GCM
+ * @param {string} sourcePath - File to encrypt
+ * @param {string} targetPath - Encrypted output file
+ * @param {Object} encryption - Encryption option (see resolveEncryption)
+ * @returns {Promise<void>}
+ */
+async function encryptFile(sourcePath, targetPath, encryption) {
+    const resolved = resolveEncryption(encryption);
+    const kdf = resolved.key ? KDF_NONE : KDF_SCRYPT;
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = await deriveKey(resolved, kdf, salt, SCRYPT_PARAMS);
+
+    const header = Buffer.concat([
+        MAGIC,
+        Buffer.from([FORMAT_VERSION, kdf, SCRYPT_PARAMS.log2N, SCRYPT_PARAMS.r, SCRYPT_PARAMS.p]),
+        salt,
+        iv
+    ]);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(header);
+
+    fs.writeFileSync(targetPath, header);
+    await pipelineAsync(
+        fs.createReadStream(sourcePath),
+        cipher,
+        fs.createWriteStream(targetPath, { flags: 'a' })
+    );
+    fs.appendFileSync(targetPath, cipher.getAuthTag());
+}
+
+/**
+ * Decrypt a file encrypted by encryptFile
+ * @param {string} sourcePath - Encrypted file
+ * @param {string} targetPath - Decrypted output file (removed if authentication fails)
+ * @param {Object} encryption - Encryption option (see resolveEncryption)
+ * @returns {Promise<void>}
+ */
+async function decryptFile(sourcePath, targetPath, encryption) {
+    const resolved = resolveEncryption(encryption || (process.env[PASSPHRASE_ENV] ? true : null));
+    if (!resolved) {
+        throw new BackupError(
+            `Backup is encrypted; provide a passphrase or key file (or set ${PASSPHRASE_ENV})`,
+            'ERR_ENCRYPTION_KEY_REQUIRED'
+        );
+    }
+
+    const { size } = fs.statSync(sourcePath);
+    const header = Buffer.alloc(HEADER_LENGTH);
+    const tag = Buffer.alloc(TAG_LENGTH);
+    const fd = fs.openSync(sourcePath, 'r');
+    try {
+        if (size < HEADER_LENGTH + TAG_LENGTH ||
+            fs.readSync(fd, header, 0, HEADER_LENGTH, 0) !== HEADER_LENGTH ||
+            !header.subarray(0, MAGIC.length).equals(MAGIC)) {
+            throw new BackupError(`Not an encrypted backup: ${sourcePath}`, 'ERR_NOT_ENCRYPTED');
+        }
+        fs.readSync(fd, tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    let offset = MAGIC.length;
+    const version = header[offset++];
+    if (version !== FORMAT_VERSION) {
+        throw new BackupError(`Unsupported encrypted backup version: ${version}`, 'ERR_NOT_ENCRYPTED');
+    }
+    const kdf = header[offset++];
+    const params = { log2N: header[offset++], r: header[offset++], p: header[offset++] };
+    const salt = header.subarray(offset, offset + SALT_LENGTH);
+    const iv = header.subarray(offset + SALT_LENGTH, offset + SALT_LENGTH + IV_LENGTH);
+
+    const key = await deriveKey(resolved, kdf, salt, params);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(header);
+    decipher.setAuthTag(tag);
+
+    try {
+        await pipelineAsync(
+            fs.createReadStream(sourcePath, { start: HEADER_LENGTH, end: size - TAG_LENGTH - 1 }),
+            decipher,
+            fs.createWriteStream(targetPath)
+        );
+    } catch (error) {
+        fs.rmSync(targetPath, { force: true });
+        if (/unable to authenticate/i.test(error.message)) {
+            throw new BackupError(
+                'Backup decryption failed: authentication failed (wrong passphrase/key or the file was tampered with)',
+                'ERR_DECRYPTION_FAILED'
+            );
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    ENCRYPTION_EXTENSION,
+    PASSPHRASE_ENV,
+    resolveEncryption,
+    isEncrypted,
+    stripEncryptionExtension,
+    encryptFile,
+    decryptFile
+};
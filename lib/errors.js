@@ -0,0 +1,21 @@
+/**
+ * Backup Errors
+ *
+ * Errors raised by the library that callers may need to tell apart carry a stable code.
+ */
+class BackupError extends Error {
+    /**
+     * Create a new BackupError
+     * @param {string} message - Human readable error message
+     * @param {string} code - Stable error code (e.g. 'ERR_DECRYPTION_FAILED')
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'BackupError';
+        this.code = code;
+    }
+}
+
+module.exports = {
+    BackupError
+};
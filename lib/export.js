@@ -0,0 +1,231 @@
+/**
+ * Table Export
+ *
+ * Writes the rows of a database as one CSV or JSON Lines file per table, for readers without
+ * SQLite, together with a schema.json that describes every table's columns. Rows are read in
+ * batches and written as they arrive, in primary key order (rowid for tables without one), all
+ * within one read transaction so that a live database is exported as of a single commit.
+ *
+ * Values keep their storage class: integers are written as their exact digits, reals as the
+ * shortest decimal that reads back as the same double, and BLOBs as base64 or hex text. In CSV,
+ * NULL is an empty field and an empty string or BLOB is "" (quoted).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BackupError } = require('./errors');
+const { rowOrder, keyAfter, quoteIdentifier } = require('./sql');
+
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+const BLOB_ENCODINGS = ['base64', 'hex'];
+const SCHEMA_FILENAME = 'schema.json';
+
+// Rows read per query
+const ROWS_PER_BATCH = 1000;
+
+/**
+ * Export the tables of a database file
+ * @param {Object} driver - Driver instance
+ * @param {string} databasePath - Path to a plain database file
+ * @param {string} outDirectory - Directory to write the files to (created if missing)
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'csv' or 'jsonl' (default: 'csv')
+ * @param {string[]} options.tables - Only export these tables (default: all)
+ * @param {string[]} options.exclude - Leave these tables out (default: none)
+ * @param {string} options.blobEncoding - How BLOBs are written: 'base64' or 'hex' (default: 'base64')
+ * @param {string} options.source - Where the rows came from, recorded in schema.json
+ * @returns {Promise<Object>} { format, blobEncoding, schemaPath, tables } where each table is
+ *   { name, file, rows, columns, primaryKey } and each column { name, type, notNull, primaryKey,
+ *   default, storageClasses } as in schema.json; storageClasses lists the types its values had
+ * @throws {BackupError} When an included table doesn't exist (ERR_TABLE_NOT_FOUND)
+ */
+async function exportDatabase(driver, databasePath, outDirectory, options = {}) {
+    const {
+        format = 'csv',
+        tables: included = null,
+        exclude = [],
+        blobEncoding = 'base64',
+        source = databasePath
+    } = options;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown export format: ${format} (expected ${EXPORT_FORMATS.join(' or ')})`);
+    }
+    if (!BLOB_ENCODINGS.includes(blobEncoding)) {
+        throw new Error(`Unknown BLOB encoding: ${blobEncoding} (expected ${BLOB_ENCODINGS.join(' or ')})`);
+    }
+
+    const connection = driver.open(databasePath, { readonly: true, persistent: true });
+    try {
+        await connection.exec('BEGIN;');
+        try {
+            const available = await listTables(connection);
+            const missing = (included || []).filter(name => !available.some(table => table.name === name));
+            if (missing.length > 0) {
+                throw new BackupError(`Table ${missing.join(', ')} is not in the database`, 'ERR_TABLE_NOT_FOUND');
+            }
+            const selected = available.filter(table =>
+                (!included || included.includes(table.name)) && !exclude.includes(table.name));
+
+            fs.mkdirSync(outDirectory, { recursive: true });
+            const filenames = new Set();
+            const exported = [];
+
+            for (const table of selected) {
+                const file = uniqueFilename(table.name, format, filenames);
+                const columns = await readColumns(connection, table);
+                const rows = await writeTable(connection, table, columns, path.join(outDirectory, file), format, blobEncoding);
+                exported.push({ name: table.name, file, rows, columns, primaryKey: keyOf(columns) });
+            }
+
+            const schemaPath = path.join(outDirectory, SCHEMA_FILENAME);
+            fs.writeFileSync(schemaPath, `${JSON.stringify({
+                source,
+                exportedAt: new Date().toISOString(),
+                format,
+                blobEncoding,
+                tables: exported
+            }, null, 2)}\n`);
+
+            return { format, blobEncoding, schemaPath, tables: exported };
+        } finally {
+            await connection.exec('ROLLBACK;').catch(() => {});
+        }
+    } finally {
+        await connection.close();
+    }
+}
+
+async function listTables(connection) {
+    const tables = await connection.all(
+        "SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' ORDER BY name;"
+    );
+
+    // A virtual table's rows are exported through it, not through the shadow tables that store them
+    let shadowTables = new Set();
+    try {
+        shadowTables = new Set((await connection.all('PRAGMA table_list;'))
+            .filter(table => table.type === 'shadow').map(table => table.name));
+    } catch (error) {
+        // SQLite before 3.37 can't tell shadow tables apart
+    }
+    return tables.filter(table => !shadowTables.has(table.name));
+}
+
+async function readColumns(connection, table) {
+    const columns = await connection.all(`PRAGMA table_info(${quoteIdentifier(table.name)});`);
+    return columns.map(column => ({
+        name: column.name,
+        type: column.type || null,
+        notNull: Boolean(Number(column.notnull)),
+        primaryKey: Number(column.pk),
+        default: column.dflt_value === undefined ? null : column.dflt_value,
+        storageClasses: []
+    }));
+}
+
+function keyOf(columns) {
+    return columns.filter(column => column.primaryKey > 0)
+        .sort((a, b) => a.primaryKey - b.primaryKey)
+        .map(column => column.name);
+}
+
+async function writeTable(connection, table, columns, filePath, format, blobEncoding) {
+    const order = rowOrder(table, columns.map(column => ({ name: column.name, type: column.type, pk: column.primaryKey })));
+
+    // Values come back as text, with their type beside them, so that no driver rounds them
+    const select = columns.map((column, index) => {
+        const name = quoteIdentifier(column.name);
+        return `typeof(${name}) AS t${index}, ` +
+            `CASE typeof(${name}) WHEN 'blob' THEN hex(${name}) WHEN 'real' THEN quote(${name}) ` +
+            `ELSE CAST(${name} AS TEXT) END AS v${index}`;
+    }).join(', ');
+    const keyValues = order.map((expression, index) => `quote(${expression}) AS k${index}`).join(', ');
+
+    const file = fs.openSync(filePath, 'w');
+    let count = 0;
+    try {
+        if (format === 'csv') {
+            fs.writeSync(file, `${columns.map(column => csvField(column.name)).join(',')}\r\n`);
+        }
+
+        // Each batch seeks past the last row of the one before instead of skipping every row read so far
+        for (let after = null; ;) {
+            const rows = await connection.all(
+                `SELECT ${select}, ${keyValues} FROM ${quoteIdentifier(table.name)}${after ? ` WHERE ${after}` : ''} ` +
+                `ORDER BY ${order.join(', ')} LIMIT ${ROWS_PER_BATCH};`
+            );
+
+            const lines = rows.map(row => {
+                const values = columns.map((column, index) => ({ type: row[`t${index}`], text: row[`v${index}`] }));
+                values.forEach((value, index) => {
+                    const classes = columns[index].storageClasses;
+                    if (value.type !== 'null' && !classes.includes(value.type)) classes.push(value.type);
+                });
+                return format === 'csv' ?
+                    `${values.map(value => csvValue(value, blobEncoding)).join(',')}\r\n` :
+                    `{${values.map((value, index) => `${JSON.stringify(columns[index].name)}:${jsonValue(value, blobEncoding)}`).join(',')}}\n`;
+            });
+            if (lines.length > 0) fs.writeSync(file, lines.join(''));
+            count += rows.length;
+
+            if (rows.length < ROWS_PER_BATCH) return count;
+
+            const last = rows[rows.length - 1];
+            after = keyAfter(order, order.map((expression, index) => last[`k${index}`]));
+        }
+    } finally {
+        fs.closeSync(file);
+    }
+}
+
+function csvValue({ type, text }, blobEncoding) {
+    if (type === 'null') return '';
+    if (type === 'integer') return String(text);
+    if (type === 'real') return formatReal(text);
+    // Empty text and empty BLOBs are quoted, to tell them apart from NULL
+    const field = type === 'blob' ? encodeBlob(text, blobEncoding) : String(text);
+    return field === '' ? '""' : csvField(field);
+}
+
+function jsonValue({ type, text }, blobEncoding) {
+    if (type === 'null') return 'null';
+    // Exact digits: JSON numbers have no size limit, even if some readers round large ones
+    if (type === 'integer') return String(text);
+    if (type === 'real') {
+        const number = Number(text);
+        return Number.isFinite(number) ? formatReal(text) : JSON.stringify(String(number));
+    }
+    if (type === 'blob') return JSON.stringify(encodeBlob(text, blobEncoding));
+    return JSON.stringify(String(text));
+}
+
+function formatReal(text) {
+    // quote() is exact; the shortest round-tripping form reads better and parses back the same
+    return String(Number(text));
+}
+
+function encodeBlob(hex, blobEncoding) {
+    return blobEncoding === 'hex' ? String(hex).toLowerCase() : Buffer.from(String(hex), 'hex').toString('base64');
+}
+
+function csvField(text) {
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function uniqueFilename(tableName, format, taken) {
+    // Table names may hold characters that aren't allowed in file names, or differ only in case
+    const base = tableName.replace(/[^A-Za-z0-9_.-]/g, '_').replace(/^\./, '_') || 'table';
+    let filename = `${base}.${format}`;
+    for (let suffix = 2; taken.has(filename.toLowerCase()) || filename === SCHEMA_FILENAME; suffix++) {
+        filename = `${base}-${suffix}.${format}`;
+    }
+    taken.add(filename.toLowerCase());
+    return filename;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    BLOB_ENCODINGS,
+    exportDatabase
+};
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { BackupError } = require('./errors');
+
+/**
+ * Incremental Backups
+ *
+ * A chain starts with a full backup and continues with delta files holding only the pages
+ * whose content changed since the previous backup in the chain. Changes are found by hashing
+ * the database at page_size granularity and comparing against the chain's page map, a sidecar
+ * file ('<full backup>.pagemap') with one hash per page of the chain's latest state.
+ *
+ * Delta layout: magic | version | pageSize | pageCount | changedCount | JSON header | records,
+ * where each record is a 4-byte page number followed by the page content.
+ */
+
+const DELTA_EXTENSION = '.delta';
+const PAGEMAP_EXTENSION = '.pagemap';
+
+const DELTA_MAGIC = Buffer.from('SQLSNAPD');
+const PAGEMAP_MAGIC = Buffer.from('SQLSNAPM');
+const FORMAT_VERSION = 1;
+const HASH_LENGTH = 16;
+const PAGES_PER_READ = 256;
+
+/**
+ * Check whether a backup file is an incremental delta, based on its extension
+ * @param {string} filename - Backup filename or path (without compression/encryption extensions)
+ * @returns {boolean} True for delta files
+ */
+function isDelta(filename) {
+    return filename.endsWith(DELTA_EXTENSION);
+}
+
+/**
+ * Remove the delta extension from a backup filename
+ * @param {string} filename - Backup filename or path
+ * @returns {string} Filename without delta extension
+ */
+function stripDeltaExtension(filename) {
+    return isDelta(filename) ? filename.slice(0, -DELTA_EXTENSION.length) : filename;
+}
+
+/**
+ * Read the page size from a database file header
+ * @param {string} databasePath - Path to the database file
+ * @returns {number} Page size in bytes
+ */
+function readPageSize(databasePath) {
+    const header = Buffer.alloc(18);
+    const fd = fs.openSync(databasePath, 'r');
+    try {
+        fs.readSync(fd, header, 0, 18, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (header.toString('latin1', 0, 15) !== 'SQLite format 3') {
+        throw new Error(`Not a SQLite database: ${databasePath}`);
+    }
+
+    // The value 1 stands for 65536, which doesn't fit in two bytes
+    const pageSize = header.readUInt16BE(16);
+    return pageSize === 1 ? 65536 : pageSize;
+}
+
+/**
+ * Hash every page of a database file, optionally writing pages that differ from a previous
+ * page map to a delta file
+ * @param {string} databasePath - Consistent snapshot of the database
+ * @param {Object} options - Options
+ * @param {Object} options.previous - Previous page map ({ pageSize, pageCount, hashes }) to diff against
+ * @param {string} options.deltaPath - Delta file to write (requires previous)
+ * @param {Object} options.header - Extra metadata stored in the delta header
+ * @returns {Promise<Object>} { pageSize, pageCount, hashes, changedPages }
+ */
+async function scanPages(databasePath, options = {}) {
+    const { previous, deltaPath, header = {} } = options;
+    const pageSize = readPageSize(databasePath);
+    if (previous && previous.pageSize !== pageSize) {
+        throw new BackupError(
+            `Page size changed from ${previous.pageSize} to ${pageSize}; a new full backup is required`,
+            'ERR_CHAIN_BROKEN'
+        );
+    }
+
+    const { size } = fs.statSync(databasePath);
+    const pageCount = Math.ceil(size / pageSize);
+    const hashes = Buffer.alloc(pageCount * HASH_LENGTH);
+
+    const source = await fs.promises.open(databasePath, 'r');
+    const delta = deltaPath ? await fs.promises.open(deltaPath, 'w') : null;
+    let changedPages = 0;
+
+    try {
+        let deltaOffset = 0;
+        if (delta) {
+            const fixedHeader = deltaHeader(pageSize, pageCount, 0, header);
+            await delta.write(fixedHeader, 0, fixedHeader.length, 0);
+            deltaOffset = fixedHeader.length;
+        }
+
+        const buffer = Buffer.alloc(pageSize * PAGES_PER_READ);
+        for (let first = 0; first < pageCount; first += PAGES_PER_READ) {
+            const { bytesRead } = await source.read(buffer, 0, buffer.length, first * pageSize);
+            const pagesRead = Math.ceil(bytesRead / pageSize);
+
+            for (let index = 0; index < pagesRead; index++) {
+                const pageNumber = first + index + 1;
+                const page = buffer.subarray(index * pageSize, (index + 1) * pageSize);
+                const hash = crypto.createHash('sha256').update(page).digest().subarray(0, HASH_LENGTH);
+                hash.copy(hashes, (pageNumber - 1) * HASH_LENGTH);
+
+                if (delta && !pageMatches(previous, pageNumber, hash)) {
+                    const record = Buffer.alloc(4);
+                    record.writeUInt32BE(pageNumber, 0);
+                    await delta.write(record, 0, 4, deltaOffset);
+                    await delta.write(page, 0, pageSize, deltaOffset + 4);
+                    deltaOffset += 4 + pageSize;
+                    changedPages++;
+                }
+            }
+        }
+
+        if (delta) {
+            const count = Buffer.alloc(4);
+            count.writeUInt32BE(changedPages, 0);
+            await delta.write(count, 0, 4, DELTA_MAGIC.length + 12);
+        }
+    } finally {
+        await source.close();
+        if (delta) await delta.close();
+    }
+
+    return { pageSize, pageCount, hashes, changedPages };
+}
+
+function pageMatches(previous, pageNumber, hash) {
+    if (!previous || pageNumber > previous.pageCount) return false;
+    const offset = (pageNumber - 1) * HASH_LENGTH;
+    return previous.hashes.subarray(offset, offset + HASH_LENGTH).equals(hash);
+}
+
+function deltaHeader(pageSize, pageCount, changedCount, header) {
+    const json = Buffer.from(JSON.stringify(header));
+    const fixed = Buffer.alloc(DELTA_MAGIC.length + 20);
+    DELTA_MAGIC.copy(fixed, 0);
+    let offset = DELTA_MAGIC.length;
+    fixed.writeUInt32BE(FORMAT_VERSION, offset);
+    fixed.writeUInt32BE(pageSize, offset + 4);
+    fixed.writeUInt32BE(pageCount, offset + 8);
+    fixed.writeUInt32BE(changedCount, offset + 12);
+    fixed.writeUInt32BE(json.length, offset + 16);
+    return Buffer.concat([fixed, json]);
+}
+
+/**
+ * Read the header of a delta file
+ * @param {string} deltaPath - Plain (decoded) delta file
+ * @returns {Object} { pageSize, pageCount, changedPages, headerLength } plus the JSON header fields
+ */
+function readDeltaHeader(deltaPath) {
+    const fixed = Buffer.alloc(DELTA_MAGIC.length + 20);
+    const fd = fs.openSync(deltaPath, 'r');
+    try {
+        fs.readSync(fd, fixed, 0, fixed.length, 0);
+        if (!fixed.subarray(0, DELTA_MAGIC.length).equals(DELTA_MAGIC)) {
+            throw new BackupError(`Not an incremental backup: ${deltaPath}`, 'ERR_CHAIN_BROKEN');
+        }
+
+        const offset = DELTA_MAGIC.length + 4;
+        const jsonLength = fixed.readUInt32BE(offset + 12);
+        const json = Buffer.alloc(jsonLength);
+        fs.readSync(fd, json, 0, jsonLength, fixed.length);
+
+        return {
+            ...JSON.parse(json.toString('utf8')),
+            pageSize: fixed.readUInt32BE(offset),
+            pageCount: fixed.readUInt32BE(offset + 4),
+            changedPages: fixed.readUInt32BE(offset + 8),
+            headerLength: fixed.length + jsonLength
+        };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Apply a delta file to a database file holding the state of the delta's parent
+ * @param {string} deltaPath - Plain (decoded) delta file
+ * @param {string} targetPath - Database file to update in place
+ * @returns {Promise<Object>} { pageSize, pageCount, changedPages }
+ */
+async function applyDelta(deltaPath, targetPath) {
+    const { pageSize, pageCount, changedPages, headerLength } = readDeltaHeader(deltaPath);
+    const delta = await fs.promises.open(deltaPath, 'r');
+    const target = await fs.promises.open(targetPath, 'r+');
+
+    try {
+        let offset = headerLength;
+        const record = Buffer.alloc(4 + pageSize);
+        for (let i = 0; i < changedPages; i++) {
+            const { bytesRead } = await delta.read(record, 0, record.length, offset);
+            if (bytesRead !== record.length) {
+                throw new BackupError(`Incremental backup is truncated: ${deltaPath}`, 'ERR_CHAIN_BROKEN');
+            }
+            const pageNumber = record.readUInt32BE(0);
+            await target.write(record, 4, pageSize, (pageNumber - 1) * pageSize);
+            offset += record.length;
+        }
+
+        // Pages beyond the new end of the database were freed and truncated away
+        await target.truncate(pageCount * pageSize);
+        return { pageSize, pageCount, changedPages };
+    } finally {
+        await delta.close();
+        await target.close();
+    }
+}
+
+/**
+ * Write a chain's page map
+ * @param {string} pageMapPath - Page map file
+ * @param {Object} pageMap - { head, pageSize, pageCount, hashes } where head is the chain's latest backup
+ */
+function writePageMap(pageMapPath, pageMap) {
+    const head = Buffer.from(pageMap.head);
+    const fixed = Buffer.alloc(PAGEMAP_MAGIC.length + 16);
+    PAGEMAP_MAGIC.copy(fixed, 0);
+    let offset = PAGEMAP_MAGIC.length;
+    fixed.writeUInt32BE(FORMAT_VERSION, offset);
+    fixed.writeUInt32BE(pageMap.pageSize, offset + 4);
+    fixed.writeUInt32BE(pageMap.pageCount, offset + 8);
+    fixed.writeUInt32BE(head.length, offset + 12);
+
+    const tempPath = `${pageMapPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, Buffer.concat([fixed, head, pageMap.hashes]));
+    fs.renameSync(tempPath, pageMapPath);
+}
+
+/**
+ * Read a chain's page map
+ * @param {string} pageMapPath - Page map file
+ * @returns {Object|null} { head, pageSize, pageCount, hashes } or null if missing or unreadable
+ */
+function readPageMap(pageMapPath) {
+    if (!fs.existsSync(pageMapPath)) {
+        return null;
+    }
+
+    const data = fs.readFileSync(pageMapPath);
+    if (data.length < PAGEMAP_MAGIC.length + 16 || !data.subarray(0, PAGEMAP_MAGIC.length).equals(PAGEMAP_MAGIC)) {
+        return null;
+    }
+
+    let offset = PAGEMAP_MAGIC.length + 4;
+    const pageSize = data.readUInt32BE(offset);
+    const pageCount = data.readUInt32BE(offset + 4);
+    const headLength = data.readUInt32BE(offset + 8);
+    offset += 12;
+
+    return {
+        head: data.toString('utf8', offset, offset + headLength),
+        pageSize,
+        pageCount,
+        hashes: data.subarray(offset + headLength)
+    };
+}
+
+/**
+ * Resolve the chain of backups needed to restore a backup, full backup first
+ * @param {Array<Object>} entries - Catalog entries
+ * @param {string} filename - Backup to restore
+ * @returns {Array<Object>} Catalog entries from the full backup to the requested backup
+ */
+function resolveChain(entries, filename) {
+    const byName = new Map(entries.map(entry => [entry.filename, entry]));
+    const chain = [];
+    let current = filename;
+
+    while (current) {
+        const entry = byName.get(current);
+        if (!entry) {
+            throw new BackupError(
+                `Incremental chain for ${filename} is broken: ${current} is not in the catalog`,
+                'ERR_CHAIN_BROKEN'
+            );
+        }
+        if (chain.includes(entry)) {
+            throw new BackupError(`Incremental chain for ${filename} has a cycle at ${current}`, 'ERR_CHAIN_BROKEN');
+        }
+        chain.unshift(entry);
+        current = entry.parent || null;
+    }
+
+    return chain;
+}
+
+module.exports = {
+    DELTA_EXTENSION,
+    PAGEMAP_EXTENSION,
+    isDelta,
+    stripDeltaExtension,
+    readPageSize,
+    scanPages,
+    readDeltaHeader,
+    applyDelta,
+    writePageMap,
+    readPageMap,
+    resolveChain
+};
@@ -1,21 +1,163 @@
 declare module 'sqlite-backup-lib' {
+    import { EventEmitter } from 'events';
+
     export interface BackupOptions {
         filename?: string;
         includeTimestamp?: boolean;
         verifyIntegrity?: boolean;
-        method?: 'backup' | 'copy' | 'vacuum';
+        /** 'strict' also records the backup's row counts in the catalog (default: 'full') */
+        verifyLevel?: VerifyLevel;
+        assertions?: VerifyAssertion[];
+        /** 'dump' writes a deterministic SQL script (a .sql file) instead of a database file */
+        method?: 'backup' | 'copy' | 'vacuum' | 'dump';
+        pageSize?: number;
+        autoVacuum?: 'none' | 'full' | 'incremental' | 0 | 1 | 2;
+        compression?: CompressionAlgorithm | boolean;
+        compressionLevel?: number;
+        encryption?: EncryptionOptions | boolean;
+        checksumAlgorithm?: ChecksumAlgorithm;
+        incremental?: boolean;
+        maxChainLength?: number;
+        verifyDestinations?: boolean;
+        /** Pages copied per step of the 'backup' method (default: 100) */
+        pagesPerStep?: number;
+        /** Milliseconds to pause between steps (default: 0) */
+        stepDelay?: number;
+        /** Cap on the copy rate in pages per second (default: unlimited) */
+        maxPagesPerSecond?: number;
+        /** Milliseconds a step retries while a writer locks the database (sqlite3-cli driver, default: 5000) */
+        busyTimeout?: number;
+    }
+
+    export type BackupType = 'full' | 'incremental';
+
+    export type ChecksumAlgorithm = 'sha256' | 'sha512' | 'blake2b512';
+
+    export const CHECKSUM_ALGORITHMS: ChecksumAlgorithm[];
+
+    export interface EncryptionOptions {
+        passphrase?: string;
+        keyFile?: string;
+        key?: Buffer | string;
+    }
+
+    export interface VerifyOptions {
+        encryption?: EncryptionOptions;
+    }
+
+    export interface VerifyBackupOptions extends VerifyOptions {
+        /** Default: 'full' */
+        level?: VerifyLevel;
+        assertions?: VerifyAssertion[];
+        /** Row count per table for strict verification (default: the counts recorded in the catalog) */
+        rowCounts?: Record<string, number>;
+        verifyChecksum?: boolean;
+        expectedChecksum?: string;
+        checksumAlgorithm?: ChecksumAlgorithm;
+    }
+
+    /** quick: quick_check; full: integrity_check; strict: integrity_check, foreign_key_check, row counts and schema; custom: quick_check and assertions */
+    export type VerifyLevel = 'quick' | 'full' | 'strict' | 'custom';
+
+    /** SQL query whose first value must be true (non-zero, non-empty, not NULL) */
+    export type VerifyAssertion = string | { name?: string; sql: string };
+
+    export interface VerificationCheck {
+        /** 'exists', 'checksum', 'decode', 'quick_check', 'integrity_check', 'foreign_key_check', 'row_counts', 'schema' or 'assert: <name>' */
+        name: string;
+        passed: boolean;
+        message: string;
+        /** Set on failure, e.g. ERR_CHECKSUM_MISMATCH, ERR_INTEGRITY_CHECK_FAILED, ERR_FOREIGN_KEY_VIOLATION,
+         *  ERR_ROW_COUNT_MISMATCH, ERR_SCHEMA_INVALID, ERR_ASSERTION_FAILED or ERR_BACKUP_NOT_FOUND */
+        code?: string;
+        /** Row counts without recorded counts to compare against */
+        skipped?: boolean;
+        details?: unknown;
+    }
+
+    export interface VerificationReport {
+        valid: boolean;
+        level: VerifyLevel;
+        backupPath: string;
+        checks: VerificationCheck[];
+        failures: VerificationCheck[];
+        duration: number;
+    }
+
+    export interface ChecksumVerification {
+        match: boolean;
+        algorithm: ChecksumAlgorithm;
+        expected: string;
+        actual: string;
     }
 
+    export interface ValidateOptions extends VerifyOptions {
+        level?: VerifyLevel;
+        assertions?: VerifyAssertion[];
+        driver?: DriverOption;
+    }
+
+    export interface DatabaseConnection {
+        all(sql: string): Promise<Array<Record<string, unknown>>>;
+        exec(sql: string): Promise<void>;
+        backup(targetPath: string, options?: {
+            pagesPerStep?: number;
+            onProgress?: (progress: { pageCount: number; pagesRemaining: number }) => void;
+        }): Promise<void>;
+        close(): Promise<void>;
+    }
+
+    export interface SQLiteDriver {
+        name: string;
+        /** False when SQLite runs in another process (sqlite3-cli); backups are then stepped by the library */
+        inProcess?: boolean;
+        isAvailable?(): boolean;
+        open(databasePath: string, options?: { readonly?: boolean; persistent?: boolean }): DatabaseConnection;
+    }
+
+    export type DriverName = 'auto' | 'better-sqlite3' | 'node:sqlite' | 'sqlite3-cli';
+
+    export type DriverOption = DriverName | SQLiteDriver;
+
+    export type CompressionAlgorithm = 'gzip' | 'brotli';
+
     export interface BackupResult {
         success: boolean;
         backupPath?: string;
         filename?: string;
         size?: number;
         checksum?: string;
+        checksumAlgorithm?: ChecksumAlgorithm;
         duration?: number;
         timestamp?: string;
         method?: string;
+        compression?: CompressionAlgorithm | null;
+        encrypted?: boolean;
+        uncompressedSize?: number;
+        sourceSize?: number;
+        compactedSize?: number;
+        reclaimedBytes?: number;
+        type?: BackupType;
+        chain?: string;
+        parent?: string | null;
+        pageSize?: number;
+        pageCount?: number;
+        changedPages?: number;
+        /** Primary storage first, then every mirror */
+        destinations?: BackupDestination[];
+        replicated?: boolean;
         error?: string;
+        code?: string;
+    }
+
+    export interface BackupDestination {
+        location: string;
+        storage: string;
+        primary: boolean;
+        success: boolean;
+        verified: boolean;
+        error?: string;
+        code?: string;
     }
 
     export interface ListBackupOptions {
@@ -31,57 +173,820 @@ declare module 'sqlite-backup-lib' {
         modified: Date;
         isValid?: boolean;
         checksum?: string;
+        checksumAlgorithm?: ChecksumAlgorithm;
+        method?: string;
+        sourceDatabase?: string;
+        sqliteVersion?: string;
+        compression: CompressionAlgorithm | null;
+        encrypted: boolean;
+        uncompressedSize: number | null;
+        type: BackupType;
+        chain: string | null;
+        parent: string | null;
+        pinned: boolean;
+        pin: BackupPin | null;
+        cataloged: boolean;
+        verifyError?: string;
+    }
+
+    export interface CatalogEntry {
+        filename: string;
+        checksum: string | null;
+        checksumAlgorithm: ChecksumAlgorithm;
+        method: string | null;
+        sourceDatabase: string | null;
+        sourceSize: number | null;
+        sqliteVersion: string | null;
+        compression?: CompressionAlgorithm | null;
+        encrypted?: boolean;
+        size: number;
+        uncompressedSize?: number;
+        createdAt: string;
+        duration: number | null;
+        imported?: boolean;
+        type?: BackupType;
+        chain?: string;
+        parent?: string | null;
+        pageSize?: number;
+        pageCount?: number;
+        changedPages?: number;
+        consolidatedFrom?: string[];
+        walArchive?: WalArchiveReference;
+        pin?: BackupPin;
+        /** Recorded by strict verification */
+        rowCounts?: Record<string, number>;
+        preRestore?: PreRestoreInfo;
+    }
+
+    export interface WalArchiveReference {
+        directory: string;
+        run: string;
+        fromSegment: number;
+        throughSegment: number;
+    }
+
+    export interface RebuildCatalogOptions {
+        pattern?: string;
+        replace?: boolean;
+    }
+
+    export interface RebuildCatalogResult {
+        success: boolean;
+        imported: number;
+        importedFiles?: string[];
+        totalEntries?: number;
+        catalogPath?: string;
+        error?: string;
     }
 
     export interface CleanupOptions {
         retentionDays?: number;
         maxBackups?: number;
+        keepHourly?: number;
+        keepDaily?: number;
+        keepWeekly?: number;
+        keepMonthly?: number;
+        keepYearly?: number;
         pattern?: string;
+        dryRun?: boolean;
+    }
+
+    export interface CleanupPlanItem {
+        filename: string;
+        created: Date;
+        action: 'keep' | 'delete';
+        /** 'pinned', 'chain', 'retentionDays', 'maxBackups' or '<period>:<bucket>' for kept backups */
+        reasons: string[];
+    }
+
+    export interface BackupPin {
+        pinnedAt: string;
+        reason: string | null;
+    }
+
+    export interface PinResult {
+        success: boolean;
+        filename?: string;
+        pinned?: boolean;
+        pin?: BackupPin;
+        wasPinned?: boolean;
+        timestamp?: string;
+        error?: string;
+        code?: string;
+    }
+
+    export interface KeptBackup {
+        filename: string;
+        created: Date;
+        /** Rules that kept the backup: 'pinned', 'retentionDays', 'maxBackups', 'chain' or '<period>:<bucket>' */
+        buckets: string[];
     }
 
     export interface CleanupResult {
         success: boolean;
+        dryRun?: boolean;
+        plan?: CleanupPlanItem[];
         removed: number;
         removedFiles?: string[];
+        kept?: KeptBackup[];
+        keptForChains?: string[];
+        prunedSegments?: number;
+        /** Primary storage first, then every mirror, each with retention applied on its own */
+        destinations?: CleanupDestination[];
         errors?: string[];
         totalFiles?: number;
         remainingFiles?: number;
         error?: string;
     }
 
+    export interface CleanupDestination {
+        location: string;
+        storage: string;
+        primary: boolean;
+        success: boolean;
+        plan: CleanupPlanItem[];
+        removed: number;
+        removedFiles: string[];
+        keptForChains: string[];
+        errors: string[];
+    }
+
+    export interface SyncOptions {
+        pattern?: string;
+        verifyExisting?: boolean;
+        dryRun?: boolean;
+    }
+
+    export interface SyncDestination {
+        location: string;
+        storage: string;
+        primary: false;
+        success: boolean;
+        copied: string[];
+        repaired: string[];
+        errors: string[];
+    }
+
+    export interface SyncResult {
+        success: boolean;
+        dryRun?: boolean;
+        copied?: number;
+        repaired?: number;
+        destinations?: SyncDestination[];
+        totalFiles?: number;
+        timestamp: string;
+        error?: string;
+        code?: string;
+    }
+
     export interface RestoreOptions {
         targetPath?: string;
         verifyBefore?: boolean;
         createBackupBeforeRestore?: boolean;
+        encryption?: EncryptionOptions;
+        expectedChecksum?: string;
+        toTime?: Date | string | number;
+        /** Only restore these tables, copying them into the live database in one transaction */
+        tables?: string[];
+        mode?: TableRestoreMode;
+        /** SQL condition limiting the rows restored, for every table or per table name */
+        where?: string | Record<string, string>;
+        /** Verify and decode the backup, and report what a table restore would change, without changing anything */
+        dryRun?: boolean;
+        /** Called with the preview before a table restore commits; returning false cancels it (ERR_VETOED) */
+        confirm?: (preview: TableRestorePreview) => boolean | Promise<boolean>;
+    }
+
+    /** replace: delete the table's rows and insert the backup's; merge: insert the backup's rows it lacks */
+    export type TableRestoreMode = 'replace' | 'merge';
+
+    export interface TableRestoreResult {
+        name: string;
+        mode: TableRestoreMode;
+        /** Whether the table was missing and recreated from the backup */
+        created: boolean;
+        deleted: number;
+        inserted: number;
+    }
+
+    export interface ForeignKeyViolation {
+        table: string;
+        rowid: number | null;
+        parent: string;
+    }
+
+    export interface TableRestorePreview {
+        tables: TableRestoreResult[];
+        violations: ForeignKeyViolation[];
     }
 
     export interface RestoreResult {
         success: boolean;
         restoredFrom?: string;
         restoredTo?: string;
-        preRestoreBackup?: string;
+        preRestoreBackup?: string | null;
+        /** Sidecars of the old database (-wal, -shm, -journal) that were removed */
+        removedSidecars?: string[];
+        backupInfo?: CatalogEntry | null;
+        recoveredTo?: string;
+        replayedSegments?: number;
+        replayedFrames?: number;
+        /** Set when the restored database failed its check in place: whether the pre-restore backup was put back */
+        rolledBack?: boolean;
+        /** Tables restored (or, for a dry run, that would be) */
+        tables?: TableRestoreResult[];
+        dryRun?: boolean;
+        /** Verification checks the backup passed before a dry run, e.g. ['checksum', 'integrity_check'] */
+        checks?: string[];
+        /** Foreign key violations a dry run found the restore would add */
+        violations?: ForeignKeyViolation[];
         timestamp?: string;
         error?: string;
+        code?: string;
     }
 
-    export interface SQLiteBackupConfig {
+    export interface RollbackOptions {
+        targetPath?: string;
+        encryption?: EncryptionOptions;
+    }
+
+    export interface RollbackResult extends RestoreResult {
+        undoneRestore?: { restoredFrom: string; restoredAt: string };
+    }
+
+    /** Recorded on the backup restore() took of the database it replaced */
+    export interface PreRestoreInfo {
+        targetPath: string;
+        restoredFrom: string;
+        restoredAt: string;
+        /** Taken by rollback(), so not itself a restore to undo */
+        rollback?: boolean;
+        rolledBackAt?: string;
+    }
+
+    export interface DiffOptions {
+        rows?: boolean;
+        tables?: string[];
+        patch?: boolean;
+        encryption?: EncryptionOptions;
+    }
+
+    export interface SchemaChange {
+        type: 'table' | 'index' | 'view' | 'trigger';
+        name: string;
+        table: string;
+        change: 'added' | 'removed' | 'changed';
+        fromSql: string | null;
+        toSql: string | null;
+        columns?: {
+            added: string[];
+            removed: string[];
+            changed: Array<{ name: string; from: ColumnDescription; to: ColumnDescription }>;
+        };
+    }
+
+    export interface ColumnDescription {
+        type: string;
+        notNull: boolean;
+        default: string | null;
+        primaryKey: number;
+    }
+
+    export interface TableRowCount {
+        name: string;
+        fromRows: number | null;
+        toRows: number | null;
+        delta: number;
+    }
+
+    /** Values are SQL literals as returned by quote(), e.g. "'text'", "42", "X'00FF'" or "NULL" */
+    export interface TableRowChanges {
+        table: string;
+        key: string[];
+        skipped?: string;
+        inserted?: Array<Record<string, string>>;
+        updated?: Array<{ key: Record<string, string>; changes: Record<string, { from: string; to: string }> }>;
+        deleted?: Array<Record<string, string>>;
+    }
+
+    export interface DiffResult {
+        success: boolean;
+        from?: string;
+        to?: string;
+        identical?: boolean;
+        schema?: SchemaChange[];
+        tables?: TableRowCount[];
+        rows?: TableRowChanges[] | null;
+        patch?: string | null;
+        timestamp?: string;
+        error?: string;
+        code?: string;
+    }
+
+    export interface InspectedTable {
+        name: string;
+        rows: number | null;
+        size: number | null;
+        indexes: string[];
+    }
+
+    export interface InspectedIndex {
+        name: string;
+        table: string;
+        unique: boolean;
+        size: number | null;
+    }
+
+    export interface InspectResult {
+        success: boolean;
+        backupPath?: string;
+        backupInfo?: CatalogEntry | null;
+        /** SQLite version that last wrote the file; for SQL dumps, the one in the catalog entry (or null) */
+        sqliteVersion?: string | null;
+        pageSize?: number;
+        pageCount?: number;
+        freelistCount?: number;
+        databaseSize?: number;
+        journalMode?: string;
+        userVersion?: number;
+        applicationId?: number;
+        encoding?: string;
+        autoVacuum?: 'none' | 'full' | 'incremental' | null;
+        tables?: InspectedTable[];
+        indexes?: InspectedIndex[];
+        dbstat?: boolean;
+        timestamp?: string;
+        error?: string;
+        code?: string;
+    }
+
+    export interface ExportOptions {
+        /** Directory the files and schema.json are written to (created if missing) */
+        outDirectory: string;
+        format?: 'csv' | 'jsonl';
+        /** Only export these tables (default: all) */
+        tables?: string[];
+        /** Leave these tables out */
+        exclude?: string[];
+        blobEncoding?: 'base64' | 'hex';
+        encryption?: EncryptionOptions;
+    }
+
+    export interface ExportedColumn {
+        name: string;
+        /** Declared type, null when the column has none */
+        type: string | null;
+        notNull: boolean;
+        /** Position in the primary key, 0 when not part of it */
+        primaryKey: number;
+        default: string | null;
+        /** Storage classes the exported values had ('integer', 'real', 'text', 'blob') */
+        storageClasses: string[];
+    }
+
+    export interface ExportedTable {
+        name: string;
+        /** File name within the output directory */
+        file: string;
+        rows: number;
+        columns: ExportedColumn[];
+        primaryKey: string[];
+    }
+
+    export interface ExportResult {
+        success: boolean;
+        backupPath?: string;
+        outDirectory?: string;
+        format?: 'csv' | 'jsonl';
+        blobEncoding?: 'base64' | 'hex';
+        schemaPath?: string;
+        tables?: ExportedTable[];
+        totalRows?: number;
+        timestamp?: string;
+        error?: string;
+        code?: string;
+    }
+
+    export interface ConsolidateOptions {
+        filename?: string;
+        includeTimestamp?: boolean;
+        compression?: CompressionAlgorithm | boolean;
+        compressionLevel?: number;
+        encryption?: EncryptionOptions | boolean;
+        checksumAlgorithm?: ChecksumAlgorithm;
+        removeChain?: boolean;
+    }
+
+    export interface ConsolidateResult {
+        success: boolean;
+        backupPath?: string;
+        filename?: string;
+        size?: number;
+        checksum?: string;
+        checksumAlgorithm?: ChecksumAlgorithm;
+        duration?: number;
+        timestamp?: string;
+        consolidatedFrom?: string[];
+        removedFiles?: string[];
+        error?: string;
+        code?: string;
+    }
+
+    export interface WalArchiverOptions {
+        archiveDirectory?: string;
+        pollInterval?: number;
+        snapshotInterval?: number;
+        snapshotOptions?: BackupOptions;
+    }
+
+    export interface WalArchiverStatus {
+        running: boolean;
+        run: string | null;
+        archiveDirectory: string;
+        segments: number;
+        frames: number;
+        snapshots: number;
+        lastPollAt: string | null;
+        lastError: string | null;
+    }
+
+    export interface WalArchivedEvent {
+        segment: string;
+        frameCount: number;
+        generation: number;
+    }
+
+    export class WalArchiver extends EventEmitter {
+        constructor(backup: SQLiteBackup, options?: WalArchiverOptions);
+
+        readonly archiveDirectory: string;
+
+        start(): Promise<{ run: string; runDirectory: string; snapshot: BackupResult }>;
+
+        poll(): Promise<{ frameCount: number; segment: string | null }>;
+
+        snapshot(): Promise<BackupResult>;
+
+        stop(): Promise<WalArchiverStatus>;
+
+        status(): WalArchiverStatus;
+
+        on(event: 'archived', listener: (event: WalArchivedEvent) => void): this;
+        on(event: 'snapshot', listener: (result: BackupResult) => void): this;
+        on(event: 'error', listener: (error: Error) => void): this;
+    }
+
+    export class CronExpression {
+        constructor(expression: string, options?: { utc?: boolean });
+
+        readonly source: string;
+        readonly utc: boolean;
+
+        next(after?: Date): Date;
+
+        toString(): string;
+    }
+
+    export interface SchedulerClock {
+        now(): number;
+        setTimeout(fn: () => void, delay: number): unknown;
+        clearTimeout(timer: unknown): void;
+    }
+
+    export interface SchedulerOptions {
+        jitter?: number;
+        catchUp?: boolean;
+        lastRun?: Date | (() => Promise<Date | null>);
+        utc?: boolean;
+        clock?: SchedulerClock;
+        random?: () => number;
+    }
+
+    export interface ScheduleOptions extends Omit<SchedulerOptions, 'lastRun'> {
+        backup?: BackupOptions;
+        cleanup?: CleanupOptions | null;
+    }
+
+    export interface ScheduledBackupResult {
+        backup: BackupResult;
+        cleanup: CleanupResult | null;
+    }
+
+    export interface SchedulerStatus {
+        running: boolean;
+        busy: boolean;
+        schedule: string;
+        nextRun: string | null;
+        runs: number;
+        failures: number;
+        skipped: number;
+        missed: number;
+        lastRunAt: string | null;
+        lastError: string | null;
+    }
+
+    export interface ScheduledRunEvent {
+        scheduledFor: Date;
+        startedAt: Date;
+        catchUp: boolean;
+    }
+
+    export interface ManagedDatabaseSettings extends Pick<BackupOptions,
+        'method' | 'compression' | 'compressionLevel' | 'verifyIntegrity' | 'verifyLevel' | 'assertions' | 'incremental' | 'maxChainLength' |
+        'pageSize' | 'autoVacuum' | 'pagesPerStep' | 'stepDelay' | 'maxPagesPerSecond' | 'busyTimeout' | 'verifyDestinations'> {
+        /** May contain {name} (file name without extension) and {dir} (name of the database's directory) */
+        backupDirectory?: string;
+        storage?: StorageAdapter | string;
+        mirrors?: Array<StorageAdapter | string>;
+        driver?: DriverOption;
+        encryption?: EncryptionOptions;
+        checksumAlgorithm?: ChecksumAlgorithm;
+        /** Rules passed to cleanup() after each backup */
+        retention?: Omit<CleanupOptions, 'pattern' | 'dryRun'>;
+    }
+
+    export interface ManagedDatabaseEntry extends ManagedDatabaseSettings {
+        /** Database file; either path or pattern is required */
+        path?: string;
+        /** Glob pattern discovering databases ('*', '?' and '**') */
+        pattern?: string;
+        /** Name used in reports and {name} (path entries only) */
+        name?: string;
+    }
+
+    export interface BackupManagerConfig {
+        databases: ManagedDatabaseEntry[];
+        defaults?: ManagedDatabaseSettings;
+        /** Databases backed up at a time (default: 2) */
+        concurrency?: number;
+    }
+
+    export interface ManagedDatabase {
+        name: string;
+        databasePath: string;
+        settings: {
+            instance: Partial<SQLiteBackupConfig>;
+            backup: BackupOptions;
+            retention: CleanupOptions | null;
+            location: string;
+        };
+    }
+
+    export interface ManagedDatabaseResult {
+        name: string;
         databasePath: string;
+        success: boolean;
+        backup: BackupResult | null;
+        cleanup: CleanupResult | null;
+        error?: string;
+        code?: string;
+        duration: number;
+    }
+
+    export interface BackupManagerRunResult {
+        success: boolean;
+        total: number;
+        succeeded: number;
+        failed: number;
+        databases: ManagedDatabaseResult[];
+        warnings: string[];
+        duration: number;
+        timestamp: string;
+    }
+
+    export class BackupManager extends EventEmitter {
+        constructor(config: BackupManagerConfig, options?: { baseDirectory?: string });
+
+        static fromFile(configPath: string): BackupManager;
+
+        readonly concurrency: number;
+
+        discover(): Promise<{ databases: ManagedDatabase[]; warnings: string[] }>;
+
+        run(options?: { concurrency?: number }): Promise<BackupManagerRunResult>;
+
+        on(event: 'database:start', listener: (event: { name: string; databasePath: string }) => void): this;
+        on(event: 'database:complete', listener: (result: ManagedDatabaseResult) => void): this;
+    }
+
+    export class Scheduler<T = unknown> extends EventEmitter {
+        constructor(
+            expression: string | CronExpression,
+            task: (run: { scheduledFor: Date; catchUp: boolean }) => Promise<T>,
+            options?: SchedulerOptions
+        );
+
+        readonly cron: CronExpression;
+
+        start(): Promise<SchedulerStatus>;
+
+        stop(): Promise<SchedulerStatus>;
+
+        idle(): Promise<SchedulerStatus>;
+
+        status(): SchedulerStatus;
+
+        on(event: 'run', listener: (event: ScheduledRunEvent) => void): this;
+        on(event: 'complete', listener: (event: ScheduledRunEvent & { duration: number; result: T }) => void): this;
+        on(event: 'skipped', listener: (event: { scheduledFor: Date; reason: 'overlap' | 'missed' }) => void): this;
+        on(event: 'missed', listener: (event: { scheduledFor: Date; missed: number }) => void): this;
+        on(event: 'error', listener: (error: Error) => void): this;
+    }
+
+    export interface StoredFile {
+        name: string;
+        size: number;
+        modified: Date;
+        created?: Date;
+    }
+
+    export interface StorageAdapter {
+        readonly name: string;
+        /** True when backups are plain files in a local directory */
+        readonly local: boolean;
+        location(name: string): string;
+        put(name: string, sourcePath: string): Promise<void>;
+        get(name: string, targetPath: string): Promise<void>;
+        list(): Promise<StoredFile[]>;
+        delete(name: string): Promise<void>;
+        stat(name: string): Promise<Omit<StoredFile, 'name'> | null>;
+    }
+
+    export class LocalStorage implements StorageAdapter {
+        constructor(directory: string);
+
+        readonly name: 'local';
+        readonly local: true;
+        readonly directory: string;
+        location(name: string): string;
+        put(name: string, sourcePath: string): Promise<void>;
+        get(name: string, targetPath: string): Promise<void>;
+        list(): Promise<StoredFile[]>;
+        delete(name: string): Promise<void>;
+        stat(name: string): Promise<Omit<StoredFile, 'name'> | null>;
+    }
+
+    export interface S3StorageOptions {
+        bucket: string;
+        prefix?: string;
+        region?: string;
+        endpoint?: string;
+        forcePathStyle?: boolean;
+        accessKeyId?: string;
+        secretAccessKey?: string;
+        sessionToken?: string;
+        timeout?: number;
+    }
+
+    export class S3Storage implements StorageAdapter {
+        constructor(options: S3StorageOptions);
+
+        static fromUrl(url: string, options?: Omit<S3StorageOptions, 'bucket' | 'prefix'>): S3Storage;
+
+        readonly name: 's3';
+        readonly local: false;
+        readonly bucket: string;
+        readonly prefix: string;
+        readonly region: string;
+        location(name: string): string;
+        put(name: string, sourcePath: string): Promise<void>;
+        get(name: string, targetPath: string): Promise<void>;
+        list(): Promise<StoredFile[]>;
+        delete(name: string): Promise<void>;
+        stat(name: string): Promise<Omit<StoredFile, 'name'> | null>;
+    }
+
+    export interface SQLiteBackupConfig {
+        databasePath?: string;
+        database?: unknown;
+        driver?: DriverOption;
+        checksumAlgorithm?: ChecksumAlgorithm;
         backupDirectory?: string;
         createBackupDir?: boolean;
+        encryption?: EncryptionOptions;
+        storage?: StorageAdapter | string;
+        /** Directories, 's3://bucket/prefix' URLs or storage adapters */
+        mirrors?: Array<StorageAdapter | string>;
+        hooks?: BackupHooks;
+    }
+
+    export interface BackupContext {
+        databasePath: string;
+        filename: string;
+        backupPath: string;
+        method: string;
+        type: BackupType;
+        compression: CompressionAlgorithm | null;
+        encrypted: boolean;
+    }
+
+    export interface RestoreContext {
+        backupPath: string;
+        targetPath: string;
+        toTime: string | null;
+        tables: string[] | null;
+        backupInfo: CatalogEntry | null;
+    }
+
+    /** Returning false or throwing vetoes the operation (ERR_VETOED) */
+    export type HookResult = boolean | void | Promise<boolean | void>;
+
+    export interface BackupHooks {
+        beforeBackup?: (context: BackupContext) => HookResult;
+        /** A vetoed backup is deleted from storage, mirrors and catalog again */
+        afterBackup?: (result: BackupResult) => HookResult;
+        beforeRestore?: (context: RestoreContext) => HookResult;
+    }
+
+    export interface BackupProgressEvent {
+        filename: string;
+        stage: 'snapshot' | 'verify' | 'encode' | 'store' | 'replicate';
+        destination?: string;
+        /** Reported after each step of a 'backup' method snapshot */
+        pageCount?: number;
+        pagesRemaining?: number;
+    }
+
+    export class BackupError extends Error {
+        constructor(message: string, code: string);
+
+        code: string;
+    }
+
+    export class BackupCatalog {
+        constructor(directory: string);
+
+        readonly directory: string;
+        readonly path: string;
+
+        entries(): CatalogEntry[];
+
+        get(filename: string): CatalogEntry | null;
+
+        add(entry: CatalogEntry): CatalogEntry;
+
+        update(filename: string, changes: Partial<CatalogEntry>): CatalogEntry | null;
+
+        remove(filenames: string[]): number;
+
+        save(entries: CatalogEntry[]): void;
     }
 
-    export class SQLiteBackup {
+    export class SQLiteBackup extends EventEmitter {
         constructor(options: SQLiteBackupConfig);
 
+        on(event: 'backup:start', listener: (context: BackupContext) => void): this;
+        on(event: 'backup:progress', listener: (event: BackupProgressEvent) => void): this;
+        on(event: 'backup:verified', listener: (event: { filename: string; backupPath: string; report: VerificationReport }) => void): this;
+        on(event: 'backup:complete', listener: (result: BackupResult) => void): this;
+        on(event: 'backup:failed', listener: (event: { filename: string | null; error: Error; result: BackupResult }) => void): this;
+        on(event: 'cleanup:removed', listener: (event: { filename: string; location: string; primary: boolean }) => void): this;
+        on(event: 'restore:start', listener: (context: RestoreContext) => void): this;
+        on(event: 'restore:complete', listener: (result: RestoreResult) => void): this;
+        on(event: 'restore:failed', listener: (event: { backupPath: string | null; error: Error; result: RestoreResult }) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+        readonly catalog: BackupCatalog;
+
+        readonly storage: StorageAdapter;
+
+        readonly mirrors: StorageAdapter[];
+
+        readonly driver: SQLiteDriver;
+
+        readonly checksumAlgorithm: ChecksumAlgorithm;
+
         createBackup(options?: BackupOptions): Promise<BackupResult>;
         
         listBackups(options?: ListBackupOptions): Promise<BackupInfo[]>;
         
         cleanup(options: CleanupOptions): Promise<CleanupResult>;
         
-        restore(backupPath: string, options?: RestoreOptions): Promise<RestoreResult>;
+        restore(backupPath: string | null, options?: RestoreOptions): Promise<RestoreResult>;
+
+        rollback(options?: RollbackOptions): Promise<RollbackResult>;
+
+        diff(fromPath: string, toPath?: string | null, options?: DiffOptions): Promise<DiffResult>;
+
+        inspect(backupPath?: string | null, options?: { encryption?: EncryptionOptions }): Promise<InspectResult>;
+
+        export(backupPath: string | null, options: ExportOptions): Promise<ExportResult>;
+
+        createWalArchiver(options?: WalArchiverOptions): WalArchiver;
+
+        schedule(cronExpression: string, options?: ScheduleOptions): Promise<Scheduler<ScheduledBackupResult>>;
         
-        verifyBackup(backupPath: string): Promise<boolean>;
+        verifyBackup(backupPath: string, options?: VerifyBackupOptions): Promise<VerificationReport>;
+
+        consolidate(backupPath?: string | null, options?: ConsolidateOptions): Promise<ConsolidateResult>;
+
+        rebuildCatalog(options?: RebuildCatalogOptions): Promise<RebuildCatalogResult>;
+
+        pin(backupPath: string, options?: { reason?: string }): Promise<PinResult>;
+
+        unpin(backupPath: string): Promise<PinResult>;
+
+        sync(options?: SyncOptions): Promise<SyncResult>;
     }
 
     export class BackupUtils {
@@ -89,6 +994,33 @@ declare module 'sqlite-backup-lib' {
         
         static formatDuration(milliseconds: number): string;
         
-        static validateDatabase(databasePath: string): Promise<boolean>;
+        static calculateChecksum(filePath: string, algorithm?: ChecksumAlgorithm): Promise<string>;
+
+        static verifyChecksum(filePath: string, expectedChecksum: string, algorithm?: ChecksumAlgorithm): Promise<ChecksumVerification>;
+
+        static findCatalogChecksum(backupPath: string): { checksum: string; algorithm: ChecksumAlgorithm } | null;
+
+        static validateDatabase(databasePath: string, options?: ValidateOptions): Promise<boolean>;
+    }
+
+    export class CliDriver implements SQLiteDriver {
+        constructor(options?: { binary?: string });
+        name: string;
+        isAvailable(): boolean;
+        open(databasePath: string, options?: { readonly?: boolean }): DatabaseConnection;
+    }
+
+    export class NodeSqliteDriver implements SQLiteDriver {
+        name: string;
+        isAvailable(): boolean;
+        open(databasePath: string, options?: { readonly?: boolean }): DatabaseConnection;
+        wrap(database: unknown): DatabaseConnection;
+    }
+
+    export class BetterSqlite3Driver implements SQLiteDriver {
+        name: string;
+        isAvailable(): boolean;
+        open(databasePath: string, options?: { readonly?: boolean }): DatabaseConnection;
+        wrap(database: unknown): DatabaseConnection;
     }
 }
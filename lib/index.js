@@ -1,42 +1,159 @@
 const path = require('path');
 const fs = require('fs');
-const { spawn, exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const { EventEmitter } = require('events');
+const { BackupError } = require('./errors');
+const { BackupCatalog, CATALOG_FILENAME } = require('./catalog');
+const {
+    CHECKSUM_ALGORITHMS,
+    resolveChecksumAlgorithm,
+    calculateChecksum,
+    parseChecksum,
+    verifyChecksum
+} = require('./checksum');
+const {
+    COMPRESSION_EXTENSIONS,
+    resolveCompression,
+    detectCompression,
+    stripCompressionExtension,
+    compressFile,
+    decompressFile,
+    createTempDirectory
+} = require('./compression');
+const {
+    ENCRYPTION_EXTENSION,
+    resolveEncryption,
+    isEncrypted,
+    stripEncryptionExtension,
+    encryptFile,
+    decryptFile
+} = require('./encryption');
+const {
+    DELTA_EXTENSION,
+    PAGEMAP_EXTENSION,
+    isDelta,
+    stripDeltaExtension,
+    readPageSize,
+    scanPages,
+    readDeltaHeader,
+    applyDelta,
+    writePageMap,
+    readPageMap,
+    resolveChain
+} = require('./incremental');
+const { selectSegments, applySegments, listSegments } = require('./wal');
+const { steppedBackup, pacedBackup, resolveStepOptions } = require('./online-backup');
+const { diffDatabases } = require('./diff');
+const { inspectDatabase } = require('./inspect');
+const { resolveVerifyLevel, resolveAssertions, runChecks, countTableRows } = require('./verify');
+const { temporaryRestorePath, assertNotInUse, replaceDatabase, removeSidecars } = require('./restore');
+const { restoreTables } = require('./table-restore');
+const { DUMP_EXTENSION, isDump, writeDump, loadDump } = require('./dump');
+const { exportDatabase } = require('./export');
+const { hasRetentionRule, applyRetention } = require('./retention');
+const { WalArchiver, defaultArchiveDirectory } = require('./wal-archiver');
+const { resolveStorage, resolveMirror, LocalStorage, S3Storage } = require('./storage');
+const { CronExpression } = require('./cron');
+const { Scheduler } = require('./scheduler');
+const { BackupManager } = require('./manager');
+const {
+    resolveDriver,
+    wrapHandle,
+    checkIntegrity,
+    CliDriver,
+    NodeSqliteDriver,
+    BetterSqlite3Driver
+} = require('./drivers');
+
+const HOOKS = ['beforeBackup', 'afterBackup', 'beforeRestore'];
 
 /**
  * SQLite Backup Library
  * 
  * A standalone library for creating, managing, and verifying SQLite database backups.
  */
-class SQLiteBackup {
+class SQLiteBackup extends EventEmitter {
     /**
      * Create a new SQLiteBackup instance
      * @param {Object} options - Configuration options
      * @param {string} options.databasePath - Path to the SQLite database file
      * @param {string} options.backupDirectory - Directory to store backups (default: same directory as database)
      * @param {boolean} options.createBackupDir - Create backup directory if it doesn't exist (default: true)
+     * @param {Object} options.encryption - Default encryption for new backups and key for reading encrypted ones:
+     *   { passphrase } or { keyFile } (default: none)
+     * @param {string|Object} options.driver - SQLite driver: 'auto', 'better-sqlite3', 'node:sqlite', 'sqlite3-cli'
+     *   or a driver instance (default: 'auto', the first one available on this host)
+     * @param {Object} options.database - Already-open better-sqlite3 or node:sqlite handle to back up through
+     *   (databasePath defaults to the handle's file)
+     * @param {string} options.checksumAlgorithm - Checksum algorithm: 'sha256', 'sha512', 'blake2b512' (default: 'sha256')
+     * @param {string|Object} options.storage - Where backups are kept: a storage adapter or an 's3://bucket/prefix'
+     *   URL (default: backupDirectory). With remote storage, backupDirectory is the local working directory
+     *   for staging files and caching the catalog
+     * @param {Array<string|Object>} options.mirrors - Further destinations every backup is copied to:
+     *   directories, 's3://bucket/prefix' URLs or storage adapters (default: none). Each mirror keeps
+     *   its own catalog, so it can be restored from on its own
+     * @param {Object} options.hooks - Async functions that can veto an operation by returning false or
+     *   throwing: beforeBackup(context), afterBackup(result) (the stored backup is then deleted again)
+     *   and beforeRestore(context) (default: none)
+     *
+     * Events: 'backup:start' (context), 'backup:progress' ({ filename, stage }, with pageCount and
+     * pagesRemaining after each step of a 'backup' method snapshot), 'backup:verified'
+     * ({ filename, backupPath }), 'backup:complete' (result), 'backup:failed' ({ filename, error, result }),
+     * 'cleanup:removed' ({ filename, location, primary }), 'restore:start' (context),
+     * 'restore:complete' (result), 'restore:failed' ({ backupPath, error, result })
      */
     constructor(options = {}) {
-        if (!options.databasePath) {
+        super();
+        let databasePath = options.databasePath;
+
+        if (options.database) {
+            const { driver, connection, filename } = wrapHandle(options.database);
+            this.driver = driver;
+            this.sourceConnection = connection;
+            databasePath = databasePath || filename;
+        } else {
+            this.driver = resolveDriver(options.driver);
+            this.sourceConnection = null;
+        }
+
+        if (!databasePath) {
             throw new Error('Database path is required');
         }
 
-        this.databasePath = path.resolve(options.databasePath);
+        this.databasePath = path.resolve(databasePath);
         this.backupDirectory = options.backupDirectory ?
             path.resolve(options.backupDirectory) :
             path.join(path.dirname(this.databasePath), 'backups');
+        this.storage = resolveStorage(options.storage, this.backupDirectory);
+        if (this.storage instanceof LocalStorage) {
+            this.backupDirectory = this.storage.directory;
+        }
+        this.mirrors = (options.mirrors || []).map(resolveMirror);
+        for (const mirror of this.mirrors) {
+            if (mirror.local && path.resolve(mirror.directory) === this.backupDirectory) {
+                throw new Error(`Mirror ${mirror.directory} is the backup directory itself`);
+            }
+        }
+        this.hooks = options.hooks || {};
+        for (const [name, hook] of Object.entries(this.hooks)) {
+            if (!HOOKS.includes(name) || typeof hook !== 'function') {
+                throw new Error(`Unknown hook ${name}: expected ${HOOKS.join(', ')} functions`);
+            }
+        }
         this.createBackupDir = options.createBackupDir !== false;
+        this.encryption = options.encryption || null;
+        this.checksumAlgorithm = resolveChecksumAlgorithm(options.checksumAlgorithm);
 
         // Validate database file exists
         if (!fs.existsSync(this.databasePath)) {
-            throw new Error(`Database file not found: ${this.databasePath}`);
+            throw new BackupError(`Database file not found: ${this.databasePath}`, 'ERR_DATABASE_NOT_FOUND');
         }
 
         // Create backup directory if needed
         if (this.createBackupDir && !fs.existsSync(this.backupDirectory)) {
             fs.mkdirSync(this.backupDirectory, { recursive: true });
         }
+
+        this.catalog = new BackupCatalog(this.backupDirectory);
     }
 
     /**
@@ -45,39 +162,187 @@ class SQLiteBackup {
      * @param {string} options.filename - Custom filename for backup (default: auto-generated)
      * @param {boolean} options.includeTimestamp - Include timestamp in filename (default: true)
      * @param {boolean} options.verifyIntegrity - Verify backup integrity (default: true)
-     * @param {string} options.method - Backup method: 'backup', 'copy', 'vacuum' (default: 'backup')
-     * @returns {Promise<Object>} Backup result object
+     * @param {string} options.verifyLevel - Verification level of the new backup: 'quick', 'full', 'strict' or
+     *   'custom' (default: 'full'). 'strict' also compares its row counts with the source's, for tables that
+     *   didn't change while the backup ran, and records them in the catalog for later verification
+     * @param {Array<string|Object>} options.assertions - SQL assertions the new backup must pass (see verifyBackup)
+     * @param {string} options.method - Backup method: 'backup', 'copy', 'vacuum', or 'dump' for a
+     *   deterministic SQL script (a '.sql' file) instead of a database file (default: 'backup')
+     * @param {number} options.pagesPerStep - Pages the 'backup' method copies per step; writers only wait
+     *   for one step at a time (default: 100)
+     * @param {number} options.stepDelay - Milliseconds the 'backup' method pauses between steps (default: 0)
+     * @param {number} options.maxPagesPerSecond - Cap the 'backup' method's copy rate, to limit its I/O
+     *   on busy hosts (default: unlimited)
+     * @param {number} options.busyTimeout - Milliseconds the 'backup' method retries a step while a writer
+     *   locks the database (default: 5000)
+     * @param {number} options.pageSize - Page size of the compacted backup ('vacuum' method only)
+     * @param {string} options.autoVacuum - auto_vacuum mode of the compacted backup: 'none', 'full',
+     *   'incremental' ('vacuum' method only)
+     * @param {string|boolean} options.compression - Compress the backup: 'gzip', 'brotli' or true for gzip (default: none)
+     * @param {number} options.compressionLevel - Compression level (default: zlib default for the algorithm)
+     * @param {Object|boolean} options.encryption - Encrypt the backup with AES-256-GCM: { passphrase } or { keyFile },
+     *   true to use the SQLITE_BACKUP_PASSPHRASE environment variable, false to disable (default: instance encryption)
+     * @param {string} options.checksumAlgorithm - Checksum algorithm (default: instance checksumAlgorithm)
+     * @param {boolean} options.incremental - Store only the pages changed since the previous backup of the
+     *   incremental chain, starting a new chain with a full backup when there is none (default: false)
+     * @param {number} options.maxChainLength - Start a new chain once the current one holds this many
+     *   backups (incremental only, default: unlimited)
+     * @param {boolean} options.verifyDestinations - Compare the copy at every remote storage and mirror
+     *   against the backup's checksum, removing copies that don't match (default: true)
+     * @returns {Promise<Object>} Backup result object. destinations reports every place the backup was
+     *   written to, primary storage first; a mirror that fails doesn't fail the backup, but
+     *   replicated is then false
      */
     async createBackup(options = {}) {
         const {
             filename,
             includeTimestamp = true,
             verifyIntegrity = true,
-            method = 'backup'
+            verifyLevel = 'full',
+            assertions,
+            method = 'backup',
+            compression,
+            compressionLevel,
+            encryption = this.encryption,
+            pageSize,
+            autoVacuum,
+            checksumAlgorithm = this.checksumAlgorithm,
+            incremental = false,
+            maxChainLength,
+            verifyDestinations = true,
+            pagesPerStep,
+            stepDelay,
+            maxPagesPerSecond,
+            busyTimeout
         } = options;
 
+        let backupFileName = null;
+
         try {
+            if (incremental) this._requireLocalStorage('Incremental backups');
+            if (incremental && method === 'dump') {
+                throw new Error(`Incremental backups need a database file, not the 'dump' backup method`);
+            }
+            if (verifyIntegrity) {
+                resolveVerifyLevel(verifyLevel);
+                resolveAssertions(assertions);
+            }
+            await this._pullCatalog();
+
             const startTime = Date.now();
+            const sourceSize = fs.statSync(this.databasePath).size;
+            const compressionAlgorithm = resolveCompression(compression);
+            const encryptionKey = resolveEncryption(encryption);
+
+            // Continue the current chain when its page map still describes the latest backup
+            const chainHead = incremental ?
+                this._findChainHead(pageSize || readPageSize(this.databasePath), maxChainLength) : null;
 
             // Generate backup filename
-            const backupFileName = this._generateBackupFilename(filename, includeTimestamp);
+            backupFileName = this._generateBackupFilename(
+                filename, includeTimestamp, compressionAlgorithm, Boolean(encryptionKey), Boolean(chainHead), method === 'dump'
+            );
             const backupPath = path.join(this.backupDirectory, backupFileName);
+            const encoded = Boolean(compressionAlgorithm || encryptionKey);
+
+            const context = {
+                databasePath: this.databasePath,
+                filename: backupFileName,
+                backupPath: this.storage.location(backupFileName),
+                method,
+                type: chainHead ? 'incremental' : 'full',
+                compression: compressionAlgorithm,
+                encrypted: Boolean(encryptionKey)
+            };
+            this.emit('backup:start', context);
+            await this._runHook('beforeBackup', context);
+
+            // Encoded and incremental backups are taken to a partial file first and converted from there;
+            // a partial dump keeps its extension to be verified as one. Dumps are compressed as they are
+            // written, so only encryption is left to do afterwards
+            const streamed = method === 'dump' && Boolean(compressionAlgorithm);
+            const rawPath = streamed ?
+                (encryptionKey ? `${backupPath}.partial${DUMP_EXTENSION}${COMPRESSION_EXTENSIONS[compressionAlgorithm]}` : backupPath) :
+                encoded || chainHead ? `${backupPath}.partial${method === 'dump' ? DUMP_EXTENSION : ''}` : backupPath;
+
+            // Tables whose count is the same before and after the snapshot must have that count in it
+            const strict = verifyIntegrity && verifyLevel === 'strict';
+            const countsBefore = strict ? await countTableRows(this.driver, this.databasePath) : null;
 
             // Create backup based on method
-            await this._performBackup(method, backupPath);
+            this.emit('backup:progress', { filename: backupFileName, stage: 'snapshot' });
+            const snapshot = await this._performBackup(method, rawPath, {
+                compression: streamed ? compressionAlgorithm : null,
+                compressionLevel,
+                pageSize,
+                autoVacuum,
+                pagesPerStep,
+                stepDelay,
+                maxPagesPerSecond,
+                busyTimeout,
+                onProgress: progress => this.emit('backup:progress', { filename: backupFileName, stage: 'snapshot', ...progress })
+            });
 
             // Verify backup integrity if requested
+            let rowCounts = null;
             if (verifyIntegrity) {
-                const isValid = await this.verifyBackup(backupPath);
-                if (!isValid) {
-                    fs.unlinkSync(backupPath);
-                    throw new Error('Backup failed integrity check');
+                this.emit('backup:progress', { filename: backupFileName, stage: 'verify' });
+                let expectedRowCounts;
+                if (strict) {
+                    const countsAfter = await countTableRows(this.driver, this.databasePath);
+                    expectedRowCounts = {};
+                    Object.keys(countsBefore)
+                        .filter(table => countsBefore[table] === countsAfter[table])
+                        .forEach(table => { expectedRowCounts[table] = countsBefore[table]; });
+                }
+
+                const report = await this.verifyBackup(rawPath, {
+                    verifyChecksum: false, level: verifyLevel, assertions, rowCounts: expectedRowCounts
+                });
+                if (!report.valid) {
+                    fs.unlinkSync(rawPath);
+                    const [failure] = report.failures;
+                    throw new BackupError(`Backup failed verification (${failure.name}): ${failure.message}`, failure.code);
                 }
+                if (strict) {
+                    rowCounts = report.checks.find(check => check.name === 'row_counts').details.counts;
+                }
+                this.emit('backup:verified', { filename: backupFileName, backupPath: rawPath, report });
+            }
+
+            // A dump has no database header; like a snapshot's, the version is that of the source's last writer
+            const sqliteVersion = this._readSqliteVersion(method === 'dump' ? this.databasePath : rawPath);
+            const snapshotSize = fs.statSync(rawPath).size;
+            let payloadPath = rawPath;
+            let pages = null;
+
+            if (chainHead) {
+                payloadPath = encoded ? `${backupPath}.partial.delta` : backupPath;
+                try {
+                    pages = await scanPages(rawPath, {
+                        previous: chainHead.pageMap,
+                        deltaPath: payloadPath,
+                        header: { parent: chainHead.entry.filename, chain: chainHead.entry.chain }
+                    });
+                } catch (error) {
+                    fs.rmSync(payloadPath, { force: true });
+                    throw error;
+                } finally {
+                    fs.unlinkSync(rawPath);
+                }
+            } else if (incremental) {
+                pages = await scanPages(rawPath);
+            }
+
+            const uncompressedSize = streamed ? snapshot.size : fs.statSync(payloadPath).size;
+            if (encoded) {
+                this.emit('backup:progress', { filename: backupFileName, stage: 'encode' });
             }
+            await this._encodeBackupFile(payloadPath, backupPath, streamed ? null : compressionAlgorithm, compressionLevel, encryptionKey);
 
             // Get backup file stats
             const stats = fs.statSync(backupPath);
-            const checksum = await this._calculateChecksum(backupPath);
+            const checksum = await this._calculateChecksum(backupPath, checksumAlgorithm);
             const duration = Date.now() - startTime;
 
             const result = {
@@ -86,90 +351,315 @@ class SQLiteBackup {
                 filename: backupFileName,
                 size: stats.size,
                 checksum,
+                checksumAlgorithm,
                 duration,
                 timestamp: new Date().toISOString(),
-                method
+                method,
+                compression: compressionAlgorithm,
+                encrypted: Boolean(encryptionKey),
+                uncompressedSize,
+                sourceSize,
+                type: chainHead ? 'incremental' : 'full'
+            };
+
+            if (method === 'vacuum') {
+                result.compactedSize = snapshotSize;
+                result.reclaimedBytes = sourceSize - snapshotSize;
+            }
+
+            const chainInfo = {};
+            if (pages) {
+                chainInfo.chain = chainHead ? chainHead.entry.chain : backupFileName;
+                chainInfo.parent = chainHead ? chainHead.entry.filename : null;
+                chainInfo.pageSize = pages.pageSize;
+                chainInfo.pageCount = pages.pageCount;
+                chainInfo.changedPages = chainHead ? pages.changedPages : pages.pageCount;
+                Object.assign(result, chainInfo);
+            }
+
+            const entry = {
+                filename: backupFileName,
+                checksum,
+                checksumAlgorithm,
+                method,
+                sourceDatabase: this.databasePath,
+                sourceSize,
+                sqliteVersion,
+                compression: compressionAlgorithm,
+                encrypted: Boolean(encryptionKey),
+                size: stats.size,
+                uncompressedSize,
+                createdAt: result.timestamp,
+                duration,
+                type: result.type,
+                ...chainInfo
             };
+            if (rowCounts) {
+                entry.rowCounts = rowCounts;
+            }
+
+            try {
+                if (!this.storage.local) {
+                    this.emit('backup:progress', { filename: backupFileName, stage: 'store' });
+                    await this._replicate(this.storage, backupFileName, backupPath, entry, verifyDestinations);
+                    result.backupPath = this.storage.location(backupFileName);
+                }
+
+                result.destinations = [{
+                    location: result.backupPath,
+                    storage: this.storage.name,
+                    primary: true,
+                    success: true,
+                    verified: this.storage.local || verifyDestinations
+                }];
+
+                // A mirror that fails is reported, not fatal: sync() repairs it later
+                for (const mirror of this.mirrors) {
+                    const destination = { location: mirror.location(backupFileName), storage: mirror.name, primary: false };
+                    this.emit('backup:progress', { filename: backupFileName, stage: 'replicate', destination: destination.location });
+                    try {
+                        destination.verified = await this._replicate(mirror, backupFileName, backupPath, entry, verifyDestinations);
+                        await this._withMirrorCatalog(mirror, catalog => catalog.add(entry));
+                        destination.success = true;
+                    } catch (error) {
+                        Object.assign(destination, { success: false, verified: false, error: error.message, code: error.code });
+                    }
+                    result.destinations.push(destination);
+                }
+                result.replicated = result.destinations.every(destination => destination.success);
+            } finally {
+                if (!this.storage.local) {
+                    fs.rmSync(backupPath, { force: true });
+                }
+            }
+
+            // Record the backup in the catalog so its metadata outlives this result
+            this.catalog.add(entry);
+            await this._pushCatalog();
+
+            try {
+                await this._runHook('afterBackup', result);
+            } catch (error) {
+                await this._discardBackup(backupFileName, result.destinations);
+                throw error;
+            }
+
+            // Updated last: a page map whose head isn't the newest cataloged backup starts a new chain
+            if (pages) {
+                writePageMap(this._pageMapPath(chainInfo.chain), { head: backupFileName, ...pages });
+            }
 
+            this.emit('backup:complete', result);
             return result;
 
         } catch (error) {
-            return {
+            const result = {
                 success: false,
                 error: error.message,
+                code: error.code,
                 timestamp: new Date().toISOString()
             };
+            this.emit('backup:failed', { filename: backupFileName, error, result });
+            return result;
         }
     }
 
     /**
-     * Verify the integrity of a backup file
-     * @param {string} backupPath - Path to the backup file
-     * @returns {Promise<boolean>} True if backup is valid
+     * Verify a backup file
+     * @param {string} backupPath - Path to the backup file (compressed and encrypted backups are decoded to a temp file,
+     *   incremental backups are reassembled from their chain, SQL dumps are replayed into a new database)
+     * @param {Object} options - Verify options
+     * @param {string} options.level - Checks to run: 'quick' (quick_check), 'full' (integrity_check), 'strict'
+     *   (integrity_check, foreign_key_check, row counts and schema sanity) or 'custom' (quick_check and
+     *   assertions) (default: 'full')
+     * @param {Array<string|Object>} options.assertions - SQL queries, or { name, sql }, whose first value must
+     *   be true, e.g. 'SELECT count(*) > 0 FROM users' (any level)
+     * @param {Object} options.rowCounts - Row count per table to compare against in strict verification
+     *   (default: the counts the catalog recorded when the backup was taken)
+     * @param {Object} options.encryption - Key for encrypted backups (default: instance encryption)
+     * @param {boolean} options.verifyChecksum - Compare the file against its recorded checksum (default: true)
+     * @param {string} options.expectedChecksum - Checksum to compare against instead of the catalog entry
+     *   ('hex' or 'algorithm:hex')
+     * @param {string} options.checksumAlgorithm - Algorithm of expectedChecksum when it doesn't name one
+     * @returns {Promise<Object>} Verification report { valid, level, backupPath, checks, failures, duration }.
+     *   Each check is { name, passed, message, code, details }; failures lists the checks that failed,
+     *   with a stable code such as ERR_CHECKSUM_MISMATCH or ERR_INTEGRITY_CHECK_FAILED
+     * @throws {BackupError} When an encrypted backup can't be decrypted (missing or wrong key) or an
+     *   incremental backup's chain is broken
      */
-    async verifyBackup(backupPath) {
-        try {
-            // Check if file exists first
-            if (!fs.existsSync(backupPath)) {
-                return false;
+    async verifyBackup(backupPath, options = {}) {
+        const {
+            level = 'full',
+            assertions,
+            rowCounts,
+            encryption = this.encryption,
+            verifyChecksum: shouldVerifyChecksum = true,
+            expectedChecksum,
+            checksumAlgorithm
+        } = options;
+
+        resolveVerifyLevel(level);
+        resolveAssertions(assertions);
+        const startTime = Date.now();
+        const report = checks => {
+            const failures = checks.filter(check => !check.passed);
+            return { valid: failures.length === 0, level, backupPath, checks, failures, duration: Date.now() - startTime };
+        };
+        const notFound = () => report([{
+            name: 'exists', passed: false, message: `Backup file not found: ${backupPath}`, code: 'ERR_BACKUP_NOT_FOUND'
+        }]);
+
+        if (!this.storage.local && !fs.existsSync(backupPath)) {
+            try {
+                await this._pullCatalog();
+                const result = await this._withLocalCopy(backupPath, localPath => this.verifyBackup(localPath, options));
+                return { ...result, backupPath };
+            } catch (error) {
+                if (error.code === 'ERR_STORAGE_NOT_FOUND') return notFound();
+                throw error;
+            }
+        }
+
+        if (!fs.existsSync(backupPath)) {
+            return notFound();
+        }
+
+        const checks = [];
+
+        // A valid-but-wrong file passes integrity_check, so compare checksums first
+        const expected = shouldVerifyChecksum ?
+            this._findExpectedChecksum(backupPath, expectedChecksum, checksumAlgorithm) : null;
+        if (expected) {
+            const result = await verifyChecksum(backupPath, expected.checksum, expected.algorithm);
+            const details = { algorithm: result.algorithm, expected: result.expected, actual: result.actual };
+            if (!result.match) {
+                // The file isn't the backup that was taken, so there's nothing to learn from its content
+                return report([{
+                    name: 'checksum',
+                    passed: false,
+                    message: `Backup checksum mismatch: expected ${result.algorithm} ${result.expected}, got ${result.actual}`,
+                    code: 'ERR_CHECKSUM_MISMATCH',
+                    details
+                }]);
             }
+            checks.push({ name: 'checksum', passed: true, message: `Checksum matches (${result.algorithm})`, details });
+        }
+
+        // Strict verification compares against the row counts recorded when the backup was taken
+        let expectedRowCounts = rowCounts;
+        if (!expectedRowCounts && level === 'strict') {
+            const resolvedPath = path.resolve(backupPath);
+            const entry = new BackupCatalog(path.dirname(resolvedPath)).get(path.basename(resolvedPath));
+            expectedRowCounts = entry && entry.rowCounts ? entry.rowCounts : null;
+        }
 
-            const command = `sqlite3 "${backupPath}" "PRAGMA integrity_check;"`;
-            const { stdout } = await execAsync(command);
-            return stdout.trim() === 'ok';
+        try {
+            checks.push(...await withPlainDatabase(backupPath, encryption, this.driver, plainPath =>
+                runChecks(this.driver, plainPath, { level, assertions, rowCounts: expectedRowCounts })));
         } catch (error) {
-            return false;
+            // Key and chain problems are reported as such rather than as a corrupt backup
+            if (error instanceof BackupError) {
+                throw error;
+            }
+            checks.push({
+                name: 'decode', passed: false, message: `Backup could not be read: ${error.message}`, code: 'ERR_INTEGRITY_CHECK_FAILED'
+            });
         }
+
+        return report(checks);
     }
 
     /**
-     * Clean up old backup files based on retention policy
+     * Clean up old backup files based on retention policy. Rules can be combined: a backup is
+     * kept when any of them keeps it. Backups are dated by when they were taken, as cataloged; the
+     * time the file was written only dates backups missing from the catalog
      * @param {Object} options - Cleanup options
      * @param {number} options.retentionDays - Number of days to keep backups
-     * @param {number} options.maxBackups - Maximum number of backups to keep (alternative to retentionDays)
+     * @param {number} options.maxBackups - Maximum number of most recent backups to keep
+     * @param {number} options.keepHourly - Keep the newest backup of each of the last N hours with backups
+     * @param {number} options.keepDaily - Keep the newest backup of each of the last N days with backups
+     * @param {number} options.keepWeekly - Keep the newest backup of each of the last N ISO weeks with backups
+     * @param {number} options.keepMonthly - Keep the newest backup of each of the last N months with backups
+     * @param {number} options.keepYearly - Keep the newest backup of each of the last N years with backups
      * @param {string} options.pattern - File pattern to match (default: '*.db')
-     * @returns {Promise<Object>} Cleanup result object
+     * @param {boolean} options.dryRun - Only report what would be removed (default: false)
+     * @returns {Promise<Object>} Cleanup result object. plan lists every backup with its action
+     *   ('keep' or 'delete') and the reasons for it: 'pinned', 'chain', 'retentionDays', 'maxBackups'
+     *   or a bucket such as 'daily:2024-05-01' (UTC). Pinned backups and backups that remaining
+     *   incremental backups build on are never removed; the latter are also listed in keptForChains
      */
     async cleanup(options = {}) {
         const {
-            retentionDays,
-            maxBackups,
-            pattern = '*.db'
+            pattern = '*.db',
+            dryRun = false
         } = options;
 
-        if (!retentionDays && !maxBackups) {
-            throw new Error('Either retentionDays or maxBackups must be specified');
+        if (!hasRetentionRule(options)) {
+            throw new Error('Either retentionDays or maxBackups, or a keepHourly/keepDaily/keepWeekly/keepMonthly/keepYearly rule must be specified');
         }
 
         try {
-            const files = this._getBackupFiles(pattern);
-            let filesToRemove = [];
-
-            if (retentionDays) {
-                const cutoffDate = new Date(Date.now() - (retentionDays * 24 * 60 * 60 * 1000));
-                filesToRemove = files.filter(file => file.stats.mtime < cutoffDate);
-            } else if (maxBackups) {
-                // Sort by modification time (newest first) and keep only maxBackups
-                files.sort((a, b) => b.stats.mtime - a.stats.mtime);
-                filesToRemove = files.slice(maxBackups);
-            }
+            await this._pullCatalog();
+            const files = await this._getBackupFiles(pattern);
+            const entries = this.catalog.entries();
+            const { plan, kept, keptForChains, filesToRemove } = this._planRetention(files, entries, options);
 
             const removed = [];
             const errors = [];
 
-            for (const file of filesToRemove) {
-                try {
-                    fs.unlinkSync(file.path);
-                    removed.push(file.name);
-                } catch (error) {
-                    errors.push(`Failed to remove ${file.name}: ${error.message}`);
+            if (!dryRun) {
+                for (const file of filesToRemove) {
+                    try {
+                        await this.storage.delete(file.name);
+                        removed.push(file.name);
+                        this.emit('cleanup:removed', { filename: file.name, location: file.path, primary: true });
+                    } catch (error) {
+                        errors.push(`Failed to remove ${file.name}: ${error.message}`);
+                    }
+                }
+
+                this.catalog.remove(removed);
+                await this._pushCatalog();
+
+                // A chain's page map goes with its full backup
+                for (const name of removed) {
+                    fs.rmSync(this._pageMapPath(name), { force: true });
                 }
             }
 
+            const removing = new Set(dryRun ? filesToRemove.map(file => file.name) : []);
+            const prunedSegments = this._pruneWalArchives(
+                this.catalog.entries().filter(entry => !removing.has(entry.filename)),
+                dryRun
+            );
+
+            const destinations = [{
+                location: this.storage.location(''),
+                storage: this.storage.name,
+                primary: true,
+                success: errors.length === 0,
+                plan,
+                removed: removed.length,
+                removedFiles: removed,
+                keptForChains,
+                errors
+            }];
+
+            // Each mirror holds its own set of backups, so retention is applied to it separately
+            for (const mirror of this.mirrors) {
+                destinations.push(await this._cleanupMirror(mirror, pattern, entries, options, dryRun));
+            }
+
             return {
                 success: true,
+                dryRun,
+                plan,
                 removed: removed.length,
                 removedFiles: removed,
+                kept,
+                keptForChains,
+                prunedSegments,
+                destinations,
                 errors,
                 totalFiles: files.length,
                 remainingFiles: files.length - removed.length
@@ -199,23 +689,52 @@ class SQLiteBackup {
         } = options;
 
         try {
-            const files = this._getBackupFiles(pattern);
+            await this._pullCatalog();
+            const files = await this._getBackupFiles(pattern);
+            const entries = new Map(this.catalog.entries().map(entry => [entry.filename, entry]));
             const backups = [];
 
             for (const file of files) {
+                const entry = entries.get(file.name);
                 const backup = {
                     filename: file.name,
                     path: file.path,
                     size: file.stats.size,
-                    created: file.stats.birthtime,
+                    created: entry ? new Date(entry.createdAt) : file.stats.birthtime,
                     modified: file.stats.mtime,
                     isValid: null,
-                    checksum: null
+                    checksum: entry ? entry.checksum : null,
+                    checksumAlgorithm: entry ? entry.checksumAlgorithm : null,
+                    method: entry ? entry.method : null,
+                    sourceDatabase: entry ? entry.sourceDatabase : null,
+                    sqliteVersion: entry ? entry.sqliteVersion : null,
+                    compression: detectCompression(stripEncryptionExtension(file.name)),
+                    encrypted: isEncrypted(file.name),
+                    uncompressedSize: entry && entry.uncompressedSize !== undefined ? entry.uncompressedSize : null,
+                    type: entry && entry.type ? entry.type : (isIncrementalBackup(file.name) ? 'incremental' : 'full'),
+                    chain: entry && entry.chain ? entry.chain : null,
+                    parent: entry && entry.parent ? entry.parent : null,
+                    pinned: Boolean(entry && entry.pin),
+                    pin: entry && entry.pin ? entry.pin : null,
+                    cataloged: Boolean(entry)
                 };
 
                 if (includeChecksums) {
-                    backup.checksum = await this._calculateChecksum(file.path);
-                    backup.isValid = await this.verifyBackup(file.path);
+                    // Cataloged backups already carry the checksum computed at creation time
+                    if (!backup.checksum) {
+                        backup.checksum = await this._withLocalCopy(file.path, localPath => this._calculateChecksum(localPath));
+                        backup.checksumAlgorithm = this.checksumAlgorithm;
+                    }
+                    try {
+                        const report = await this.verifyBackup(file.path);
+                        backup.isValid = report.valid;
+                        if (!report.valid) {
+                            backup.verifyError = report.failures[0].code;
+                        }
+                    } catch (error) {
+                        backup.isValid = false;
+                        backup.verifyError = error.code || error.message;
+                    }
                 }
 
                 backups.push(backup);
@@ -233,205 +752,1835 @@ class SQLiteBackup {
 
     /**
      * Restore a backup to the original database location or a new location
-     * @param {string} backupPath - Path to the backup file
+     * @param {string} backupPath - Path to the backup file (with toTime: a WAL archive snapshot, default: the
+     *   newest snapshot taken before toTime)
      * @param {Object} options - Restore options
      * @param {string} options.targetPath - Target path for restore (default: original database path)
      * @param {boolean} options.verifyBefore - Verify backup before restore (default: true)
-     * @param {boolean} options.createBackupBeforeRestore - Create backup of current database before restore (default: true)
-     * @returns {Promise<Object>} Restore result object
+     * @param {boolean} options.createBackupBeforeRestore - Back up the target database first, which is what
+     *   rollback() restores (default: true)
+     * @param {Object} options.encryption - Key for encrypted backups (default: instance encryption)
+     * @param {string} options.expectedChecksum - Checksum the backup must match (default: the one in the catalog)
+     * @param {Date|string} options.toTime - Recover to this point in time by replaying archived WAL segments
+     *   on top of the snapshot (see createWalArchiver)
+     * @param {string[]} options.tables - Only restore these tables, copying them into the target database
+     *   inside one transaction (default: restore the whole database)
+     * @param {string} options.mode - How tables are restored: 'replace' their rows, or 'merge' in the rows
+     *   they lack by primary key (default: 'replace')
+     * @param {string|Object} options.where - SQL condition limiting the rows restored, for every table or
+     *   per table name (tables only)
+     * @param {boolean} options.dryRun - Verify and decode the backup without changing anything; the result
+     *   has dryRun true and the verification checks passed, and with tables the rows each table would
+     *   lose and gain and the foreign key violations the restore would add (default: false)
+     * @param {Function} options.confirm - Called with that preview before a table restore commits;
+     *   returning false cancels it (ERR_VETOED)
+     * @returns {Promise<Object>} Restore result object. The backup is written to a temporary file next to
+     *   the target, checked, and renamed over the target once the target's WAL is checkpointed and its
+     *   -wal, -shm and -journal files are removed (listed in removedSidecars). A target that another
+     *   process or connection has open fails with ERR_DATABASE_IN_USE. If the target fails its check
+     *   after the rename, the pre-restore backup is put back and rolledBack is true. With tables, only
+     *   those tables are copied into the target, which stays in use, and tables lists
+     *   { name, mode, created, deleted, inserted } for each
      */
     async restore(backupPath, options = {}) {
         const {
             targetPath = this.databasePath,
             verifyBefore = true,
-            createBackupBeforeRestore = true
+            createBackupBeforeRestore = true,
+            encryption = this.encryption,
+            expectedChecksum,
+            toTime,
+            tables,
+            mode,
+            where,
+            dryRun = false,
+            confirm
         } = options;
 
         try {
-            // Verify backup before restore
-            if (verifyBefore) {
-                const isValid = await this.verifyBackup(backupPath);
-                if (!isValid) {
-                    throw new Error('Backup file failed integrity check');
-                }
+            const recoveryTime = toTime !== undefined && toTime !== null ? parseRecoveryTime(toTime) : null;
+            await this._pullCatalog();
+
+            if (!backupPath && recoveryTime) {
+                backupPath = this._findWalSnapshot(recoveryTime);
+            }
+
+            const catalogEntry = this.catalog.get(path.basename(backupPath));
+            if (recoveryTime && !(catalogEntry && catalogEntry.walArchive)) {
+                throw new BackupError(
+                    `${path.basename(backupPath)} is not a WAL archive snapshot; point-in-time recovery needs one`,
+                    'ERR_NO_WAL_ARCHIVE'
+                );
+            }
+
+            // Allow restoring a cataloged backup by its filename alone
+            if (!fs.existsSync(backupPath) && catalogEntry) {
+                backupPath = path.join(this.backupDirectory, catalogEntry.filename);
+            }
+            if (this.storage.local && !fs.existsSync(backupPath)) {
+                throw new BackupError(`Backup file not found: ${backupPath}`, 'ERR_BACKUP_NOT_FOUND');
+            }
+
+            const context = {
+                backupPath,
+                targetPath,
+                toTime: recoveryTime ? recoveryTime.toISOString() : null,
+                tables: tables || null,
+                backupInfo: catalogEntry
+            };
+            this.emit('restore:start', context);
+            await this._runHook('beforeRestore', context);
+
+            let preRestore = null;
+            const targetExists = fs.existsSync(targetPath);
+            if (tables && !targetExists) {
+                throw new BackupError(`Database file not found: ${targetPath}`, 'ERR_DATABASE_NOT_FOUND');
+            }
+            // Tables are restored inside a transaction, so only replacing the file needs the database to itself
+            if (targetExists && !tables) {
+                await assertNotInUse(this.driver, targetPath);
             }
 
-            let currentBackupPath = null;
+            // Written next to the target and renamed over it once it checks out
+            const tempPath = temporaryRestorePath(targetPath);
+            let recovery = null;
+            let removedSidecars = [];
+            let tableRestore = null;
+            let checks = [];
+            let preview = null;
+            try {
+                // Backups in remote storage are downloaded for the duration of the restore
+                await this._withLocalCopy(backupPath, async localPath => {
+                    // Verify backup before restore
+                    if (verifyBefore) {
+                        const report = await this.verifyBackup(localPath, { encryption, expectedChecksum });
+                        if (!report.valid) {
+                            const [failure] = report.failures;
+                            throw new BackupError(`Backup file failed verification (${failure.name}): ${failure.message}`, failure.code);
+                        }
+                        checks = report.checks.map(check => check.name);
+                    }
 
-            // Create backup of current database if requested
-            if (createBackupBeforeRestore && fs.existsSync(targetPath)) {
-                const currentBackupResult = await this.createBackup({
-                    filename: `pre-restore-backup-${Date.now()}.db`,
-                    includeTimestamp: false
+                    // Copy, decode or reassemble the backup
+                    await materializeBackup(localPath, tempPath, encryption, this.driver);
                 });
 
-                if (currentBackupResult.success) {
-                    currentBackupPath = currentBackupResult.backupPath;
+                if (recoveryTime) {
+                    recovery = await this._replayWalArchive(catalogEntry, tempPath, recoveryTime);
+                }
+
+                const report = await this.verifyBackup(tempPath, { verifyChecksum: false });
+                if (!report.valid) {
+                    throw new BackupError('Restored database failed integrity check', 'ERR_INTEGRITY_CHECK_FAILED');
+                }
+
+                // A dry run stops here, with the backup restored as far as the temporary file
+                if (dryRun) {
+                    preview = tables ?
+                        await restoreTables(this.driver, targetPath, tempPath, { tables, mode, where, dryRun: true }) : null;
                 } else {
-                    throw new Error(`Failed to create pre-restore backup: ${currentBackupResult.error}`);
+                    if (createBackupBeforeRestore && targetExists) {
+                        preRestore = await this._createPreRestoreBackup(targetPath);
+                    }
+
+                    if (tables) {
+                        tableRestore = await restoreTables(this.driver, targetPath, tempPath, { tables, mode, where, confirm });
+                    } else {
+                        removedSidecars = await replaceDatabase(this.driver, tempPath, targetPath);
+                    }
                 }
+            } finally {
+                fs.rmSync(tempPath, { force: true });
+                removeSidecars(tempPath);
+            }
+
+            if (dryRun) {
+                const result = {
+                    success: true,
+                    dryRun: true,
+                    restoredFrom: this.storage.local ? backupPath : this.storage.location(path.basename(backupPath)),
+                    restoredTo: targetPath,
+                    checks,
+                    ...(preview ? { tables: preview.tables, violations: preview.violations } : {}),
+                    backupInfo: catalogEntry,
+                    ...(recovery || {}),
+                    timestamp: new Date().toISOString()
+                };
+                this.emit('restore:complete', result);
+                return result;
             }
 
-            // Perform restore (copy backup to target location)
-            fs.copyFileSync(backupPath, targetPath);
+            // Check it again in place, and put the previous database back if it doesn't hold up there
+            const restored = await this.verifyBackup(targetPath, { verifyChecksum: false, level: 'quick' });
+            if (!restored.valid) {
+                let rolledBack = false;
+                let message = 'Restored database failed integrity check';
+                if (preRestore) {
+                    try {
+                        await this._putBack(preRestore.filename, targetPath);
+                        rolledBack = true;
+                        message += `; rolled back to ${preRestore.filename}`;
+                    } catch (error) {
+                        message += `; rolling back to ${preRestore.filename} failed: ${error.message}`;
+                    }
+                }
+                const error = new BackupError(message, 'ERR_INTEGRITY_CHECK_FAILED');
+                error.rolledBack = rolledBack;
+                throw error;
+            }
 
-            // Verify restored database
-            const restoredIsValid = await this.verifyBackup(targetPath);
-            if (!restoredIsValid) {
-                throw new Error('Restored database failed integrity check');
+            if (preRestore) {
+                // Lets rollback() find this restore and undo it
+                this.catalog.update(preRestore.filename, {
+                    preRestore: {
+                        targetPath: path.resolve(targetPath),
+                        restoredFrom: path.basename(backupPath),
+                        restoredAt: new Date().toISOString()
+                    }
+                });
+                await this._pushCatalog();
             }
 
-            return {
+            const result = {
                 success: true,
-                restoredFrom: backupPath,
+                restoredFrom: this.storage.local ? backupPath : this.storage.location(path.basename(backupPath)),
                 restoredTo: targetPath,
-                preRestoreBackup: currentBackupPath,
+                preRestoreBackup: preRestore ? preRestore.backupPath : null,
+                removedSidecars,
+                ...(tableRestore ? { tables: tableRestore.tables } : {}),
+                backupInfo: catalogEntry,
+                ...(recovery || {}),
                 timestamp: new Date().toISOString()
             };
+            this.emit('restore:complete', result);
+            return result;
 
         } catch (error) {
-            return {
+            const result = {
                 success: false,
                 error: error.message,
+                code: error.code,
                 timestamp: new Date().toISOString()
             };
+            if (error.rolledBack !== undefined) {
+                result.rolledBack = error.rolledBack;
+            }
+            this.emit('restore:failed', { backupPath, error, result });
+            return result;
         }
     }
 
-    // Private methods
+    /**
+     * Undo the most recent restore of a database by restoring the backup that restore() took of it
+     * first. Rolling back again undoes the restore before that
+     * @param {Object} options - Rollback options
+     * @param {string} options.targetPath - Database whose restore to undo (default: original database path)
+     * @param {Object} options.encryption - Key for encrypted backups (default: instance encryption)
+     * @returns {Promise<Object>} Restore result object, with undoneRestore ({ restoredFrom, restoredAt })
+     *   telling which restore was undone. The database as it was before the rollback is kept as its
+     *   preRestoreBackup
+     */
+    async rollback(options = {}) {
+        const { targetPath = this.databasePath, encryption = this.encryption } = options;
 
-    _generateBackupFilename(customFilename, includeTimestamp) {
-        if (customFilename) {
-            return customFilename.endsWith('.db') ? customFilename : `${customFilename}.db`;
-        }
+        try {
+            await this._pullCatalog();
+            const resolvedTarget = path.resolve(targetPath);
+            const [entry] = this.catalog.entries()
+                .filter(candidate => candidate.preRestore && candidate.preRestore.targetPath === resolvedTarget &&
+                    !candidate.preRestore.rollback && !candidate.preRestore.rolledBackAt)
+                .sort((a, b) => b.preRestore.restoredAt.localeCompare(a.preRestore.restoredAt));
+            if (!entry) {
+                throw new BackupError(`No restore of ${resolvedTarget} to roll back`, 'ERR_NOTHING_TO_ROLL_BACK');
+            }
 
-        const baseName = path.basename(this.databasePath, '.db');
-        const timestamp = includeTimestamp ?
-            `-${new Date().toISOString().replace(/[:.]/g, '-')}` : '';
+            const result = await this.restore(entry.filename, { targetPath, encryption });
+            if (!result.success) {
+                return result;
+            }
 
-        return `${baseName}-backup${timestamp}.db`;
-    }
+            // The rollback's own safety backup isn't a restore that a later rollback undoes
+            const safetyBackup = path.basename(result.preRestoreBackup || '');
+            if (this.catalog.get(safetyBackup)) {
+                this.catalog.update(safetyBackup, { preRestore: { ...this.catalog.get(safetyBackup).preRestore, rollback: true } });
+            }
+            this.catalog.update(entry.filename, { preRestore: { ...entry.preRestore, rolledBackAt: result.timestamp } });
+            await this._pushCatalog();
 
-    async _performBackup(method, backupPath) {
-        switch (method) {
-            case 'backup':
-                return this._backupUsingBackupCommand(backupPath);
-            case 'copy':
-                return this._backupUsingCopy(backupPath);
-            case 'vacuum':
-                return this._backupUsingVacuum(backupPath);
-            default:
-                throw new Error(`Unknown backup method: ${method}`);
+            return {
+                ...result,
+                undoneRestore: { restoredFrom: entry.preRestore.restoredFrom, restoredAt: entry.preRestore.restoredAt }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            };
         }
     }
 
-    async _backupUsingBackupCommand(backupPath) {
-        const command = `sqlite3 "${this.databasePath}" ".backup '${backupPath}'"`;
-        await execAsync(command);
-    }
+    /**
+     * Compare two backups, or a backup and the live database: schema objects, row counts per table
+     * and, optionally, rows by primary key
+     * @param {string} fromPath - Backup (path, or filename in the backup directory) or database to compare from
+     * @param {string} toPath - Backup or database to compare to (default: the live database)
+     * @param {Object} options - Diff options
+     * @param {boolean} options.rows - Also list inserted, updated and deleted rows by primary key (default: false)
+     * @param {string[]} options.tables - Only compare these tables, with their indexes and triggers (default: all)
+     * @param {boolean} options.patch - Include an SQL script that turns fromPath into toPath; it only
+     *   changes the schema unless rows is set (default: false)
+     * @param {Object} options.encryption - Key for encrypted backups (default: instance encryption)
+     * @returns {Promise<Object>} Diff result object
+     */
+    async diff(fromPath, toPath = null, options = {}) {
+        const { encryption = this.encryption, rows, tables, patch } = options;
 
-    async _backupUsingCopy(backupPath) {
-        fs.copyFileSync(this.databasePath, backupPath);
-    }
+        try {
+            await this._pullCatalog();
+            const result = await this._withDatabaseFile(fromPath, encryption, from =>
+                this._withDatabaseFile(toPath, encryption, to =>
+                    diffDatabases(this.driver, from, to, { rows, tables, patch })
+                )
+            );
 
-    async _backupUsingVacuum(backupPath) {
-        const command = `sqlite3 "${this.databasePath}" ".backup '${backupPath}'" ".exit"`;
-        await execAsync(command);
-    }
+            return {
+                success: true,
+                from: fromPath,
+                to: toPath || this.databasePath,
+                ...result,
+                timestamp: new Date().toISOString()
+            };
 
-    async _calculateChecksum(filePath) {
-        try {
-            const { stdout } = await execAsync(`shasum -a 256 "${filePath}"`);
-            return stdout.split(' ')[0];
         } catch (error) {
-            return null;
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            };
         }
     }
 
-    _getBackupFiles(pattern) {
-        if (!fs.existsSync(this.backupDirectory)) {
-            return [];
-        }
+    /**
+     * Export the tables of a backup (or the live database) as one CSV or JSON Lines file per table,
+     * with a schema.json describing their columns, for readers without SQLite
+     * @param {string} backupPath - Backup (path, or filename in the backup directory) or database
+     *   (default: the live database)
+     * @param {Object} options - Export options
+     * @param {string} options.outDirectory - Directory to write the files to (required)
+     * @param {string} options.format - 'csv' or 'jsonl' (default: 'csv')
+     * @param {string[]} options.tables - Only export these tables (default: all)
+     * @param {string[]} options.exclude - Leave these tables out (default: none)
+     * @param {string} options.blobEncoding - How BLOB values are written: 'base64' or 'hex' (default: 'base64')
+     * @param {Object} options.encryption - Key for encrypted backups (default: instance encryption)
+     * @returns {Promise<Object>} Export result object; tables lists every table exported with its file,
+     *   row count and columns
+     */
+    async export(backupPath = null, options = {}) {
+        const { outDirectory, format, tables, exclude, blobEncoding, encryption = this.encryption } = options;
 
-        const files = fs.readdirSync(this.backupDirectory);
-        const backupFiles = [];
+        try {
+            if (!outDirectory) {
+                throw new BackupError('outDirectory must be specified', 'ERR_USAGE');
+            }
 
-        for (const filename of files) {
-            if (this._matchesPattern(filename, pattern)) {
-                const filePath = path.join(this.backupDirectory, filename);
-                const stats = fs.statSync(filePath);
+            await this._pullCatalog();
+            const source = backupPath || this.databasePath;
+            const result = await this._withDatabaseFile(backupPath, encryption, plainPath =>
+                exportDatabase(this.driver, plainPath, path.resolve(outDirectory), {
+                    format, tables, exclude, blobEncoding, source: this.storage.local ? path.resolve(source) : source
+                }));
 
-                backupFiles.push({
-                    name: filename,
-                    path: filePath,
-                    stats
-                });
-            }
-        }
+            return {
+                success: true,
+                backupPath: source,
+                outDirectory: path.resolve(outDirectory),
+                ...result,
+                totalRows: result.tables.reduce((total, table) => total + table.rows, 0),
+                timestamp: new Date().toISOString()
+            };
 
-        return backupFiles;
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            };
+        }
     }
 
-    _matchesPattern(filename, pattern) {
-        // Simple pattern matching - could be enhanced with a proper glob library
-        if (pattern === '*' || pattern === '*.*') return true;
-        if (pattern.startsWith('*.')) {
-            const extension = pattern.slice(2);
-            return filename.endsWith('.' + extension);
+    /**
+     * Report what a backup (or the live database) holds without restoring it: header settings,
+     * the SQLite version that last wrote it, tables with row counts, and indexes
+     * @param {string} backupPath - Backup (path, or filename in the backup directory) or database
+     *   (default: the live database)
+     * @param {Object} options - Inspect options
+     * @param {Object} options.encryption - Key for encrypted backups (default: instance encryption)
+     * @returns {Promise<Object>} Inspection result object; table and index sizes come from the dbstat
+     *   virtual table and are null when SQLite was built without it. For SQL dumps, sqliteVersion is the
+     *   one recorded in the catalog when the dump was taken (that of the source database), or null
+     */
+    async inspect(backupPath = null, options = {}) {
+        const { encryption = this.encryption } = options;
+
+        try {
+            await this._pullCatalog();
+            const backupInfo = backupPath ? this.catalog.get(path.basename(backupPath)) || null : null;
+            const result = await this._withDatabaseFile(backupPath, encryption, async plainPath => ({
+                // A dump was just replayed here, by this host's SQLite, so only the catalog knows its version
+                sqliteVersion: backupPath && isDumpBackup(backupPath) ?
+                    (backupInfo && backupInfo.sqliteVersion) || null : this._readSqliteVersion(plainPath),
+                ...await inspectDatabase(this.driver, plainPath)
+            }));
+
+            return {
+                success: true,
+                backupPath: backupPath || this.databasePath,
+                backupInfo,
+                ...result,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            };
         }
-        return filename === pattern;
     }
-}
 
-/**
- * Utility functions for format and helpers
- */
-class BackupUtils {
     /**
-     * Format file size in human readable format
-     * @param {number} bytes - Size in bytes
-     * @returns {string} Formatted size string
+     * Create a continuous WAL archiver for this database. Once started it copies committed WAL frames
+     * into the archive directory and takes snapshots, so restore() can recover to any point in time
+     * @param {Object} options - Archiver options
+     * @param {string} options.archiveDirectory - Where to store WAL segments (default: '<backupDirectory>-wal')
+     * @param {number} options.pollInterval - Milliseconds between polls of the WAL (default: 1000)
+     * @param {number} options.snapshotInterval - Milliseconds between snapshots, 0 for only the initial one
+     *   (default: 24 hours)
+     * @param {Object} options.snapshotOptions - Options passed to createBackup() for snapshots
+     * @returns {WalArchiver} Archiver; call start() to begin and stop() to end archiving
      */
-    static formatSize(bytes) {
-        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-        if (bytes === 0) return '0 B';
-        const i = Math.floor(Math.log(bytes) / Math.log(1024));
-        return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+    createWalArchiver(options = {}) {
+        this._requireLocalStorage('WAL archiving');
+        return new WalArchiver(this, options);
     }
 
     /**
-     * Format duration in human readable format
-     * @param {number} milliseconds - Duration in milliseconds
-     * @returns {string} Formatted duration string
+     * Take backups on a cron schedule, each followed by a cleanup when retention rules are given.
+     * Runs never overlap, and an occurrence missed since the newest cataloged backup of this
+     * database (e.g. while the process was down) is made up for at start
+     * @param {string} cronExpression - Five-field cron expression, e.g. '0 3 * * *', or '@hourly', '@daily', ...
+     * @param {Object} options - Schedule options
+     * @param {Object} options.backup - Options passed to createBackup() (default: none)
+     * @param {Object} options.cleanup - Retention rules passed to cleanup() after each backup (default: no cleanup)
+     * @param {number} options.jitter - Delay each run by a random 0 to jitter milliseconds (default: 0)
+     * @param {boolean} options.catchUp - Make up for missed runs with a single run (default: true)
+     * @param {boolean} options.utc - Interpret the expression in UTC rather than local time (default: false)
+     * @param {Object} options.clock - Clock to schedule with: { now(), setTimeout(fn, delay), clearTimeout(timer) }
+     * @param {Function} options.random - Random source for the jitter (default: Math.random)
+     * @returns {Promise<Scheduler>} Started scheduler; each run's result is { backup, cleanup }. Call stop() to end
+     * @throws {BackupError} When the cron expression is invalid (ERR_INVALID_CRON)
      */
-    static formatDuration(milliseconds) {
-        if (milliseconds < 1000) return `${milliseconds}ms`;
-        if (milliseconds < 60000) return `${(milliseconds / 1000).toFixed(2)}s`;
-        return `${(milliseconds / 60000).toFixed(2)}m`;
+    async schedule(cronExpression, options = {}) {
+        const {
+            backup: backupOptions = {},
+            cleanup: cleanupOptions = null,
+            ...schedulerOptions
+        } = options;
+
+        if (cleanupOptions && !hasRetentionRule(cleanupOptions)) {
+            throw new Error('Scheduled cleanup needs retentionDays, maxBackups or a keepHourly/keepDaily/keepWeekly/keepMonthly/keepYearly rule');
+        }
+
+        const scheduler = new Scheduler(cronExpression, () => this._scheduledRun(backupOptions, cleanupOptions), {
+            ...schedulerOptions,
+            lastRun: () => this._findLastBackupTime()
+        });
+        await scheduler.start();
+        return scheduler;
     }
 
     /**
-     * Validate SQLite database file
-     * @param {string} databasePath - Path to database file
-     * @returns {Promise<boolean>} True if database is valid
+     * Merge an incremental chain into a new full backup. The new backup starts a chain of its own,
+     * so later incremental backups build on it
+     * @param {string} backupPath - Incremental backup whose state to consolidate (path or cataloged filename,
+     *   default: the newest incremental backup of this database)
+     * @param {Object} options - Consolidate options
+     * @param {string} options.filename - Custom filename for the new full backup (default: auto-generated)
+     * @param {boolean} options.includeTimestamp - Include timestamp in filename (default: true)
+     * @param {string|boolean} options.compression - Compress the new backup: 'gzip', 'brotli' or true for gzip (default: none)
+     * @param {number} options.compressionLevel - Compression level (default: zlib default for the algorithm)
+     * @param {Object|boolean} options.encryption - Key for reading the chain and encrypting the new backup
+     *   (default: instance encryption)
+     * @param {string} options.checksumAlgorithm - Checksum algorithm (default: instance checksumAlgorithm)
+     * @param {boolean} options.removeChain - Delete the consolidated chain afterwards; refused while later
+     *   incremental backups still build on it (default: false)
+     * @returns {Promise<Object>} Consolidate result object
      */
-    static async validateDatabase(databasePath) {
+    async consolidate(backupPath, options = {}) {
+        const {
+            filename,
+            includeTimestamp = true,
+            compression,
+            compressionLevel,
+            encryption = this.encryption,
+            checksumAlgorithm = this.checksumAlgorithm,
+            removeChain = false
+        } = options;
+
         try {
-            // Check if file exists first
-            if (!require('fs').existsSync(databasePath)) {
-                return false;
+            this._requireLocalStorage('Consolidation');
+
+            const startTime = Date.now();
+            const compressionAlgorithm = resolveCompression(compression);
+            const encryptionKey = resolveEncryption(encryption);
+            const entries = this.catalog.entries();
+
+            const headName = backupPath ? path.basename(backupPath) : this._findLatestIncremental(entries);
+            if (!headName) {
+                throw new BackupError('No incremental backups to consolidate', 'ERR_NOT_INCREMENTAL');
             }
 
-            const command = `sqlite3 "${databasePath}" "PRAGMA integrity_check;"`;
-            const { stdout } = await execAsync(command);
-            return stdout.trim() === 'ok';
-        } catch (error) {
+            const chain = resolveChain(entries, headName);
+            if (chain.length < 2) {
+                throw new BackupError(`Not an incremental backup: ${headName}`, 'ERR_NOT_INCREMENTAL');
+            }
+
+            const chainNames = chain.map(entry => entry.filename);
+            if (removeChain) {
+                const dependents = entries.filter(entry => entry.chain === chain[0].chain && !chainNames.includes(entry.filename));
+                if (dependents.length > 0) {
+                    throw new BackupError(
+                        `Cannot remove the chain: ${dependents.map(entry => entry.filename).join(', ')} still build on it`,
+                        'ERR_CHAIN_IN_USE'
+                    );
+                }
+            }
+
+            const backupFileName = this._generateBackupFilename(
+                filename, includeTimestamp, compressionAlgorithm, Boolean(encryptionKey)
+            );
+            const newBackupPath = path.join(this.backupDirectory, backupFileName);
+            const rawPath = compressionAlgorithm || encryptionKey ? `${newBackupPath}.partial` : newBackupPath;
+
+            await materializeBackup(path.join(this.backupDirectory, headName), rawPath, encryption, this.driver);
+
+            if (!(await checkIntegrity(this.driver, rawPath))) {
+                fs.unlinkSync(rawPath);
+                throw new BackupError('Consolidated backup failed integrity check', 'ERR_INTEGRITY_CHECK_FAILED');
+            }
+
+            const sqliteVersion = this._readSqliteVersion(rawPath);
+            const uncompressedSize = fs.statSync(rawPath).size;
+            const pages = await scanPages(rawPath);
+
+            await this._encodeBackupFile(rawPath, newBackupPath, compressionAlgorithm, compressionLevel, encryptionKey);
+
+            const stats = fs.statSync(newBackupPath);
+            const checksum = await this._calculateChecksum(newBackupPath, checksumAlgorithm);
+            const duration = Date.now() - startTime;
+            const timestamp = new Date().toISOString();
+
+            this.catalog.add({
+                filename: backupFileName,
+                checksum,
+                checksumAlgorithm,
+                method: 'consolidate',
+                sourceDatabase: chain[0].sourceDatabase || this.databasePath,
+                sourceSize: null,
+                sqliteVersion,
+                compression: compressionAlgorithm,
+                encrypted: Boolean(encryptionKey),
+                size: stats.size,
+                uncompressedSize,
+                createdAt: timestamp,
+                duration,
+                type: 'full',
+                chain: backupFileName,
+                parent: null,
+                pageSize: pages.pageSize,
+                pageCount: pages.pageCount,
+                changedPages: pages.pageCount,
+                consolidatedFrom: chainNames
+            });
+            writePageMap(this._pageMapPath(backupFileName), { head: backupFileName, ...pages });
+
+            const removedFiles = [];
+            if (removeChain) {
+                for (const name of chainNames) {
+                    fs.rmSync(path.join(this.backupDirectory, name), { force: true });
+                    removedFiles.push(name);
+                }
+                fs.rmSync(this._pageMapPath(chain[0].filename), { force: true });
+                this.catalog.remove(removedFiles);
+            }
+
+            return {
+                success: true,
+                backupPath: newBackupPath,
+                filename: backupFileName,
+                size: stats.size,
+                checksum,
+                checksumAlgorithm,
+                duration,
+                timestamp,
+                consolidatedFrom: chainNames,
+                removedFiles
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Rebuild the backup catalog from the backup files on disk
+     * @param {Object} options - Rebuild options
+     * @param {string} options.pattern - File pattern to import (default: '*-backup-*.db')
+     * @param {boolean} options.replace - Discard existing entries instead of keeping their metadata (default: false)
+     * @returns {Promise<Object>} Rebuild result object
+     */
+    async rebuildCatalog(options = {}) {
+        const {
+            pattern = '*-backup-*.db',
+            replace = false
+        } = options;
+
+        try {
+            await this._pullCatalog();
+            const stored = new Set((await this._getBackupFiles('*')).map(file => file.name));
+            const files = await this._getBackupFiles(pattern);
+            const existing = new Map(
+                (replace ? [] : this.catalog.entries())
+                    .filter(entry => stored.has(entry.filename))
+                    .map(entry => [entry.filename, entry])
+            );
+            // Pins are never dropped, even when the rest of the catalog is replaced
+            const pins = new Map(this.catalog.entries().filter(entry => entry.pin).map(entry => [entry.filename, entry.pin]));
+            const imported = [];
+
+            for (const file of files) {
+                if (existing.has(file.name)) {
+                    continue;
+                }
+
+                existing.set(file.name, {
+                    ...await this._importEntry(file),
+                    ...(pins.has(file.name) ? { pin: pins.get(file.name) } : {})
+                });
+                imported.push(file.name);
+            }
+
+            this.catalog.save([...existing.values()]);
+            await this._pushCatalog();
+
+            return {
+                success: true,
+                imported: imported.length,
+                importedFiles: imported,
+                totalEntries: existing.size,
+                catalogPath: this.catalog.path
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                imported: 0
+            };
+        }
+    }
+
+    /**
+     * Copy backups that are missing from the mirrors, e.g. after a mirror was unreachable during
+     * createBackup(). Copies whose size differs from the backup are replaced, and every copy
+     * written is verified against the backup's checksum. Nothing is removed from the mirrors
+     * @param {Object} options - Sync options
+     * @param {string} options.pattern - File pattern to sync (default: '*.db')
+     * @param {boolean} options.verifyExisting - Also compare the copies the mirrors already hold against
+     *   the checksums and replace those that don't match (default: false)
+     * @param {boolean} options.dryRun - Only report what would be copied (default: false)
+     * @returns {Promise<Object>} Sync result object with one entry per mirror in destinations
+     */
+    async sync(options = {}) {
+        const {
+            pattern = '*.db',
+            verifyExisting = false,
+            dryRun = false
+        } = options;
+
+        try {
+            if (this.mirrors.length === 0) {
+                throw new BackupError('No mirrors are configured to sync', 'ERR_NO_MIRRORS');
+            }
+
+            await this._pullCatalog();
+            const files = await this._getBackupFiles(pattern);
+            const destinations = [];
+
+            for (const mirror of this.mirrors) {
+                destinations.push(await this._syncMirror(mirror, files, verifyExisting, dryRun));
+            }
+
+            return {
+                success: destinations.every(destination => destination.success),
+                dryRun,
+                copied: destinations.reduce((total, destination) => total + destination.copied.length, 0),
+                repaired: destinations.reduce((total, destination) => total + destination.repaired.length, 0),
+                destinations,
+                totalFiles: files.length,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Pin a backup, e.g. for a legal hold: cleanup() keeps a pinned backup, and the backups it
+     * builds on, whatever the retention rules say until it is unpinned
+     * @param {string} backupPath - Path to the backup file, or its filename in the backup directory
+     * @param {Object} options - Pin options
+     * @param {string} options.reason - Why the backup is pinned (optional)
+     * @returns {Promise<Object>} Pin result object
+     */
+    async pin(backupPath, options = {}) {
+        try {
+            await this._pullCatalog();
+            const file = await this._resolveBackupFile(backupPath);
+            if (!this.catalog.get(file.name)) {
+                this.catalog.add(await this._importEntry(file));
+            }
+
+            const pin = {
+                pinnedAt: new Date().toISOString(),
+                reason: options.reason || null
+            };
+            this.catalog.update(file.name, { pin });
+            await this._pushCatalog();
+
+            return {
+                success: true,
+                filename: file.name,
+                pinned: true,
+                pin,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Remove the pin from a backup, so retention rules apply to it again
+     * @param {string} backupPath - Path to the backup file, or its filename in the backup directory
+     * @returns {Promise<Object>} Unpin result object; wasPinned tells whether the backup was pinned
+     */
+    async unpin(backupPath) {
+        try {
+            await this._pullCatalog();
+            const file = await this._resolveBackupFile(backupPath);
+            const entry = this.catalog.get(file.name);
+            const wasPinned = Boolean(entry && entry.pin);
+
+            if (wasPinned) {
+                // Undefined fields are left out when the catalog is written
+                this.catalog.update(file.name, { pin: undefined });
+                await this._pushCatalog();
+            }
+
+            return {
+                success: true,
+                filename: file.name,
+                pinned: false,
+                wasPinned,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    // Private methods
+
+    _planRetention(files, entries, options, stored = null) {
+        const byName = new Map(entries.map(entry => [entry.filename, entry]));
+
+        // Backups are dated by when they were taken; a file's mtime changes whenever it is copied or
+        // uploaded again, so it only stands in for backups the catalog doesn't know
+        const created = new Map(files.map(file => {
+            const entry = byName.get(file.name);
+            return [file.name, entry && entry.createdAt ? new Date(entry.createdAt) : file.stats.mtime];
+        }));
+        const retained = applyRetention(
+            files.map(file => ({ name: file.name, time: created.get(file.name) })),
+            options
+        );
+
+        // No rule can remove a pinned backup
+        for (const file of files) {
+            const entry = byName.get(file.name);
+            if (entry && entry.pin) {
+                retained.set(file.name, ['pinned', ...(retained.get(file.name) || [])]);
+            }
+        }
+
+        let filesToRemove = files.filter(file => !retained.has(file.name));
+
+        const needed = this._findChainDependencies(filesToRemove.map(file => file.name), entries, stored);
+        const keptForChains = filesToRemove.filter(file => needed.has(file.name)).map(file => file.name);
+        filesToRemove = filesToRemove.filter(file => !needed.has(file.name));
+        keptForChains.forEach(name => retained.set(name, ['chain']));
+
+        const plan = [...files]
+            .sort((a, b) => created.get(b.name) - created.get(a.name))
+            .map(file => ({
+                filename: file.name,
+                created: created.get(file.name),
+                action: retained.has(file.name) ? 'keep' : 'delete',
+                reasons: retained.has(file.name) ? retained.get(file.name) : ['no retention rule keeps it']
+            }));
+        const kept = plan
+            .filter(item => item.action === 'keep')
+            .map(item => ({ filename: item.filename, created: item.created, buckets: item.reasons }));
+
+        return { plan, kept, keptForChains, filesToRemove };
+    }
+
+    async _cleanupMirror(mirror, pattern, primaryEntries, options, dryRun) {
+        const destination = {
+            location: mirror.location(''),
+            storage: mirror.name,
+            primary: false,
+            success: true,
+            plan: [],
+            removed: 0,
+            removedFiles: [],
+            keptForChains: [],
+            errors: []
+        };
+
+        try {
+            await this._withMirrorCatalog(mirror, async catalog => {
+                const stored = await mirror.list();
+
+                // The mirror's own entries describe its chains; pins set on the primary hold everywhere
+                const entries = new Map(primaryEntries.map(entry => [entry.filename, entry]));
+                for (const entry of catalog.entries()) {
+                    const primaryEntry = entries.get(entry.filename);
+                    entries.set(entry.filename, primaryEntry && primaryEntry.pin ? { ...entry, pin: primaryEntry.pin } : entry);
+                }
+
+                const files = await this._getBackupFiles(pattern, mirror);
+                const { plan, keptForChains, filesToRemove } = this._planRetention(
+                    files, [...entries.values()], options, new Set(stored.map(file => file.name))
+                );
+                Object.assign(destination, { plan, keptForChains });
+                if (dryRun) return;
+
+                for (const file of filesToRemove) {
+                    try {
+                        await mirror.delete(file.name);
+                        destination.removedFiles.push(file.name);
+                        this.emit('cleanup:removed', { filename: file.name, location: mirror.location(file.name), primary: false });
+                    } catch (error) {
+                        destination.errors.push(`Failed to remove ${file.name}: ${error.message}`);
+                    }
+                }
+                destination.removed = destination.removedFiles.length;
+                catalog.remove(destination.removedFiles);
+            });
+        } catch (error) {
+            destination.errors.push(error.message);
+        }
+
+        destination.success = destination.errors.length === 0;
+        return destination;
+    }
+
+    async _scheduledRun(backupOptions, cleanupOptions) {
+        const backup = await this.createBackup(backupOptions);
+        if (!backup.success) {
+            throw new BackupError(`Scheduled backup failed: ${backup.error}`, backup.code || 'ERR_BACKUP_FAILED');
+        }
+
+        // A failed cleanup is reported with the run; the backup itself succeeded
+        const cleanup = cleanupOptions ? await this.cleanup(cleanupOptions) : null;
+        return { backup, cleanup };
+    }
+
+    async _findLastBackupTime() {
+        await this._pullCatalog();
+        const times = this.catalog.entries()
+            .filter(entry => entry.sourceDatabase === this.databasePath && entry.createdAt)
+            .map(entry => new Date(entry.createdAt).getTime());
+        return times.length > 0 ? new Date(Math.max(...times)) : null;
+    }
+
+    async _syncMirror(mirror, files, verifyExisting, dryRun) {
+        const destination = {
+            location: mirror.location(''),
+            storage: mirror.name,
+            primary: false,
+            success: true,
+            copied: [],
+            repaired: [],
+            errors: []
+        };
+
+        try {
+            const stored = new Map((await mirror.list()).map(file => [file.name, file]));
+            const entries = new Map(this.catalog.entries().map(entry => [entry.filename, entry]));
+
+            await this._withMirrorCatalog(mirror, async catalog => {
+                for (const file of files) {
+                    try {
+                        // Uncataloged backups get their checksum computed, as rebuildCatalog() would
+                        const entry = entries.get(file.name) || await this._importEntry(file);
+                        const copy = stored.get(file.name);
+                        let action = null;
+
+                        if (!copy) {
+                            action = 'copied';
+                        } else if (copy.size !== file.stats.size ||
+                            (verifyExisting && await this._checksumAt(mirror, file.name, entry.checksumAlgorithm || 'sha256') !== entry.checksum)) {
+                            action = 'repaired';
+                        }
+
+                        if (dryRun) {
+                            if (action) destination[action].push(file.name);
+                            continue;
+                        }
+
+                        if (action) {
+                            await this._withLocalCopy(file.path, localPath => this._replicate(mirror, file.name, localPath, entry));
+                            destination[action].push(file.name);
+                        }
+                        if (action || !catalog.get(file.name)) {
+                            catalog.add(entry);
+                        }
+                    } catch (error) {
+                        destination.errors.push(`Failed to sync ${file.name}: ${error.message}`);
+                    }
+                }
+            });
+        } catch (error) {
+            destination.errors.push(error.message);
+        }
+
+        destination.success = destination.errors.length === 0;
+        return destination;
+    }
+
+    async _resolveBackupFile(backupPath) {
+        // Accept a filename in the backup directory as well as a path
+        let name = path.basename(backupPath);
+        if (this.storage.local && fs.existsSync(backupPath)) {
+            if (path.dirname(path.resolve(backupPath)) !== this.backupDirectory) {
+                throw new Error(`${backupPath} is not in the backup directory ${this.backupDirectory}`);
+            }
+        } else if (this.storage.local) {
+            name = backupPath;
+        }
+
+        const stats = await this.storage.stat(name);
+        if (!stats) {
+            throw new BackupError(`Backup file not found: ${backupPath}`, 'ERR_BACKUP_NOT_FOUND');
+        }
+
+        return { name, path: this.storage.location(name), stats: { size: stats.size, mtime: stats.modified } };
+    }
+
+    async _importEntry(file) {
+        const createdAt = this._parseBackupTimestamp(file.name) || file.stats.mtime;
+
+        return this._withLocalCopy(file.path, async localPath => ({
+            filename: file.name,
+            checksum: await this._calculateChecksum(localPath),
+            checksumAlgorithm: this.checksumAlgorithm,
+            method: isDumpBackup(file.name) ? 'dump' : null,
+            sourceDatabase: file.name.startsWith(`${path.basename(this.databasePath, '.db')}-backup`) ?
+                this.databasePath : null,
+            sourceSize: null,
+            sqliteVersion: this._readSqliteVersion(localPath),
+            compression: detectCompression(stripEncryptionExtension(file.name)),
+            encrypted: isEncrypted(file.name),
+            size: file.stats.size,
+            createdAt: createdAt.toISOString(),
+            duration: null,
+            imported: true,
+            ...await this._readChainInfo({ ...file, path: localPath })
+        }));
+    }
+
+    async _runHook(name, payload) {
+        const hook = this.hooks[name];
+        if (!hook) return;
+
+        let allowed;
+        try {
+            allowed = await hook(payload);
+        } catch (error) {
+            throw new BackupError(`${name} hook vetoed the operation: ${error.message}`, 'ERR_VETOED');
+        }
+        if (allowed === false) {
+            throw new BackupError(`${name} hook vetoed the operation`, 'ERR_VETOED');
+        }
+    }
+
+    async _discardBackup(name, destinations = []) {
+        // Undo a stored backup everywhere it was written, e.g. when afterBackup vetoes it
+        await this.storage.delete(name);
+        this.catalog.remove([name]);
+        await this._pushCatalog();
+
+        for (const [index, mirror] of this.mirrors.entries()) {
+            const destination = destinations[index + 1];
+            if (!destination || !destination.success) continue;
+
+            await mirror.delete(name);
+            await this._withMirrorCatalog(mirror, catalog => catalog.remove([name]));
+        }
+    }
+
+    _requireLocalStorage(feature) {
+        if (!this.storage.local) {
+            throw new BackupError(`${feature} need backups in local storage (not ${this.storage.name})`, 'ERR_STORAGE_UNSUPPORTED');
+        }
+    }
+
+    async _pullCatalog() {
+        // With remote storage the catalog lives next to the backups and is cached in the backup directory
+        if (this.storage.local) return;
+
+        try {
+            fs.mkdirSync(this.backupDirectory, { recursive: true });
+            await this.storage.get(CATALOG_FILENAME, this.catalog.path);
+        } catch (error) {
+            if (error.code !== 'ERR_STORAGE_NOT_FOUND') throw error;
+            fs.rmSync(this.catalog.path, { force: true });
+        }
+    }
+
+    async _pushCatalog() {
+        if (this.storage.local || !fs.existsSync(this.catalog.path)) return;
+        await this.storage.put(CATALOG_FILENAME, this.catalog.path);
+    }
+
+    async _withDatabaseFile(target, encryption, fn) {
+        // Databases are read in place; backups are downloaded and decoded as for a restore
+        if (!target) {
+            return fn(this.databasePath);
+        }
+
+        const entry = this.catalog.get(path.basename(target));
+        const backupPath = !fs.existsSync(target) && entry ? path.join(this.backupDirectory, entry.filename) : target;
+        if (this.storage.local && !fs.existsSync(backupPath)) {
+            throw new BackupError(`Backup file not found: ${target}`, 'ERR_BACKUP_NOT_FOUND');
+        }
+
+        return this._withLocalCopy(backupPath, localPath => withPlainDatabase(localPath, encryption, this.driver, fn));
+    }
+
+    async _withLocalCopy(backupPath, fn) {
+        // Backups in remote storage are downloaded into the backup directory while fn runs
+        if (this.storage.local || fs.existsSync(backupPath)) {
+            return fn(backupPath);
+        }
+
+        const name = path.basename(backupPath);
+        const localPath = path.join(this.backupDirectory, name);
+        fs.mkdirSync(this.backupDirectory, { recursive: true });
+        await this.storage.get(name, localPath);
+        try {
+            return await fn(localPath);
+        } finally {
+            fs.rmSync(localPath, { force: true });
+        }
+    }
+
+    async _replicate(storage, name, localPath, entry, verify = true) {
+        await storage.put(name, localPath);
+        if (!verify) return false;
+
+        // Read back what the destination stored; a copy that doesn't match is not kept
+        const algorithm = entry.checksumAlgorithm || 'sha256';
+        const actual = await this._checksumAt(storage, name, algorithm);
+        if (actual !== entry.checksum) {
+            await storage.delete(name);
+            throw new BackupError(
+                `Backup checksum mismatch at ${storage.location(name)}: expected ${algorithm} ${entry.checksum}, got ${actual}`,
+                'ERR_CHECKSUM_MISMATCH'
+            );
+        }
+        return true;
+    }
+
+    async _checksumAt(storage, name, algorithm) {
+        if (storage.local) {
+            return this._calculateChecksum(storage.location(name), algorithm);
+        }
+
+        return withTempFile(async tempPath => {
+            await storage.get(name, tempPath);
+            return this._calculateChecksum(tempPath, algorithm);
+        });
+    }
+
+    async _withMirrorCatalog(mirror, fn) {
+        // A local mirror's catalog is edited in place, a remote one through a temporary copy
+        if (mirror.local) {
+            return fn(new BackupCatalog(mirror.directory));
+        }
+
+        const tempDir = createTempDirectory();
+        try {
+            const catalog = new BackupCatalog(tempDir);
+            try {
+                await mirror.get(CATALOG_FILENAME, catalog.path);
+            } catch (error) {
+                if (error.code !== 'ERR_STORAGE_NOT_FOUND') throw error;
+            }
+
+            const readCatalog = () => fs.existsSync(catalog.path) ? fs.readFileSync(catalog.path, 'utf8') : null;
+            const before = readCatalog();
+            const result = await fn(catalog);
+            const after = readCatalog();
+            if (after !== null && after !== before) {
+                await mirror.put(CATALOG_FILENAME, catalog.path);
+            }
+            return result;
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    _generateBackupFilename(customFilename, includeTimestamp, compression, encrypted, delta = false, dump = false) {
+        const fileExtension = dump ? DUMP_EXTENSION : '.db';
+        const extensions = (delta ? DELTA_EXTENSION : '') +
+            (compression ? COMPRESSION_EXTENSIONS[compression] : '') +
+            (encrypted ? ENCRYPTION_EXTENSION : '');
+
+        if (customFilename) {
+            let baseFilename = extensions ?
+                stripDeltaExtension(stripCompressionExtension(stripEncryptionExtension(customFilename))) : customFilename;
+            if (dump) baseFilename = baseFilename.replace(/\.db$/, '');
+            return (baseFilename.endsWith(fileExtension) ? baseFilename : `${baseFilename}${fileExtension}`) + extensions;
+        }
+
+        const baseName = path.basename(this.databasePath, '.db');
+        const timestamp = includeTimestamp ?
+            `-${new Date().toISOString().replace(/[:.]/g, '-')}` : '';
+
+        return `${baseName}-backup${timestamp}${fileExtension}${extensions}`;
+    }
+
+    async _performBackup(method, backupPath, options = {}) {
+        if (method !== 'vacuum' && (options.pageSize || options.autoVacuum)) {
+            throw new Error(`pageSize and autoVacuum require the 'vacuum' backup method`);
+        }
+        if (method !== 'backup' && (options.pagesPerStep || options.stepDelay || options.maxPagesPerSecond)) {
+            throw new Error(`pagesPerStep, stepDelay and maxPagesPerSecond require the 'backup' backup method`);
+        }
+
+        switch (method) {
+            case 'backup':
+                return this._backupUsingBackupCommand(backupPath, options);
+            case 'copy':
+                return this._backupUsingCopy(backupPath);
+            case 'vacuum':
+                return this._backupUsingVacuum(backupPath, options);
+            case 'dump':
+                return this._withSourceConnection(connection => writeDump(connection, backupPath, {
+                    compression: options.compression, compressionLevel: options.compressionLevel
+                }));
+            default:
+                throw new Error(`Unknown backup method: ${method}`);
+        }
+    }
+
+    async _backupUsingBackupCommand(backupPath, options = {}) {
+        const { pagesPerStep, stepDelay, maxPagesPerSecond, busyTimeout, onProgress } = resolveStepOptions(options);
+
+        // The sqlite3 CLI's .backup copies in one go, so its steps are taken here
+        if (this.driver.inProcess === false) {
+            const connection = this.driver.open(this.databasePath, { persistent: true });
+            try {
+                await steppedBackup(connection, this.databasePath, backupPath, {
+                    pagesPerStep, stepDelay, maxPagesPerSecond, busyTimeout, onProgress
+                });
+            } finally {
+                await connection.close();
+            }
+            return;
+        }
+
+        // SQLite's backup API takes its next step as soon as the progress callback returns
+        if (stepDelay || maxPagesPerSecond) {
+            await pacedBackup(this.driver.name, this.databasePath, backupPath, {
+                pagesPerStep, stepDelay, maxPagesPerSecond, onProgress
+            });
+            return;
+        }
+        await this._withSourceConnection(connection => connection.backup(backupPath, { pagesPerStep, onProgress }));
+    }
+
+    async _backupUsingCopy(backupPath) {
+        fs.copyFileSync(this.databasePath, backupPath);
+    }
+
+    async _backupUsingVacuum(backupPath, options = {}) {
+        const { pageSize, autoVacuum } = options;
+        const pragmas = [];
+
+        if (pageSize) {
+            if (!Number.isInteger(pageSize) || pageSize < 512 || pageSize > 65536 || (pageSize & (pageSize - 1)) !== 0) {
+                throw new Error(`Invalid page size: ${pageSize} (must be a power of two between 512 and 65536)`);
+            }
+            pragmas.push(`PRAGMA page_size = ${pageSize};`);
+        }
+
+        if (autoVacuum !== undefined && autoVacuum !== null) {
+            const modes = ['none', 'full', 'incremental'];
+            const mode = typeof autoVacuum === 'number' ? modes[autoVacuum] : autoVacuum;
+            if (!modes.includes(mode)) {
+                throw new Error(`Invalid auto_vacuum mode: ${autoVacuum} (expected none, full or incremental)`);
+            }
+            pragmas.push(`PRAGMA auto_vacuum = ${mode.toUpperCase()};`);
+        }
+
+        // VACUUM INTO refuses to write over an existing file
+        fs.rmSync(backupPath, { force: true });
+
+        const target = backupPath.replace(/'/g, "''");
+        const vacuumInto = connection => connection.exec(`${pragmas.join(' ')} VACUUM INTO '${target}';`);
+        if (pragmas.length === 0) {
+            await this._withSourceConnection(vacuumInto);
+            return;
+        }
+
+        // Pending page_size and auto_vacuum settings stay on the connection and would apply to its next
+        // VACUUM, so they are never set on an application's handle
+        const connection = this.driver.open(this.databasePath);
+        try {
+            await vacuumInto(connection);
+        } finally {
+            await connection.close();
+        }
+    }
+
+    async _encodeBackupFile(sourcePath, backupPath, compressionAlgorithm, compressionLevel, encryptionKey) {
+        let encodedPath = sourcePath;
+
+        if (compressionAlgorithm) {
+            const compressedPath = encryptionKey ? `${backupPath}.partial.z` : backupPath;
+            try {
+                await compressFile(encodedPath, compressedPath, compressionAlgorithm, compressionLevel);
+            } finally {
+                fs.unlinkSync(encodedPath);
+            }
+            encodedPath = compressedPath;
+        }
+
+        // Encrypt last so that compression still sees the plain data
+        if (encryptionKey) {
+            try {
+                await encryptFile(encodedPath, backupPath, encryptionKey);
+            } finally {
+                fs.unlinkSync(encodedPath);
+            }
+        }
+    }
+
+    _findWalSnapshot(recoveryTime) {
+        const snapshot = this.catalog.entries()
+            .filter(entry => entry.walArchive && entry.sourceDatabase === this.databasePath &&
+                new Date(entry.createdAt) <= recoveryTime &&
+                fs.existsSync(path.join(this.backupDirectory, entry.filename)))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+        if (!snapshot) {
+            throw new BackupError(
+                `No WAL archive snapshot of ${this.databasePath} was taken before ${recoveryTime.toISOString()}`,
+                'ERR_NO_WAL_ARCHIVE'
+            );
+        }
+        return path.join(this.backupDirectory, snapshot.filename);
+    }
+
+    async _createPreRestoreBackup(targetPath) {
+        // A backup of the database being replaced, which needn't be this instance's database
+        const source = path.resolve(targetPath) === this.databasePath ? this : new SQLiteBackup({
+            databasePath: targetPath,
+            backupDirectory: this.backupDirectory,
+            storage: this.storage,
+            mirrors: this.mirrors,
+            driver: this.driver,
+            encryption: this.encryption,
+            checksumAlgorithm: this.checksumAlgorithm
+        });
+
+        const result = await source.createBackup({
+            filename: `pre-restore-backup-${Date.now()}.db`,
+            includeTimestamp: false
+        });
+        if (!result.success) {
+            throw new Error(`Failed to create pre-restore backup: ${result.error}`);
+        }
+        return result;
+    }
+
+    async _putBack(filename, targetPath) {
+        const tempPath = temporaryRestorePath(targetPath);
+        try {
+            await this._withLocalCopy(path.join(this.backupDirectory, filename),
+                localPath => materializeBackup(localPath, tempPath, this.encryption, this.driver));
+            await replaceDatabase(this.driver, tempPath, targetPath);
+        } finally {
+            fs.rmSync(tempPath, { force: true });
+        }
+    }
+
+    async _replayWalArchive(snapshot, targetPath, recoveryTime) {
+        const runDirectory = path.join(
+            path.resolve(this.backupDirectory, snapshot.walArchive.directory),
+            snapshot.walArchive.run
+        );
+        const segments = selectSegments(runDirectory, snapshot.walArchive, recoveryTime);
+        const frames = await applySegments(targetPath, segments);
+
+        return {
+            replayedSegments: segments.length,
+            replayedFrames: frames,
+            recoveredTo: segments.length > 0 ?
+                segments[segments.length - 1].header.capturedAt.toISOString() : snapshot.createdAt
+        };
+    }
+
+    _pruneWalArchives(remainingEntries, dryRun = false) {
+        // Segments are only useful from the earliest remaining snapshot of their run onwards
+        const directories = new Set([defaultArchiveDirectory(this.backupDirectory)]);
+        const firstNeeded = new Map();
+        for (const entry of remainingEntries) {
+            if (!entry.walArchive || !fs.existsSync(path.join(this.backupDirectory, entry.filename))) continue;
+            const directory = path.resolve(this.backupDirectory, entry.walArchive.directory);
+            const key = path.join(directory, entry.walArchive.run);
+            directories.add(directory);
+            firstNeeded.set(key, Math.min(firstNeeded.has(key) ? firstNeeded.get(key) : Infinity, entry.walArchive.fromSegment));
+        }
+
+        let pruned = 0;
+        for (const directory of directories) {
+            if (!fs.existsSync(directory)) continue;
+
+            const runs = fs.readdirSync(directory).filter(name => name.startsWith('run-')).sort();
+            for (const run of runs) {
+                const runDirectory = path.join(directory, run);
+                // A run without snapshots may still be starting up, unless a newer run has replaced it
+                const first = firstNeeded.has(runDirectory) ? firstNeeded.get(runDirectory) :
+                    (run === runs[runs.length - 1] ? 0 : Infinity);
+
+                for (const segment of listSegments(runDirectory)) {
+                    if (segment.sequence < first) {
+                        if (!dryRun) fs.unlinkSync(segment.path);
+                        pruned++;
+                    }
+                }
+
+                if (first === Infinity && !dryRun) {
+                    fs.rmSync(runDirectory, { recursive: true, force: true });
+                }
+            }
+        }
+
+        return pruned;
+    }
+
+    _pageMapPath(chainName) {
+        return path.join(this.backupDirectory, `${chainName}${PAGEMAP_EXTENSION}`);
+    }
+
+    _findChainHead(pageSize, maxChainLength) {
+        const members = this.catalog.entries()
+            .filter(entry => entry.chain && entry.sourceDatabase === this.databasePath)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        const latest = members[0];
+
+        if (!latest || !fs.existsSync(path.join(this.backupDirectory, latest.filename))) {
+            return null;
+        }
+
+        // The page map must describe the newest backup, or deltas would be taken against the wrong state
+        const pageMap = readPageMap(this._pageMapPath(latest.chain));
+        if (!pageMap || pageMap.head !== latest.filename || pageMap.pageSize !== pageSize) {
+            return null;
+        }
+
+        if (maxChainLength && members.filter(entry => entry.chain === latest.chain).length >= maxChainLength) {
+            return null;
+        }
+
+        return { entry: latest, pageMap };
+    }
+
+    _findLatestIncremental(entries) {
+        const latest = entries
+            .filter(entry => entry.type === 'incremental' && entry.sourceDatabase === this.databasePath)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+        return latest ? latest.filename : null;
+    }
+
+    _findChainDependencies(removing, catalogEntries = this.catalog.entries(), stored = null) {
+        // Every ancestor of an incremental backup that stays on disk is still needed to restore it
+        const entries = new Map(catalogEntries.map(entry => [entry.filename, entry]));
+        const removingSet = new Set(removing);
+        const needed = new Set();
+        const exists = name => stored ? stored.has(name) : fs.existsSync(path.join(this.backupDirectory, name));
+
+        for (const entry of entries.values()) {
+            if (!entry.parent || removingSet.has(entry.filename) || !exists(entry.filename)) {
+                continue;
+            }
+
+            let parent = entry.parent;
+            while (parent && !needed.has(parent)) {
+                needed.add(parent);
+                parent = entries.has(parent) ? entries.get(parent).parent : null;
+            }
+        }
+
+        return needed;
+    }
+
+    async _readChainInfo(file) {
+        if (!isIncrementalBackup(file.name)) {
+            return fs.existsSync(this._pageMapPath(file.name)) ?
+                { type: 'full', chain: file.name, parent: null } : { type: 'full' };
+        }
+
+        try {
+            const header = await withDecodedFile(file.path, this.encryption, readDeltaHeader);
+            return {
+                type: 'incremental',
+                chain: header.chain,
+                parent: header.parent,
+                pageSize: header.pageSize,
+                pageCount: header.pageCount,
+                changedPages: header.changedPages
+            };
+        } catch (error) {
+            // Without the key the parent is unknown, so the backup can't be restored until it is rebuilt again
+            return { type: 'incremental' };
+        }
+    }
+
+    async _withSourceConnection(fn) {
+        // An application-provided handle is used as-is and left open
+        if (this.sourceConnection) {
+            return fn(this.sourceConnection);
+        }
+
+        const connection = this.driver.open(this.databasePath);
+        try {
+            return await fn(connection);
+        } finally {
+            await connection.close();
+        }
+    }
+
+    async _calculateChecksum(filePath, algorithm = this.checksumAlgorithm) {
+        return calculateChecksum(filePath, algorithm);
+    }
+
+    _findExpectedChecksum(backupPath, expectedChecksum, checksumAlgorithm) {
+        if (expectedChecksum) {
+            return parseChecksum(expectedChecksum, checksumAlgorithm);
+        }
+
+        // Backups are cataloged in the directory they live in
+        return BackupUtils.findCatalogChecksum(backupPath);
+    }
+
+    _readSqliteVersion(filePath) {
+        // Bytes 96-99 of the database header hold SQLITE_VERSION_NUMBER of the last writer
+        try {
+            const header = Buffer.alloc(100);
+            const fd = fs.openSync(filePath, 'r');
+            try {
+                if (fs.readSync(fd, header, 0, 100, 0) < 100) return null;
+            } finally {
+                fs.closeSync(fd);
+            }
+
+            if (header.toString('latin1', 0, 15) !== 'SQLite format 3') return null;
+            const version = header.readUInt32BE(96);
+            return `${Math.floor(version / 1000000)}.${Math.floor(version / 1000) % 1000}.${version % 1000}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _parseBackupTimestamp(filename) {
+        // Reverse of the timestamp format used by _generateBackupFilename
+        const match = filename.match(/-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+        if (!match) return null;
+
+        const date = new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    async _getBackupFiles(pattern, storage = this.storage) {
+        const files = await storage.list();
+        const backupFiles = [];
+
+        for (const file of files) {
+            if (file.name === CATALOG_FILENAME || file.name.endsWith(PAGEMAP_EXTENSION)) continue;
+
+            if (this._matchesPattern(file.name, pattern)) {
+                backupFiles.push({
+                    name: file.name,
+                    path: storage.location(file.name),
+                    stats: { size: file.size, mtime: file.modified, birthtime: file.created || file.modified }
+                });
+            }
+        }
+
+        return backupFiles;
+    }
+
+    _matchesPattern(filename, pattern) {
+        // Encoded, incremental and dump backups match the patterns of the database they hold
+        // ('*.db' matches 'x.db.delta.gz.enc' and 'x.sql.gz')
+        if (this._matchesGlob(filename, pattern)) return true;
+        let plainName = stripDeltaExtension(stripCompressionExtension(stripEncryptionExtension(filename)));
+        if (isDump(plainName)) plainName = `${plainName.slice(0, -DUMP_EXTENSION.length)}.db`;
+        return plainName !== filename && this._matchesGlob(plainName, pattern);
+    }
+
+    _matchesGlob(filename, pattern) {
+        // Simple glob matching supporting '*' and '?' wildcards
+        if (pattern === '*' || pattern === '*.*') return true;
+        if (/^\*\.[^*?]+$/.test(pattern)) {
+            const extension = pattern.slice(2);
+            return filename.endsWith('.' + extension);
+        }
+        if (/[*?]/.test(pattern)) {
+            const source = pattern
+                .split('')
+                .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+                .join('');
+            return new RegExp(`^${source}$`).test(filename);
+        }
+        return filename === pattern;
+    }
+}
+
+/**
+ * Utility functions for format and helpers
+ */
+class BackupUtils {
+    /**
+     * Format file size in human readable format
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Formatted size string
+     */
+    static formatSize(bytes) {
+        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+        if (bytes === 0) return '0 B';
+        const i = Math.floor(Math.log(bytes) / Math.log(1024));
+        return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+    }
+
+    /**
+     * Format duration in human readable format
+     * @param {number} milliseconds - Duration in milliseconds
+     * @returns {string} Formatted duration string
+     */
+    static formatDuration(milliseconds) {
+        if (milliseconds < 1000) return `${milliseconds}ms`;
+        if (milliseconds < 60000) return `${(milliseconds / 1000).toFixed(2)}s`;
+        return `${(milliseconds / 60000).toFixed(2)}m`;
+    }
+
+    /**
+     * Calculate the checksum of a file
+     * @param {string} filePath - Path to the file
+     * @param {string} algorithm - 'sha256', 'sha512' or 'blake2b512' (default: 'sha256')
+     * @returns {Promise<string>} Hex encoded checksum
+     */
+    static async calculateChecksum(filePath, algorithm = 'sha256') {
+        return calculateChecksum(filePath, algorithm);
+    }
+
+    /**
+     * Compare a file against an expected checksum
+     * @param {string} filePath - Path to the file
+     * @param {string} expectedChecksum - Expected checksum ('hex', 'algorithm:hex' or sha256sum output)
+     * @param {string} algorithm - Algorithm when expectedChecksum doesn't name one (default: by digest length)
+     * @returns {Promise<Object>} { match, algorithm, expected, actual }
+     */
+    static async verifyChecksum(filePath, expectedChecksum, algorithm) {
+        return verifyChecksum(filePath, expectedChecksum, algorithm);
+    }
+
+    /**
+     * Look up the checksum recorded for a backup in the catalog of its directory
+     * @param {string} backupPath - Path to the backup file
+     * @returns {Object|null} { checksum, algorithm } or null if the backup isn't cataloged
+     */
+    static findCatalogChecksum(backupPath) {
+        const resolvedPath = path.resolve(backupPath);
+        const entry = new BackupCatalog(path.dirname(resolvedPath)).get(path.basename(resolvedPath));
+        return entry && entry.checksum ?
+            { checksum: entry.checksum, algorithm: entry.checksumAlgorithm || 'sha256' } : null;
+    }
+
+    /**
+     * Validate SQLite database file
+     * @param {string} databasePath - Path to database file (compressed and encrypted backups are decoded first)
+     * @param {Object} options - Validation options
+     * @param {string} options.level - Checks to run: 'quick', 'full', 'strict' or 'custom' (default: 'full',
+     *   see SQLiteBackup#verifyBackup)
+     * @param {Array<string|Object>} options.assertions - SQL assertions the database must pass
+     * @param {Object} options.encryption - Key for encrypted backups
+     * @param {string|Object} options.driver - SQLite driver to use (default: 'auto')
+     * @returns {Promise<boolean>} True if every check passes
+     * @throws {BackupError} When an encrypted backup can't be decrypted (missing or wrong key)
+     */
+    static async validateDatabase(databasePath, options = {}) {
+        const { level, assertions } = options;
+        resolveVerifyLevel(level);
+        resolveAssertions(assertions);
+
+        try {
+            // Check if file exists first
+            if (!require('fs').existsSync(databasePath)) {
+                return false;
+            }
+
+            const driver = resolveDriver(options.driver);
+            const checks = await withPlainDatabase(databasePath, options.encryption, driver,
+                plainPath => runChecks(driver, plainPath, { level, assertions }));
+            return checks.every(check => check.passed);
+        } catch (error) {
+            if (error instanceof BackupError) {
+                throw error;
+            }
             return false;
         }
     }
 }
 
+/**
+ * Decode a backup into a plain SQLite file, decrypting and then decompressing as needed
+ * @param {string} sourcePath - Path to a plain, compressed and/or encrypted backup
+ * @param {string} targetPath - Path of the plain database to write
+ * @param {Object} encryption - Key for encrypted backups
+ * @returns {Promise<void>}
+ */
+async function decodeBackup(sourcePath, targetPath, encryption) {
+    const encrypted = isEncrypted(sourcePath);
+    const compression = detectCompression(stripEncryptionExtension(sourcePath));
+
+    if (!encrypted && !compression) {
+        fs.copyFileSync(sourcePath, targetPath);
+        return;
+    }
+
+    if (!encrypted) {
+        await decompressFile(sourcePath, targetPath, compression);
+        return;
+    }
+
+    if (!compression) {
+        await decryptFile(sourcePath, targetPath, encryption);
+        return;
+    }
+
+    // Authenticate the whole file before handing anything to the decompressor
+    const decryptedPath = `${targetPath}.partial`;
+    try {
+        await decryptFile(sourcePath, decryptedPath, encryption);
+        await decompressFile(decryptedPath, targetPath, compression);
+    } finally {
+        fs.rmSync(decryptedPath, { force: true });
+    }
+}
+
+/**
+ * Parse a point-in-time recovery target
+ * @param {Date|string|number} value - Date, ISO timestamp or milliseconds since the epoch
+ * @returns {Date} Recovery time
+ */
+function parseRecoveryTime(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid recovery time: ${value} (expected an ISO timestamp)`);
+    }
+    return date;
+}
+
+/**
+ * Check whether a backup file holds an incremental delta rather than a database
+ * @param {string} filePath - Path to a plain, compressed and/or encrypted backup
+ * @returns {boolean} True for incremental backups
+ */
+function isIncrementalBackup(filePath) {
+    return isDelta(stripCompressionExtension(stripEncryptionExtension(filePath)));
+}
+
+/**
+ * Check whether a backup file holds an SQL dump rather than a database
+ * @param {string} filePath - Path to a plain, compressed and/or encrypted backup
+ * @returns {boolean} True for dump backups
+ */
+function isDumpBackup(filePath) {
+    return isDump(stripCompressionExtension(stripEncryptionExtension(filePath)));
+}
+
+/**
+ * Write the plain SQLite database held by a backup. Incremental backups are reassembled from
+ * the full backup of their chain and every delta up to them, as recorded in the catalog of
+ * the backup's directory; SQL dumps are replayed into a new database
+ * @param {string} backupPath - Path to a plain, compressed, encrypted, incremental and/or dump backup
+ * @param {string} targetPath - Path of the plain database to write
+ * @param {Object} encryption - Key for encrypted backups
+ * @param {Object} driver - Driver that replays SQL dumps
+ * @returns {Promise<void>}
+ * @throws {BackupError} When the chain is incomplete (ERR_CHAIN_BROKEN) or one of the backups it
+ *   builds on doesn't match its recorded checksum (ERR_CHECKSUM_MISMATCH)
+ */
+async function materializeBackup(backupPath, targetPath, encryption, driver) {
+    if (isDumpBackup(backupPath)) {
+        // Replayed as it is decompressed; only an encrypted dump is decrypted to a file first
+        const compression = detectCompression(stripEncryptionExtension(backupPath));
+        if (!isEncrypted(backupPath)) {
+            return loadDump(driver, backupPath, targetPath, compression);
+        }
+        return withTempFile(decryptedPath => decryptFile(backupPath, decryptedPath, encryption)
+            .then(() => loadDump(driver, decryptedPath, targetPath, compression)));
+    }
+    if (!isIncrementalBackup(backupPath)) {
+        return decodeBackup(backupPath, targetPath, encryption);
+    }
+
+    const resolvedPath = path.resolve(backupPath);
+    const directory = path.dirname(resolvedPath);
+    const chain = resolveChain(new BackupCatalog(directory).entries(), path.basename(resolvedPath));
+
+    for (const [index, entry] of chain.entries()) {
+        const memberPath = path.join(directory, entry.filename);
+        if (!fs.existsSync(memberPath)) {
+            throw new BackupError(
+                `Incremental chain for ${path.basename(resolvedPath)} is broken: ${entry.filename} is missing`,
+                'ERR_CHAIN_BROKEN'
+            );
+        }
+
+        // The requested backup itself is checked by the caller, like any other backup
+        if (index < chain.length - 1 && entry.checksum) {
+            const result = await verifyChecksum(memberPath, entry.checksum, entry.checksumAlgorithm || 'sha256');
+            if (!result.match) {
+                throw new BackupError(
+                    `Backup checksum mismatch in incremental chain: ${entry.filename}`,
+                    'ERR_CHECKSUM_MISMATCH'
+                );
+            }
+        }
+
+        if (index === 0) {
+            await decodeBackup(memberPath, targetPath, encryption);
+        } else {
+            await withDecodedFile(memberPath, encryption, plainPath => applyDelta(plainPath, targetPath));
+        }
+    }
+}
+
+/**
+ * Run a function against the decoded contents of a backup file, decrypting and decompressing
+ * to a temporary file that is removed afterwards
+ * @param {string} filePath - Path to a plain, compressed and/or encrypted backup
+ * @param {Object} encryption - Key for encrypted backups
+ * @param {Function} fn - Async function receiving the decoded file path
+ * @returns {Promise<*>} Result of fn
+ */
+async function withDecodedFile(filePath, encryption, fn) {
+    if (!isEncrypted(filePath) && !detectCompression(filePath)) {
+        return fn(filePath);
+    }
+
+    return withTempFile(plainPath => decodeBackup(filePath, plainPath, encryption).then(() => fn(plainPath)));
+}
+
+/**
+ * Run a function against the plain SQLite file of a backup, decoding compressed or encrypted
+ * backups, reassembling incremental ones and replaying SQL dumps to a temporary file that is
+ * removed afterwards
+ * @param {string} filePath - Path to a plain, compressed, encrypted, incremental and/or dump backup
+ * @param {Object} encryption - Key for encrypted backups
+ * @param {Object} driver - Driver that replays SQL dumps
+ * @param {Function} fn - Async function receiving the plain database path
+ * @returns {Promise<*>} Result of fn
+ */
+async function withPlainDatabase(filePath, encryption, driver, fn) {
+    if (!isEncrypted(filePath) && !detectCompression(filePath) && !isIncrementalBackup(filePath) && !isDumpBackup(filePath)) {
+        return fn(filePath);
+    }
+
+    return withTempFile(plainPath => materializeBackup(filePath, plainPath, encryption, driver).then(() => fn(plainPath)));
+}
+
+async function withTempFile(fn) {
+    const tempDir = createTempDirectory();
+    try {
+        return await fn(path.join(tempDir, 'backup.db'));
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
 module.exports = {
     SQLiteBackup,
-    BackupUtils
+    BackupManager,
+    BackupUtils,
+    BackupCatalog,
+    BackupError,
+    WalArchiver,
+    Scheduler,
+    CronExpression,
+    LocalStorage,
+    S3Storage,
+    CHECKSUM_ALGORITHMS,
+    CliDriver,
+    NodeSqliteDriver,
+    BetterSqlite3Driver
 };
@@ -0,0 +1,103 @@
+/**
+ * Database Inspection
+ *
+ * Reports what a database file holds without restoring it: its header settings, tables with row
+ * counts, indexes and, where SQLite was built with the dbstat virtual table, the space each of
+ * them takes up.
+ */
+
+const { quoteIdentifier } = require('./sql');
+
+const AUTO_VACUUM_MODES = ['none', 'full', 'incremental'];
+
+/**
+ * Inspect a database file
+ * @param {Object} driver - Driver instance
+ * @param {string} databasePath - Path to a plain database file
+ * @returns {Promise<Object>} { pageSize, pageCount, freelistCount, databaseSize, journalMode, userVersion,
+ *   applicationId, encoding, autoVacuum, tables, indexes, dbstat } where table and index sizes are
+ *   null when dbstat is false
+ */
+async function inspectDatabase(driver, databasePath) {
+    const connection = driver.open(databasePath, { readonly: true, persistent: true });
+
+    try {
+        // One read transaction, so a live database is reported as of a single commit
+        await connection.exec('BEGIN;');
+        try {
+            const pragma = async name => Object.values((await connection.all(`PRAGMA ${name};`))[0])[0];
+            const pageSize = Number(await pragma('page_size'));
+            const pageCount = Number(await pragma('page_count'));
+
+            const info = {
+                pageSize,
+                pageCount,
+                freelistCount: Number(await pragma('freelist_count')),
+                databaseSize: pageSize * pageCount,
+                journalMode: await pragma('journal_mode'),
+                userVersion: Number(await pragma('user_version')),
+                applicationId: Number(await pragma('application_id')),
+                encoding: await pragma('encoding'),
+                autoVacuum: AUTO_VACUUM_MODES[Number(await pragma('auto_vacuum'))] || null
+            };
+
+            const sizes = await readSizes(connection);
+            const tables = [];
+            const indexes = [];
+            const names = await connection.all(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' ORDER BY name;"
+            );
+
+            for (const { name } of names) {
+                const tableIndexes = await connection.all(`PRAGMA index_list(${quoteIdentifier(name)});`);
+                tables.push({
+                    name,
+                    rows: await countRows(connection, name),
+                    size: sizes ? sizes.get(name) || 0 : null,
+                    indexes: tableIndexes.map(index => index.name).sort()
+                });
+                tableIndexes.forEach(index => indexes.push({
+                    name: index.name,
+                    table: name,
+                    unique: Boolean(Number(index.unique)),
+                    size: sizes ? sizes.get(index.name) || 0 : null
+                }));
+            }
+
+            return {
+                ...info,
+                tables,
+                indexes: indexes.sort((a, b) => a.name.localeCompare(b.name)),
+                dbstat: sizes !== null
+            };
+        } finally {
+            await connection.exec('ROLLBACK;').catch(() => {});
+        }
+    } finally {
+        await connection.close();
+    }
+}
+
+async function readSizes(connection) {
+    // dbstat is a compile-time option, so not every SQLite build has it
+    try {
+        const rows = await connection.all('SELECT name, sum(pgsize) AS size FROM dbstat GROUP BY name;');
+        return new Map(rows.map(row => [row.name, Number(row.size)]));
+    } catch (error) {
+        return null;
+    }
+}
+
+async function countRows(connection, name) {
+    // Virtual tables whose module isn't loaded here can't be read
+    try {
+        const [row] = await connection.all(`SELECT count(*) AS count FROM ${quoteIdentifier(name)};`);
+        return Number(row.count);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    inspectDatabase
+};
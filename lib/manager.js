@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { BackupError } = require('./errors');
+const { CATALOG_FILENAME } = require('./catalog');
+const { hasRetentionRule } = require('./retention');
+
+/**
+ * Backup Manager
+ *
+ * Backs up several databases from one configuration, e.g. one database per tenant. Each entry
+ * names a database by path, or a glob pattern ('*', '?' and '**') that discovers databases, with
+ * settings layered over the configuration's defaults. Databases are backed up (and cleaned up,
+ * when they have retention rules) by SQLiteBackup instances, a limited number at a time.
+ * Databases sharing a backup location are handled one after another, so their catalog writes
+ * don't race.
+ *
+ * Events: 'database:start' ({ name, databasePath }), 'database:complete' (database result)
+ */
+
+// Settings of the SQLiteBackup instance; everything else but retention goes to createBackup()
+const INSTANCE_SETTINGS = ['backupDirectory', 'storage', 'mirrors', 'driver', 'encryption', 'checksumAlgorithm'];
+const BACKUP_SETTINGS = [
+    'method', 'compression', 'compressionLevel', 'verifyIntegrity', 'verifyLevel', 'assertions', 'incremental',
+    'maxChainLength', 'pageSize', 'autoVacuum', 'pagesPerStep', 'stepDelay', 'maxPagesPerSecond', 'busyTimeout', 'verifyDestinations'
+];
+const ENTRY_SETTINGS = ['path', 'pattern', 'name', 'retention', ...INSTANCE_SETTINGS, ...BACKUP_SETTINGS];
+
+// Files next to a database that patterns never pick up
+const SIDECAR_SUFFIXES = ['-wal', '-shm', '-journal'];
+
+class BackupManager extends EventEmitter {
+    /**
+     * Create a new BackupManager
+     * @param {Object} config - Configuration
+     * @param {Array<Object>} config.databases - Entries with either path or pattern, plus optional name,
+     *   backupDirectory, storage, mirrors, driver, encryption, checksumAlgorithm, createBackup() options
+     *   (method, compression, incremental, ...) and retention (cleanup() rules). backupDirectory may
+     *   contain {name} (file name without extension) and {dir} (name of the database's directory)
+     * @param {Object} config.defaults - Settings every entry inherits (default: none)
+     * @param {number} config.concurrency - How many databases to back up at a time (default: 2)
+     * @param {Object} options - Manager options
+     * @param {string} options.baseDirectory - Directory relative paths in the configuration are
+     *   resolved against (default: current working directory)
+     * @throws {BackupError} When the configuration is invalid (ERR_INVALID_CONFIG)
+     */
+    constructor(config = {}, options = {}) {
+        super();
+        this.baseDirectory = path.resolve(options.baseDirectory || process.cwd());
+        this.defaults = config.defaults || {};
+        this.concurrency = config.concurrency === undefined ? 2 : config.concurrency;
+        this.entries = config.databases;
+
+        if (!Array.isArray(this.entries) || this.entries.length === 0) {
+            throw new BackupError('Config needs a non-empty "databases" list', 'ERR_INVALID_CONFIG');
+        }
+        if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+            throw new BackupError(`Invalid concurrency: ${this.concurrency} (must be a positive integer)`, 'ERR_INVALID_CONFIG');
+        }
+
+        validateSettings(this.defaults, 'defaults', ENTRY_SETTINGS.filter(key => !['path', 'pattern', 'name'].includes(key)));
+        this.entries.forEach((entry, index) => {
+            const label = `databases[${index}]`;
+            validateSettings(entry, label, ENTRY_SETTINGS);
+            if (Boolean(entry.path) === Boolean(entry.pattern)) {
+                throw new BackupError(`${label} needs either "path" or "pattern"`, 'ERR_INVALID_CONFIG');
+            }
+        });
+    }
+
+    /**
+     * Create a manager from a JSON configuration file; relative paths in it are resolved against
+     * the file's directory
+     * @param {string} configPath - Path to the configuration file
+     * @returns {BackupManager} Manager for the configuration
+     * @throws {BackupError} When the file can't be read or is invalid (ERR_INVALID_CONFIG)
+     */
+    static fromFile(configPath) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            throw new BackupError(`Failed to read config ${configPath}: ${error.message}`, 'ERR_INVALID_CONFIG');
+        }
+        return new BackupManager(config, { baseDirectory: path.dirname(path.resolve(configPath)) });
+    }
+
+    /**
+     * Find the databases the configuration covers. A database matched by several entries is
+     * backed up once, with the settings of the first one
+     * @returns {Promise<Object>} { databases: [{ name, databasePath, settings }], warnings }
+     */
+    async discover() {
+        const databases = [];
+        const warnings = [];
+        const seen = new Set();
+
+        for (const entry of this.entries) {
+            const paths = entry.path ?
+                [this._resolvePath(entry.path)] :
+                expandPattern(this._resolvePath(entry.pattern));
+
+            if (entry.pattern && paths.length === 0) {
+                warnings.push(`Pattern ${entry.pattern} matched no databases`);
+            }
+
+            for (const databasePath of paths) {
+                if (seen.has(databasePath)) continue;
+                seen.add(databasePath);
+
+                const name = entry.path && entry.name ? entry.name : path.basename(databasePath, path.extname(databasePath));
+                databases.push({ name, databasePath, settings: this._settingsFor(entry, databasePath, name) });
+            }
+        }
+
+        return { databases, warnings };
+    }
+
+    /**
+     * Back up every database, then apply its retention rules if it has any
+     * @param {Object} options - Run options
+     * @param {number} options.concurrency - How many databases to back up at a time (default: config concurrency)
+     * @returns {Promise<Object>} { success, total, succeeded, failed, databases, warnings, duration, timestamp }
+     *   where databases holds { name, databasePath, success, backup, cleanup, error, code, duration } in
+     *   configuration order. success is false when any database failed
+     */
+    async run(options = {}) {
+        const concurrency = options.concurrency || this.concurrency;
+        const startTime = Date.now();
+        const { databases, warnings } = await this.discover();
+
+        // One queue per backup location, drained by at most concurrency workers
+        const queues = new Map();
+        databases.forEach((database, index) => {
+            const key = database.settings.location;
+            if (!queues.has(key)) queues.set(key, []);
+            queues.get(key).push({ database, index });
+        });
+
+        const results = new Array(databases.length);
+        const pending = [...queues.values()];
+        const worker = async () => {
+            for (let queue = pending.shift(); queue; queue = pending.shift()) {
+                for (const { database, index } of queue) {
+                    results[index] = await this._backupDatabase(database);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+        const failed = results.filter(result => !result.success).length;
+        return {
+            success: failed === 0,
+            total: results.length,
+            succeeded: results.length - failed,
+            failed,
+            databases: results,
+            warnings,
+            duration: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Private methods
+
+    async _backupDatabase(database) {
+        // Required here: index.js loads this module
+        const { SQLiteBackup } = require('./index');
+        const { name, databasePath, settings } = database;
+        const startTime = Date.now();
+        const result = { name, databasePath, success: false, backup: null, cleanup: null };
+
+        this.emit('database:start', { name, databasePath });
+        try {
+            const backup = new SQLiteBackup({ databasePath, ...settings.instance });
+            result.backup = await backup.createBackup(settings.backup);
+
+            if (result.backup.success && settings.retention) {
+                result.cleanup = await backup.cleanup(settings.retention);
+            }
+
+            const failure = !result.backup.success ? result.backup : (result.cleanup && !result.cleanup.success ? result.cleanup : null);
+            if (failure) {
+                result.error = failure.error;
+                result.code = failure.code;
+            } else {
+                result.success = true;
+            }
+        } catch (error) {
+            result.error = error.message;
+            result.code = error.code;
+        }
+
+        result.duration = Date.now() - startTime;
+        this.emit('database:complete', result);
+        return result;
+    }
+
+    _settingsFor(entry, databasePath, name) {
+        const merged = { ...this.defaults, ...entry };
+        const instance = {};
+        const backup = {};
+
+        for (const key of INSTANCE_SETTINGS) {
+            if (merged[key] !== undefined) instance[key] = merged[key];
+        }
+        for (const key of BACKUP_SETTINGS) {
+            if (merged[key] !== undefined) backup[key] = merged[key];
+        }
+
+        if (instance.backupDirectory) {
+            instance.backupDirectory = this._resolvePath(instance.backupDirectory
+                .replace(/\{name\}/g, name)
+                .replace(/\{dir\}/g, path.basename(path.dirname(databasePath))));
+        }
+        if (Array.isArray(instance.mirrors)) {
+            instance.mirrors = instance.mirrors.map(mirror => this._resolveLocation(mirror));
+        }
+        if (typeof instance.storage === 'string') {
+            instance.storage = this._resolveLocation(instance.storage);
+        }
+        if (instance.encryption && instance.encryption.keyFile) {
+            instance.encryption = { ...instance.encryption, keyFile: this._resolvePath(instance.encryption.keyFile) };
+        }
+
+        let retention = null;
+        if (merged.retention) {
+            // Databases can share a backup directory, so cleanup only looks at this database's own backups
+            const baseName = path.basename(databasePath, path.extname(databasePath));
+            retention = { pattern: `${baseName}-backup*.db`, ...merged.retention };
+        }
+
+        const location = typeof instance.storage === 'string' ? instance.storage :
+            (instance.backupDirectory || path.join(path.dirname(databasePath), 'backups'));
+
+        return { instance, backup, retention, location };
+    }
+
+    _resolvePath(value) {
+        return path.resolve(this.baseDirectory, value);
+    }
+
+    _resolveLocation(value) {
+        return typeof value === 'string' && !/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? this._resolvePath(value) : value;
+    }
+}
+
+function validateSettings(settings, label, allowed) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new BackupError(`${label} must be an object`, 'ERR_INVALID_CONFIG');
+    }
+    for (const key of Object.keys(settings)) {
+        if (!allowed.includes(key)) {
+            throw new BackupError(`Unknown setting "${key}" in ${label}`, 'ERR_INVALID_CONFIG');
+        }
+    }
+    if (settings.retention && !hasRetentionRule(settings.retention)) {
+        throw new BackupError(
+            `Retention in ${label} needs retentionDays, maxBackups or a keepHourly/keepDaily/keepWeekly/keepMonthly/keepYearly rule`,
+            'ERR_INVALID_CONFIG'
+        );
+    }
+}
+
+/**
+ * Expand a glob pattern to the database files it matches. '*' and '?' match within a path
+ * segment, '**' matches any number of directories. SQLite's -wal, -shm and -journal files and
+ * directories holding a backup catalog are left out, so patterns don't pick up backups
+ * @param {string} pattern - Absolute pattern, e.g. '/srv/tenants/tenant-?.db'
+ * @returns {Array<string>} Matching files, sorted
+ */
+function expandPattern(pattern) {
+    const { root } = path.parse(pattern);
+    const segments = pattern.slice(root.length).split(/[\\/]+/).filter(Boolean);
+    let matches = [root];
+
+    for (const segment of segments) {
+        const next = [];
+        for (const directory of matches) {
+            if (segment === '**') {
+                next.push(directory, ...listDirectories(directory));
+            } else if (!/[*?]/.test(segment)) {
+                const candidate = path.join(directory, segment);
+                if (fs.existsSync(candidate)) next.push(candidate);
+            } else {
+                const matcher = globSegment(segment);
+                for (const name of readDirectory(directory)) {
+                    // As in shells, wildcards don't match hidden files
+                    if (matcher.test(name) && (!name.startsWith('.') || segment.startsWith('.'))) {
+                        next.push(path.join(directory, name));
+                    }
+                }
+            }
+        }
+        matches = [...new Set(next)];
+    }
+
+    return matches
+        .filter(file => !SIDECAR_SUFFIXES.some(suffix => file.endsWith(suffix)))
+        .filter(file => isFile(file))
+        .filter(file => !fs.existsSync(path.join(path.dirname(file), CATALOG_FILENAME)))
+        .sort();
+}
+
+function globSegment(segment) {
+    const source = segment
+        .split('')
+        .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+function readDirectory(directory) {
+    try {
+        return fs.readdirSync(directory);
+    } catch (error) {
+        return [];
+    }
+}
+
+function isFile(file) {
+    try {
+        return fs.statSync(file).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+function isDirectory(directory) {
+    try {
+        return fs.statSync(directory).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
+
+function listDirectories(directory) {
+    const directories = [];
+    for (const name of readDirectory(directory)) {
+        const fullPath = path.join(directory, name);
+        if (!name.startsWith('.') && isDirectory(fullPath)) {
+            directories.push(fullPath, ...listDirectories(fullPath));
+        }
+    }
+    return directories;
+}
+
+module.exports = {
+    BackupManager
+};
@@ -0,0 +1,46 @@
+const { parentPort, workerData } = require('worker_threads');
+const { resolveDriver } = require('./drivers');
+const { stepPause } = require('./online-backup');
+
+/**
+ * Paced Backup Worker
+ *
+ * Runs an in-process driver's backup API for pacedBackup(). The API goes on to its next step as
+ * soon as the progress callback returns, so the pause between steps blocks this worker's thread,
+ * leaving the application's free.
+ */
+
+async function run() {
+    const { driverName, databasePath, targetPath, ...settings } = workerData;
+    const pause = new Int32Array(new SharedArrayBuffer(4));
+    const connection = resolveDriver(driverName).open(databasePath);
+    const startedAt = Date.now();
+    let steps = 0;
+    let pageCount = 0;
+
+    try {
+        await connection.backup(targetPath, {
+            pagesPerStep: settings.pagesPerStep,
+            onProgress: progress => {
+                parentPort.postMessage({ progress });
+                pageCount = progress.pageCount;
+                if (progress.pagesRemaining === 0) return;
+
+                steps++;
+                const delay = stepPause(settings, progress.pageCount - progress.pagesRemaining, startedAt);
+                if (delay > 0) Atomics.wait(pause, 0, 0, delay);
+            }
+        });
+    } finally {
+        await connection.close();
+    }
+
+    parentPort.postMessage({ result: { pageCount, steps: steps + 1 } });
+}
+
+run().catch(error => {
+    // Rethrown outside the promise, the error reaches the Worker's 'error' event
+    setImmediate(() => {
+        throw error;
+    });
+});
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { BackupError } = require('./errors');
+const { readPageSize } = require('./incremental');
+
+/**
+ * Stepped Online Backups
+ *
+ * Copies a live database a number of pages at a time, the way SQLite's online backup API does,
+ * so writers only ever wait for one step rather than the whole copy. Each step holds a read
+ * transaction just long enough to copy its pages from the database file; between steps the lock
+ * is released and the copy can pause to cap its I/O. When another connection commits during the
+ * copy, PRAGMA data_version changes and the copy starts over, so the result always holds a single
+ * committed state of the database.
+ *
+ * Pages are read from the database file itself, so in WAL mode the log is checkpointed first.
+ * When it can't be checkpointed completely (a reader still needs older frames, e.g. a WAL
+ * archiver's) or writes keep restarting the copy, the connection's one-shot backup takes over.
+ *
+ * Only for drivers that run SQLite in another process: closing a file descriptor drops every
+ * POSIX lock the process holds on that file, including those of in-process connections. The
+ * in-process drivers step through SQLite's own backup API instead; to pause between its steps
+ * without blocking this thread, pacedBackup() runs it in a worker thread.
+ */
+
+const DEFAULT_PAGES_PER_STEP = 100;
+const DEFAULT_BUSY_TIMEOUT = 5000;
+const MAX_RESTARTS = 3;
+const BUSY_RETRY_DELAY = 10;
+const MAX_BUSY_RETRY_DELAY = 500;
+
+// In-process drivers a worker thread can open a connection with
+const PACED_DRIVERS = ['better-sqlite3', 'node:sqlite'];
+const WORKER_PATH = path.join(__dirname, 'online-backup-worker.js');
+
+/**
+ * Back up a database in steps
+ * @param {Object} connection - Persistent connection to the database (see driver open())
+ * @param {string} databasePath - Path to the database file
+ * @param {string} targetPath - Backup file to write (replaced if it exists)
+ * @param {Object} options - Backup options
+ * @param {number} options.pagesPerStep - Pages copied per step (default: 100)
+ * @param {number} options.stepDelay - Milliseconds to pause between steps (default: 0)
+ * @param {number} options.maxPagesPerSecond - Pause between steps as needed to copy at most this many
+ *   pages per second (default: unlimited)
+ * @param {number} options.busyTimeout - Milliseconds to keep retrying a step while the database is
+ *   locked by a writer (default: 5000)
+ * @param {Function} options.onProgress - Called with { pageCount, pagesRemaining } after every step
+ * @returns {Promise<Object>} { pageCount, steps, restarts, stepped } where stepped is false when the
+ *   one-shot backup was used
+ * @throws {BackupError} When the database stays locked for longer than busyTimeout (ERR_DATABASE_BUSY)
+ */
+async function steppedBackup(connection, databasePath, targetPath, options = {}) {
+    const settings = resolveStepOptions(options);
+    let steps = 0;
+    let restarts = 0;
+
+    for (;;) {
+        const pass = await copyPass(connection, databasePath, targetPath, settings);
+        steps += pass.steps;
+
+        if (pass.complete) {
+            return { pageCount: pass.pageCount, steps, restarts, stepped: true };
+        }
+        if (pass.checkpointIncomplete || restarts >= MAX_RESTARTS) {
+            break;
+        }
+        restarts++;
+    }
+
+    fs.rmSync(targetPath, { force: true });
+    await withBusyRetry(() => connection.backup(targetPath), settings.busyTimeout);
+
+    const size = fs.statSync(targetPath).size;
+    const pageCount = size > 0 ? size / readPageSize(targetPath) : 0;
+    if (settings.onProgress) {
+        settings.onProgress({ pageCount, pagesRemaining: 0 });
+    }
+    return { pageCount, steps: steps + 1, restarts, stepped: false };
+}
+
+/**
+ * Back up a database through an in-process driver's backup API, pausing between its steps
+ * @param {string} driverName - Name of the driver to open the database with in the worker
+ * @param {string} databasePath - Path to the database file
+ * @param {string} targetPath - Backup file to write (replaced if it exists)
+ * @param {Object} options - Backup options, as for steppedBackup() (busyTimeout aside: SQLite's
+ *   backup API retries a locked step itself)
+ * @returns {Promise<Object>} { pageCount, steps }
+ * @throws {BackupError} When the driver can't be opened in a worker thread (ERR_DRIVER_UNSUPPORTED)
+ */
+async function pacedBackup(driverName, databasePath, targetPath, options = {}) {
+    const { pagesPerStep, stepDelay, maxPagesPerSecond, onProgress } = resolveStepOptions(options);
+    if (!PACED_DRIVERS.includes(driverName)) {
+        throw new BackupError(
+            `stepDelay and maxPagesPerSecond require the ${PACED_DRIVERS.join(', ')} or sqlite3-cli driver (not ${driverName})`,
+            'ERR_DRIVER_UNSUPPORTED'
+        );
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_PATH, {
+            workerData: { driverName, databasePath, targetPath, pagesPerStep, stepDelay, maxPagesPerSecond },
+            // node:sqlite warns that it is experimental in every thread that loads it, this one included
+            execArgv: process.allowedNodeEnvironmentFlags.has('--disable-warning') ?
+                [...process.execArgv, '--disable-warning=ExperimentalWarning'] : process.execArgv
+        });
+        let result = null;
+
+        worker.on('message', message => {
+            if (message.progress && onProgress) {
+                onProgress(message.progress);
+            } else if (message.result) {
+                result = message.result;
+            }
+        });
+        worker.once('error', reject);
+        worker.once('exit', code => {
+            if (result) {
+                resolve(result);
+            } else {
+                reject(new Error(`Backup worker exited with code ${code} before finishing`));
+            }
+        });
+    });
+}
+
+/**
+ * Milliseconds to pause before the next step
+ * @param {Object} settings - Options as returned by resolveStepOptions()
+ * @param {number} copied - Pages copied so far
+ * @param {number} startedAt - Time the copy started (ms since the epoch)
+ * @returns {number} Pause in milliseconds
+ */
+function stepPause(settings, copied, startedAt) {
+    const elapsed = Date.now() - startedAt;
+    const rateDelay = settings.maxPagesPerSecond ? copied / settings.maxPagesPerSecond * 1000 - elapsed : 0;
+    return Math.max(settings.stepDelay, rateDelay);
+}
+
+/**
+ * Validate stepped backup options and fill in defaults
+ * @param {Object} options - Options as given to steppedBackup()
+ * @returns {Object} Complete options
+ */
+function resolveStepOptions(options = {}) {
+    const {
+        pagesPerStep = DEFAULT_PAGES_PER_STEP,
+        stepDelay = 0,
+        maxPagesPerSecond = null,
+        busyTimeout = DEFAULT_BUSY_TIMEOUT,
+        onProgress = null
+    } = options;
+
+    if (!Number.isInteger(pagesPerStep) || pagesPerStep < 1) {
+        throw new Error(`Invalid pagesPerStep: ${pagesPerStep} (must be a positive integer)`);
+    }
+    if (typeof stepDelay !== 'number' || !(stepDelay >= 0)) {
+        throw new Error(`Invalid stepDelay: ${stepDelay} (must be a number of milliseconds)`);
+    }
+    if (maxPagesPerSecond !== null && (typeof maxPagesPerSecond !== 'number' || !(maxPagesPerSecond > 0))) {
+        throw new Error(`Invalid maxPagesPerSecond: ${maxPagesPerSecond} (must be a positive number)`);
+    }
+    if (typeof busyTimeout !== 'number' || !(busyTimeout >= 0)) {
+        throw new Error(`Invalid busyTimeout: ${busyTimeout} (must be a number of milliseconds)`);
+    }
+
+    return { pagesPerStep, stepDelay, maxPagesPerSecond, busyTimeout, onProgress };
+}
+
+async function copyPass(connection, databasePath, targetPath, settings) {
+    // Read before the checkpoint: a commit after it may not be in the database file yet
+    const version = pragmaValue(await withBusyRetry(() => connection.all('PRAGMA data_version;'), settings.busyTimeout));
+
+    // In rollback journal mode this reports -1 for both
+    const [checkpoint] = await withBusyRetry(() => connection.all('PRAGMA wal_checkpoint(PASSIVE);'), settings.busyTimeout);
+    if (checkpoint && Number(checkpoint.log) !== Number(checkpoint.checkpointed)) {
+        return { complete: false, checkpointIncomplete: true, steps: 0 };
+    }
+
+    const source = fs.openSync(databasePath, 'r');
+    const target = fs.openSync(targetPath, 'w');
+    const startedAt = Date.now();
+    const state = { version, pageCount: null, pageSize: null, copied: 0 };
+    let steps = 0;
+
+    try {
+        while (state.pageCount === null || state.copied < state.pageCount) {
+            const pages = await withBusyRetry(() => readStep(connection, source, state, settings.pagesPerStep), settings.busyTimeout);
+            if (!pages) {
+                return { complete: false, steps };
+            }
+
+            if (state.copied === 0 && pages.length > 0) {
+                markStandalone(pages, state.pageCount);
+            }
+            fs.writeSync(target, pages, 0, pages.length, state.copied * state.pageSize);
+            state.copied += pages.length / state.pageSize;
+            steps++;
+
+            if (settings.onProgress) {
+                settings.onProgress({ pageCount: state.pageCount, pagesRemaining: state.pageCount - state.copied });
+            }
+
+            if (state.copied < state.pageCount) {
+                await sleep(stepPause(settings, state.copied, startedAt));
+            }
+        }
+    } finally {
+        fs.closeSync(source);
+        fs.closeSync(target);
+    }
+
+    return { complete: true, pageCount: state.pageCount, steps };
+}
+
+async function readStep(connection, source, state, pagesPerStep) {
+    // Returns the step's pages, or null when another connection committed since the pass began
+    await connection.exec('BEGIN;');
+    try {
+        // The first read takes the lock that keeps writers from changing the file under us
+        await connection.all('SELECT count(*) FROM sqlite_master;');
+        if (pragmaValue(await connection.all('PRAGMA data_version;')) !== state.version) {
+            return null;
+        }
+
+        if (state.pageCount === null) {
+            state.pageCount = pragmaValue(await connection.all('PRAGMA page_count;'));
+            state.pageSize = pragmaValue(await connection.all('PRAGMA page_size;'));
+        }
+
+        const count = Math.min(pagesPerStep, state.pageCount - state.copied);
+        const pages = Buffer.alloc(count * state.pageSize);
+        const bytesRead = fs.readSync(source, pages, 0, pages.length, state.copied * state.pageSize);
+        if (bytesRead !== pages.length) {
+            throw new Error(`Database file ends before page ${state.copied + count} of ${state.pageCount}`);
+        }
+        return pages;
+    } finally {
+        try {
+            await connection.exec('ROLLBACK;');
+        } catch (error) {
+            // Not in a transaction
+        }
+    }
+}
+
+function markStandalone(firstPage, pageCount) {
+    // Like the backup API: a rollback journal database whose header page count is valid
+    firstPage[18] = 1;
+    firstPage[19] = 1;
+    firstPage.writeUInt32BE(pageCount, 28);
+    firstPage.writeUInt32BE(firstPage.readUInt32BE(24), 92);
+}
+
+async function withBusyRetry(fn, busyTimeout) {
+    const deadline = Date.now() + busyTimeout;
+
+    for (let delay = BUSY_RETRY_DELAY; ; delay = Math.min(delay * 2, MAX_BUSY_RETRY_DELAY)) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (!isBusyError(error)) {
+                throw error;
+            }
+            if (Date.now() >= deadline) {
+                throw new BackupError(`Database stayed locked for more than ${busyTimeout} ms: ${error.message}`, 'ERR_DATABASE_BUSY');
+            }
+            await sleep(Math.min(delay, Math.max(deadline - Date.now(), 0)));
+        }
+    }
+}
+
+function isBusyError(error) {
+    return error.code === 'SQLITE_BUSY' || /database is locked|SQLITE_BUSY/i.test(error.message);
+}
+
+function pragmaValue(rows) {
+    return rows.length > 0 ? Number(Object.values(rows[0])[0]) : null;
+}
+
+function sleep(ms) {
+    // Even without a pause, give writers in this process a turn between steps
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    steppedBackup,
+    pacedBackup,
+    stepPause,
+    resolveStepOptions
+};
@@ -0,0 +1,175 @@
+/**
+ * Restore Target Handling
+ *
+ * A restore is written to a temporary file next to the target and renamed over it, so the target
+ * is always either the old database or the restored one. Before the rename, the old database's WAL
+ * is checkpointed and its sidecar files removed: SQLite would otherwise replay a stale WAL, or roll
+ * back a stale journal, onto the restored pages.
+ *
+ * A database another process has open can't be replaced safely, since that process would go on
+ * using the old file. Open handles are found through /proc on Linux; everywhere, an exclusive lock
+ * is taken, which fails while another connection is in a transaction or has the database open in
+ * WAL mode.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BackupError } = require('./errors');
+
+const SIDECAR_SUFFIXES = ['-wal', '-shm', '-journal'];
+
+/**
+ * Path of the temporary file a restore to targetPath is written to
+ * @param {string} targetPath - Database being restored
+ * @returns {string} Hidden file in the target's directory
+ */
+function temporaryRestorePath(targetPath) {
+    return path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.restore-${process.pid}-${Date.now()}`);
+}
+
+/**
+ * Fail when another process or connection is using a database
+ * @param {Object} driver - Driver instance
+ * @param {string} databasePath - Database to check
+ * @param {Object} options - Options
+ * @param {boolean} options.checkpoint - Also checkpoint its WAL into the database file (default: false)
+ * @returns {Promise<void>}
+ * @throws {BackupError} When the database is in use (ERR_DATABASE_IN_USE)
+ */
+async function assertNotInUse(driver, databasePath, options = {}) {
+    const pids = findProcessesUsing(databasePath);
+    if (pids.length > 0) {
+        const names = pids.map(pid => pid === process.pid ? `${pid} (this process)` : String(pid));
+        throw new BackupError(
+            `${databasePath} is open in another process (pid ${names.join(', ')}); close it before restoring`,
+            'ERR_DATABASE_IN_USE'
+        );
+    }
+
+    const connection = driver.open(databasePath, { persistent: true });
+    try {
+        await connection.exec('PRAGMA busy_timeout = 0;');
+        await connection.exec('PRAGMA locking_mode = EXCLUSIVE;');
+        await connection.exec('BEGIN EXCLUSIVE;');
+        await connection.exec('COMMIT;');
+        if (options.checkpoint) {
+            await connection.all('PRAGMA wal_checkpoint(TRUNCATE);');
+        }
+    } catch (error) {
+        if (isBusyError(error)) {
+            throw new BackupError(`${databasePath} is in use by another connection; close it before restoring`, 'ERR_DATABASE_IN_USE');
+        }
+        // Anything else (such as a file that isn't a database) doesn't stop it from being replaced
+    } finally {
+        await connection.close().catch(() => {});
+    }
+}
+
+/**
+ * Move a restored database into place
+ * @param {Object} driver - Driver instance
+ * @param {string} sourcePath - Restored database, in the target's directory
+ * @param {string} targetPath - Database to replace
+ * @returns {Promise<string[]>} Sidecar files of the old database that were removed
+ * @throws {BackupError} When the target is in use (ERR_DATABASE_IN_USE)
+ */
+async function replaceDatabase(driver, sourcePath, targetPath) {
+    if (fs.existsSync(targetPath)) {
+        // Committed pages still in the WAL belong to the old database, not in a stale sidecar
+        await assertNotInUse(driver, targetPath, { checkpoint: true });
+        fs.chmodSync(sourcePath, fs.statSync(targetPath).mode & 0o7777);
+    }
+
+    const file = fs.openSync(sourcePath, 'r+');
+    try {
+        fs.fsyncSync(file);
+    } finally {
+        fs.closeSync(file);
+    }
+
+    const removed = removeSidecars(targetPath);
+    fs.renameSync(sourcePath, targetPath);
+    syncDirectory(path.dirname(targetPath));
+    return removed;
+}
+
+/**
+ * Remove the -wal, -shm and -journal files of a database
+ * @param {string} databasePath - Database file
+ * @returns {string[]} Paths removed
+ */
+function removeSidecars(databasePath) {
+    return SIDECAR_SUFFIXES
+        .map(suffix => `${databasePath}${suffix}`)
+        .filter(sidecar => {
+            if (!fs.existsSync(sidecar)) return false;
+            fs.unlinkSync(sidecar);
+            return true;
+        });
+}
+
+/**
+ * Find the processes that have a database or its sidecars open (Linux only)
+ * @param {string} databasePath - Database file
+ * @returns {number[]} Process ids; empty where /proc isn't available or readable
+ */
+function findProcessesUsing(databasePath) {
+    if (process.platform !== 'linux' || !fs.existsSync(databasePath)) {
+        return [];
+    }
+
+    const realPath = fs.realpathSync(databasePath);
+    const files = new Set([realPath, ...SIDECAR_SUFFIXES.map(suffix => `${realPath}${suffix}`)]);
+    let pids;
+    try {
+        pids = fs.readdirSync('/proc').filter(name => /^\d+$/.test(name));
+    } catch (error) {
+        return [];
+    }
+
+    const found = [];
+    for (const pid of pids) {
+        let descriptors;
+        try {
+            descriptors = fs.readdirSync(`/proc/${pid}/fd`);
+        } catch (error) {
+            // Processes of other users, or ones that have just exited
+            continue;
+        }
+
+        const opened = descriptors.some(descriptor => {
+            try {
+                return files.has(fs.readlinkSync(`/proc/${pid}/fd/${descriptor}`));
+            } catch (error) {
+                return false;
+            }
+        });
+        if (opened) found.push(Number(pid));
+    }
+    return found;
+}
+
+function syncDirectory(directory) {
+    // Makes the rename durable; directories can't be opened for syncing on every platform
+    try {
+        const handle = fs.openSync(directory, 'r');
+        try {
+            fs.fsyncSync(handle);
+        } finally {
+            fs.closeSync(handle);
+        }
+    } catch (error) {
+        // Best effort
+    }
+}
+
+function isBusyError(error) {
+    return error.code === 'SQLITE_BUSY' || /database is locked|SQLITE_BUSY/i.test(error.message);
+}
+
+module.exports = {
+    temporaryRestorePath,
+    assertNotInUse,
+    replaceDatabase,
+    removeSidecars
+};
@@ -0,0 +1,106 @@
+/**
+ * Backup Retention
+ *
+ * Decides which backups a retention policy keeps. Rules are combined: a backup survives when
+ * any rule keeps it. Grandfather-father-son rules keep the newest backup of each of the most
+ * recent N hours, days, ISO weeks, months and years that have backups, bucketed in UTC.
+ */
+
+const GFS_PERIODS = {
+    hourly: date => date.toISOString().slice(0, 13),
+    daily: date => date.toISOString().slice(0, 10),
+    weekly: isoWeek,
+    monthly: date => date.toISOString().slice(0, 7),
+    yearly: date => date.toISOString().slice(0, 4)
+};
+
+const GFS_OPTIONS = {
+    hourly: 'keepHourly',
+    daily: 'keepDaily',
+    weekly: 'keepWeekly',
+    monthly: 'keepMonthly',
+    yearly: 'keepYearly'
+};
+
+/**
+ * Check whether a retention policy has any rule
+ * @param {Object} policy - Cleanup options
+ * @returns {boolean} True if at least one rule is set
+ */
+function hasRetentionRule(policy) {
+    return Boolean(policy.retentionDays || policy.maxBackups ||
+        Object.values(GFS_OPTIONS).some(option => policy[option]));
+}
+
+/**
+ * Apply a retention policy
+ * @param {Array<Object>} backups - [{ name, time (Date) }]
+ * @param {Object} policy - Retention rules
+ * @param {number} policy.retentionDays - Keep backups younger than this many days
+ * @param {number} policy.maxBackups - Keep this many most recent backups
+ * @param {number} policy.keepHourly - Keep the newest backup of each of this many hours
+ * @param {number} policy.keepDaily - Keep the newest backup of each of this many days
+ * @param {number} policy.keepWeekly - Keep the newest backup of each of this many ISO weeks
+ * @param {number} policy.keepMonthly - Keep the newest backup of each of this many months
+ * @param {number} policy.keepYearly - Keep the newest backup of each of this many years
+ * @param {Date} now - Reference time for retentionDays (default: now)
+ * @returns {Map<string, Array<string>>} Kept backup names mapped to the buckets that kept them,
+ *   e.g. ['daily:2024-05-01', 'weekly:2024-W18', 'maxBackups', 'retentionDays']
+ */
+function applyRetention(backups, policy, now = new Date()) {
+    const sorted = [...backups].sort((a, b) => b.time - a.time);
+    const kept = new Map();
+    const keep = (backup, bucket) => {
+        if (!kept.has(backup.name)) kept.set(backup.name, []);
+        kept.get(backup.name).push(bucket);
+    };
+
+    if (policy.retentionDays) {
+        const cutoff = new Date(now.getTime() - (policy.retentionDays * 24 * 60 * 60 * 1000));
+        sorted.filter(backup => backup.time >= cutoff).forEach(backup => keep(backup, 'retentionDays'));
+    }
+
+    if (policy.maxBackups) {
+        sorted.slice(0, policy.maxBackups).forEach(backup => keep(backup, 'maxBackups'));
+    }
+
+    for (const [period, bucketOf] of Object.entries(GFS_PERIODS)) {
+        const count = policy[GFS_OPTIONS[period]];
+        if (!count) continue;
+
+        let lastBucket = null;
+        let buckets = 0;
+        for (const backup of sorted) {
+            if (buckets >= count) break;
+
+            // Newest first, so the first backup seen in a bucket is the one to keep
+            const bucket = bucketOf(backup.time);
+            if (bucket !== lastBucket) {
+                keep(backup, `${period}:${bucket}`);
+                lastBucket = bucket;
+                buckets++;
+            }
+        }
+    }
+
+    return kept;
+}
+
+/**
+ * ISO 8601 week of a date in UTC, e.g. '2024-W18'
+ * @param {Date} date - Date
+ * @returns {string} Week bucket
+ */
+function isoWeek(date) {
+    // The Thursday of the week decides which year the week belongs to
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.floor((thursday - yearStart) / (7 * 24 * 60 * 60 * 1000)) + 1;
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+module.exports = {
+    hasRetentionRule,
+    applyRetention
+};
@@ -0,0 +1,227 @@
+const { EventEmitter } = require('events');
+const { CronExpression } = require('./cron');
+
+/**
+ * Cron Scheduler
+ *
+ * Runs an async task at the times of a cron expression. A run that is still going when the
+ * next one is due causes that one to be skipped rather than overlap. Occurrences that pass
+ * while the timer is held up (e.g. while the host sleeps), or while the scheduler isn't
+ * running at all, are made up for with a single run.
+ *
+ * Time is read from an injectable clock ({ now, setTimeout, clearTimeout }), so schedules can
+ * be tested without waiting for them.
+ *
+ * Events: 'run' ({ scheduledFor, startedAt, catchUp }), 'complete' ({ scheduledFor, startedAt,
+ * duration, catchUp, result }), 'skipped' ({ scheduledFor, reason: 'overlap' or 'missed' }),
+ * 'missed' ({ scheduledFor, missed }), 'error' (Error)
+ */
+
+const SYSTEM_CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (fn, delay) => setTimeout(fn, delay),
+    clearTimeout: timer => clearTimeout(timer)
+};
+
+// setTimeout fires immediately for delays beyond 2^31 - 1 ms (about 24.8 days)
+const MAX_TIMEOUT = 2147483647;
+
+class Scheduler extends EventEmitter {
+    /**
+     * Create a new Scheduler (see SQLiteBackup.schedule)
+     * @param {string|CronExpression} expression - When to run, e.g. '0 3 * * *'
+     * @param {Function} task - Async function receiving { scheduledFor, catchUp }
+     * @param {Object} options - Scheduler options
+     * @param {number} options.jitter - Delay each run by a random 0 to jitter milliseconds, to spread
+     *   the load of many hosts on the same schedule (default: 0)
+     * @param {boolean} options.catchUp - Make up for missed occurrences with a single run; when false
+     *   they are skipped (default: true)
+     * @param {Date|Function} options.lastRun - Time of the last run before start(), or an async function
+     *   returning it, to catch up on occurrences missed while the scheduler wasn't running (default: none)
+     * @param {boolean} options.utc - Interpret the expression in UTC rather than local time (default: false)
+     * @param {Object} options.clock - { now(), setTimeout(fn, delay), clearTimeout(timer) } (default: system clock)
+     * @param {Function} options.random - Returns a number in [0, 1) for the jitter (default: Math.random)
+     */
+    constructor(expression, task, options = {}) {
+        super();
+        this.cron = expression instanceof CronExpression ? expression : new CronExpression(expression, { utc: options.utc });
+        this.task = task;
+        this.jitter = options.jitter || 0;
+        this.catchUp = options.catchUp !== false;
+        this.lastRun = options.lastRun || null;
+        this.clock = options.clock || SYSTEM_CLOCK;
+        this.random = options.random || Math.random;
+
+        this.running = false;
+        this.timer = null;
+        this.catchUpTimer = null;
+        this.current = null;
+        this.nextRun = null;
+        this.stats = { runs: 0, failures: 0, skipped: 0, missed: 0, lastRunAt: null, lastError: null };
+    }
+
+    /**
+     * Start the schedule, first catching up on occurrences missed since lastRun
+     * @returns {Promise<Object>} Scheduler status
+     */
+    async start() {
+        if (this.running) {
+            throw new Error('Scheduler is already running');
+        }
+
+        this.running = true;
+        const lastRun = typeof this.lastRun === 'function' ? await this.lastRun() : this.lastRun;
+
+        // Queued on the clock like any run, so listeners added once start() resolves see it
+        const due = lastRun ? this._findDue(new Date(lastRun)) : null;
+        if (due) {
+            this.catchUpTimer = this.clock.setTimeout(() => {
+                this.catchUpTimer = null;
+                if (this.running) this._handleMissed(due.latest, due.missed);
+            }, 0);
+        }
+
+        this._arm();
+        return this.status();
+    }
+
+    /**
+     * Stop the schedule, waiting for a run in progress to finish
+     * @returns {Promise<Object>} Scheduler status
+     */
+    async stop() {
+        this.running = false;
+        for (const timer of [this.timer, this.catchUpTimer]) {
+            if (timer) this.clock.clearTimeout(timer);
+        }
+        this.timer = null;
+        this.catchUpTimer = null;
+        this.nextRun = null;
+
+        return this.idle();
+    }
+
+    /**
+     * Wait for a run in progress, if any, to finish
+     * @returns {Promise<Object>} Scheduler status
+     */
+    async idle() {
+        if (this.current) {
+            await this.current;
+        }
+        return this.status();
+    }
+
+    /**
+     * Get the scheduler's statistics
+     * @returns {Object} { running, busy, schedule, nextRun, runs, failures, skipped, missed, lastRunAt, lastError }
+     */
+    status() {
+        return {
+            running: this.running,
+            busy: Boolean(this.current),
+            schedule: this.cron.toString(),
+            nextRun: this.nextRun ? this.nextRun.toISOString() : null,
+            ...this.stats
+        };
+    }
+
+    // Private methods
+
+    _arm() {
+        if (!this.running) return;
+
+        this.nextRun = this.cron.next(new Date(this.clock.now()));
+        const dueAt = this.nextRun.getTime() + Math.floor(this.random() * this.jitter);
+        this._wait(this.nextRun, dueAt);
+    }
+
+    _wait(scheduledFor, dueAt) {
+        // Long waits are taken in steps, each checking the clock again
+        const delay = Math.min(Math.max(dueAt - this.clock.now(), 0), MAX_TIMEOUT);
+
+        this.timer = this.clock.setTimeout(() => {
+            this.timer = null;
+            if (!this.running) return;
+
+            if (this.clock.now() < dueAt) {
+                this._wait(scheduledFor, dueAt);
+                return;
+            }
+
+            this._fire(scheduledFor);
+            this._arm();
+        }, delay);
+    }
+
+    _fire(scheduledFor) {
+        // Occurrences that passed while the timer was held up are made up for by this run
+        const due = this._findDue(scheduledFor);
+        if (due) {
+            this._handleMissed(due.latest, due.missed);
+        } else {
+            this._trigger(scheduledFor, false);
+        }
+    }
+
+    _findDue(after) {
+        // Occurrences after a given time that have already passed: { missed, latest } or null for none
+        const now = this.clock.now();
+        let missed = 0;
+        let latest = null;
+        for (let next = this.cron.next(after); next.getTime() <= now; next = this.cron.next(next)) {
+            missed++;
+            latest = next;
+        }
+        return latest ? { missed, latest } : null;
+    }
+
+    _handleMissed(scheduledFor, missed) {
+        this.stats.missed += missed;
+        this.emit('missed', { scheduledFor, missed });
+
+        if (this.catchUp) {
+            this._trigger(scheduledFor, true);
+        } else {
+            this._skip(scheduledFor, 'missed');
+        }
+    }
+
+    _skip(scheduledFor, reason) {
+        this.stats.skipped++;
+        this.emit('skipped', { scheduledFor, reason });
+    }
+
+    _trigger(scheduledFor, catchUp) {
+        if (this.current) {
+            this._skip(scheduledFor, 'overlap');
+            return;
+        }
+
+        const startedAt = new Date(this.clock.now());
+        this.emit('run', { scheduledFor, startedAt, catchUp });
+
+        this.current = Promise.resolve()
+            .then(() => this.task({ scheduledFor, catchUp }))
+            .then(result => {
+                this.stats.runs++;
+                this.stats.lastRunAt = startedAt.toISOString();
+                this.emit('complete', { scheduledFor, startedAt, duration: this.clock.now() - startedAt.getTime(), catchUp, result });
+            }, error => {
+                this.stats.runs++;
+                this.stats.failures++;
+                this.stats.lastRunAt = startedAt.toISOString();
+                this.stats.lastError = error.message;
+                if (this.listenerCount('error') > 0) {
+                    this.emit('error', error);
+                }
+            })
+            .finally(() => {
+                this.current = null;
+            });
+    }
+}
+
+module.exports = {
+    Scheduler
+};
@@ -0,0 +1,58 @@
+/**
+ * SQL Helpers
+ *
+ * Quoting, and keyset paging: reading a table in batches in a stable order, each batch seeking past
+ * the last row of the one before instead of skipping (with OFFSET) every row read so far. Rows are
+ * ordered by primary key, with the rowid breaking ties and ordering tables without a key. A batch's
+ * last key is selected as quote() literals, so that it can be put back into the next query as it is.
+ */
+
+/**
+ * Key expressions that order a table's rows
+ * @param {Object} table - Table from sqlite_schema, with its name and sql
+ * @param {Array<Object>} columns - Columns as from PRAGMA table_info: name, type and pk
+ * @returns {Array<string>} Quoted column names, and the rowid unless it is the key or there is none
+ */
+function rowOrder(table, columns) {
+    const key = columns.filter(column => Number(column.pk) > 0).sort((a, b) => a.pk - b.pk);
+    if (/\bWITHOUT\s+ROWID\s*$/i.test(table.sql)) {
+        return key.map(column => quoteIdentifier(column.name));
+    }
+    // An INTEGER PRIMARY KEY is the rowid itself
+    if (key.length === 1 && /^INTEGER$/i.test(key[0].type || '')) {
+        return [quoteIdentifier(key[0].name)];
+    }
+
+    // A column may be called rowid; the rowid then still goes by one of its other names
+    const rowid = ['rowid', '_rowid_', 'oid'].find(alias => !columns.some(column => column.name.toLowerCase() === alias)) || 'rowid';
+    return [...key.map(column => quoteIdentifier(column.name)), rowid];
+}
+
+/**
+ * Condition for the rows after the one whose key is given
+ * @param {Array<string>} key - Key expressions, from rowOrder
+ * @param {Array<string>} values - The row's key values, as quote() literals
+ * @returns {string} WHERE condition
+ */
+function keyAfter(key, values) {
+    if (!values.includes('NULL')) {
+        return key.length === 1 ? `${key[0]} > ${values[0]}` : `(${key.join(', ')}) > (${values.join(', ')})`;
+    }
+
+    // NULLs sort first but compare as unknown, so a key holding one is compared column by column
+    return key.map((expression, index) => {
+        const same = key.slice(0, index).map((previous, position) => `${previous} IS ${values[position]}`);
+        const later = values[index] === 'NULL' ? `${expression} IS NOT NULL` : `${expression} > ${values[index]}`;
+        return `(${[...same, later].join(' AND ')})`;
+    }).join(' OR ');
+}
+
+function quoteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+module.exports = {
+    rowOrder,
+    keyAfter,
+    quoteIdentifier
+};
@@ -0,0 +1,62 @@
+const { LocalStorage } = require('./local');
+const { S3Storage } = require('./s3');
+
+/**
+ * Backup Storage
+ *
+ * A storage adapter holds backup files under flat names. Every adapter exposes the same async
+ * interface: put(name, sourcePath), get(name, targetPath), list(), delete(name) and stat(name),
+ * plus location(name) for display and a local flag that is true when the files are plain files
+ * in a local directory (some features, such as incremental backups, need direct file access).
+ */
+
+/**
+ * Resolve a storage option to an adapter
+ * @param {string|Object} storage - Adapter instance, 's3://bucket/prefix' URL, or nothing for local storage
+ * @param {string} backupDirectory - Directory of the default local storage
+ * @returns {Object} Storage adapter
+ */
+function resolveStorage(storage, backupDirectory) {
+    if (!storage) {
+        return new LocalStorage(backupDirectory);
+    }
+
+    if (typeof storage === 'object') {
+        for (const method of ['put', 'get', 'list', 'delete', 'stat']) {
+            if (typeof storage[method] !== 'function') {
+                throw new Error(`Storage adapter is missing ${method}()`);
+            }
+        }
+        return storage;
+    }
+
+    if (/^s3:\/\//.test(storage)) {
+        return S3Storage.fromUrl(storage);
+    }
+
+    throw new Error(`Unsupported storage: ${storage} (expected s3://bucket/prefix or a storage adapter)`);
+}
+
+/**
+ * Resolve a mirror option to an adapter
+ * @param {string|Object} mirror - Directory path, 's3://bucket/prefix' URL or storage adapter
+ * @returns {Object} Storage adapter
+ */
+function resolveMirror(mirror) {
+    if (!mirror) {
+        throw new Error('A mirror must be a directory, an s3://bucket/prefix URL or a storage adapter');
+    }
+
+    if (typeof mirror === 'string' && !/^s3:\/\//.test(mirror)) {
+        return new LocalStorage(mirror);
+    }
+
+    return resolveStorage(mirror);
+}
+
+module.exports = {
+    resolveStorage,
+    resolveMirror,
+    LocalStorage,
+    S3Storage
+};
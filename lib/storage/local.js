@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { BackupError } = require('../errors');
+
+/**
+ * Local Directory Storage
+ *
+ * Keeps backups as files in a directory on this host. This is the default storage; backups are
+ * created in place, so put() of a file that is already in the directory does nothing.
+ */
+class LocalStorage {
+    /**
+     * Create a new local storage
+     * @param {string} directory - Directory holding the backups
+     */
+    constructor(directory) {
+        this.name = 'local';
+        this.local = true;
+        this.directory = path.resolve(directory);
+    }
+
+    /**
+     * Path of a stored file, as shown to users
+     * @param {string} name - File name
+     * @returns {string} Absolute path
+     */
+    location(name) {
+        return path.join(this.directory, name);
+    }
+
+    /**
+     * Store a file
+     * @param {string} name - File name
+     * @param {string} sourcePath - Local file to store
+     */
+    async put(name, sourcePath) {
+        const targetPath = this.location(name);
+        if (path.resolve(sourcePath) === targetPath) return;
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.copyFile(sourcePath, targetPath);
+    }
+
+    /**
+     * Copy a stored file to a local path
+     * @param {string} name - File name
+     * @param {string} targetPath - Local destination
+     * @throws {BackupError} When the file doesn't exist (ERR_STORAGE_NOT_FOUND)
+     */
+    async get(name, targetPath) {
+        const sourcePath = this.location(name);
+        if (!fs.existsSync(sourcePath)) {
+            throw new BackupError(`Backup file not found: ${sourcePath}`, 'ERR_STORAGE_NOT_FOUND');
+        }
+        if (path.resolve(targetPath) === sourcePath) return;
+
+        await fs.promises.copyFile(sourcePath, targetPath);
+    }
+
+    /**
+     * List the stored files
+     * @returns {Promise<Array<Object>>} [{ name, size, modified, created }]
+     */
+    async list() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        const files = [];
+        for (const name of await fs.promises.readdir(this.directory)) {
+            const stats = await fs.promises.stat(path.join(this.directory, name));
+            if (stats.isFile()) {
+                files.push({ name, size: stats.size, modified: stats.mtime, created: stats.birthtime });
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Delete a stored file (deleting a missing file is not an error)
+     * @param {string} name - File name
+     */
+    async delete(name) {
+        try {
+            await fs.promises.unlink(this.location(name));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    /**
+     * Get size and modification time of a stored file
+     * @param {string} name - File name
+     * @returns {Promise<Object|null>} { size, modified, created } or null if the file doesn't exist
+     */
+    async stat(name) {
+        try {
+            const stats = await fs.promises.stat(this.location(name));
+            return { size: stats.size, modified: stats.mtime, created: stats.birthtime };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    LocalStorage
+};
@@ -0,0 +1,360 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { BackupError } = require('../errors');
+const { calculateChecksum } = require('../checksum');
+
+/**
+ * S3-Compatible Storage
+ *
+ * Keeps backups as objects under a prefix of an S3 bucket. Works with AWS S3 and compatible
+ * services (MinIO, Ceph, R2, ...) through their REST API, signing requests with AWS Signature
+ * Version 4. Only node:https/node:http and node:crypto are used; no AWS SDK is needed.
+ *
+ * Credentials, region and endpoint default to the standard AWS environment variables:
+ * AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN, AWS_REGION (or AWS_DEFAULT_REGION)
+ * and AWS_ENDPOINT_URL_S3 (or AWS_ENDPOINT_URL).
+ */
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+class S3Storage {
+    /**
+     * Create a new S3 storage
+     * @param {Object} options - Storage options
+     * @param {string} options.bucket - Bucket name
+     * @param {string} options.prefix - Key prefix the backups are stored under (default: none)
+     * @param {string} options.region - Bucket region (default: AWS_REGION or 'us-east-1')
+     * @param {string} options.endpoint - Endpoint URL of an S3-compatible service, e.g.
+     *   'http://localhost:9000' (default: AWS_ENDPOINT_URL_S3, or AWS S3 for the region)
+     * @param {boolean} options.forcePathStyle - Address the bucket in the path rather than the host name
+     *   (default: true with a custom endpoint)
+     * @param {string} options.accessKeyId - Access key (default: AWS_ACCESS_KEY_ID)
+     * @param {string} options.secretAccessKey - Secret key (default: AWS_SECRET_ACCESS_KEY)
+     * @param {string} options.sessionToken - Session token for temporary credentials (default: AWS_SESSION_TOKEN)
+     * @param {number} options.timeout - Milliseconds a request may stall before it fails (default: 60000)
+     * @throws {BackupError} When no credentials are available (ERR_STORAGE_CREDENTIALS)
+     */
+    constructor(options = {}) {
+        const env = process.env;
+
+        if (!options.bucket) {
+            throw new Error('S3 storage requires a bucket');
+        }
+
+        this.name = 's3';
+        this.local = false;
+        this.bucket = options.bucket;
+        this.prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+        this.region = options.region || env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-1';
+        this.timeout = options.timeout || 60000;
+        this.credentials = {
+            accessKeyId: options.accessKeyId || env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: options.secretAccessKey || env.AWS_SECRET_ACCESS_KEY,
+            sessionToken: options.sessionToken || env.AWS_SESSION_TOKEN || null
+        };
+
+        if (!this.credentials.accessKeyId || !this.credentials.secretAccessKey) {
+            throw new BackupError(
+                'S3 storage requires credentials: pass accessKeyId and secretAccessKey or set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY',
+                'ERR_STORAGE_CREDENTIALS'
+            );
+        }
+
+        const endpoint = options.endpoint || env.AWS_ENDPOINT_URL_S3 || env.AWS_ENDPOINT_URL;
+        // Bucket names with dots don't match the wildcard certificate of virtual-hosted addresses
+        this.pathStyle = options.forcePathStyle !== undefined ?
+            Boolean(options.forcePathStyle) : Boolean(endpoint) || this.bucket.includes('.');
+        this.endpoint = new URL(endpoint || `https://s3.${this.region}.amazonaws.com`);
+    }
+
+    /**
+     * Create an S3 storage from a URL such as 's3://bucket/prefix'
+     * @param {string} url - Storage URL
+     * @param {Object} options - Further S3Storage options (region, endpoint, credentials)
+     * @returns {S3Storage} Storage instance
+     */
+    static fromUrl(url, options = {}) {
+        const match = /^s3:\/\/([^/]+)\/?(.*)$/.exec(url);
+        if (!match) {
+            throw new Error(`Invalid S3 storage URL: ${url} (expected s3://bucket/prefix)`);
+        }
+        return new S3Storage({ ...options, bucket: match[1], prefix: match[2] });
+    }
+
+    /**
+     * URL of a stored object, as shown to users
+     * @param {string} name - File name
+     * @returns {string} s3:// URL
+     */
+    location(name) {
+        return `s3://${this.bucket}/${this._key(name)}`;
+    }
+
+    /**
+     * Upload a file
+     * @param {string} name - File name
+     * @param {string} sourcePath - Local file to upload
+     */
+    async put(name, sourcePath) {
+        const size = fs.statSync(sourcePath).size;
+        const payloadHash = await calculateChecksum(sourcePath, 'sha256');
+
+        await this._request('PUT', this._key(name), {
+            payloadHash,
+            headers: { 'content-length': String(size), 'content-type': 'application/octet-stream' },
+            body: () => fs.createReadStream(sourcePath)
+        });
+    }
+
+    /**
+     * Download an object to a local path
+     * @param {string} name - File name
+     * @param {string} targetPath - Local destination
+     * @throws {BackupError} When the object doesn't exist (ERR_STORAGE_NOT_FOUND)
+     */
+    async get(name, targetPath) {
+        const partialPath = `${targetPath}.partial`;
+        try {
+            await this._request('GET', this._key(name), { download: partialPath });
+            fs.renameSync(partialPath, targetPath);
+        } finally {
+            fs.rmSync(partialPath, { force: true });
+        }
+    }
+
+    /**
+     * List the objects directly under the prefix
+     * @returns {Promise<Array<Object>>} [{ name, size, modified }]
+     */
+    async list() {
+        const prefix = this.prefix ? `${this.prefix}/` : '';
+        const files = [];
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': '2', prefix, delimiter: '/' };
+            if (continuationToken) query['continuation-token'] = continuationToken;
+
+            const xml = (await this._request('GET', '', { query })).toString('utf8');
+            for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const key = xmlValue(contents, 'Key');
+                files.push({
+                    name: key.slice(prefix.length),
+                    size: parseInt(xmlValue(contents, 'Size'), 10),
+                    modified: new Date(xmlValue(contents, 'LastModified'))
+                });
+            }
+
+            continuationToken = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+        } while (continuationToken);
+
+        return files.filter(file => file.name);
+    }
+
+    /**
+     * Delete an object (deleting a missing object is not an error)
+     * @param {string} name - File name
+     */
+    async delete(name) {
+        try {
+            await this._request('DELETE', this._key(name));
+        } catch (error) {
+            if (error.code !== 'ERR_STORAGE_NOT_FOUND') throw error;
+        }
+    }
+
+    /**
+     * Get size and modification time of an object
+     * @param {string} name - File name
+     * @returns {Promise<Object|null>} { size, modified } or null if the object doesn't exist
+     */
+    async stat(name) {
+        try {
+            const headers = await this._request('HEAD', this._key(name), { responseHeaders: true });
+            return {
+                size: parseInt(headers['content-length'], 10),
+                modified: new Date(headers['last-modified'])
+            };
+        } catch (error) {
+            if (error.code === 'ERR_STORAGE_NOT_FOUND') return null;
+            throw error;
+        }
+    }
+
+    // Private methods
+
+    _key(name) {
+        return this.prefix ? `${this.prefix}/${name}` : name;
+    }
+
+    _request(method, key, options = {}) {
+        const { query = {}, payloadHash = EMPTY_PAYLOAD_HASH, body, download, responseHeaders } = options;
+
+        const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+        const host = this.pathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+        const requestPath = `${basePath}/${this.pathStyle ? `${this.bucket}/` : ''}${key}`;
+        const headers = signRequest({
+            method,
+            host,
+            path: requestPath,
+            query,
+            headers: options.headers || {},
+            payloadHash,
+            region: this.region,
+            credentials: this.credentials
+        });
+
+        const queryString = canonicalQuery(query);
+        const transport = this.endpoint.protocol === 'http:' ? http : https;
+        const description = `S3 ${method} ${this.bucket}/${key}`;
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request({
+                protocol: this.endpoint.protocol,
+                hostname: this.pathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+                port: this.endpoint.port || undefined,
+                method,
+                path: `${encodePath(requestPath)}${queryString ? `?${queryString}` : ''}`,
+                headers
+            });
+
+            request.setTimeout(this.timeout, () => {
+                request.destroy(new BackupError(`${description} timed out after ${this.timeout} ms`, 'ERR_STORAGE'));
+            });
+            request.on('error', error => {
+                reject(error instanceof BackupError ? error : new BackupError(`${description} failed: ${error.message}`, 'ERR_STORAGE'));
+            });
+
+            request.on('response', response => {
+                const status = response.statusCode;
+
+                if (status >= 200 && status < 300 && download) {
+                    const output = fs.createWriteStream(download);
+                    output.on('error', reject);
+                    response.on('error', reject);
+                    output.on('finish', () => resolve());
+                    response.pipe(output);
+                    return;
+                }
+
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('error', reject);
+                response.on('end', () => {
+                    const data = Buffer.concat(chunks);
+                    if (status >= 200 && status < 300) {
+                        resolve(responseHeaders ? response.headers : data);
+                        return;
+                    }
+
+                    const text = data.toString('utf8');
+                    const code = xmlValue(text, 'Code') || `HTTP ${status}`;
+                    const message = xmlValue(text, 'Message');
+                    reject(new BackupError(
+                        `${description} failed: ${code}${message ? ` (${message})` : ''}`,
+                        status === 404 ? 'ERR_STORAGE_NOT_FOUND' : 'ERR_STORAGE'
+                    ));
+                });
+            });
+
+            if (body) {
+                const stream = body();
+                stream.on('error', error => request.destroy(error));
+                stream.pipe(request);
+            } else {
+                request.end();
+            }
+        });
+    }
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - { method, host, path (unencoded), query, headers, payloadHash, region,
+ *   credentials, service (default: 's3'), date (default: now) }
+ * @returns {Object} Headers to send, including host, x-amz-date, x-amz-content-sha256 and Authorization
+ */
+function signRequest(request) {
+    const { method, host, path, query = {}, payloadHash, region, credentials, service = 's3' } = request;
+    const amzDate = (request.date || new Date()).toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const headers = {
+        ...request.headers,
+        host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    };
+    if (credentials.sessionToken) {
+        headers['x-amz-security-token'] = credentials.sessionToken;
+    }
+
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const values = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map(name => `${name}:${String(values[name]).trim().replace(/\s+/g, ' ')}\n`).join('');
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+        method,
+        encodePath(path),
+        canonicalQuery(query),
+        canonicalHeaders,
+        signedHeaders,
+        payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    let key = `AWS4${credentials.secretAccessKey}`;
+    for (const part of [dateStamp, region, service, 'aws4_request']) {
+        key = crypto.createHmac('sha256', key).update(part).digest();
+    }
+    const signature = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    return headers;
+}
+
+function encodeComponent(value) {
+    // RFC 3986: everything but unreserved characters is percent-encoded
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodePath(value) {
+    return value.split('/').map(encodeComponent).join('/');
+}
+
+function canonicalQuery(query) {
+    return Object.keys(query)
+        .sort()
+        .map(name => `${encodeComponent(name)}=${encodeComponent(query[name])}`)
+        .join('&');
+}
+
+function xmlValue(xml, tag) {
+    const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+    if (!match) return null;
+
+    return match[1]
+        .replace(/&#x([0-9a-f]+);/gi, (entity, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (entity, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+    S3Storage,
+    signRequest
+};
@@ -0,0 +1,241 @@
+/**
+ * Table Restore
+ *
+ * Copies selected tables from a backup into the live database, which stays online: the backup is
+ * attached to a connection on the database and the tables are copied inside one write transaction,
+ * so other connections see either none or all of the restored rows.
+ *
+ * - replace: the table's rows (those matching where) are deleted and the backup's are inserted
+ * - merge: the backup's rows are inserted where the table lacks them, matched by primary key (rowid
+ *   for tables without one); rows the table already has are left as they are
+ *
+ * Foreign key enforcement is off while rows are copied, so ON DELETE actions don't reach into other
+ * tables. Instead the restored tables, and the tables referencing them, are checked before the
+ * commit: a restore that would add foreign key violations is rolled back.
+ */
+
+const { BackupError } = require('./errors');
+const { quoteIdentifier } = require('./sql');
+
+// Schema name the backup is attached as
+const SOURCE_SCHEMA = 'restore_source';
+const TABLE_RESTORE_MODES = ['replace', 'merge'];
+
+// Violations listed in an error or preview
+const MAX_REPORTED = 100;
+
+/**
+ * Restore tables from a plain backup file into a database
+ * @param {Object} driver - Driver instance
+ * @param {string} databasePath - Database to restore into
+ * @param {string} sourcePath - Plain database file to restore from
+ * @param {Object} options - Table restore options
+ * @param {string[]} options.tables - Tables to restore
+ * @param {string} options.mode - 'replace' or 'merge' (default: 'replace')
+ * @param {string|Object} options.where - SQL condition limiting the rows restored, for every table or
+ *   per table name ({ orders: 'id > 100' }) (default: all rows)
+ * @param {boolean} options.dryRun - Only report what would change (default: false)
+ * @param {Function} options.confirm - Called with the preview before committing; returning false
+ *   rolls the restore back (ERR_VETOED)
+ * @param {number} options.busyTimeout - Milliseconds to wait for other writers (default: 5000)
+ * @returns {Promise<Object>} { tables, violations, committed } where each table is
+ *   { name, mode, created, deleted, inserted } and violations lists the foreign key violations the
+ *   restore would add (only ever non-empty for a dry run)
+ * @throws {BackupError} When a table isn't in the backup (ERR_TABLE_NOT_FOUND) or the restore would
+ *   add foreign key violations (ERR_FOREIGN_KEY_VIOLATION)
+ */
+async function restoreTables(driver, databasePath, sourcePath, options = {}) {
+    const {
+        tables,
+        mode = 'replace',
+        where = null,
+        dryRun = false,
+        confirm = null,
+        busyTimeout = 5000
+    } = options;
+
+    if (!TABLE_RESTORE_MODES.includes(mode)) {
+        throw new Error(`Unknown table restore mode: ${mode} (expected ${TABLE_RESTORE_MODES.join(' or ')})`);
+    }
+    if (!Array.isArray(tables) || tables.length === 0) {
+        throw new Error('Table restore needs at least one table');
+    }
+    const whereFor = table => (where && typeof where === 'object' ? where[table] : where) || null;
+
+    const connection = driver.open(databasePath, { persistent: true });
+    try {
+        await connection.exec(`PRAGMA busy_timeout = ${Number(busyTimeout)};`);
+        await connection.exec('PRAGMA foreign_keys = OFF;');
+        await connection.exec(`ATTACH DATABASE ${quoteLiteral(sourcePath)} AS ${SOURCE_SCHEMA};`);
+        await connection.exec('BEGIN IMMEDIATE;');
+
+        let committed = false;
+        try {
+            for (const table of tables) {
+                if (!(await readTable(connection, SOURCE_SCHEMA, table))) {
+                    throw new BackupError(`Table ${table} is not in the backup`, 'ERR_TABLE_NOT_FOUND');
+                }
+            }
+
+            const checked = await tablesToCheck(connection, tables);
+            const before = new Set((await foreignKeyViolations(connection, checked)).map(violationKey));
+
+            const results = [];
+            for (const table of tables) {
+                results.push(await restoreTable(connection, table, mode, whereFor(table)));
+            }
+
+            const added = (await foreignKeyViolations(connection, await tablesToCheck(connection, tables)))
+                .filter(violation => !before.has(violationKey(violation)));
+            const preview = { tables: results, violations: added.slice(0, MAX_REPORTED) };
+
+            if (dryRun) {
+                return { ...preview, committed: false };
+            }
+            if (added.length > 0) {
+                const [first] = added;
+                throw new BackupError(
+                    `Restoring ${tables.join(', ')} would leave ${added.length} row(s) violating foreign keys, ` +
+                    `first in ${first.table} referencing ${first.parent}`,
+                    'ERR_FOREIGN_KEY_VIOLATION'
+                );
+            }
+            if (confirm && (await confirm(preview)) === false) {
+                throw new BackupError('Table restore was not confirmed', 'ERR_VETOED');
+            }
+
+            await connection.exec('COMMIT;');
+            committed = true;
+            return { ...preview, committed };
+        } finally {
+            if (!committed) {
+                await connection.exec('ROLLBACK;').catch(() => {});
+            }
+        }
+    } finally {
+        await connection.close();
+    }
+}
+
+async function restoreTable(connection, name, mode, where) {
+    const source = await readTable(connection, SOURCE_SCHEMA, name);
+    let target = await readTable(connection, 'main', name);
+    const result = { name, mode, created: false, deleted: 0, inserted: 0 };
+
+    // A dropped table comes back with its indexes and triggers
+    if (!target) {
+        const objects = await connection.all(
+            `SELECT sql FROM ${SOURCE_SCHEMA}.sqlite_master WHERE tbl_name = ${quoteLiteral(name)} AND sql IS NOT NULL ` +
+            "ORDER BY CASE type WHEN 'table' THEN 0 WHEN 'index' THEN 1 ELSE 2 END;"
+        );
+        for (const object of objects) {
+            await connection.exec(`${object.sql};`);
+        }
+        target = await readTable(connection, 'main', name);
+        result.created = true;
+    }
+
+    // Columns added or dropped since the backup are left out
+    const sourceNames = new Set(source.columns.map(column => column.name));
+    const columns = target.columns.map(column => column.name).filter(column => sourceNames.has(column));
+    const condition = where ? `(${where})` : '1';
+    const sourceTable = `${SOURCE_SCHEMA}.${quoteIdentifier(name)}`;
+    const targetTable = `main.${quoteIdentifier(name)}`;
+
+    if (mode === 'replace') {
+        await connection.exec(`DELETE FROM ${targetTable} WHERE ${condition};`);
+        result.deleted = await changes(connection);
+        await connection.exec(
+            `INSERT INTO ${targetTable} (${columns.map(quoteIdentifier).join(', ')}) ` +
+            `SELECT ${columns.map(quoteIdentifier).join(', ')} FROM ${sourceTable} WHERE ${condition};`
+        );
+        result.inserted = await changes(connection);
+        return result;
+    }
+
+    const key = keyColumns(target);
+    if (key[0] !== 'rowid' && !key.every(column => sourceNames.has(column))) {
+        throw new BackupError(`Can't merge ${name}: its primary key differs from the backup's`, 'ERR_SCHEMA_MISMATCH');
+    }
+    const copied = key[0] === 'rowid' ? ['rowid', ...columns] : columns;
+    const match = key.map(column => `existing.${quoteIdentifier(column)} IS backup.${quoteIdentifier(column)}`).join(' AND ');
+    await connection.exec(
+        `INSERT INTO ${targetTable} (${copied.map(quoteIdentifier).join(', ')}) ` +
+        `SELECT ${copied.map(column => `backup.${quoteIdentifier(column)}`).join(', ')} FROM ${sourceTable} AS backup ` +
+        `WHERE ${condition} AND NOT EXISTS (SELECT 1 FROM ${targetTable} AS existing WHERE ${match});`
+    );
+    result.inserted = await changes(connection);
+    return result;
+}
+
+async function readTable(connection, schemaName, name) {
+    const [object] = await connection.all(
+        `SELECT name FROM ${schemaName}.sqlite_master WHERE type = 'table' AND name = ${quoteLiteral(name)} ` +
+        "AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\';"
+    );
+    if (!object) return null;
+
+    return {
+        name,
+        columns: await connection.all(`PRAGMA ${schemaName}.table_info(${quoteIdentifier(name)});`)
+    };
+}
+
+async function tablesToCheck(connection, tables) {
+    // The restored tables, and those whose foreign keys refer to them
+    const checked = new Set(tables);
+    const names = await connection.all(
+        "SELECT name FROM main.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\';"
+    );
+    for (const { name } of names) {
+        const references = await connection.all(`PRAGMA main.foreign_key_list(${quoteIdentifier(name)});`);
+        if (references.some(reference => tables.includes(reference.table))) {
+            checked.add(name);
+        }
+    }
+    return [...checked];
+}
+
+async function foreignKeyViolations(connection, tables) {
+    const violations = [];
+    for (const table of tables) {
+        const [exists] = await connection.all(
+            `SELECT 1 AS found FROM main.sqlite_master WHERE type = 'table' AND name = ${quoteLiteral(table)};`
+        );
+        if (!exists) continue;
+
+        const rows = await connection.all(`PRAGMA main.foreign_key_check(${quoteIdentifier(table)});`);
+        rows.forEach(row => violations.push({
+            table: row.table,
+            rowid: row.rowid === null || row.rowid === undefined ? null : Number(row.rowid),
+            parent: row.parent
+        }));
+    }
+    return violations;
+}
+
+function violationKey(violation) {
+    return `${violation.table}\u0000${violation.rowid}\u0000${violation.parent}`;
+}
+
+async function changes(connection) {
+    const [row] = await connection.all('SELECT changes() AS count;');
+    return Number(row.count);
+}
+
+function keyColumns(table) {
+    // Tables without a primary key are rowid tables
+    const key = table.columns.filter(column => Number(column.pk) > 0)
+        .sort((a, b) => a.pk - b.pk)
+        .map(column => column.name);
+    return key.length > 0 ? key : ['rowid'];
+}
+
+function quoteLiteral(value) {
+    return `'${value.replace(/'/g, "''")}'`;
+}
+
+module.exports = {
+    TABLE_RESTORE_MODES,
+    restoreTables
+};
@@ -0,0 +1,259 @@
+/**
+ * Backup Verification
+ *
+ * Runs the checks of a verification level against a plain database file and reports each of
+ * them, so a caller sees every problem rather than the first one:
+ *
+ * - quick: PRAGMA quick_check (skips matching indexes against their tables)
+ * - full: PRAGMA integrity_check
+ * - strict: integrity_check, foreign_key_check, row counts against the counts recorded when the
+ *   backup was taken, and schema sanity (every table and view can be queried, every index belongs
+ *   to a table)
+ * - custom: quick_check and the caller's SQL assertions
+ *
+ * Assertions can be added to any level.
+ */
+
+const { quoteIdentifier } = require('./sql');
+
+const VERIFY_LEVELS = ['quick', 'full', 'strict', 'custom'];
+
+// Problems listed per check; integrity_check stops after this many too
+const MAX_REPORTED = 100;
+
+/**
+ * Check that a verification level is known
+ * @param {string} level - Verification level
+ * @returns {string} The level
+ */
+function resolveVerifyLevel(level = 'full') {
+    if (!VERIFY_LEVELS.includes(level)) {
+        throw new Error(`Unknown verification level: ${level} (expected ${VERIFY_LEVELS.join(', ')})`);
+    }
+    return level;
+}
+
+/**
+ * Turn assertions into { name, sql } with the trailing semicolon removed
+ * @param {Array<string|Object>} assertions - SQL queries or { name, sql }
+ * @returns {Object[]} Assertions
+ */
+function resolveAssertions(assertions = []) {
+    return [].concat(assertions || []).map(assertion => {
+        const sql = (typeof assertion === 'string' ? assertion : (assertion && assertion.sql) || '')
+            .trim().replace(/;+\s*$/, '');
+        if (!sql) {
+            throw new Error('Invalid assertion: expected an SQL query or { name, sql }');
+        }
+        return { name: typeof assertion === 'object' && assertion.name ? assertion.name : sql, sql };
+    });
+}
+
+/**
+ * Run the checks of a verification level
+ * @param {Object} driver - Driver instance
+ * @param {string} databasePath - Path to a plain database file
+ * @param {Object} options - Verification options
+ * @param {string} options.level - 'quick', 'full', 'strict' or 'custom' (default: 'full')
+ * @param {Array<string|Object>} options.assertions - SQL queries, or { name, sql }, whose first value
+ *   must be true (non-zero, non-empty and not NULL)
+ * @param {Object} options.rowCounts - Expected row count per table (strict only; without it the row
+ *   count check is skipped)
+ * @returns {Promise<Object[]>} Checks run, each { name, passed, message, code, details } where code is
+ *   only set on failure
+ */
+async function runChecks(driver, databasePath, options = {}) {
+    const level = resolveVerifyLevel(options.level);
+    const assertions = resolveAssertions(options.assertions);
+    const connection = driver.open(databasePath, { readonly: true, persistent: true });
+    const checks = [];
+
+    try {
+        const integrity = level === 'full' || level === 'strict' ? 'integrity_check' : 'quick_check';
+        try {
+            checks.push(await checkIntegrity(connection, integrity));
+        } catch (error) {
+            // A file that can't be read as a database would fail every other check the same way
+            checks.push(failed(integrity, `Not a readable database: ${error.message}`, 'ERR_INTEGRITY_CHECK_FAILED'));
+            return checks;
+        }
+
+        if (level === 'strict') {
+            checks.push(await guarded('foreign_key_check', 'ERR_FOREIGN_KEY_VIOLATION', () => checkForeignKeys(connection)));
+            checks.push(await guarded('row_counts', 'ERR_ROW_COUNT_MISMATCH', () => checkRowCounts(connection, options.rowCounts)));
+            checks.push(await guarded('schema', 'ERR_SCHEMA_INVALID', () => checkSchema(connection)));
+        }
+
+        for (const assertion of assertions) {
+            checks.push(await checkAssertion(connection, assertion));
+        }
+
+        return checks;
+    } finally {
+        await connection.close();
+    }
+}
+
+/**
+ * Count the rows of every table, as of a single commit
+ * @param {Object} driver - Driver instance
+ * @param {string} databasePath - Path to a plain database file
+ * @returns {Promise<Object>} Row count per table name; tables that can't be read (virtual tables
+ *   whose module isn't loaded) are left out
+ */
+async function countTableRows(driver, databasePath) {
+    const connection = driver.open(databasePath, { readonly: true, persistent: true });
+    try {
+        await connection.exec('BEGIN;');
+        try {
+            return await readRowCounts(connection);
+        } finally {
+            await connection.exec('ROLLBACK;').catch(() => {});
+        }
+    } finally {
+        await connection.close();
+    }
+}
+
+async function readRowCounts(connection) {
+    const counts = {};
+    for (const name of await listTables(connection)) {
+        try {
+            const [row] = await connection.all(`SELECT count(*) AS count FROM ${quoteIdentifier(name)};`);
+            counts[name] = Number(row.count);
+        } catch (error) {
+            // Not comparable, so not counted
+        }
+    }
+    return counts;
+}
+
+async function guarded(name, code, check) {
+    // A check that can't run on this file has failed
+    try {
+        return await check();
+    } catch (error) {
+        return failed(name, `Check could not run: ${error.message}`, code);
+    }
+}
+
+async function checkIntegrity(connection, pragma) {
+    const rows = await connection.all(`PRAGMA ${pragma}(${MAX_REPORTED});`);
+    const messages = rows.map(row => String(Object.values(row)[0]));
+    if (messages.length === 1 && messages[0] === 'ok') {
+        return passed(pragma, `${pragma} reported ok`);
+    }
+    return failed(pragma, `${pragma} found ${messages.length} problem(s): ${messages[0]}`,
+        'ERR_INTEGRITY_CHECK_FAILED', messages);
+}
+
+async function checkForeignKeys(connection) {
+    const rows = await connection.all('PRAGMA foreign_key_check;');
+    if (rows.length === 0) {
+        return passed('foreign_key_check', 'No foreign key violations');
+    }
+
+    const violations = rows.slice(0, MAX_REPORTED).map(row => ({
+        table: row.table,
+        rowid: row.rowid === null || row.rowid === undefined ? null : Number(row.rowid),
+        parent: row.parent
+    }));
+    return failed('foreign_key_check',
+        `${rows.length} row(s) violate a foreign key, first in ${violations[0].table} referencing ${violations[0].parent}`,
+        'ERR_FOREIGN_KEY_VIOLATION', violations);
+}
+
+async function checkRowCounts(connection, expected) {
+    const counts = await readRowCounts(connection);
+    if (!expected) {
+        return { ...passed('row_counts', 'No row counts recorded at backup time; not compared', { counts }), skipped: true };
+    }
+
+    const mismatches = Object.keys(expected)
+        .filter(table => counts[table] !== expected[table])
+        .map(table => ({ table, expected: expected[table], actual: table in counts ? counts[table] : null }));
+
+    if (mismatches.length === 0) {
+        return passed('row_counts', `Row counts of ${Object.keys(expected).length} table(s) match`, { counts });
+    }
+    const first = mismatches[0];
+    return failed('row_counts',
+        `${mismatches.length} table(s) differ in row count, ${first.table} has ${first.actual === null ? 'no table' : first.actual} instead of ${first.expected}`,
+        'ERR_ROW_COUNT_MISMATCH', { counts, mismatches });
+}
+
+async function checkSchema(connection) {
+    const problems = [];
+
+    const orphans = await connection.all(
+        "SELECT name, tbl_name FROM sqlite_master WHERE type = 'index' " +
+        "AND tbl_name NOT IN (SELECT name FROM sqlite_master WHERE type = 'table');"
+    );
+    orphans.forEach(index => problems.push({ type: 'index', name: index.name, error: `table ${index.tbl_name} does not exist` }));
+
+    // Preparing a query resolves every table and column a view refers to
+    const objects = await connection.all(
+        "SELECT type, name FROM sqlite_master WHERE type IN ('table', 'view') " +
+        "AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' ORDER BY name;"
+    );
+    for (const object of objects) {
+        try {
+            await connection.all(`SELECT * FROM ${quoteIdentifier(object.name)} LIMIT 0;`);
+        } catch (error) {
+            problems.push({ type: object.type, name: object.name, error: error.message });
+        }
+    }
+
+    if (problems.length === 0) {
+        return passed('schema', `${objects.length} table(s) and view(s) can be queried`);
+    }
+    return failed('schema',
+        `${problems.length} schema object(s) are broken, first ${problems[0].type} ${problems[0].name}: ${problems[0].error}`,
+        'ERR_SCHEMA_INVALID', problems);
+}
+
+async function checkAssertion(connection, assertion) {
+    const name = `assert: ${assertion.name}`;
+    let rows;
+    try {
+        rows = await connection.all(`${assertion.sql};`);
+    } catch (error) {
+        return failed(name, `Assertion query failed: ${error.message}`, 'ERR_ASSERTION_FAILED');
+    }
+
+    const value = rows.length ? Object.values(rows[0])[0] : null;
+    if (isTruthy(value)) {
+        return passed(name, `Assertion holds (${value})`);
+    }
+    return failed(name, `Assertion does not hold: ${assertion.sql} returned ${rows.length ? value : 'no rows'}`,
+        'ERR_ASSERTION_FAILED', { value: rows.length ? value : null });
+}
+
+function isTruthy(value) {
+    if (value === null || value === undefined || value === '') return false;
+    const number = Number(value);
+    return Number.isNaN(number) ? true : number !== 0;
+}
+
+async function listTables(connection) {
+    const rows = await connection.all(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' ORDER BY name;"
+    );
+    return rows.map(row => row.name);
+}
+
+function passed(name, message, details) {
+    return details === undefined ? { name, passed: true, message } : { name, passed: true, message, details };
+}
+
+function failed(name, message, code, details) {
+    return details === undefined ? { name, passed: false, message, code } : { name, passed: false, message, code, details };
+}
+
+module.exports = {
+    VERIFY_LEVELS,
+    resolveVerifyLevel,
+    resolveAssertions,
+    runChecks,
+    countTableRows
+};
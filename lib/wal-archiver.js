@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { BackupError } = require('./errors');
+const { archiveWalFrames, segmentFilename } = require('./wal');
+
+/**
+ * Continuous WAL Archiver
+ *
+ * Copies committed frames from a database's write-ahead log into an archive directory, so a
+ * snapshot plus the archived frames can be replayed to any point in time.
+ *
+ * Frames must be copied before a checkpoint lets SQLite restart the log over them. The archiver
+ * always holds a read transaction on one of two connections: a checkpoint can't copy frames past
+ * an open reader's snapshot, and the log can't restart while a reader still uses it. Each poll
+ * opens a read transaction on the other connection, archives everything committed so far, and
+ * only then releases the older one, so there is never a moment without a reader.
+ *
+ * Events: 'archived' ({ segment, frameCount, generation }), 'snapshot' (backup result), 'error' (Error)
+ */
+class WalArchiver extends EventEmitter {
+    /**
+     * Create a new WalArchiver (see SQLiteBackup.createWalArchiver)
+     * @param {SQLiteBackup} backup - Backup instance of the database to archive
+     * @param {Object} options - Archiver options
+     * @param {string} options.archiveDirectory - Where to store segments (default: '<backupDirectory>-wal')
+     * @param {number} options.pollInterval - Milliseconds between polls of the WAL (default: 1000)
+     * @param {number} options.snapshotInterval - Milliseconds between snapshots, 0 for only the
+     *   initial one (default: 24 hours)
+     * @param {Object} options.snapshotOptions - Options passed to createBackup() for snapshots
+     */
+    constructor(backup, options = {}) {
+        super();
+        this.backup = backup;
+        this.databasePath = backup.databasePath;
+        this.walPath = `${backup.databasePath}-wal`;
+        this.archiveDirectory = path.resolve(options.archiveDirectory || defaultArchiveDirectory(backup.backupDirectory));
+        this.pollInterval = options.pollInterval || 1000;
+        this.snapshotInterval = options.snapshotInterval === undefined ? 24 * 60 * 60 * 1000 : options.snapshotInterval;
+        this.snapshotOptions = options.snapshotOptions || {};
+
+        this.run = null;
+        this.running = false;
+        this.connections = [];
+        this.activeConnection = 0;
+        this.position = null;
+        this.generation = 0;
+        this.generationStart = 0;
+        this.nextSegment = 0;
+        this.lastSnapshotAt = 0;
+        this.timer = null;
+        this.queue = Promise.resolve();
+        this.stats = { segments: 0, frames: 0, snapshots: 0, lastPollAt: null, lastError: null };
+    }
+
+    /**
+     * Start archiving: pin the log, archive the frames already in it, take the initial
+     * snapshot and poll every pollInterval until stop() is called
+     * @returns {Promise<Object>} { run, runDirectory, snapshot } where snapshot is the initial backup result
+     * @throws {BackupError} When the database isn't in WAL mode (ERR_NOT_WAL)
+     */
+    async start() {
+        if (this.running) {
+            throw new Error('WAL archiver is already running');
+        }
+
+        const probe = this.backup.driver.open(this.databasePath);
+        try {
+            const rows = await probe.all('PRAGMA journal_mode;');
+            const mode = rows.length > 0 ? String(Object.values(rows[0])[0]).toLowerCase() : 'unknown';
+            if (mode !== 'wal') {
+                throw new BackupError(
+                    `WAL archiving requires journal_mode=WAL (database uses ${mode})`,
+                    'ERR_NOT_WAL'
+                );
+            }
+        } finally {
+            await probe.close();
+        }
+
+        // Every start is a new run: its segments only make sense together with its own snapshots
+        this.run = `run-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        this.runDirectory = path.join(this.archiveDirectory, this.run);
+        fs.mkdirSync(this.runDirectory, { recursive: true });
+
+        this.connections = [
+            this.backup.driver.open(this.databasePath, { persistent: true }),
+            this.backup.driver.open(this.databasePath, { persistent: true })
+        ];
+        this.running = true;
+
+        try {
+            await this._beginRead(this.connections[0]);
+            this.activeConnection = 0;
+            const snapshot = await this._enqueue(() => this._snapshot());
+            this._schedule();
+            return { run: this.run, runDirectory: this.runDirectory, snapshot };
+        } catch (error) {
+            await this._shutdown();
+            throw error;
+        }
+    }
+
+    /**
+     * Archive the frames committed since the last poll (also run every pollInterval)
+     * @returns {Promise<Object>} { frameCount, segment } where segment is null when nothing was committed
+     */
+    async poll() {
+        return this._enqueue(() => this._poll());
+    }
+
+    /**
+     * Take a snapshot now and record which archived segments it can be replayed with
+     * @returns {Promise<Object>} Backup result of the snapshot
+     */
+    async snapshot() {
+        return this._enqueue(() => this._snapshot());
+    }
+
+    /**
+     * Stop archiving after a final poll and release the log
+     * @returns {Promise<Object>} Archiver statistics
+     */
+    async stop() {
+        if (!this.running) {
+            return this.status();
+        }
+
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        try {
+            await this._enqueue(() => this._archive());
+        } finally {
+            await this._shutdown();
+        }
+        return this.status();
+    }
+
+    /**
+     * Get the archiver's statistics
+     * @returns {Object} { running, run, archiveDirectory, segments, frames, snapshots, lastPollAt, lastError }
+     */
+    status() {
+        return {
+            running: this.running,
+            run: this.run,
+            archiveDirectory: this.archiveDirectory,
+            ...this.stats
+        };
+    }
+
+    // Private methods
+
+    _enqueue(fn) {
+        // Polls and snapshots never overlap
+        const result = this.queue.then(fn, fn);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    _schedule() {
+        if (!this.running) return;
+
+        this.timer = setTimeout(() => {
+            this.poll()
+                .catch(error => {
+                    this.stats.lastError = error.message;
+                    if (this.listenerCount('error') > 0) {
+                        this.emit('error', error);
+                    }
+                })
+                .then(() => this._schedule());
+        }, this.pollInterval);
+    }
+
+    async _poll() {
+        // Pin the log on the other connection before letting go of the current one
+        const previous = this.activeConnection;
+        const next = 1 - previous;
+        await this._beginRead(this.connections[next]);
+        this.activeConnection = next;
+
+        const result = await this._archive();
+
+        await this.connections[previous].exec('COMMIT;');
+
+        // Checkpoint up to the new pin ourselves, so the log can restart once writers pause
+        await this.connections[previous].all('PRAGMA wal_checkpoint(PASSIVE);');
+
+        if (this.snapshotInterval && Date.now() - this.lastSnapshotAt >= this.snapshotInterval) {
+            await this._snapshot();
+        }
+
+        return result;
+    }
+
+    async _archive() {
+        const sequence = this.nextSegment;
+        const segmentPath = path.join(this.runDirectory, segmentFilename(sequence));
+        const result = await archiveWalFrames(this.walPath, this.position, segmentPath, {
+            generation: this.generation,
+            capturedAt: Date.now()
+        });
+
+        if (result.newGeneration) {
+            if (this.position) this.generation++;
+            this.generationStart = sequence;
+        }
+        this.position = result.position;
+        this.stats.lastPollAt = new Date().toISOString();
+
+        if (result.frameCount === 0) {
+            return { frameCount: 0, segment: null };
+        }
+
+        this.nextSegment++;
+        this.stats.segments++;
+        this.stats.frames += result.frameCount;
+        this.emit('archived', { segment: segmentPath, frameCount: result.frameCount, generation: this.generation });
+        return { frameCount: result.frameCount, segment: segmentPath };
+    }
+
+    async _snapshot() {
+        // Replay starts at the beginning of the log generation current before the snapshot and must
+        // reach at least the frames archived right after it, whatever the snapshot ended up containing
+        await this._archive();
+        const fromSegment = this.generationStart;
+
+        const result = await this.backup.createBackup(this.snapshotOptions);
+        if (!result.success) {
+            throw new BackupError(`WAL archive snapshot failed: ${result.error}`, result.code || 'ERR_SNAPSHOT_FAILED');
+        }
+
+        await this._archive();
+        this.backup.catalog.update(result.filename, {
+            walArchive: {
+                directory: path.relative(this.backup.backupDirectory, this.archiveDirectory),
+                run: this.run,
+                fromSegment,
+                throughSegment: this.nextSegment - 1
+            }
+        });
+
+        this.lastSnapshotAt = Date.now();
+        this.stats.snapshots++;
+        this.emit('snapshot', result);
+        return result;
+    }
+
+    async _beginRead(connection) {
+        await connection.exec('BEGIN;');
+        await connection.all('SELECT count(*) FROM sqlite_master;');
+    }
+
+    async _shutdown() {
+        this.running = false;
+        for (const connection of this.connections) {
+            try {
+                await connection.exec('COMMIT;');
+            } catch (error) {
+                // Not in a transaction
+            }
+            await connection.close();
+        }
+        this.connections = [];
+    }
+}
+
+/**
+ * Default archive directory for a backup directory: a sibling named '<backupDirectory>-wal'
+ * @param {string} backupDirectory - Backup directory
+ * @returns {string} Archive directory
+ */
+function defaultArchiveDirectory(backupDirectory) {
+    return `${path.resolve(backupDirectory)}-wal`;
+}
+
+module.exports = {
+    WalArchiver,
+    defaultArchiveDirectory
+};
@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const { BackupError } = require('./errors');
+
+/**
+ * WAL Archive Format
+ *
+ * Reads committed frames from a SQLite write-ahead log and stores them as archive segments.
+ * A segment holds the raw WAL frames (24-byte frame header + page) of one or more complete
+ * transactions, preceded by a fixed header recording where they came from:
+ *
+ *   magic | version | flags | pageSize | checkpointSeq | salt1 | salt2 | generation |
+ *   firstFrame | frameCount | capturedAt (ms, float64) | checksum before the first frame
+ *
+ * Frames keep their WAL checksums, so replay detects damaged segments the same way SQLite
+ * detects a damaged log.
+ */
+
+const SEGMENT_EXTENSION = '.walseg';
+
+const WAL_MAGIC = 0x377f0682;
+const WAL_HEADER_LENGTH = 32;
+const FRAME_HEADER_LENGTH = 24;
+const SEGMENT_MAGIC = Buffer.from('SQLSNAPW');
+const SEGMENT_VERSION = 1;
+const SEGMENT_HEADER_LENGTH = SEGMENT_MAGIC.length + 52;
+const FRAMES_PER_READ = 64;
+
+/**
+ * Continue a WAL checksum over a buffer (the algorithm from the SQLite file format)
+ * @param {Buffer} buffer - Data, a multiple of 8 bytes
+ * @param {boolean} bigEndian - Read words big-endian (magic 0x377f0683) or little-endian
+ * @param {Array<number>} checksum - Running checksum [s0, s1]
+ * @returns {Array<number>} Updated checksum
+ */
+function walChecksum(buffer, bigEndian, checksum) {
+    let [s0, s1] = checksum;
+    for (let offset = 0; offset < buffer.length; offset += 8) {
+        const x0 = bigEndian ? buffer.readUInt32BE(offset) : buffer.readUInt32LE(offset);
+        const x1 = bigEndian ? buffer.readUInt32BE(offset + 4) : buffer.readUInt32LE(offset + 4);
+        s0 = (s0 + x0 + s1) >>> 0;
+        s1 = (s1 + x1 + s0) >>> 0;
+    }
+    return [s0, s1];
+}
+
+function frameChecksum(frame, pageSize, bigEndian, checksum) {
+    const partial = walChecksum(frame.subarray(0, 8), bigEndian, checksum);
+    return walChecksum(frame.subarray(FRAME_HEADER_LENGTH, FRAME_HEADER_LENGTH + pageSize), bigEndian, partial);
+}
+
+/**
+ * Read and validate a WAL header
+ * @param {Buffer} header - First 32 bytes of the WAL file
+ * @returns {Object|null} { bigEndian, pageSize, checkpointSeq, salt1, salt2, checksum } or null if invalid
+ */
+function parseWalHeader(header) {
+    if (header.length < WAL_HEADER_LENGTH) return null;
+
+    const magic = header.readUInt32BE(0);
+    if ((magic & 0xfffffffe) !== WAL_MAGIC) return null;
+
+    const bigEndian = (magic & 1) === 1;
+    const checksum = walChecksum(header.subarray(0, 24), bigEndian, [0, 0]);
+    if (checksum[0] !== header.readUInt32BE(24) || checksum[1] !== header.readUInt32BE(28)) {
+        return null;
+    }
+
+    const pageSize = header.readUInt32BE(8);
+    return {
+        bigEndian,
+        pageSize: pageSize === 1 ? 65536 : pageSize,
+        checkpointSeq: header.readUInt32BE(12),
+        salt1: header.readUInt32BE(16),
+        salt2: header.readUInt32BE(20),
+        checksum
+    };
+}
+
+/**
+ * Copy the WAL frames committed since the given position into a new archive segment
+ * @param {string} walPath - Path to the database's -wal file
+ * @param {Object|null} position - Position returned by the previous call (null to start fresh)
+ * @param {string} segmentPath - Segment file to write (only created when there are new frames)
+ * @param {Object} info - { generation, capturedAt } recorded in the segment header, where generation
+ *   counts log restarts (incremented here when the log restarted since position)
+ * @returns {Promise<Object>} { position, newGeneration, frameCount } where newGeneration is true when
+ *   the log was restarted (new salts) since the previous position
+ */
+async function archiveWalFrames(walPath, position, segmentPath, info) {
+    if (!fs.existsSync(walPath)) {
+        return { position, newGeneration: false, frameCount: 0 };
+    }
+
+    const wal = await fs.promises.open(walPath, 'r');
+    let segment = null;
+    const partialPath = `${segmentPath}.partial`;
+
+    try {
+        const headerBuffer = Buffer.alloc(WAL_HEADER_LENGTH);
+        const { bytesRead } = await wal.read(headerBuffer, 0, WAL_HEADER_LENGTH, 0);
+        const header = bytesRead === WAL_HEADER_LENGTH ? parseWalHeader(headerBuffer) : null;
+
+        // An empty log or a header still being written has nothing committed yet
+        if (!header) {
+            return { position, newGeneration: false, frameCount: 0 };
+        }
+
+        const newGeneration = !position ||
+            position.salt1 !== header.salt1 ||
+            position.salt2 !== header.salt2 ||
+            position.checkpointSeq !== header.checkpointSeq;
+
+        const start = newGeneration ?
+            { ...header, frames: 0 } :
+            position;
+        const frameSize = FRAME_HEADER_LENGTH + header.pageSize;
+        const buffer = Buffer.alloc(frameSize * FRAMES_PER_READ);
+
+        let checksum = start.checksum;
+        let frameIndex = start.frames;
+        let committed = { frames: start.frames, checksum, bytes: 0 };
+        let written = 0;
+        let done = false;
+
+        while (!done) {
+            const offset = WAL_HEADER_LENGTH + frameIndex * frameSize;
+            const { bytesRead: read } = await wal.read(buffer, 0, buffer.length, offset);
+            const frames = Math.floor(read / frameSize);
+            if (frames === 0) break;
+
+            let validBytes = 0;
+            for (let i = 0; i < frames; i++) {
+                const frame = buffer.subarray(i * frameSize, (i + 1) * frameSize);
+
+                // Frames left over from an earlier generation carry the old salts
+                if (frame.readUInt32BE(8) !== header.salt1 || frame.readUInt32BE(12) !== header.salt2) {
+                    done = true;
+                    break;
+                }
+
+                const next = frameChecksum(frame, header.pageSize, header.bigEndian, checksum);
+                if (next[0] !== frame.readUInt32BE(16) || next[1] !== frame.readUInt32BE(20)) {
+                    done = true;
+                    break;
+                }
+
+                checksum = next;
+                frameIndex++;
+                validBytes += frameSize;
+
+                // A non-zero database size marks the commit frame of a transaction
+                if (frame.readUInt32BE(4) !== 0) {
+                    committed = { frames: frameIndex, checksum, bytes: written + validBytes };
+                }
+            }
+
+            if (validBytes > 0) {
+                if (!segment) {
+                    segment = await fs.promises.open(partialPath, 'w');
+                }
+                await segment.write(buffer, 0, validBytes, SEGMENT_HEADER_LENGTH + written);
+                written += validBytes;
+            }
+
+            if (frames < FRAMES_PER_READ) break;
+        }
+
+        const frameCount = committed.frames - start.frames;
+        if (frameCount === 0) {
+            if (segment) {
+                await segment.close();
+                segment = null;
+                fs.rmSync(partialPath, { force: true });
+            }
+            return { position: newGeneration ? { ...header, frames: 0 } : position, newGeneration, frameCount: 0 };
+        }
+
+        // Frames of a transaction that hasn't committed yet are left for the next call
+        await segment.truncate(SEGMENT_HEADER_LENGTH + committed.bytes);
+        const segmentHeader = Buffer.alloc(SEGMENT_HEADER_LENGTH);
+        SEGMENT_MAGIC.copy(segmentHeader, 0);
+        let offset = SEGMENT_MAGIC.length;
+        for (const value of [
+            SEGMENT_VERSION,
+            header.bigEndian ? 1 : 0,
+            header.pageSize,
+            header.checkpointSeq,
+            header.salt1,
+            header.salt2,
+            newGeneration && position ? info.generation + 1 : info.generation,
+            start.frames + 1,
+            frameCount
+        ]) {
+            segmentHeader.writeUInt32BE(value, offset);
+            offset += 4;
+        }
+        segmentHeader.writeDoubleBE(info.capturedAt, offset);
+        segmentHeader.writeUInt32BE(start.checksum[0], offset + 8);
+        segmentHeader.writeUInt32BE(start.checksum[1], offset + 12);
+        await segment.write(segmentHeader, 0, SEGMENT_HEADER_LENGTH, 0);
+        await segment.close();
+        segment = null;
+        fs.renameSync(partialPath, segmentPath);
+
+        return {
+            position: { ...header, frames: committed.frames, checksum: committed.checksum },
+            newGeneration,
+            frameCount
+        };
+    } finally {
+        await wal.close();
+        if (segment) {
+            await segment.close();
+            fs.rmSync(partialPath, { force: true });
+        }
+    }
+}
+
+/**
+ * Read the header of an archive segment
+ * @param {string} segmentPath - Segment file
+ * @returns {Object} { bigEndian, pageSize, checkpointSeq, salt1, salt2, generation, firstFrame, frameCount,
+ *   capturedAt (Date), checksum }
+ */
+function readSegmentHeader(segmentPath) {
+    const header = Buffer.alloc(SEGMENT_HEADER_LENGTH);
+    const fd = fs.openSync(segmentPath, 'r');
+    try {
+        fs.readSync(fd, header, 0, SEGMENT_HEADER_LENGTH, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (!header.subarray(0, SEGMENT_MAGIC.length).equals(SEGMENT_MAGIC)) {
+        throw new BackupError(`Not a WAL archive segment: ${segmentPath}`, 'ERR_WAL_CORRUPT');
+    }
+
+    const values = [];
+    for (let offset = SEGMENT_MAGIC.length; offset < SEGMENT_MAGIC.length + 36; offset += 4) {
+        values.push(header.readUInt32BE(offset));
+    }
+    const [version, flags, pageSize, checkpointSeq, salt1, salt2, generation, firstFrame, frameCount] = values;
+    if (version !== SEGMENT_VERSION) {
+        throw new BackupError(`Unsupported WAL archive segment version: ${version}`, 'ERR_WAL_CORRUPT');
+    }
+
+    const offset = SEGMENT_MAGIC.length + 36;
+    return {
+        bigEndian: (flags & 1) === 1,
+        pageSize,
+        checkpointSeq,
+        salt1,
+        salt2,
+        generation,
+        firstFrame,
+        frameCount,
+        capturedAt: new Date(header.readDoubleBE(offset)),
+        checksum: [header.readUInt32BE(offset + 8), header.readUInt32BE(offset + 12)]
+    };
+}
+
+/**
+ * Name of the segment file with the given sequence number
+ * @param {number} sequence - Segment sequence number within its run
+ * @returns {string} Segment filename
+ */
+function segmentFilename(sequence) {
+    return `${String(sequence).padStart(8, '0')}${SEGMENT_EXTENSION}`;
+}
+
+/**
+ * List the segments of an archive run, in order
+ * @param {string} runDirectory - Directory of the archive run
+ * @returns {Array<Object>} [{ sequence, path }]
+ */
+function listSegments(runDirectory) {
+    if (!fs.existsSync(runDirectory)) {
+        return [];
+    }
+
+    return fs.readdirSync(runDirectory)
+        .filter(name => /^\d+\.walseg$/.test(name))
+        .map(name => ({ sequence: parseInt(name, 10), path: path.join(runDirectory, name) }))
+        .sort((a, b) => a.sequence - b.sequence);
+}
+
+/**
+ * Pick the segments to replay on top of a snapshot
+ * @param {string} runDirectory - Directory of the archive run the snapshot belongs to
+ * @param {Object} archive - Snapshot's archive position { fromSegment, throughSegment }
+ * @param {Date} toTime - Point in time to recover to (segments captured later are left out)
+ * @returns {Array<Object>} [{ sequence, path, header }] in replay order
+ * @throws {BackupError} When a segment is missing or out of sequence (ERR_WAL_GAP)
+ */
+function selectSegments(runDirectory, archive, toTime) {
+    const selected = [];
+    let previous = null;
+
+    for (const segment of listSegments(runDirectory)) {
+        if (segment.sequence < archive.fromSegment) continue;
+
+        const header = readSegmentHeader(segment.path);
+
+        // Segments up to the snapshot's own position are needed whatever the target time
+        if (segment.sequence > archive.throughSegment && header.capturedAt > toTime) break;
+
+        const expectedSequence = previous ? previous.sequence + 1 : archive.fromSegment;
+        const expectedFrame = previous && previous.header.generation === header.generation ?
+            previous.header.firstFrame + previous.header.frameCount : 1;
+        if (segment.sequence !== expectedSequence || header.firstFrame !== expectedFrame) {
+            throw new BackupError(
+                `WAL archive has a gap before segment ${segment.sequence} in ${runDirectory}`,
+                'ERR_WAL_GAP'
+            );
+        }
+
+        previous = { ...segment, header };
+        selected.push(previous);
+    }
+
+    if ((previous ? previous.sequence : archive.fromSegment - 1) < archive.throughSegment) {
+        throw new BackupError(`WAL archive is missing segments needed by the snapshot in ${runDirectory}`, 'ERR_WAL_GAP');
+    }
+
+    return selected;
+}
+
+/**
+ * Apply archive segments to a database file, in order
+ * @param {string} targetPath - Database file to update in place
+ * @param {Array<Object>} segments - Segments as returned by selectSegments
+ * @returns {Promise<number>} Number of frames applied
+ */
+async function applySegments(targetPath, segments) {
+    if (segments.length === 0) return 0;
+
+    const target = await fs.promises.open(targetPath, 'r+');
+    let applied = 0;
+    let databasePages = null;
+
+    try {
+        for (const { path: segmentPath, header } of segments) {
+            const frameSize = FRAME_HEADER_LENGTH + header.pageSize;
+            const segment = await fs.promises.open(segmentPath, 'r');
+            const frame = Buffer.alloc(frameSize);
+            let checksum = header.checksum;
+
+            try {
+                for (let i = 0; i < header.frameCount; i++) {
+                    const { bytesRead } = await segment.read(frame, 0, frameSize, SEGMENT_HEADER_LENGTH + i * frameSize);
+                    checksum = bytesRead === frameSize ?
+                        frameChecksum(frame, header.pageSize, header.bigEndian, checksum) : null;
+                    if (!checksum || checksum[0] !== frame.readUInt32BE(16) || checksum[1] !== frame.readUInt32BE(20)) {
+                        throw new BackupError(`WAL archive segment is damaged: ${segmentPath}`, 'ERR_WAL_CORRUPT');
+                    }
+
+                    const pageNumber = frame.readUInt32BE(0);
+                    await target.write(frame, FRAME_HEADER_LENGTH, header.pageSize, (pageNumber - 1) * header.pageSize);
+                    if (frame.readUInt32BE(4) !== 0) {
+                        databasePages = { count: frame.readUInt32BE(4), pageSize: header.pageSize };
+                    }
+                    applied++;
+                }
+            } finally {
+                await segment.close();
+            }
+        }
+
+        // The last commit frame tells how large the database is at that point
+        if (databasePages) {
+            await target.truncate(databasePages.count * databasePages.pageSize);
+        }
+    } finally {
+        await target.close();
+    }
+
+    return applied;
+}
+
+module.exports = {
+    SEGMENT_EXTENSION,
+    parseWalHeader,
+    archiveWalFrames,
+    readSegmentHeader,
+    segmentFilename,
+    listSegments,
+    selectSegments,
+    applySegments
+};
@@ -1,9 +1,24 @@
-const { SQLiteBackup, BackupUtils } = require('../lib/index.js');
+const {
+    SQLiteBackup,
+    BackupManager,
+    BackupUtils,
+    BackupCatalog,
+    CliDriver,
+    NodeSqliteDriver,
+    S3Storage,
+    LocalStorage,
+    Scheduler,
+    CronExpression
+} = require('../lib/index.js');
 const path = require('path');
 const fs = require('fs');
-const { exec } = require('child_process');
+const http = require('http');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { exec, execFile, execFileSync, spawn } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 /**
  * Simple test suite for SQLite Backup Library
@@ -92,6 +107,102 @@ function cleanupTestEnvironment(testDir) {
     }
 }
 
+// Minimal S3 stand-in: path-style PUT/GET/HEAD/DELETE and ListObjectsV2 on an in-memory bucket
+// Manually advanced clock for the scheduler: timers fire only when advance() passes their time
+function createFakeClock(start) {
+    const timers = [];
+    const clock = {
+        time: start,
+        now: () => clock.time,
+        setTimeout: (fn, delay) => {
+            const timer = { at: clock.time + delay, fn };
+            timers.push(timer);
+            return timer;
+        },
+        clearTimeout: timer => {
+            const index = timers.indexOf(timer);
+            if (index >= 0) timers.splice(index, 1);
+        },
+        advance: async milliseconds => {
+            const target = clock.time + milliseconds;
+            timers.sort((a, b) => a.at - b.at);
+            while (timers.length > 0 && timers[0].at <= target) {
+                const timer = timers.shift();
+                clock.time = Math.max(clock.time, timer.at);
+                timer.fn();
+                await new Promise(resolve => setImmediate(resolve));
+                timers.sort((a, b) => a.at - b.at);
+            }
+            clock.time = target;
+        }
+    };
+    return clock;
+}
+
+async function startS3Server(bucket) {
+    const objects = new Map();
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const [, requestBucket, ...keyParts] = url.pathname.split('/');
+        const key = decodeURIComponent(keyParts.join('/'));
+        const chunks = [];
+
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const fail = (status, code) => {
+                response.writeHead(status, { 'content-type': 'application/xml' });
+                response.end(`<Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+            };
+
+            if (!/^AWS4-HMAC-SHA256 Credential=test-key\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=[a-z0-9;-]+, Signature=[0-9a-f]{64}$/.test(request.headers.authorization || '')) {
+                return fail(403, 'SignatureDoesNotMatch');
+            }
+            if (requestBucket !== bucket) return fail(404, 'NoSuchBucket');
+
+            if (request.method === 'PUT') {
+                if (crypto.createHash('sha256').update(body).digest('hex') !== request.headers['x-amz-content-sha256']) {
+                    return fail(400, 'XAmzContentSHA256Mismatch');
+                }
+                objects.set(key, { body, modified: new Date() });
+                response.writeHead(200);
+                return response.end();
+            }
+
+            if (request.method === 'GET' && !key && url.searchParams.get('list-type') === '2') {
+                const prefix = url.searchParams.get('prefix') || '';
+                const contents = [...objects.entries()]
+                    .filter(([name]) => name.startsWith(prefix) && !name.slice(prefix.length).includes('/'))
+                    .map(([name, object]) => `<Contents><Key>${name.replace(/&/g, '&amp;')}</Key><Size>${object.body.length}</Size>` +
+                        `<LastModified>${object.modified.toISOString()}</LastModified></Contents>`);
+                response.writeHead(200, { 'content-type': 'application/xml' });
+                return response.end(`<ListBucketResult><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+            }
+
+            const object = objects.get(key);
+            if (request.method === 'DELETE') {
+                objects.delete(key);
+                response.writeHead(204);
+                return response.end();
+            }
+            if (!object) return fail(404, 'NoSuchKey');
+
+            response.writeHead(200, {
+                'content-length': object.body.length,
+                'last-modified': object.modified.toUTCString()
+            });
+            response.end(request.method === 'HEAD' ? undefined : object.body);
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
 // Initialize test runner
 const runner = new TestRunner();
 
@@ -155,7 +266,7 @@ runner.test('Different backup methods', async () => {
             backupDirectory: backupDir
         });
 
-        const methods = ['backup', 'copy'];
+        const methods = ['backup', 'copy', 'vacuum'];
 
         for (const method of methods) {
             const result = await backup.createBackup({
@@ -174,6 +285,347 @@ runner.test('Different backup methods', async () => {
     }
 });
 
+// Test: Vacuum backups compact the database
+runner.test('Vacuum backups compact the database', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        // Leave plenty of free pages behind
+        await execAsync(`sqlite3 "${dbPath}" "CREATE TABLE filler (data BLOB); INSERT INTO filler SELECT randomblob(1000) FROM (WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 200) SELECT i FROM n); DELETE FROM filler;"`);
+
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+
+        const result = await backup.createBackup({
+            filename: 'vacuum.db',
+            includeTimestamp: false,
+            method: 'vacuum',
+            pageSize: 8192,
+            autoVacuum: 'incremental'
+        });
+
+        assert(result.success, `Vacuum backup should succeed: ${result.error}`);
+        assertEquals(result.sourceSize, fs.statSync(dbPath).size, 'Result should report the source size');
+        assert(result.compactedSize < result.sourceSize, 'Vacuum backup should be smaller than the source');
+        assertEquals(result.reclaimedBytes, result.sourceSize - result.compactedSize, 'Result should report reclaimed bytes');
+
+        const { stdout } = await execAsync(`sqlite3 "${result.backupPath}" "PRAGMA page_size; PRAGMA auto_vacuum; SELECT count(*) FROM users;"`);
+        assertEquals(stdout.trim().split('\n').join(','), '8192,2,2', 'Backup should use the requested page size and auto_vacuum');
+
+        const copyResult = await backup.createBackup({ method: 'copy', pageSize: 8192 });
+        assert(!copyResult.success, 'pageSize should be rejected for other methods');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: SQL dump backups
+runner.test('SQL dump backups', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        await execFileAsync('sqlite3', [dbPath,
+            'CREATE TABLE tags (name TEXT PRIMARY KEY, uses INTEGER) WITHOUT ROWID; INSERT INTO tags VALUES (\'z\', 1), (\'a\', 2);' +
+            'CREATE TABLE notes (body TEXT, data BLOB, score REAL); INSERT INTO notes VALUES (\'two\nlines; -- no comment\', x\'00ff\', 0.1 + 0.2);' +
+            'CREATE INDEX users_email ON users (email); CREATE VIEW names AS SELECT name FROM users;' +
+            'CREATE TRIGGER count_tags AFTER INSERT ON users BEGIN UPDATE tags SET uses = uses + 1; END; PRAGMA user_version = 3;' +
+            // More rows than one batch reads, with NULLs in the key where a batch ends
+            'CREATE TABLE pairs (a TEXT, b INTEGER, PRIMARY KEY (a, b)); INSERT INTO pairs SELECT CASE WHEN i % 2 = 0 THEN NULL ELSE \'k\' || (i % 5) END, ' +
+            'CASE WHEN i % 11 = 0 THEN NULL ELSE i / 3 END FROM (WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 2500) SELECT i FROM n);'
+        ]);
+
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+        const result = await backup.createBackup({ method: 'dump', filename: 'first', includeTimestamp: false, verifyLevel: 'strict' });
+        assert(result.success, `Dump backup should succeed: ${result.error}`);
+        assertEquals(result.filename, 'first.sql', 'A dump should be an .sql file');
+
+        // Tables by name with rows by primary key, then indexes, views and triggers
+        const script = fs.readFileSync(result.backupPath, 'utf8');
+        const order = script.split('\n').filter(line => line.startsWith('CREATE')).map(line => line.split(' ').slice(1, 3).join(' '));
+        assertEquals(order.join(', '), 'TABLE notes, TABLE pairs, TABLE tags, TABLE users, INDEX users_email, VIEW names, TRIGGER count_tags',
+            'Tables should come first by name, then indexes, views and triggers');
+        assertEquals(script.split('\n').filter(line => line.startsWith('INSERT INTO "pairs"')).length, 2500, 'Every row should be dumped once');
+        assert(script.indexOf("VALUES('a',2)") < script.indexOf("VALUES('z',1)"), 'Rows should be in primary key order');
+        assert(script.endsWith('PRAGMA user_version=3;\nCOMMIT;\n'), 'The dump should keep user_version');
+
+        // An unchanged database dumps to the same bytes, compressed too
+        const again = await backup.createBackup({ method: 'dump', filename: 'second', includeTimestamp: false });
+        assertEquals(again.checksum, result.checksum, 'Dumps of an unchanged database should be identical');
+        const written = [];
+        const watcher = fs.watch(backupDir, (event, filename) => written.push(filename));
+        const gzipped = await backup.createBackup({ method: 'dump', includeTimestamp: false, compression: 'gzip' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        watcher.close();
+        assertEquals([...new Set(written)].filter(name => /\.sql(\.|$)/.test(name)).join(), gzipped.filename,
+            'A compressed dump should be compressed as it is written, without a plain script on disk');
+        assertEquals(zlib.gunzipSync(fs.readFileSync(gzipped.backupPath)).toString('utf8'), script, 'The compressed dump should hold the script');
+        assertEquals(gzipped.uncompressedSize, Buffer.byteLength(script), 'The uncompressed size should be the script\'s');
+        const regzipped = await backup.createBackup({ method: 'dump', filename: 'again', includeTimestamp: false, compression: 'gzip' });
+        assertEquals(regzipped.checksum, gzipped.checksum, 'Compressed dumps should be identical');
+        assert(gzipped.filename.endsWith('.sql.gz'), 'A compressed dump should be an .sql.gz file');
+
+        const verified = await backup.verifyBackup(gzipped.backupPath, { level: 'strict' });
+        assert(verified.valid, `A dump should be replayed and verified: ${JSON.stringify(verified.failures)}`);
+        assert((await backup.listBackups()).some(entry => entry.filename === gzipped.filename && entry.method === 'dump'),
+            'Dumps should be listed with the database backups');
+        const inspected = await backup.inspect(gzipped.backupPath);
+        assertEquals(inspected.sqliteVersion, (await backup.inspect()).sqliteVersion,
+            'A dump should report the cataloged version of the source, not the SQLite that replayed it');
+
+        await execFileAsync('sqlite3', [dbPath, "UPDATE tags SET uses = 5 WHERE name = 'z';"]);
+        const restored = await backup.restore(gzipped.backupPath);
+        assert(restored.success, `Restoring a dump should succeed: ${restored.error}`);
+        const diff = await backup.diff(result.backupPath, null, { rows: true });
+        assert(diff.identical, `The restored database should match the dump: ${JSON.stringify(diff.schema)}`);
+
+        // A dump cut short replays into a database that holds nothing, so it must fail verification
+        const truncated = path.join(testDir, 'truncated.sql');
+        fs.writeFileSync(truncated, script.replace('COMMIT;\n', ''));
+        const report = await backup.verifyBackup(truncated);
+        assertEquals(report.failures.map(check => check.code).join(), 'ERR_INTEGRITY_CHECK_FAILED', 'A truncated dump should fail');
+        const loose = path.join(testDir, 'loose.sql');
+        fs.writeFileSync(loose, script);
+        assertEquals((await backup.inspect(loose)).sqliteVersion, null, 'A dump the catalog doesn\'t know has no version');
+
+        const incremental = await backup.createBackup({ method: 'dump', incremental: true });
+        assert(!incremental.success, 'Dumps should not be incremental');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Stepped online backups
+runner.test('Stepped online backups', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+    let holder = null;
+
+    try {
+        await execAsync(`sqlite3 "${dbPath}" "PRAGMA journal_mode=WAL; CREATE TABLE filler (data BLOB); INSERT INTO filler SELECT randomblob(1000) FROM (WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 1000) SELECT i FROM n);"`);
+        const count = async dbFile => (await execAsync(`sqlite3 "${dbFile}" "SELECT count(*) FROM users;"`)).stdout.trim();
+
+        // The sqlite3 CLI's .backup can't be stepped, so SQLiteBackup takes the steps itself
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir,
+            driver: 'sqlite3-cli'
+        });
+
+        // A commit in the middle of the copy starts it over, so the backup still holds one state
+        const progress = [];
+        backup.on('backup:progress', event => {
+            if (event.pageCount === undefined) return;
+            progress.push(event);
+            if (progress.length === 2) {
+                execFileSync('sqlite3', [dbPath, "INSERT INTO users (name) VALUES ('Mid-copy');"]);
+            }
+        });
+
+        const result = await backup.createBackup({ filename: 'stepped.db', includeTimestamp: false, pagesPerStep: 20 });
+        assert(result.success, `Stepped backup should succeed: ${result.error}`);
+        assert(progress.length > 10, 'Every step should report its progress');
+        assert(progress[0].pageCount > 200 && progress[0].pagesRemaining === progress[0].pageCount - 20,
+            'Progress should report the page count and the pages remaining');
+        assertEquals(progress[progress.length - 1].pagesRemaining, 0, 'The last step should leave no pages');
+        assertEquals(await count(result.backupPath), '3', 'Backup should include the write that restarted it');
+        const { stdout: journalMode } = await execAsync(`sqlite3 "${result.backupPath}" "PRAGMA journal_mode;"`);
+        assertEquals(journalMode.trim(), 'delete', 'Backup should be a standalone rollback journal database');
+
+        const startedAt = Date.now();
+        const throttled = await backup.createBackup({ filename: 'throttled.db', includeTimestamp: false, pagesPerStep: 50, maxPagesPerSecond: 1000 });
+        assert(throttled.success, `Throttled backup should succeed: ${throttled.error}`);
+        assert(Date.now() - startedAt >= 150, 'maxPagesPerSecond should slow the copy down');
+
+        // A writer holding the database locks each step out until it commits
+        await execAsync(`sqlite3 "${dbPath}" "PRAGMA journal_mode=DELETE;"`);
+        holder = spawn('sqlite3', [dbPath], { stdio: ['pipe', 'pipe', 'ignore'] });
+        await new Promise(resolve => {
+            holder.stdout.once('data', resolve);
+            holder.stdin.write("BEGIN EXCLUSIVE; INSERT INTO users (name) VALUES ('Locked');\n.print locked\n");
+        });
+
+        const busy = await backup.createBackup({ filename: 'busy.db', includeTimestamp: false, busyTimeout: 100 });
+        assertEquals(busy.code, 'ERR_DATABASE_BUSY', 'A step should give up once busyTimeout has passed');
+
+        const waiting = backup.createBackup({ filename: 'waited.db', includeTimestamp: false });
+        setTimeout(() => holder.stdin.end('COMMIT;\n'), 200);
+        const waited = await waiting;
+        assert(waited.success, `Backup should retry until the writer commits: ${waited.error}`);
+        assertEquals(await count(waited.backupPath), '4', 'Backup should include the committed write');
+
+        const copyResult = await backup.createBackup({ method: 'copy', pagesPerStep: 10 });
+        assert(!copyResult.success, 'Step options should be rejected for other methods');
+
+        if (new NodeSqliteDriver().isAvailable()) {
+            const inProcess = new SQLiteBackup({ databasePath: dbPath, backupDirectory: backupDir, driver: 'node:sqlite' });
+            const steps = [];
+            inProcess.on('backup:progress', event => event.pageCount !== undefined && steps.push(event));
+            const nativeResult = await inProcess.createBackup({ filename: 'native.db', includeTimestamp: false, pagesPerStep: 50 });
+            assert(nativeResult.success && steps.length > 2, 'node:sqlite should report the steps of its backup API');
+
+        }
+
+        // In-process drivers pause between the steps of SQLite's backup API in a worker thread
+        const detected = new SQLiteBackup({ databasePath: dbPath, backupDirectory: backupDir });
+        const pacedSteps = [];
+        detected.on('backup:progress', event => event.pageCount !== undefined && pacedSteps.push(event));
+        const pacedStartedAt = Date.now();
+        const paced = await detected.createBackup({ filename: 'paced.db', includeTimestamp: false, pagesPerStep: 50, maxPagesPerSecond: 1000 });
+        assert(paced.success, `Throttled backup should succeed with the ${detected.driver.name} driver: ${paced.error}`);
+        assert(Date.now() - pacedStartedAt >= 150, `maxPagesPerSecond should slow the ${detected.driver.name} driver down`);
+        assert(pacedSteps.length > 2, 'A throttled backup should report its steps');
+        assertEquals(await count(paced.backupPath), '4', 'Throttled backup should hold the database');
+
+    } finally {
+        if (holder && holder.exitCode === null) holder.stdin.end('ROLLBACK;\n');
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Incremental backups
+runner.test('Incremental backups', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        await execAsync(`sqlite3 "${dbPath}" "CREATE TABLE filler (id INTEGER PRIMARY KEY, data BLOB); INSERT INTO filler SELECT i, randomblob(1000) FROM (WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 200) SELECT i FROM n);"`);
+
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+        const snapshot = async dbFile => (await execAsync(`sqlite3 "${dbFile}" "SELECT count(*), hex(sha3_query('SELECT * FROM filler')) FROM users;"`)).stdout;
+
+        const full = await backup.createBackup({ incremental: true });
+        assert(full.success, `Full backup should succeed: ${full.error}`);
+        assertEquals(full.type, 'full', 'First backup of a chain should be full');
+        assertExists(`${full.backupPath}.pagemap`, 'Full backup should have a page map');
+        const fullState = await snapshot(dbPath);
+
+        await execAsync(`sqlite3 "${dbPath}" "UPDATE filler SET data = randomblob(1000) WHERE id = 100;"`);
+        const first = await backup.createBackup({ incremental: true, compression: 'gzip' });
+        assert(first.success, `Incremental backup should succeed: ${first.error}`);
+        assertEquals(first.type, 'incremental', 'Second backup should be incremental');
+        assertEquals(first.parent, full.filename, 'Delta should build on the full backup');
+        assert(first.filename.endsWith('.db.delta.gz'), 'Delta should be named as such');
+        assert(first.changedPages < first.pageCount / 10, 'Delta should only hold the changed pages');
+        const firstState = await snapshot(dbPath);
+
+        await execAsync(`sqlite3 "${dbPath}" "DELETE FROM filler WHERE id > 50; VACUUM;"`);
+        const second = await backup.createBackup({ incremental: true });
+        assert(second.success, `Second incremental backup should succeed: ${second.error}`);
+        assertEquals(second.parent, first.filename, 'Delta should build on the previous delta');
+        const secondState = await snapshot(dbPath);
+
+        // Every point of the chain can be restored
+        for (const [result, state] of [[full, fullState], [first, firstState], [second, secondState]]) {
+            const targetPath = path.join(testDir, `restored-${result.type}-${result.changedPages}.db`);
+            const restoreResult = await backup.restore(result.filename, { targetPath, createBackupBeforeRestore: false });
+            assert(restoreResult.success, `Restore of ${result.filename} should succeed: ${restoreResult.error}`);
+            assertEquals(await snapshot(targetPath), state, `Restore of ${result.filename} should match the database at that time`);
+        }
+        assert(await BackupUtils.validateDatabase(second.backupPath), 'Delta should validate through its chain');
+
+        // Nothing a remaining delta builds on may be removed
+        const cleanupResult = await backup.cleanup({ maxBackups: 1 });
+        assert(cleanupResult.success, 'Cleanup should succeed');
+        assertEquals(cleanupResult.removed, 0, 'Cleanup should keep the chain');
+        assertEquals(cleanupResult.keptForChains.length, 2, 'Cleanup should report the protected backups');
+
+        const consolidated = await backup.consolidate(null, { removeChain: true });
+        assert(consolidated.success, `Consolidate should succeed: ${consolidated.error}`);
+        assertEquals(consolidated.consolidatedFrom.length, 3, 'Consolidate should merge the whole chain');
+        assert(!fs.existsSync(full.backupPath) && !fs.existsSync(`${full.backupPath}.pagemap`), 'Old chain should be removed');
+        assertEquals(await snapshot(consolidated.backupPath), secondState, 'Consolidated backup should hold the latest state');
+
+        const next = await backup.createBackup({ incremental: true });
+        assertEquals(next.parent, consolidated.filename, 'Later deltas should build on the consolidated backup');
+
+        // A delta whose full backup is gone can't be restored
+        fs.unlinkSync(consolidated.backupPath);
+        const brokenResult = await backup.restore(next.filename, {
+            targetPath: path.join(testDir, 'broken.db'),
+            createBackupBeforeRestore: false
+        });
+        assertEquals(brokenResult.code, 'ERR_CHAIN_BROKEN', 'Restore should report the broken chain');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: WAL archiving and point-in-time restore
+runner.test('WAL archiving and point-in-time restore', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+    let archiver = null;
+
+    try {
+        await execAsync(`sqlite3 "${dbPath}" "PRAGMA journal_mode=WAL;"`);
+        const insert = name => execAsync(`sqlite3 "${dbPath}" "INSERT INTO users (name) VALUES ('${name}');"`);
+        const names = async dbFile => (await execAsync(`sqlite3 "${dbFile}" "SELECT group_concat(name) FROM users;"`)).stdout.trim();
+        const pause = () => new Promise(resolve => setTimeout(resolve, 20));
+
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+        archiver = backup.createWalArchiver({ pollInterval: 60 * 1000, snapshotInterval: 0 });
+
+        const started = await archiver.start();
+        assert(started.snapshot.success, 'Archiver should take an initial snapshot');
+        assert(backup.catalog.get(started.snapshot.filename).walArchive, 'Snapshot should reference the archive');
+
+        await insert('Before');
+        await archiver.poll();
+        await pause();
+        const recoveryPoint = new Date();
+        const expected = await names(dbPath);
+        await pause();
+
+        // Checkpoints and log restarts in between must not lose frames
+        await insert('After');
+        await execAsync(`sqlite3 "${dbPath}" "PRAGMA wal_checkpoint(RESTART);"`);
+        await archiver.poll();
+        await insert('Latest');
+        await archiver.poll();
+        await insert('Latest2');
+        const status = await archiver.stop();
+        archiver = null;
+        assert(status.frames > 0, 'Archiver should have archived frames');
+
+        const pointResult = await backup.restore(null, {
+            toTime: recoveryPoint,
+            targetPath: path.join(testDir, 'point.db'),
+            createBackupBeforeRestore: false
+        });
+        assert(pointResult.success, `Point-in-time restore should succeed: ${pointResult.error}`);
+        assertEquals(await names(path.join(testDir, 'point.db')), expected, 'Restore should stop at the recovery point');
+
+        const latestResult = await backup.restore(null, {
+            toTime: new Date(),
+            targetPath: path.join(testDir, 'latest.db'),
+            createBackupBeforeRestore: false
+        });
+        assert(latestResult.replayedSegments > pointResult.replayedSegments, 'Later restores should replay more segments');
+        assertEquals(await names(path.join(testDir, 'latest.db')), await names(dbPath), 'Restore should reach the last archived write');
+
+        const tooEarly = await backup.restore(null, {
+            toTime: '2000-01-01T00:00:00Z',
+            targetPath: path.join(testDir, 'early.db')
+        });
+        assertEquals(tooEarly.code, 'ERR_NO_WAL_ARCHIVE', 'Restore before the first snapshot should fail');
+
+    } finally {
+        if (archiver) await archiver.stop();
+        cleanupTestEnvironment(testDir);
+    }
+});
+
 // Test: Backup verification
 runner.test('Backup verification', async () => {
     const { testDir, dbPath, backupDir } = await setupTestEnvironment();
@@ -192,8 +644,8 @@ runner.test('Backup verification', async () => {
 
         assert(result.success, 'Backup should succeed');
 
-        const isValid = await backup.verifyBackup(result.backupPath);
-        assert(isValid, 'Backup should be valid');
+        const report = await backup.verifyBackup(result.backupPath);
+        assert(report.valid, 'Backup should be valid');
 
     } finally {
         cleanupTestEnvironment(testDir);
@@ -249,9 +701,10 @@ runner.test('Cleanup by retention days', async () => {
             includeTimestamp: false
         });
 
-        // Manually change the file's modification time to make it "old"
+        // Manually date the backup 10 days back: cleanup goes by the catalog's creation time
         const oldTime = new Date(Date.now() - (10 * 24 * 60 * 60 * 1000)); // 10 days ago
         fs.utimesSync(result.backupPath, oldTime, oldTime);
+        backup.catalog.update('old-backup.db', { createdAt: oldTime.toISOString() });
 
         // Run cleanup with 7 day retention
         const cleanupResult = await backup.cleanup({
@@ -301,6 +754,115 @@ runner.test('Cleanup by max backups', async () => {
     }
 });
 
+// Test: Cleanup with grandfather-father-son retention
+runner.test('Cleanup with grandfather-father-son retention', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+
+        const result = await backup.createBackup({ filename: 'template.db', includeTimestamp: false });
+        const times = {
+            'mon-late.db': '2024-05-06T10:00:00Z',
+            'mon-early.db': '2024-05-06T09:00:00Z',
+            'sun.db': '2024-05-05T12:00:00Z',
+            'sat.db': '2024-05-04T12:00:00Z',
+            'april.db': '2024-04-20T12:00:00Z',
+            'march.db': '2024-03-15T12:00:00Z',
+            'last-year.db': '2023-12-31T12:00:00Z'
+        };
+        for (const [name, time] of Object.entries(times)) {
+            fs.copyFileSync(result.backupPath, path.join(backupDir, name));
+            fs.utimesSync(path.join(backupDir, name), new Date(time), new Date(time));
+        }
+        fs.unlinkSync(result.backupPath);
+
+        const cleanupResult = await backup.cleanup({
+            maxBackups: 1,
+            keepDaily: 2,
+            keepWeekly: 2,
+            keepMonthly: 3
+        });
+
+        assert(cleanupResult.success, `Cleanup should succeed: ${cleanupResult.error}`);
+        assertEquals(cleanupResult.removedFiles.sort().join(','), 'last-year.db,mon-early.db,sat.db', 'Only backups no rule keeps should be removed');
+
+        const buckets = Object.fromEntries(cleanupResult.kept.map(entry => [entry.filename, entry.buckets.join(',')]));
+        assertEquals(buckets['mon-late.db'], 'maxBackups,daily:2024-05-06,weekly:2024-W19,monthly:2024-05', 'Newest backup should be kept by every rule');
+        assertEquals(buckets['sun.db'], 'daily:2024-05-05,weekly:2024-W18', 'Sunday belongs to the previous ISO week');
+        assertEquals(buckets['april.db'], 'monthly:2024-04', 'Monthly rule should keep the newest backup of the month');
+        assertEquals(buckets['march.db'], 'monthly:2024-03', 'Monthly rule should reach back three months');
+
+        // A copied or re-uploaded file gets a new mtime, but stays in the bucket of its creation time
+        const taken = await backup.createBackup({ filename: 'taken.db', includeTimestamp: false });
+        backup.catalog.update('taken.db', { createdAt: '2024-05-06T08:00:00Z' });
+        fs.utimesSync(taken.backupPath, new Date('2024-05-07T12:00:00Z'), new Date('2024-05-07T12:00:00Z'));
+        const recopied = await backup.cleanup({ keepDaily: 2, dryRun: true });
+        const reasons = Object.fromEntries(recopied.plan.map(item => [item.filename, item.reasons.join(',')]));
+        assertEquals(reasons['taken.db'], 'no retention rule keeps it', 'Bucket should follow the catalog, not the mtime');
+        assertEquals(reasons['mon-late.db'], 'daily:2024-05-06', 'The newest backup of the day should still be kept');
+        assertEquals(recopied.plan.find(item => item.filename === 'taken.db').created.toISOString(), '2024-05-06T08:00:00.000Z',
+            'Plan should date the backup by its creation time');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Cleanup dry run and pinned backups
+runner.test('Cleanup dry run and pinned backups', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+
+        for (let i = 1; i <= 3; i++) {
+            const result = await backup.createBackup({ filename: `backup${i}.db`, includeTimestamp: false });
+            const time = new Date(Date.now() - (4 - i) * 60 * 1000);
+            fs.utimesSync(result.backupPath, time, time);
+        }
+
+        const pinResult = await backup.pin('backup1.db', { reason: 'Legal hold' });
+        assert(pinResult.success, `Pin should succeed: ${pinResult.error}`);
+        const listed = await backup.listBackups();
+        assert(listed.find(info => info.filename === 'backup1.db').pinned, 'List should show the pin');
+        assertEquals(listed.find(info => info.filename === 'backup1.db').pin.reason, 'Legal hold', 'List should show the pin reason');
+
+        const planResult = await backup.cleanup({ maxBackups: 1, dryRun: true });
+        assert(planResult.success && planResult.dryRun, 'Dry run should succeed');
+        assertEquals(planResult.removed, 0, 'Dry run should not remove anything');
+        assertEquals(fs.readdirSync(backupDir).filter(name => name.endsWith('.db')).length, 3, 'Dry run should leave all files');
+        const plan = Object.fromEntries(planResult.plan.map(item => [item.filename, `${item.action} ${item.reasons.join(',')}`]));
+        assertEquals(plan['backup3.db'], 'keep maxBackups', 'Plan should keep the newest backup');
+        assertEquals(plan['backup2.db'].split(' ')[0], 'delete', 'Plan should delete the unprotected backup');
+        assertEquals(plan['backup1.db'], 'keep pinned', 'Plan should keep the pinned backup');
+
+        const cleanupResult = await backup.cleanup({ maxBackups: 1 });
+        assertEquals(cleanupResult.removedFiles.join(','), 'backup2.db', 'Cleanup should carry out the plan');
+
+        // A rebuilt catalog keeps its pins
+        await backup.rebuildCatalog({ pattern: '*.db', replace: true });
+        assert(backup.catalog.get('backup1.db').pin, 'Pins should survive a catalog rebuild');
+
+        const unpinResult = await backup.unpin(path.join(backupDir, 'backup1.db'));
+        assert(unpinResult.wasPinned, 'Unpin should report the removed pin');
+        const afterUnpin = await backup.cleanup({ maxBackups: 1 });
+        assertEquals(afterUnpin.removedFiles.join(','), 'backup1.db', 'Unpinned backups should be subject to retention again');
+
+        const missing = await backup.pin('missing.db');
+        assert(!missing.success, 'Pinning a missing backup should fail');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
 // Test: Restore backup
 runner.test('Restore backup', async () => {
     const { testDir, dbPath, backupDir } = await setupTestEnvironment();
@@ -339,63 +901,1343 @@ runner.test('Restore backup', async () => {
     }
 });
 
-// Test: BackupUtils functions
-runner.test('BackupUtils functions', async () => {
-    // Test formatSize
-    assertEquals(BackupUtils.formatSize(0), '0 B', 'Should format 0 bytes');
-    assertEquals(BackupUtils.formatSize(1024), '1.00 KB', 'Should format KB');
-    assertEquals(BackupUtils.formatSize(1048576), '1.00 MB', 'Should format MB');
+// Test: Atomic restore and rollback
+runner.test('Atomic restore and rollback', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+    const countUsers = async () => (await execFileAsync('sqlite3', [dbPath, 'SELECT count(*) FROM users;'])).stdout.trim();
 
-    // Test formatDuration
-    assertEquals(BackupUtils.formatDuration(500), '500ms', 'Should format milliseconds');
-    assertEquals(BackupUtils.formatDuration(5000), '5.00s', 'Should format seconds');
-    assertEquals(BackupUtils.formatDuration(120000), '2.00m', 'Should format minutes');
+    try {
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+        const first = await backup.createBackup({ filename: 'two-users.db', includeTimestamp: false });
+
+        // A database that another process has open isn't replaced under it
+        const holder = spawn('sqlite3', [dbPath], { stdio: ['pipe', 'ignore', 'ignore'] });
+        holder.stdin.write('SELECT count(*) FROM users;\n');
+        await new Promise(resolve => setTimeout(resolve, 300));
+        const busy = await backup.restore(first.backupPath);
+        await new Promise(resolve => {
+            holder.once('close', resolve);
+            holder.stdin.end('.quit\n');
+        });
+        assertEquals(busy.code, 'ERR_DATABASE_IN_USE', 'An open database should not be restored over');
+        assertEquals(await countUsers(), '2', 'The database should be left alone');
+
+        // Leave a WAL with committed rows behind, as a process that crashed would
+        const savedWal = path.join(testDir, 'saved-wal');
+        await execFileAsync('sqlite3', [dbPath, 'PRAGMA journal_mode = WAL;', "INSERT INTO users (name) VALUES ('Wal');",
+            `.shell cp "${dbPath}-wal" "${savedWal}"`]);
+        fs.copyFileSync(savedWal, `${dbPath}-wal`);
+
+        const restored = await backup.restore(first.backupPath);
+        assert(restored.success, `Restore should succeed: ${restored.error}`);
+        assertEquals(await countUsers(), '2', 'The stale WAL should not be replayed onto the restored database');
+        assert(!fs.existsSync(`${dbPath}-wal`) && !fs.existsSync(`${dbPath}-shm`), 'No sidecars should be left behind');
+        assert(fs.readdirSync(testDir).every(name => !name.includes('.restore-')), 'The temporary file should be renamed into place');
+
+        // A second restore stacks on the first; rollback undoes them newest first
+        await execFileAsync('sqlite3', [dbPath, "INSERT INTO users (name) VALUES ('Late'), ('Later');"]);
+
+        // A dry run verifies the backup but leaves the database and the backup directory alone
+        const before = fs.readFileSync(dbPath);
+        const backupsBefore = fs.readdirSync(backupDir).sort().join();
+        const preview = await backup.restore(first.backupPath, { dryRun: true });
+        assert(preview.success && preview.dryRun, `Dry run should succeed: ${preview.error}`);
+        assert(preview.checks.includes('checksum') && !preview.preRestoreBackup, 'Dry run should report the checks the backup passed');
+        const { stdout: dryRunOutput } = await execFileAsync(process.execPath, [
+            path.join(__dirname, '..', 'bin', 'cli.js'), 'restore', first.backupPath, dbPath, '--backup-dir', backupDir, '--dry-run', '--json'
+        ]);
+        assert(JSON.parse(dryRunOutput).dryRun, 'restore --dry-run should print the preview');
+        assert(fs.readFileSync(dbPath).equals(before), 'A dry run should leave the database byte-identical');
+        assertEquals(fs.readdirSync(backupDir).sort().join(), backupsBefore, 'A dry run should not write a pre-restore backup');
+
+        const second = await backup.restore(first.backupPath);
+        assert(second.success, 'Second restore should succeed');
+
+        const undone = await backup.rollback();
+        assert(undone.success, `Rollback should succeed: ${undone.error}`);
+        assertEquals(undone.undoneRestore.restoredAt, backup.catalog.get(path.basename(second.preRestoreBackup)).preRestore.restoredAt,
+            'The newest restore should be undone');
+        assertEquals(await countUsers(), '4', 'Rollback should bring back the database from before the restore');
+        assert((await backup.rollback()).success, 'Rolling back again should undo the first restore');
+        assertEquals(await countUsers(), '3', 'The first restore should be undone too');
+        assertEquals((await backup.rollback()).code, 'ERR_NOTHING_TO_ROLL_BACK', 'Nothing should be left to roll back');
+
+        // A database that doesn't hold up in place is rolled back automatically
+        const verifyBackup = backup.verifyBackup.bind(backup);
+        backup.verifyBackup = async (file, options) => {
+            const report = await verifyBackup(file, options);
+            return file === path.resolve(dbPath) && options.level === 'quick' ? { ...report, valid: false } : report;
+        };
+        const failed = await backup.restore(first.backupPath);
+        assert(!failed.success && failed.rolledBack, 'A failed post-restore check should roll back');
+        assertEquals(await countUsers(), '3', 'The previous database should be back');
+
+        const { stdout } = await execFileAsync(process.execPath, [
+            path.join(__dirname, '..', 'bin', 'cli.js'), 'rollback', dbPath, '--backup-dir', backupDir, '--json'
+        ]).catch(error => error);
+        assertEquals(JSON.parse(stdout).code, 'ERR_NOTHING_TO_ROLL_BACK', 'rollback should report that nothing is left');
 
-    // Test validateDatabase
-    const { testDir, dbPath } = await setupTestEnvironment();
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Table restore
+runner.test('Table restore', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+    const query = async sql => (await execFileAsync('sqlite3', [dbPath, sql])).stdout.trim();
 
     try {
-        const isValid = await BackupUtils.validateDatabase(dbPath);
-        assert(isValid, 'Valid database should return true');
+        await query('CREATE TABLE orders (id INTEGER PRIMARY KEY, total INTEGER);' +
+            'CREATE TABLE order_items (id INTEGER PRIMARY KEY, order_id INTEGER REFERENCES orders (id), qty INTEGER);' +
+            'CREATE INDEX order_items_order ON order_items (order_id);' +
+            'INSERT INTO orders VALUES (1, 10), (2, 20), (3, 30); INSERT INTO order_items VALUES (1, 1, 1), (2, 2, 2), (3, 3, 3);');
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+        const snapshot = await backup.createBackup({ filename: 'orders', includeTimestamp: false });
+
+        await query("DELETE FROM order_items WHERE order_id = 2; DELETE FROM orders WHERE id = 2; UPDATE orders SET total = 99 WHERE id = 1;" +
+            "INSERT INTO users (name) VALUES ('New');");
+
+        // A dry run previews the change and leaves the database alone
+        const preview = await backup.restore(snapshot.backupPath, { tables: ['orders', 'order_items'], mode: 'merge', dryRun: true });
+        assert(preview.success && preview.dryRun, `Dry run should succeed: ${preview.error}`);
+        assertEquals(preview.tables.map(table => `${table.name} ${table.inserted}`).join(', '), 'orders 1, order_items 1',
+            'The preview should count the rows to merge');
+        assertEquals(preview.preRestoreBackup, undefined, 'A dry run should not back up the database');
+        assertEquals(await query('SELECT count(*) FROM orders;'), '2', 'A dry run should not change anything');
+
+        // Merging brings back missing rows and keeps the rest as they are, while the database stays open elsewhere
+        const holder = spawn('sqlite3', [dbPath], { stdio: ['pipe', 'ignore', 'ignore'] });
+        holder.stdin.write('SELECT count(*) FROM users;\n');
+        await new Promise(resolve => setTimeout(resolve, 300));
+        const merged = await backup.restore(snapshot.backupPath, { tables: ['orders', 'order_items'], mode: 'merge' });
+        await new Promise(resolve => {
+            holder.once('close', resolve);
+            holder.stdin.end('.quit\n');
+        });
+        assert(merged.success, `Merge should succeed: ${merged.error}`);
+        assertEquals(await query('SELECT group_concat(total) FROM orders;'), '99,20,30', 'Missing rows should be merged in');
+        assertEquals(await query('SELECT count(*) FROM order_items;'), '3', 'Missing items should be merged in');
+
+        // Replacing only the rows a condition selects
+        const replaced = await backup.restore(snapshot.backupPath, { tables: ['orders'], where: 'id = 1' });
+        assertEquals(`${replaced.tables[0].deleted} ${replaced.tables[0].inserted}`, '1 1', 'Only the selected rows should be replaced');
+        assertEquals(await query('SELECT group_concat(total) FROM orders;'), '10,20,30', 'The selected row should be restored');
+        assertEquals(await query('SELECT count(*) FROM users;'), '3', 'Other tables should be left alone');
+
+        // Removing an order that items still refer to is rolled back
+        await query('INSERT INTO orders VALUES (4, 40); INSERT INTO order_items VALUES (4, 4, 4);');
+        const dangling = await backup.restore(snapshot.backupPath, { tables: ['orders'], dryRun: true });
+        assertEquals(dangling.violations.map(violation => `${violation.table} ${violation.rowid}`).join(), 'order_items 4',
+            'The preview should list the foreign key violations');
+        const violating = await backup.restore(snapshot.backupPath, { tables: ['orders'] });
+        assertEquals(violating.code, 'ERR_FOREIGN_KEY_VIOLATION', 'A restore breaking foreign keys should fail');
+        assertEquals(await query('SELECT count(*) FROM orders;'), '4', 'The failed restore should be rolled back');
+
+        const vetoed = await backup.restore(snapshot.backupPath, { tables: ['orders', 'order_items'], confirm: () => false });
+        assertEquals(vetoed.code, 'ERR_VETOED', 'An unconfirmed restore should be cancelled');
+
+        const missing = await backup.restore(snapshot.backupPath, { tables: ['invoices'] });
+        assertEquals(missing.code, 'ERR_TABLE_NOT_FOUND', 'A table missing from the backup should be reported');
+
+        // A dropped table comes back with its index, through the CLI
+        await query('DROP TABLE order_items;');
+        const { stdout } = await execFileAsync(process.execPath, [
+            path.join(__dirname, '..', 'bin', 'cli.js'), 'restore', snapshot.backupPath, dbPath,
+            '--backup-dir', backupDir, '--tables', 'order_items', '--json'
+        ]);
+        const recreated = JSON.parse(stdout);
+        assert(recreated.success && recreated.tables[0].created, 'The dropped table should be recreated');
+        assertEquals(await query("SELECT count(*) FROM order_items; SELECT name FROM sqlite_master WHERE type = 'index';"),
+            '3\norder_items_order', 'Its rows and index should be restored');
 
-        // Test with non-existent file
-        const nonExistentPath = './test-non-existent-' + Date.now() + '.db';
-        const invalidResult = await BackupUtils.validateDatabase(nonExistentPath);
-        assert(!invalidResult, 'Non-existent database should return false');
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Diff between backups
+runner.test('Diff between backups', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+        const before = await backup.createBackup({ filename: 'before', includeTimestamp: false, compression: 'gzip' });
+
+        await execFileAsync('sqlite3', [dbPath,
+            "UPDATE users SET email = 'jane@example.org' WHERE name = 'Jane Smith'; DELETE FROM users WHERE name = 'John Doe';" +
+            "INSERT INTO users (name, email) VALUES ('O''Brien', NULL); ALTER TABLE users ADD COLUMN role TEXT DEFAULT 'user';" +
+            'CREATE TABLE audit (action TEXT); INSERT INTO audit VALUES (x\'00ff\'); CREATE INDEX users_email ON users (email);'
+        ]);
+
+        // A compressed backup by its filename against the live database
+        const result = await backup.diff(before.filename, null, { rows: true, patch: true });
+        assert(result.success && !result.identical, 'The live database should differ from the backup');
+        assertEquals(result.schema.map(object => `${object.change} ${object.type} ${object.name}`).join(', '),
+            'changed table users, added table audit, added index users_email', 'Schema changes should be listed');
+        assertEquals(result.schema[0].columns.added.join(), 'role', 'Added columns should be listed');
+        assertEquals(result.tables.map(table => `${table.name} ${table.fromRows} ${table.toRows}`).join(', '),
+            'audit null 1, users 2 2', 'Row counts should be compared per table');
+
+        const users = result.rows.find(table => table.table === 'users');
+        assertEquals(users.key.join(), 'id', 'Rows should be matched by primary key');
+        assertEquals(users.deleted.map(row => row.name).join(), "'John Doe'", 'Deleted rows should be listed');
+        assertEquals(users.inserted.map(row => row.name).join(), "'O''Brien'", 'Inserted rows should be listed');
+        assertEquals(JSON.stringify(users.updated[0].changes), JSON.stringify({ email: { from: "'jane@example.com'", to: "'jane@example.org'" } }),
+            'Updated rows should list the changed values');
+
+        // The patch turns the backup into the live database
+        const patched = path.join(testDir, 'patched.db');
+        await backup.restore(before.backupPath, { targetPath: patched, createBackupBeforeRestore: false });
+        execFileSync('sqlite3', [patched], { input: result.patch });
+        const after = await backup.diff(patched, null, { rows: true });
+        assert(after.identical, `The patched backup should match the database: ${JSON.stringify(after.schema)}`);
+
+        const second = await backup.createBackup({ filename: 'after', includeTimestamp: false });
+        const unchanged = await backup.diff(second.backupPath);
+        assert(unchanged.identical && unchanged.rows === null && unchanged.patch === null, 'A fresh backup should match the database');
+
+        const missing = await backup.diff('missing.db');
+        assertEquals(missing.code, 'ERR_BACKUP_NOT_FOUND', 'A missing backup should be reported');
 
     } finally {
         cleanupTestEnvironment(testDir);
     }
 });
 
-// Test: Error handling
-runner.test('Error handling', async () => {
-    // Test with non-existent database
-    const nonExistentPath = './test-non-existent-' + Date.now() + '.db';
+// Test: Backup inspection
+runner.test('Backup inspection', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
     try {
-        new SQLiteBackup({
-            databasePath: nonExistentPath
+        await execFileAsync('sqlite3', [dbPath,
+            'PRAGMA user_version = 7; PRAGMA application_id = 1234; CREATE UNIQUE INDEX users_email ON users (email);' +
+            "CREATE TABLE notes (body TEXT); INSERT INTO notes VALUES ('a'), ('b'), ('c');"
+        ]);
+
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
         });
-        assert(false, 'Should throw error for non-existent database');
-    } catch (error) {
-        assert(error.message.includes('not found'), 'Should throw appropriate error');
+        const created = await backup.createBackup({ filename: 'inspected', includeTimestamp: false, compression: 'brotli' });
+
+        const result = await backup.inspect(created.filename);
+        assert(result.success, `Inspection should succeed: ${result.error}`);
+        assertEquals(`${result.userVersion} ${result.applicationId} ${result.journalMode}`, '7 1234 delete', 'Header settings should be reported');
+        assertEquals(result.pageSize * result.pageCount, result.databaseSize, 'The database size should follow from its pages');
+        assert(result.freelistCount === 0 && /^3\.\d+\.\d+$/.test(result.sqliteVersion), 'Free pages and the SQLite version should be reported');
+        assertEquals(result.backupInfo.filename, created.filename, 'The catalog entry should be included');
+        assertEquals(result.tables.map(table => `${table.name}:${table.rows}`).join(), 'notes:3,users:2', 'Tables should be listed with row counts');
+        assertEquals(result.tables[1].indexes.join(), 'users_email', 'Tables should list their indexes');
+        assert(result.indexes[0].unique && result.indexes[0].table === 'users', 'Indexes should be listed');
+        if (result.dbstat) {
+            assert(result.tables.every(table => table.size >= result.pageSize), 'dbstat should give table sizes');
+        } else {
+            assert(result.tables.every(table => table.size === null), 'Sizes should be null without dbstat');
+        }
+
+        const live = await backup.inspect();
+        assertEquals(live.backupPath, path.resolve(dbPath), 'Without a backup the live database should be inspected');
+
+        const { stdout } = await execFileAsync(process.execPath, [
+            path.join(__dirname, '..', 'bin', 'cli.js'), 'info', created.backupPath, '--json'
+        ]);
+        assertEquals(JSON.parse(stdout).tables.length, 2, 'info should print the inspection result');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
     }
+});
 
-    // Test cleanup without retention options
-    const { testDir, dbPath } = await setupTestEnvironment();
+// Test: Table export
+runner.test('Table export', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
 
     try {
+        await execFileAsync('sqlite3', [dbPath,
+            "CREATE TABLE files (id INTEGER PRIMARY KEY, name TEXT, data BLOB, size REAL); CREATE TABLE sessions (token TEXT);" +
+            "INSERT INTO files VALUES (2, 'quote \"and, comma\"', x'00ff10', 0.1 + 0.2), (9223372036854775807, '', NULL, NULL), (3, NULL, x'', NULL);" +
+            "INSERT INTO users (name, email) VALUES ('Multi\nline', NULL);"
+        ]);
+
         const backup = new SQLiteBackup({
             databasePath: dbPath,
-            backupDirectory: path.join(testDir, 'backups')
+            backupDirectory: backupDir
         });
+        const snapshot = await backup.createBackup({ filename: 'export', includeTimestamp: false, compression: 'gzip' });
+
+        // CSV from a compressed backup: NULL is an empty field, empty strings and BLOBs are quoted
+        const csvDir = path.join(testDir, 'csv');
+        const csv = await backup.export(snapshot.filename, { outDirectory: csvDir, exclude: ['sessions'] });
+        assert(csv.success, `CSV export should succeed: ${csv.error}`);
+        assertEquals(csv.tables.map(table => `${table.name} ${table.rows}`).join(', '), 'files 3, users 3', 'Excluded tables should be left out');
+        assertEquals(fs.readFileSync(path.join(csvDir, 'files.csv'), 'utf8'),
+            'id,name,data,size\r\n2,"quote ""and, comma""",AP8Q,0.30000000000000004\r\n3,,"",\r\n9223372036854775807,"",,\r\n',
+            'Rows should be written in primary key order with exact values');
+        assert(fs.readFileSync(path.join(csvDir, 'users.csv'), 'utf8').endsWith('3,"Multi\nline",\r\n'), 'Line breaks should be quoted');
+
+        const schema = JSON.parse(fs.readFileSync(path.join(csvDir, 'schema.json'), 'utf8'));
+        const files = schema.tables.find(table => table.name === 'files');
+        assertEquals(files.columns.map(column => `${column.name}:${column.type}:${column.storageClasses}`).join(' '),
+            'id:INTEGER:integer name:TEXT:text data:BLOB:blob size:REAL:real', 'The schema should describe every column');
+        assertEquals(files.primaryKey.join(), 'id', 'The schema should name the primary key');
+
+        // JSON Lines from the live database, BLOBs in hex
+        const jsonDir = path.join(testDir, 'jsonl');
+        const jsonl = await backup.export(null, { outDirectory: jsonDir, format: 'jsonl', tables: ['files'], blobEncoding: 'hex' });
+        assertEquals(jsonl.tables.length, 1, 'Only the included table should be exported');
+        const lines = fs.readFileSync(path.join(jsonDir, 'files.jsonl'), 'utf8').trim().split('\n');
+        assertEquals(lines[0], '{"id":2,"name":"quote \\"and, comma\\"","data":"00ff10","size":0.30000000000000004}', 'Rows should be JSON objects');
+        assertEquals(lines[1], '{"id":3,"name":null,"data":"","size":null}', 'An empty BLOB should be an empty string');
+        assertEquals(lines[2], '{"id":9223372036854775807,"name":"","data":null,"size":null}', 'Large integers should keep every digit');
+
+        const missing = await backup.export(null, { outDirectory: jsonDir, tables: ['invoices'] });
+        assertEquals(missing.code, 'ERR_TABLE_NOT_FOUND', 'A missing table should be reported');
+        const nowhere = await backup.export(null, {});
+        assertEquals(`${nowhere.success} ${nowhere.code}`, 'false ERR_USAGE', 'An export without outDirectory should fail like any other');
+
+        // More rows than one batch reads, with NULL keys where a batch ends and a column called rowid
+        await execFileAsync('sqlite3', [dbPath,
+            "CREATE TABLE tokens (token TEXT PRIMARY KEY, rowid TEXT); INSERT INTO tokens SELECT CASE WHEN i % 2 = 0 THEN NULL ELSE printf('t%05d', i) END, i " +
+            'FROM (WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 2500) SELECT i FROM n);'
+        ]);
+        const tokensDir = path.join(testDir, 'tokens');
+        await backup.export(null, { outDirectory: tokensDir, tables: ['tokens'] });
+        const numbers = Array.from({ length: 2500 }, (value, index) => index + 1);
+        const expected = [...numbers.filter(i => i % 2 === 0).map(i => `,${i}`), ...numbers.filter(i => i % 2 === 1).map(i => `t${String(i).padStart(5, '0')},${i}`)];
+        assertEquals(fs.readFileSync(path.join(tokensDir, 'tokens.csv'), 'utf8'), `token,rowid\r\n${expected.join('\r\n')}\r\n`,
+            'Every row should be exported once, NULL keys first');
+
+        const cliDir = path.join(testDir, 'cli');
+        await execFileAsync(process.execPath, [
+            path.join(__dirname, '..', 'bin', 'cli.js'), 'export', snapshot.backupPath, '--out', cliDir, '--format', 'jsonl', '--tables', 'users'
+        ]);
+        assertEquals(fs.readdirSync(cliDir).sort().join(), 'schema.json,users.jsonl', 'export should write the table and schema.json');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Events and hooks
+runner.test('Events and hooks', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
 
+    try {
+        const events = [];
+        let allowBackup = true;
+        let keepBackup = true;
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir,
+            hooks: {
+                beforeBackup: async context => {
+                    events.push(`beforeBackup ${context.filename}`);
+                    return allowBackup;
+                },
+                afterBackup: async result => {
+                    events.push(`afterBackup ${result.filename}`);
+                    if (!keepBackup) throw new Error('row count too low');
+                },
+                beforeRestore: async context => {
+                    events.push(`beforeRestore ${path.basename(context.backupPath)}`);
+                    return context.targetPath !== path.resolve(dbPath);
+                }
+            }
+        });
+        for (const name of ['backup:start', 'backup:verified', 'backup:complete', 'restore:start', 'restore:complete']) {
+            backup.on(name, payload => events.push(`${name} ${path.basename(payload.filename || payload.backupPath || payload.restoredTo)}`));
+        }
+        backup.on('backup:progress', payload => events.push(`backup:progress ${payload.stage}` +
+            (payload.pageCount === undefined ? '' : ` ${payload.pagesRemaining}/${payload.pageCount}`)));
+        backup.on('backup:failed', payload => events.push(`backup:failed ${payload.error.code}`));
+        backup.on('restore:failed', payload => events.push(`restore:failed ${payload.result.code}`));
+        backup.on('cleanup:removed', payload => events.push(`cleanup:removed ${payload.filename}`));
+
+        const result = await backup.createBackup({ filename: 'events.db', includeTimestamp: false });
+        assert(result.success, `Backup should succeed: ${result.error}`);
+        assertEquals(events.join(', '), [
+            'backup:start events.db', 'beforeBackup events.db', 'backup:progress snapshot', 'backup:progress snapshot 0/2',
+            'backup:progress verify',
+            'backup:verified events.db', 'afterBackup events.db', 'backup:complete events.db'
+        ].join(', '), 'Backup should emit its lifecycle events in order');
+
+        events.length = 0;
+        allowBackup = false;
+        const vetoed = await backup.createBackup({ filename: 'vetoed.db', includeTimestamp: false });
+        assertEquals(vetoed.code, 'ERR_VETOED', 'beforeBackup should be able to veto a backup');
+        assertEquals(events.slice(-1)[0], 'backup:failed ERR_VETOED', 'A vetoed backup should be reported as failed');
+        assert(!fs.existsSync(path.join(backupDir, 'vetoed.db')), 'A vetoed backup should not be written');
+
+        allowBackup = true;
+        keepBackup = false;
+        const rejected = await backup.createBackup({ filename: 'rejected.db', includeTimestamp: false });
+        assertEquals(rejected.code, 'ERR_VETOED', 'afterBackup should be able to veto a backup');
+        assert(rejected.error.includes('row count too low'), 'The veto reason should be reported');
+        assert(!fs.existsSync(path.join(backupDir, 'rejected.db')), 'A backup rejected afterwards should be deleted');
+        assert(!backup.catalog.get('rejected.db'), 'A backup rejected afterwards should leave the catalog');
+
+        events.length = 0;
+        const restorePath = path.join(testDir, 'restored.db');
+        const restoreResult = await backup.restore(result.backupPath, { targetPath: restorePath });
+        assert(restoreResult.success, `Restore should succeed: ${restoreResult.error}`);
+        assertEquals(events.join(', '), 'restore:start events.db, beforeRestore events.db, restore:complete restored.db',
+            'Restore should emit its lifecycle events');
+
+        const refused = await backup.restore(result.backupPath, { createBackupBeforeRestore: false });
+        assertEquals(refused.code, 'ERR_VETOED', 'beforeRestore should be able to veto a restore');
+        assertEquals(events.slice(-1)[0], 'restore:failed ERR_VETOED', 'A vetoed restore should be reported as failed');
+
+        keepBackup = true;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await backup.createBackup({ filename: 'newer.db', includeTimestamp: false });
+        await backup.cleanup({ maxBackups: 1 });
+        assert(events.includes('cleanup:removed events.db'), 'Cleanup should report each removed backup');
+
+        // The CLI runs hook commands with the context or result as JSON on stdin
+        const cli = path.join(__dirname, '..', 'bin', 'cli.js');
+        const hookLog = path.join(testDir, 'hook.log');
+        await execFileAsync(process.execPath, [
+            cli, 'create', dbPath, '--backup-dir', backupDir, '--filename', 'hooked', '--no-timestamp',
+            '--pre-hook', `cat >> "${hookLog}"`, '--post-hook', `cat >> "${hookLog}"`
+        ]);
+        const logged = fs.readFileSync(hookLog, 'utf8').split(/\n(?=\{)/).map(text => JSON.parse(text));
+        assertEquals(logged.map(entry => entry.filename).join(','), 'hooked.db,hooked.db', 'Both hooks should receive JSON');
+        assert(logged[1].success && logged[1].checksum, 'The post-hook should receive the backup result');
+
+        let cliError = null;
         try {
-            await backup.cleanup({});
-            assert(false, 'Should throw error without retention options');
+            await execFileAsync(process.execPath, [cli, 'create', dbPath, '--backup-dir', backupDir, '--pre-hook', 'exit 3']);
         } catch (error) {
-            assert(error.message.includes('retentionDays or maxBackups'), 'Should throw appropriate error');
+            cliError = error;
         }
+        assert(cliError && cliError.stderr.includes('vetoed'), 'A failing pre-hook should cancel the backup');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Backup catalog
+runner.test('Backup catalog', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+
+        const result = await backup.createBackup({ method: 'copy' });
+        assert(result.success, 'Backup should succeed');
+
+        const entry = backup.catalog.get(result.filename);
+        assert(entry, 'Backup should be recorded in the catalog');
+        assertEquals(entry.checksum, result.checksum, 'Catalog should keep the checksum');
+        assertEquals(entry.method, 'copy', 'Catalog should keep the method');
+        assertEquals(entry.sourceDatabase, path.resolve(dbPath), 'Catalog should keep the source database');
+        assert(/^3\.\d+\.\d+$/.test(entry.sqliteVersion), 'Catalog should keep the SQLite version');
+
+        const backups = await backup.listBackups();
+        assertEquals(backups[0].checksum, result.checksum, 'Listing should read the checksum from the catalog');
+        assertEquals(backups[0].method, 'copy', 'Listing should read the method from the catalog');
+
+        // Restore by filename resolves through the catalog
+        const restoreResult = await backup.restore(result.filename, {
+            targetPath: path.join(testDir, 'restored.db'),
+            createBackupBeforeRestore: false
+        });
+        assert(restoreResult.success, 'Restore by cataloged filename should succeed');
+        assertEquals(restoreResult.backupInfo.checksum, result.checksum, 'Restore should report the catalog entry');
+
+        const oldTime = new Date(Date.now() - (10 * 24 * 60 * 60 * 1000));
+        backup.catalog.update(result.filename, { createdAt: oldTime.toISOString() });
+
+        const cleanupResult = await backup.cleanup({ retentionDays: 7 });
+        assertEquals(cleanupResult.removed, 1, 'Cleanup should remove the backup');
+        assertEquals(backup.catalog.entries().length, 0, 'Cleanup should remove catalog entries');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Rebuild catalog
+runner.test('Rebuild catalog', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+
+        const result = await backup.createBackup({ includeTimestamp: true });
+        assert(result.success, 'Backup should succeed');
+
+        // Lose the catalog and drop in a backup produced elsewhere
+        fs.unlinkSync(backup.catalog.path);
+        fs.copyFileSync(dbPath, path.join(backupDir, 'test-backup-2024-01-02T03-04-05-678Z.db'));
+
+        const rebuildResult = await backup.rebuildCatalog();
+        assert(rebuildResult.success, 'Rebuild should succeed');
+        assertEquals(rebuildResult.imported, 2, 'Should import both backup files');
+
+        const entry = backup.catalog.get(result.filename);
+        assertEquals(entry.checksum, result.checksum, 'Rebuilt entry should have the same checksum');
+
+        const imported = backup.catalog.get('test-backup-2024-01-02T03-04-05-678Z.db');
+        assertEquals(imported.createdAt, '2024-01-02T03:04:05.678Z', 'Creation time should come from the filename');
+
+        const secondRebuild = await backup.rebuildCatalog();
+        assertEquals(secondRebuild.imported, 0, 'Cataloged backups should not be imported again');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Compressed backups
+runner.test('Compressed backups', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+
+        for (const [compression, extension] of [['gzip', '.db.gz'], ['brotli', '.db.br']]) {
+            const result = await backup.createBackup({
+                filename: `compressed-${compression}`,
+                includeTimestamp: false,
+                compression
+            });
+
+            assert(result.success, `${compression} backup should succeed`);
+            assert(result.filename.endsWith(extension), `Filename should end with ${extension}`);
+            assertEquals(result.compression, compression, 'Result should report the compression');
+            assert(result.size < result.uncompressedSize, 'Compressed backup should be smaller');
+            assert(!fs.existsSync(`${result.backupPath}.partial`), 'Partial file should be removed');
+
+            const report = await backup.verifyBackup(result.backupPath);
+            assert(report.valid, `${compression} backup should verify`);
+            assert(await BackupUtils.validateDatabase(result.backupPath), 'Utility validation should decompress');
+
+            const restorePath = path.join(testDir, `restored-${compression}.db`);
+            const restoreResult = await backup.restore(result.backupPath, {
+                targetPath: restorePath,
+                createBackupBeforeRestore: false
+            });
+            assert(restoreResult.success, `${compression} restore should succeed`);
+
+            const { stdout } = await execAsync(`sqlite3 "${restorePath}" "SELECT count(*) FROM users;"`);
+            assertEquals(stdout.trim(), '2', 'Restored database should contain the data');
+        }
+
+        const backups = await backup.listBackups();
+        assertEquals(backups.length, 2, 'Compressed backups should be listed');
+        assert(backups.every(item => item.compression), 'Listing should report the compression');
+
+        const cleanupResult = await backup.cleanup({ maxBackups: 1 });
+        assertEquals(cleanupResult.removed, 1, 'Compressed backups should participate in retention');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Encrypted backups
+runner.test('Encrypted backups', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir,
+            encryption: { passphrase: 'correct horse battery staple' }
+        });
+
+        const result = await backup.createBackup({
+            filename: 'encrypted',
+            includeTimestamp: false,
+            compression: 'gzip'
+        });
+
+        assert(result.success, 'Encrypted backup should succeed');
+        assertEquals(result.filename, 'encrypted.db.gz.enc', 'Filename should carry both extensions');
+        assert(result.encrypted, 'Result should report encryption');
+        assert(!fs.readFileSync(result.backupPath).includes('john@example.com'), 'Backup should not contain plaintext');
+
+        assert((await backup.verifyBackup(result.backupPath)).valid, 'Encrypted backup should verify with the right key');
+
+        const restorePath = path.join(testDir, 'restored.db');
+        const restoreResult = await backup.restore(result.backupPath, {
+            targetPath: restorePath,
+            createBackupBeforeRestore: false
+        });
+        assert(restoreResult.success, 'Restore with the right key should succeed');
+        const { stdout } = await execAsync(`sqlite3 "${restorePath}" "SELECT count(*) FROM users;"`);
+        assertEquals(stdout.trim(), '2', 'Restored database should contain the data');
+
+        // A wrong key is an authentication error, not an integrity failure
+        const wrongKeyResult = await backup.restore(result.backupPath, {
+            targetPath: path.join(testDir, 'wrong.db'),
+            createBackupBeforeRestore: false,
+            encryption: { passphrase: 'wrong' }
+        });
+        assert(!wrongKeyResult.success, 'Restore with the wrong key should fail');
+        assertEquals(wrongKeyResult.code, 'ERR_DECRYPTION_FAILED', 'Should report an authentication error');
+        assert(wrongKeyResult.error.includes('authentication failed'), 'Error should mention authentication');
+
+        try {
+            await BackupUtils.validateDatabase(result.backupPath, { encryption: { passphrase: 'wrong' } });
+            assert(false, 'Validation with the wrong key should throw');
+        } catch (error) {
+            assertEquals(error.code, 'ERR_DECRYPTION_FAILED', 'Validation should report an authentication error');
+        }
+
+        // Key files hold a raw or hex encoded 32-byte key
+        const keyFile = path.join(testDir, 'backup.key');
+        fs.writeFileSync(keyFile, require('crypto').randomBytes(32).toString('hex'));
+        const keyFileResult = await backup.createBackup({
+            filename: 'keyfile',
+            includeTimestamp: false,
+            encryption: { keyFile }
+        });
+        assert(keyFileResult.success, 'Key file backup should succeed');
+        assert((await backup.verifyBackup(keyFileResult.backupPath, { encryption: { keyFile } })).valid, 'Key file backup should verify');
+
+        const backups = await backup.listBackups();
+        assertEquals(backups.length, 2, 'Encrypted backups should be listed');
+        assert(backups.every(item => item.encrypted), 'Listing should report encryption');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: S3 storage
+runner.test('S3 storage', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+    const server = await startS3Server('backups');
+
+    try {
+        const storage = new S3Storage({
+            bucket: 'backups',
+            prefix: 'prod/app',
+            endpoint: server.endpoint,
+            accessKeyId: 'test-key',
+            secretAccessKey: 'test-secret'
+        });
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir,
+            storage
+        });
+
+        const results = [];
+        for (let i = 1; i <= 3; i++) {
+            const result = await backup.createBackup({ filename: `remote${i}.db`, includeTimestamp: false, compression: i === 3 });
+            assert(result.success, `Backup to S3 should succeed: ${result.error}`);
+            results.push(result);
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assertEquals(results[0].backupPath, 's3://backups/prod/app/remote1.db', 'Backup path should point into the bucket');
+        assert(server.objects.has('prod/app/remote3.db.gz'), 'Backup should be uploaded under the prefix');
+        assert(server.objects.has('prod/app/.sqlite-backup-catalog.json'), 'Catalog should be stored with the backups');
+        assert(!fs.existsSync(path.join(backupDir, 'remote1.db')), 'No local copy should be left behind');
+
+        // A fresh instance sees the same backups and catalog
+        const other = new SQLiteBackup({ databasePath: dbPath, backupDirectory: path.join(testDir, 'other'), storage });
+        const backups = await other.listBackups({ includeChecksums: true });
+        assertEquals(backups.map(info => info.filename).join(','), 'remote3.db.gz,remote2.db,remote1.db', 'List should show the stored backups');
+        assert(backups.every(info => info.cataloged && info.isValid), 'Stored backups should be cataloged and valid');
+
+        const targetPath = path.join(testDir, 'restored.db');
+        const restoreResult = await other.restore('remote3.db.gz', { targetPath, createBackupBeforeRestore: false });
+        assert(restoreResult.success, `Restore from S3 should succeed: ${restoreResult.error}`);
+        const { stdout } = await execAsync(`sqlite3 "${targetPath}" "SELECT COUNT(*) FROM users;"`);
+        assertEquals(stdout.trim(), '2', 'Restored database should have the original data');
+
+        const cleanupResult = await other.cleanup({ maxBackups: 2 });
+        assertEquals(cleanupResult.removedFiles.join(','), 'remote1.db', 'Cleanup should delete the oldest object');
+        assert(!server.objects.has('prod/app/remote1.db'), 'Deleted backup should be gone from the bucket');
+        assertEquals((await backup.listBackups()).length, 2, 'Cleanup should update the shared catalog');
+
+        const incremental = await backup.createBackup({ incremental: true });
+        assertEquals(incremental.code, 'ERR_STORAGE_UNSUPPORTED', 'Incremental backups should require local storage');
+
+    } finally {
+        await server.close();
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Mirrored backups
+runner.test('Mirrored backups', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+    const server = await startS3Server('mirror');
+
+    try {
+        const mirrorDir = path.join(testDir, 'mirror');
+        const s3Mirror = new S3Storage({
+            bucket: 'mirror',
+            endpoint: server.endpoint,
+            accessKeyId: 'test-key',
+            secretAccessKey: 'test-secret'
+        });
+
+        // Stands in for a mirror that stores something other than what it was given
+        const brokenMirror = new LocalStorage(path.join(testDir, 'broken'));
+        brokenMirror.put = async name => {
+            fs.mkdirSync(brokenMirror.directory, { recursive: true });
+            fs.writeFileSync(brokenMirror.location(name), 'truncated');
+        };
+
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir,
+            mirrors: [mirrorDir, s3Mirror, brokenMirror]
+        });
+
+        const result = await backup.createBackup({ filename: 'mirrored1.db', includeTimestamp: false });
+        assert(result.success, `Backup should succeed even when a mirror fails: ${result.error}`);
+        assertEquals(result.destinations.map(destination => destination.success).join(','), 'true,true,true,false',
+            'Each destination should report its own outcome');
+        assert(result.destinations.slice(0, 3).every(destination => destination.verified), 'Copies should be verified');
+        assertEquals(result.destinations[3].code, 'ERR_CHECKSUM_MISMATCH', 'A bad copy should fail verification');
+        assert(!result.replicated, 'A failed mirror should be reported');
+        assert(!fs.existsSync(brokenMirror.location('mirrored1.db')), 'A bad copy should be removed');
+        assert(server.objects.has('mirrored1.db'), 'Backup should be copied to the S3 mirror');
+        assertEquals(new BackupCatalog(mirrorDir).get('mirrored1.db').checksum, result.checksum,
+            'A mirror should catalog its copies');
+
+        // Backups taken while a mirror wasn't configured are copied by sync
+        const primaryOnly = new SQLiteBackup({ databasePath: dbPath, backupDirectory: backupDir });
+        for (let i = 2; i <= 3; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            await primaryOnly.createBackup({ filename: `mirrored${i}.db`, includeTimestamp: false });
+        }
+
+        const mirrored = new SQLiteBackup({ databasePath: dbPath, backupDirectory: backupDir, mirrors: [mirrorDir, s3Mirror] });
+        const dryRun = await mirrored.sync({ dryRun: true });
+        assertEquals(dryRun.copied, 4, 'Dry run should count the missing copies');
+        assert(!fs.existsSync(path.join(mirrorDir, 'mirrored2.db')), 'Dry run should not copy anything');
+
+        fs.writeFileSync(path.join(mirrorDir, 'mirrored1.db'), 'damaged');
+        const syncResult = await mirrored.sync();
+        assert(syncResult.success, `Sync should succeed: ${syncResult.destinations && syncResult.destinations.map(d => d.errors).join(';')}`);
+        assertEquals(syncResult.destinations[0].copied.sort().join(','), 'mirrored2.db,mirrored3.db', 'Sync should copy missing backups');
+        assertEquals(syncResult.destinations[0].repaired.join(','), 'mirrored1.db', 'Sync should replace damaged copies');
+        assert((await mirrored.verifyBackup(path.join(mirrorDir, 'mirrored1.db'))).valid, 'Repaired copy should verify');
+        assert(server.objects.has('mirrored3.db'), 'Sync should copy to the S3 mirror');
+
+        // Retention is applied to each destination on its own
+        fs.unlinkSync(path.join(mirrorDir, 'mirrored3.db'));
+        const cleanupResult = await mirrored.cleanup({ maxBackups: 1 });
+        assertEquals(cleanupResult.removedFiles.sort().join(','), 'mirrored1.db,mirrored2.db', 'Cleanup should thin the primary');
+        assertEquals(cleanupResult.destinations[1].removedFiles.join(','), 'mirrored1.db',
+            'Cleanup should keep the newest backup the mirror has');
+        assertEquals(cleanupResult.destinations[2].removedFiles.sort().join(','), 'mirrored1.db,mirrored2.db',
+            'Cleanup should thin the S3 mirror');
+        assert(!new BackupCatalog(mirrorDir).get('mirrored1.db'), 'Cleanup should update the mirror catalog');
+
+        const noMirrors = await primaryOnly.sync();
+        assertEquals(noMirrors.code, 'ERR_NO_MIRRORS', 'Sync without mirrors should fail');
+
+    } finally {
+        await server.close();
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Backup manager
+runner.test('Backup manager', async () => {
+    const { testDir } = await setupTestEnvironment();
+
+    try {
+        const createDatabase = async file => {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            await execAsync(`sqlite3 "${file}" "CREATE TABLE items (id INTEGER PRIMARY KEY);"`);
+        };
+        for (const name of ['tenant-a', 'tenant-b', 'tenant-c']) {
+            await createDatabase(path.join(testDir, 'tenants', `${name}.db`));
+        }
+        await createDatabase(path.join(testDir, 'shared', 'one.db'));
+        await createDatabase(path.join(testDir, 'shared', 'two.db'));
+
+        const configPath = path.join(testDir, 'sqlite-backup.json');
+        fs.writeFileSync(configPath, JSON.stringify({
+            concurrency: 2,
+            defaults: { backupDirectory: './backups/{name}', compression: 'gzip', retention: { maxBackups: 1 } },
+            databases: [
+                { pattern: 'tenants/*.db' },
+                { pattern: 'shared/*.db', backupDirectory: './shared-backups', compression: false }
+            ]
+        }));
+
+        const manager = BackupManager.fromFile(configPath);
+        const { databases } = await manager.discover();
+        assertEquals(databases.map(database => database.name).join(','), 'tenant-a,tenant-b,tenant-c,one,two',
+            'Patterns should discover databases in order');
+
+        const completed = [];
+        manager.on('database:complete', result => completed.push(result.name));
+        const first = await manager.run();
+        assert(first.success, `Every database should be backed up: ${JSON.stringify(first.databases.map(database => database.error))}`);
+        assertEquals(first.succeeded, 5, 'Summary should count the databases backed up');
+        assertEquals(completed.length, 5, 'Each database should report its completion');
+        assert(first.databases[0].backup.filename.endsWith('.db.gz'), 'Defaults should apply to every database');
+        assert(!first.databases[3].backup.compression, 'Entry settings should override the defaults');
+        assertExists(path.join(testDir, 'backups', 'tenant-b', first.databases[1].backup.filename),
+            'backupDirectory placeholders should give each database its own directory');
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const second = await manager.run({ concurrency: 1 });
+        assert(second.success, 'Second run should succeed');
+        assertEquals(second.databases[0].cleanup.removed, 1, 'Retention should apply to each database');
+        const shared = fs.readdirSync(path.join(testDir, 'shared-backups')).filter(file => file.endsWith('.db'));
+        assertEquals(shared.length, 2, 'Cleanup in a shared directory should keep a backup of each database');
+
+        // The CLI reports every database and exits with an error when any of them failed
+        fs.writeFileSync(configPath, JSON.stringify({
+            databases: [{ path: 'tenants/tenant-a.db' }, { path: 'tenants/missing.db' }]
+        }));
+        let cliError = null;
+        try {
+            await execFileAsync(process.execPath, [path.join(__dirname, '..', 'bin', 'cli.js'), 'run', '--config', configPath]);
+        } catch (error) {
+            cliError = error;
+        }
+        assert(cliError && cliError.code === 1, 'run should exit with an error when a database failed');
+        assert(cliError.stdout.includes('succeeded: 1, failed: 1'), 'run should print an aggregate summary');
+        assert(cliError.stderr.includes('missing'), 'run should report the failed database');
+
+        let configError = null;
+        try {
+            new BackupManager({ databases: [{ path: 'a.db', retension: { maxBackups: 1 } }] });
+        } catch (error) {
+            configError = error;
+        }
+        assertEquals(configError && configError.code, 'ERR_INVALID_CONFIG', 'Unknown settings should be rejected');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Scheduled backups
+runner.test('Scheduled backups', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+    const schedulers = [];
+
+    try {
+        const weekdays = new CronExpression('30 2 * * 1-5', { utc: true });
+        assertEquals(weekdays.next(new Date('2024-05-03T03:00:00Z')).toISOString(), '2024-05-06T02:30:00.000Z',
+            'Weekday schedule should skip the weekend');
+        assertEquals(new CronExpression('@monthly', { utc: true }).next(new Date('2024-01-31T12:00:00Z')).toISOString(),
+            '2024-02-01T00:00:00.000Z', 'Shorthands should be supported');
+        let cronError = null;
+        try {
+            new CronExpression('61 * * * *');
+        } catch (error) {
+            cronError = error;
+        }
+        assertEquals(cronError && cronError.code, 'ERR_INVALID_CRON', 'Invalid expressions should be rejected');
+
+        // A run still going when the next is due skips it; a late timer is made up for with one run
+        const clock = createFakeClock(Date.parse('2024-05-01T00:00:30Z'));
+        const events = [];
+        let release = null;
+        const slow = new Scheduler('* * * * *', () => new Promise(resolve => { release = resolve; }), { clock, utc: true });
+        schedulers.push(slow);
+        slow.on('run', event => events.push(`run${event.catchUp ? ' (catch-up)' : ''}`));
+        slow.on('skipped', event => events.push(`skipped: ${event.reason}`));
+        slow.on('missed', event => events.push(`missed: ${event.missed}`));
+
+        await slow.start();
+        assertEquals(slow.status().nextRun, '2024-05-01T00:01:00.000Z', 'First run should be at the next minute');
+        await clock.advance(60 * 1000);
+        await clock.advance(60 * 1000);
+        release();
+        await slow.idle();
+        clock.time += 5 * 60 * 1000;
+        await clock.advance(0);
+        release();
+        await slow.stop();
+        assertEquals(events.join(', '), 'run, skipped: overlap, missed: 4, run (catch-up)', 'Scheduler should prevent overlap and catch up');
+        assertEquals(slow.status().runs, 2, 'Two runs should have completed');
+
+        // Without catch-up, missed occurrences are skipped; jitter delays each run
+        const startedAt = [];
+        const jittered = new Scheduler('0 * * * *', async () => 'done', {
+            clock, utc: true, catchUp: false, jitter: 20000, random: () => 0.5, lastRun: new Date(clock.time - 3 * 60 * 60 * 1000)
+        });
+        schedulers.push(jittered);
+        jittered.on('run', event => startedAt.push(event.startedAt.toISOString()));
+        await jittered.start();
+        await clock.advance(0);
+        assertEquals(jittered.status().skipped, 1, 'Missed runs should be skipped without catch-up');
+        await clock.advance(60 * 60 * 1000);
+        await jittered.stop();
+        assertEquals(startedAt.join(','), '2024-05-01T01:00:10.000Z', 'Run should be delayed by the jitter');
+
+        // Scheduled backups catch up on a run missed since the newest backup, then follow the schedule
+        const backup = new SQLiteBackup({ databasePath: dbPath, backupDirectory: backupDir });
+        const first = await backup.createBackup();
+        assert(first.success, 'Initial backup should succeed');
+
+        const backupClock = createFakeClock(Date.parse(first.timestamp) + 2 * 60 * 60 * 1000);
+        const scheduler = await backup.schedule('0 * * * *', {
+            clock: backupClock,
+            utc: true,
+            backup: { includeTimestamp: true },
+            cleanup: { maxBackups: 2 }
+        });
+        schedulers.push(scheduler);
+        const results = [];
+        scheduler.on('complete', event => results.push(event.result));
+
+        await backupClock.advance(0);
+        await scheduler.idle();
+        assertEquals(results.length, 1, 'Missed run should be made up for at start');
+        assert(results[0].backup.success && results[0].cleanup.success, 'Run should back up and clean up');
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await backupClock.advance(60 * 60 * 1000);
+        await scheduler.idle();
+        assertEquals(results.length, 2, 'Scheduled run should take a backup');
+        assertEquals(results[1].cleanup.removed, 1, 'Each run should apply the retention rules');
+        assertEquals((await backup.listBackups()).length, 2, 'Retention should keep two backups');
+
+    } finally {
+        for (const scheduler of schedulers) {
+            await scheduler.stop();
+        }
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: SQLite drivers
+runner.test('SQLite drivers', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        const cliBackup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir,
+            driver: 'sqlite3-cli'
+        });
+        assertEquals(cliBackup.driver.name, 'sqlite3-cli', 'Should use the requested driver');
+
+        const cliResult = await cliBackup.createBackup({ filename: 'cli.db', includeTimestamp: false });
+        assert(cliResult.success, 'CLI driver backup should succeed');
+
+        try {
+            new SQLiteBackup({ databasePath: dbPath, driver: 'no-such-driver' });
+            assert(false, 'Should throw for an unknown driver');
+        } catch (error) {
+            assert(error.message.includes('Unknown SQLite driver'), 'Should throw appropriate error');
+        }
+
+        // Any object with open() returning a connection can act as a driver
+        const opened = [];
+        const cli = new CliDriver();
+        const customDriver = {
+            name: 'custom',
+            open(databasePath, options) {
+                opened.push(path.basename(databasePath));
+                return cli.open(databasePath, options);
+            }
+        };
+
+        const customBackup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir,
+            driver: customDriver
+        });
+
+        const customResult = await customBackup.createBackup({ filename: 'custom.db', includeTimestamp: false });
+        assert(customResult.success, 'Custom driver backup should succeed');
+        assert(opened.includes('test.db'), 'Custom driver should open the source database');
+        assert(opened.includes('custom.db'), 'Custom driver should open the backup for verification');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Backup through an open database handle
+runner.test('Backup through an open database handle', async () => {
+    if (!new NodeSqliteDriver().isAvailable()) {
+        console.log('   ⏭️  node:sqlite not available in this Node.js version, skipping');
+        return;
+    }
+
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+    const { DatabaseSync } = require('node:sqlite');
+    const database = new DatabaseSync(dbPath);
+
+    try {
+        const backup = new SQLiteBackup({
+            database,
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+        assertEquals(backup.driver.name, 'node:sqlite', 'Handle should select the node:sqlite driver');
+
+        database.exec("INSERT INTO users (name, email) VALUES ('Handle User', 'handle@example.com')");
+
+        const result = await backup.createBackup({ filename: 'handle.db', includeTimestamp: false });
+        assert(result.success, `Backup through the handle should succeed: ${result.error}`);
+
+        const { stdout } = await execAsync(`sqlite3 "${result.backupPath}" "SELECT count(*) FROM users;"`);
+        assertEquals(stdout.trim(), '3', 'Backup should include rows written through the handle');
+        assert(database.isOpen !== false, 'Application handle should stay open');
+
+        // The backup's page size and auto_vacuum must not carry over to the application's next VACUUM
+        const compacted = await backup.createBackup({ method: 'vacuum', filename: 'compacted.db', includeTimestamp: false, pageSize: 8192, autoVacuum: 'full' });
+        assert(compacted.success, `Vacuum backup through the handle should succeed: ${compacted.error}`);
+        database.exec('VACUUM');
+        const { stdout: live } = await execAsync(`sqlite3 "${dbPath}" "PRAGMA page_size; PRAGMA auto_vacuum;"`);
+        assertEquals(live.trim().split('\n').join(','), '4096,0', 'The live database should keep its page size and auto_vacuum');
+
+    } finally {
+        database.close();
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Paths with shell metacharacters
+runner.test('Paths with shell metacharacters', async () => {
+    const { testDir } = await setupTestEnvironment();
+
+    // Windows forbids double quotes in filenames
+    const quote = process.platform === 'win32' ? '' : '"';
+    const trickyDir = path.join(testDir, `we ird 'name' ${quote}q${quote} $(touch pwned); \`id\` & $HOME`);
+    const dbPath = path.join(trickyDir, `app's ${quote}db${quote} $(x).db`);
+    const backupDir = path.join(trickyDir, 'back ups $(touch pwned)');
+
+    try {
+        fs.mkdirSync(trickyDir, { recursive: true });
+        await execFileAsync('sqlite3', [dbPath, "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT); INSERT INTO users (name) VALUES ('O''Brien');"]);
+
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir,
+            driver: 'sqlite3-cli'
+        });
+
+        for (const method of ['backup', 'copy', 'vacuum']) {
+            const result = await backup.createBackup({
+                filename: `it's $(touch pwned) ${method}`,
+                includeTimestamp: false,
+                method
+            });
+
+            assert(result.success, `${method} backup should succeed: ${result.error}`);
+            assertExists(result.backupPath, `${method} backup file should exist`);
+            assert((await backup.verifyBackup(result.backupPath)).valid, `${method} backup should verify`);
+        }
+
+        const restorePath = path.join(trickyDir, `restored ${quote}$(touch pwned)${quote}.db`);
+        const restoreResult = await backup.restore(path.join(backupDir, "it's $(touch pwned) backup.db"), {
+            targetPath: restorePath,
+            createBackupBeforeRestore: false
+        });
+        assert(restoreResult.success, `Restore should succeed: ${restoreResult.error}`);
+
+        const { stdout } = await execFileAsync('sqlite3', [restorePath, 'SELECT name FROM users;']);
+        assertEquals(stdout.trim(), "O'Brien", 'Restored database should contain the data');
+
+        assert(!fs.existsSync('pwned') && !fs.existsSync(path.join(trickyDir, 'pwned')), 'No shell command should have run');
+
+    } finally {
+        fs.rmSync('pwned', { force: true });
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Checksum algorithms
+runner.test('Checksum algorithms', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir,
+            checksumAlgorithm: 'sha512'
+        });
+
+        for (const algorithm of ['sha256', 'sha512', 'blake2b512']) {
+            const result = await backup.createBackup({
+                filename: `checksum-${algorithm}.db`,
+                includeTimestamp: false,
+                checksumAlgorithm: algorithm
+            });
+
+            const expected = crypto.createHash(algorithm).update(fs.readFileSync(result.backupPath)).digest('hex');
+            assert(result.success, `${algorithm} backup should succeed`);
+            assertEquals(result.checksum, expected, `${algorithm} checksum should match node:crypto`);
+            assertEquals(result.checksumAlgorithm, algorithm, 'Result should report the algorithm');
+            assertEquals(backup.catalog.get(result.filename).checksumAlgorithm, algorithm, 'Catalog should keep the algorithm');
+            assertEquals(await BackupUtils.calculateChecksum(result.backupPath, algorithm), expected, 'Utility should match');
+        }
+
+        const defaultResult = await backup.createBackup({ filename: 'default.db', includeTimestamp: false });
+        assertEquals(defaultResult.checksumAlgorithm, 'sha512', 'Instance algorithm should be the default');
+
+        try {
+            new SQLiteBackup({ databasePath: dbPath, checksumAlgorithm: 'md5' });
+            assert(false, 'Should reject unsupported algorithms');
+        } catch (error) {
+            assert(error.message.includes('Unsupported checksum algorithm'), 'Should throw appropriate error');
+        }
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Checksum verification
+runner.test('Checksum verification', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+
+        const result = await backup.createBackup({ filename: 'checked.db', includeTimestamp: false });
+        assert(result.success, 'Backup should succeed');
+        assert((await backup.verifyBackup(result.backupPath)).valid, 'Untouched backup should verify');
+
+        // Swap in a different but perfectly valid database
+        await execAsync(`sqlite3 "${dbPath}" "INSERT INTO users (name, email) VALUES ('Eve', 'eve@example.com');"`);
+        fs.copyFileSync(dbPath, result.backupPath);
+
+        const report = await backup.verifyBackup(result.backupPath);
+        assert(!report.valid, 'Verification should fail on a checksum mismatch');
+        assertEquals(report.failures.map(check => check.code).join(), 'ERR_CHECKSUM_MISMATCH', 'Should report a checksum mismatch');
+
+        const restoreResult = await backup.restore(result.backupPath, {
+            targetPath: path.join(testDir, 'restored.db'),
+            createBackupBeforeRestore: false
+        });
+        assert(!restoreResult.success, 'Restore should refuse a mismatching backup');
+        assertEquals(restoreResult.code, 'ERR_CHECKSUM_MISMATCH', 'Restore should report a checksum mismatch');
+
+        const backups = await backup.listBackups({ includeChecksums: true });
+        assertEquals(backups[0].isValid, false, 'Listing should flag the mismatching backup');
+        assertEquals(backups[0].verifyError, 'ERR_CHECKSUM_MISMATCH', 'Listing should say why');
+
+        // An externally supplied checksum takes precedence over the catalog
+        const actual = await BackupUtils.calculateChecksum(result.backupPath);
+        assert((await backup.verifyBackup(result.backupPath, { expectedChecksum: `sha256:${actual}` })).valid, 'Expected checksum should be used');
+        assert((await backup.verifyBackup(result.backupPath, { verifyChecksum: false })).valid, 'Checksum check can be skipped');
+
+        const utilityResult = await BackupUtils.verifyChecksum(result.backupPath, result.checksum);
+        assert(!utilityResult.match, 'Utility should report the mismatch');
+        assertEquals(utilityResult.actual, actual, 'Utility should report the actual checksum');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Verification levels
+runner.test('Verification levels', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+
+    try {
+        await execFileAsync('sqlite3', [dbPath,
+            'CREATE TABLE orders (id INTEGER PRIMARY KEY, user_id INTEGER REFERENCES users (id)); INSERT INTO orders (user_id) VALUES (1);'
+        ]);
+
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: backupDir
+        });
+
+        const result = await backup.createBackup({ filename: 'strict.db', includeTimestamp: false, verifyLevel: 'strict' });
+        assert(result.success, `Strict backup should succeed: ${result.error}`);
+        assertEquals(JSON.stringify(backup.catalog.get('strict.db').rowCounts), '{"orders":1,"users":2}', 'Row counts should be recorded');
+
+        const names = report => report.checks.map(check => check.name).join();
+        const quick = await backup.verifyBackup(result.backupPath, { level: 'quick' });
+        assertEquals(`${quick.valid} ${names(quick)}`, 'true checksum,quick_check', 'quick should run quick_check');
+
+        const strict = await backup.verifyBackup(result.backupPath, { level: 'strict' });
+        assertEquals(`${strict.valid} ${names(strict)}`, 'true checksum,integrity_check,foreign_key_check,row_counts,schema',
+            'strict should run every check');
+
+        const custom = await backup.verifyBackup(result.backupPath, {
+            level: 'custom',
+            assertions: ['SELECT count(*) > 0 FROM users', { name: 'no orders', sql: 'SELECT count(*) = 0 FROM orders;' }]
+        });
+        assertEquals(`${custom.valid} ${custom.failures.map(check => `${check.name} ${check.code}`).join()}`,
+            'false assert: no orders ERR_ASSERTION_FAILED', 'Only the failing assertion should be reported');
+
+        try {
+            await execFileAsync(process.execPath, [path.join(__dirname, '..', 'bin', 'cli.js'),
+                'verify', result.backupPath, '--level', 'custom', '--assert', 'SELECT count(*) > 5 FROM users', '--json']);
+            assert(false, 'A failed assertion should fail verify');
+        } catch (error) {
+            assertEquals(`${error.code} ${JSON.parse(error.stdout).code}`, '3 ERR_ASSERTION_FAILED', 'verify should exit with the failed check');
+        }
+
+        // Every failed check is reported, not just the first
+        await execFileAsync('sqlite3', [result.backupPath,
+            'INSERT INTO orders (user_id) VALUES (99); CREATE TABLE gone (x); CREATE VIEW broken AS SELECT x FROM gone; DROP TABLE gone;'
+        ]);
+        const tampered = await backup.verifyBackup(result.backupPath, { level: 'strict', verifyChecksum: false });
+        assertEquals(tampered.failures.map(check => check.code).join(),
+            'ERR_FOREIGN_KEY_VIOLATION,ERR_ROW_COUNT_MISMATCH,ERR_SCHEMA_INVALID', 'Each failed check should be listed');
+        assertEquals(tampered.failures[1].details.mismatches[0].table, 'orders', 'The mismatching table should be named');
+
+        try {
+            await backup.verifyBackup(result.backupPath, { level: 'thorough' });
+            assert(false, 'An unknown level should be rejected');
+        } catch (error) {
+            assert(/Unknown verification level/.test(error.message), 'Should name the problem');
+        }
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: BackupUtils functions
+runner.test('BackupUtils functions', async () => {
+    // Test formatSize
+    assertEquals(BackupUtils.formatSize(0), '0 B', 'Should format 0 bytes');
+    assertEquals(BackupUtils.formatSize(1024), '1.00 KB', 'Should format KB');
+    assertEquals(BackupUtils.formatSize(1048576), '1.00 MB', 'Should format MB');
+
+    // Test formatDuration
+    assertEquals(BackupUtils.formatDuration(500), '500ms', 'Should format milliseconds');
+    assertEquals(BackupUtils.formatDuration(5000), '5.00s', 'Should format seconds');
+    assertEquals(BackupUtils.formatDuration(120000), '2.00m', 'Should format minutes');
+
+    // Test validateDatabase
+    const { testDir, dbPath } = await setupTestEnvironment();
+
+    try {
+        const isValid = await BackupUtils.validateDatabase(dbPath);
+        assert(isValid, 'Valid database should return true');
+
+        // Test with non-existent file
+        const nonExistentPath = './test-non-existent-' + Date.now() + '.db';
+        const invalidResult = await BackupUtils.validateDatabase(nonExistentPath);
+        assert(!invalidResult, 'Non-existent database should return false');
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: Error handling
+runner.test('Error handling', async () => {
+    // Test with non-existent database
+    const nonExistentPath = './test-non-existent-' + Date.now() + '.db';
+    try {
+        new SQLiteBackup({
+            databasePath: nonExistentPath
+        });
+        assert(false, 'Should throw error for non-existent database');
+    } catch (error) {
+        assert(error.message.includes('not found'), 'Should throw appropriate error');
+    }
+
+    // Test cleanup without retention options
+    const { testDir, dbPath } = await setupTestEnvironment();
+
+    try {
+        const backup = new SQLiteBackup({
+            databasePath: dbPath,
+            backupDirectory: path.join(testDir, 'backups')
+        });
+
+        try {
+            await backup.cleanup({});
+            assert(false, 'Should throw error without retention options');
+        } catch (error) {
+            assert(error.message.includes('retentionDays or maxBackups'), 'Should throw appropriate error');
+        }
+
+    } finally {
+        cleanupTestEnvironment(testDir);
+    }
+});
+
+// Test: CLI JSON output and exit codes
+runner.test('CLI JSON output and exit codes', async () => {
+    const { testDir, dbPath, backupDir } = await setupTestEnvironment();
+    const cli = path.join(__dirname, '..', 'bin', 'cli.js');
+    const runCli = async (...args) => {
+        try {
+            const { stdout, stderr } = await execFileAsync(process.execPath, [cli, ...args, '--json']);
+            return { exitCode: 0, output: JSON.parse(stdout), stderr };
+        } catch (error) {
+            return { exitCode: error.code, output: JSON.parse(error.stdout), stderr: error.stderr };
+        }
+    };
+
+    try {
+        const created = await runCli('create', dbPath, '--backup-dir', backupDir);
+        assertEquals(created.exitCode, 0, 'create should succeed');
+        assert(created.output.success && fs.existsSync(created.output.backupPath), 'create should print only the backup result');
+
+        const listed = await runCli('list', dbPath, '--backup-dir', backupDir);
+        assertEquals(listed.output.map(entry => entry.filename).join(), created.output.filename, 'list should print the backups');
+
+        const verified = await runCli('verify', created.output.backupPath);
+        assert(verified.output.success && verified.output.valid && verified.output.checks.map(check => check.name).join() === 'checksum,integrity_check',
+            'verify should report the checksum and integrity checks');
+
+        const cleaned = await runCli('cleanup', dbPath, '--backup-dir', backupDir, '--max-backups', '5');
+        assertEquals(cleaned.output.removed, 0, 'cleanup should print its result');
+
+        const restored = await runCli('restore', created.output.backupPath, dbPath, '--backup-dir', backupDir);
+        assertEquals(restored.output.restoredTo, dbPath, 'restore should print its result');
+
+        // Failures are error objects with a stable code, and the exit code tells their kind apart
+        const mismatch = await runCli('verify', created.output.backupPath, '--expected-checksum', `sha256:${'0'.repeat(64)}`);
+        assertEquals(`${mismatch.exitCode} ${mismatch.output.code}`, '3 ERR_CHECKSUM_MISMATCH', 'A checksum mismatch should fail verification');
+
+        const corrupt = path.join(testDir, 'corrupt.db');
+        fs.writeFileSync(corrupt, 'not a database');
+        const invalid = await runCli('verify', corrupt);
+        assertEquals(`${invalid.exitCode} ${invalid.output.code}`, '3 ERR_INTEGRITY_CHECK_FAILED', 'A corrupt backup should fail verification');
+
+        const missing = await runCli('restore', path.join(backupDir, 'missing.db'), dbPath, '--backup-dir', backupDir);
+        assertEquals(`${missing.exitCode} ${missing.output.code}`, '4 ERR_BACKUP_NOT_FOUND', 'A missing backup should be reported as not found');
+        assert(missing.output.success === false && missing.output.error, 'Errors should carry a message');
+        assert(missing.stderr.includes(missing.output.error), 'Error messages should still reach stderr');
+
+        const usage = await runCli('cleanup', dbPath);
+        assertEquals(`${usage.exitCode} ${usage.output.code}`, '2 ERR_USAGE', 'cleanup without a rule is a usage error');
+
+        const keyFile = path.join(testDir, 'backup.key');
+        const otherKeyFile = path.join(testDir, 'other.key');
+        fs.writeFileSync(keyFile, crypto.randomBytes(32));
+        fs.writeFileSync(otherKeyFile, crypto.randomBytes(32));
+        const encrypted = await runCli('create', dbPath, '--backup-dir', backupDir, '--encrypt', '--key-file', keyFile);
+        const wrongKey = await runCli('verify', encrypted.output.backupPath, '--key-file', otherKeyFile);
+        assertEquals(`${wrongKey.exitCode} ${wrongKey.output.code}`, '6 ERR_DECRYPTION_FAILED', 'A wrong key should have its own exit code');
+        const noKey = await runCli('restore', encrypted.output.backupPath, dbPath, '--backup-dir', backupDir);
+        assertEquals(`${noKey.exitCode} ${noKey.output.code}`, '6 ERR_ENCRYPTION_KEY_REQUIRED', 'A missing key should have the same exit code');
 
     } finally {
         cleanupTestEnvironment(testDir);